@@ -2,40 +2,237 @@
  * BSC Store — Local Printer App
  * ───────────────────────────────────────────────────────────────────
  * Run this on your SHOP COMPUTER (not Render).
- * It polls your server every 5 seconds for new orders and auto-prints them.
+ * It listens to your server's live order stream and auto-prints new orders.
+ * If the stream drops, it falls back to polling every 5 seconds.
  *
  * SETUP:
  *   1. Install Node.js on your shop PC (nodejs.org)
  *   2. Save this file anywhere on your PC, e.g. Desktop/printer.js
- *   3. Edit STORE_URL and ADMIN_PASSWORD below
+ *   3. Copy printer.config.example.json next to it as printer.config.json
+ *      and fill in storeUrl, adminPassword and your printers
  *   4. Open terminal/cmd in that folder and run:
  *        node printer.js
  *   5. Keep this window open — it will auto-print every new order
  *
  * REQUIREMENTS:
  *   - Node.js 18+ (has built-in fetch)
- *   - Your printer must be set as DEFAULT PRINTER on this PC
- *   - Windows: uses Notepad /p or Chrome headless to print
- *   - Printing opens a browser window briefly, then auto-closes
+ *
+ * CONFIG:
+ *   Settings are read from printer.config.json, then environment variables,
+ *   then command-line flags — each one overrides the one before:
+ *     file key        env var               flag
+ *     storeUrl        BSC_STORE_URL         --store-url
+ *     adminUsername   BSC_ADMIN_USERNAME    --username        (staff login, default owner)
+ *     adminPassword   BSC_ADMIN_PASSWORD    --password
+ *     pollInterval    BSC_POLL_INTERVAL     --poll-interval   (ms)
+ *     streamTimeout   BSC_STREAM_TIMEOUT    --stream-timeout  (ms of silence before reconnecting)
+ *     autoPrint       BSC_AUTO_PRINT        --auto-print / --no-auto-print
+ *     storeName       BSC_STORE_NAME        --store-name
+ *     upiId           BSC_UPI_ID            --upi-id
+ *     (config path)   BSC_PRINTER_CONFIG    --config
+ *   Run `node printer.js --help` to see them all.
+ *
+ * PRINTERS:
+ *   "printers" in the config lists one or more named printers:
+ *     { "name": "counter", "driver": "escpos", "output": "tcp://192.168.1.50:9100",
+ *       "paperWidth": 80, "copies": 1, "slip": "receipt" }
+ *   slip        'receipt' — the customer bill (default)
+ *               'picking' — items only, grouped by category, for packing
+ *   categories  optional list of category names or ids. A printer with
+ *               categories only prints orders that contain those categories,
+ *               and a picking slip only lists those items.
+ *   copies      how many copies of each slip to print (default 1)
+ *   Without a "printers" list a single receipt printer is used, set with
+ *   --driver, --output, --paper-width and --copies (or BSC_PRINTER_* env vars).
+ *   A printer without a "driver" uses 'html', so an existing setup keeps
+ *   printing to the system printer until ESC/POS is turned on explicitly.
+ *
+ * PRINT DRIVERS (per printer):
+ *   'html'   — the default: prints an HTML slip through the DEFAULT
+ *              PRINTER (Chrome headless on Windows, lpr on Mac/Linux).
+ *   'escpos' — sends raw ESC/POS bytes straight to a 58mm/80mm thermal
+ *              printer. Fast, no browser needed. Set "output" to:
+ *                'tcp://192.168.1.50:9100'      network printer (port 9100)
+ *                '/dev/usb/lp0'                 Linux USB printer device
+ *                '\\\\localhost\\ReceiptPrinter'   Windows shared printer
+ *                'file:./receipts/order-{id}.bin'  write to a file (testing)
+ *
+ * PRINT QUEUE:
+ *   Every slip goes through a local queue (~/.bsc_print_queue.json), so a
+ *   jammed or switched-off printer doesn't lose orders. Each printer gets its
+ *   own job; failed jobs retry with backoff (5s, 10s, 20s … up to 5 min) and
+ *   each job's status is reported to the server, where the admin Orders page
+ *   shows printed / failed and has a Reprint button that sends the order back
+ *   to this queue.
  * ───────────────────────────────────────────────────────────────────
  */
 
-// ── CONFIG — edit these ───────────────────────────────────────────
-const STORE_URL      = 'https://your-app.onrender.com'; // your Render URL
-const ADMIN_PASSWORD = 'admin123';                       // your admin password
-const POLL_INTERVAL  = 5000;   // check every 5 seconds
-const AUTO_PRINT     = true;   // set false to just show orders without printing
-const STORE_NAME     = 'BSC Store';
-// ─────────────────────────────────────────────────────────────────
-
 const fs   = require('fs');
 const path = require('path');
 const os   = require('os');
+const net  = require('net');
 const { exec } = require('child_process');
 
+// ── CONFIG ────────────────────────────────────────────────────────
+const DEFAULTS = {
+  storeUrl:      'https://your-app.onrender.com', // your Render URL
+  adminUsername: '',     // staff username — blank = owner; a 'counter' account is enough
+  adminPassword: 'admin123',                       // that account's password
+  pollInterval:  5000,   // check every 5 seconds when the live stream is down
+  streamTimeout: 60000,  // the server pings every 25s; this long with nothing means the stream is dead
+  autoPrint:     true,   // false = just show orders without printing
+  storeName:     'BSC Store',
+  upiId:         '',     // e.g. 'bscstore@upi' — prints a UPI QR for unpaid orders (escpos only)
+  maxPrintAttempts: 10,  // give up after this many failures (admin can still Reprint)
+  printers: null,        // see PRINTERS above; null = one receipt printer from the flags below
+};
+const PRINTER_DEFAULTS = { driver: 'html', paperWidth: 80, copies: 1, slip: 'receipt' };
+const DEFAULT_PRINTER  = { ...PRINTER_DEFAULTS, name: 'counter' };
+
+const FLAGS = {
+  'config':        { env: 'BSC_PRINTER_CONFIG', help: 'path to the JSON config file (default ./printer.config.json)' },
+  'store-url':     { key: 'storeUrl',      env: 'BSC_STORE_URL',      help: 'server URL' },
+  'username':      { key: 'adminUsername', env: 'BSC_ADMIN_USERNAME', help: 'staff username (default: owner)' },
+  'password':      { key: 'adminPassword', env: 'BSC_ADMIN_PASSWORD', help: 'staff password' },
+  'poll-interval': { key: 'pollInterval',  env: 'BSC_POLL_INTERVAL',  type: 'int',  help: 'polling interval in ms' },
+  'stream-timeout':{ key: 'streamTimeout', env: 'BSC_STREAM_TIMEOUT', type: 'int',  help: 'reconnect the live stream after this many ms without data' },
+  'auto-print':    { key: 'autoPrint',     env: 'BSC_AUTO_PRINT',     type: 'bool', help: 'print new orders (--no-auto-print to only show them)' },
+  'store-name':    { key: 'storeName',     env: 'BSC_STORE_NAME',     help: 'name printed on receipts' },
+  'upi-id':        { key: 'upiId',         env: 'BSC_UPI_ID',         help: 'UPI id for the pay-by-QR block' },
+  'driver':        { printer: 'driver',     env: 'BSC_PRINTER_DRIVER', help: "default printer: 'html' (default) or 'escpos'" },
+  'output':        { printer: 'output',     env: 'BSC_PRINTER_OUTPUT', help: 'default printer: tcp://host:port, device path or file:path' },
+  'paper-width':   { printer: 'paperWidth', env: 'BSC_PAPER_WIDTH',    type: 'int', help: 'default printer: 58 or 80 (mm)' },
+  'copies':        { printer: 'copies',     env: 'BSC_PRINTER_COPIES', type: 'int', help: 'default printer: copies per receipt' },
+  'help':          { type: 'bool', help: 'show this help' },
+};
+
+function parseFlagValue(name, raw) {
+  const def = FLAGS[name];
+  if (def.type === 'bool') {
+    if (typeof raw === 'boolean') return raw;
+    if (/^(1|true|yes|on)$/i.test(raw)) return true;
+    if (/^(0|false|no|off)$/i.test(raw)) return false;
+    throw new Error(`--${name} expects true or false, got "${raw}"`);
+  }
+  if (def.type === 'int') {
+    const n = parseInt(raw);
+    if (isNaN(n)) throw new Error(`--${name} expects a number, got "${raw}"`);
+    return n;
+  }
+  return String(raw);
+}
+
+// --name value, --name=value, --flag, --no-flag
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--(no-)?([a-z-]+)(?:=(.*))?$/);
+    if (!m || !FLAGS[m[2]]) throw new Error(`Unknown option: ${argv[i]} (see --help)`);
+    const [, no, name, inline] = m;
+    if (FLAGS[name].type === 'bool') out[name] = no ? false : inline === undefined ? true : parseFlagValue(name, inline);
+    else if (no) throw new Error(`--no-${name} is not an option`);
+    else if (inline !== undefined) out[name] = parseFlagValue(name, inline);
+    else if (i + 1 < argv.length) out[name] = parseFlagValue(name, argv[++i]);
+    else throw new Error(`--${name} needs a value`);
+  }
+  return out;
+}
+
+function validatePrinters(printers) {
+  if (!Array.isArray(printers) || printers.length === 0) throw new Error('"printers" must be a non-empty list');
+  const names = new Set();
+  return printers.map((pr, i) => {
+    const p = { ...PRINTER_DEFAULTS, ...pr };
+    const where = `printers[${i}]${p.name ? ` ("${p.name}")` : ''}`;
+    if (!p.name || typeof p.name !== 'string' || !/^[\w-]+$/.test(p.name)) throw new Error(`${where}: "name" is required (letters, numbers, - and _)`);
+    if (names.has(p.name)) throw new Error(`${where}: duplicate printer name`);
+    names.add(p.name);
+    if (!['escpos', 'html'].includes(p.driver)) throw new Error(`${where}: "driver" must be 'escpos' or 'html'`);
+    if (p.driver === 'escpos' && !p.output) throw new Error(`${where}: "output" is required for the escpos driver`);
+    if (![58, 80].includes(p.paperWidth)) throw new Error(`${where}: "paperWidth" must be 58 or 80`);
+    if (!Number.isInteger(p.copies) || p.copies < 1) throw new Error(`${where}: "copies" must be 1 or more`);
+    if (!['receipt', 'picking'].includes(p.slip)) throw new Error(`${where}: "slip" must be 'receipt' or 'picking'`);
+    if (p.categories != null && !Array.isArray(p.categories)) throw new Error(`${where}: "categories" must be a list`);
+    return p;
+  });
+}
+
+// Defaults ← config file ← env vars ← CLI flags
+function loadConfig() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: node printer.js [options]\n');
+    for (const [name, def] of Object.entries(FLAGS)) {
+      console.log(`  --${(name + (def.type === 'bool' ? '' : ' <value>')).padEnd(23)} ${def.help}${def.env ? `  [${def.env}]` : ''}`);
+    }
+    process.exit(0);
+  }
+
+  const explicitPath = args.config || process.env.BSC_PRINTER_CONFIG;
+  const configPath = path.resolve(explicitPath || path.join(__dirname, 'printer.config.json'));
+  let fileConfig = {};
+  if (fs.existsSync(configPath)) {
+    try { fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8')); }
+    catch (e) { throw new Error(`Could not read ${configPath}: ${e.message}`); }
+  } else if (explicitPath) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  const config = { ...DEFAULTS, ...fileConfig };
+  const printerOverrides = {};
+  for (const [name, def] of Object.entries(FLAGS)) {
+    let value;
+    if (args[name] !== undefined) value = args[name];
+    else if (def.env && process.env[def.env] !== undefined && process.env[def.env] !== '') {
+      try { value = parseFlagValue(name, process.env[def.env]); }
+      catch (e) { throw new Error(`${def.env}: ${e.message.replace(`--${name} `, '')}`); }
+    }
+    if (value === undefined) continue;
+    if (def.key) config[def.key] = value;
+    else if (def.printer) printerOverrides[def.printer] = value;
+  }
+
+  if (config.printers) {
+    if (Object.keys(printerOverrides).length) {
+      console.warn('⚠️  --driver/--output/--paper-width/--copies are ignored because the config file lists "printers"');
+    }
+  } else {
+    config.printers = [{ ...DEFAULT_PRINTER, ...printerOverrides }];
+  }
+  config.printers = validatePrinters(config.printers);
+  config.configPath = fs.existsSync(configPath) ? configPath : null;
+  return config;
+}
+
+let CONFIG;
+try {
+  CONFIG = loadConfig();
+} catch (e) {
+  console.error('❌ Config error:', e.message);
+  process.exit(1);
+}
+const STORE_URL      = CONFIG.storeUrl.replace(/\/+$/, '');
+const ADMIN_USERNAME = CONFIG.adminUsername;
+const ADMIN_PASSWORD = CONFIG.adminPassword;
+const POLL_INTERVAL  = CONFIG.pollInterval;
+const STREAM_TIMEOUT = CONFIG.streamTimeout;
+const AUTO_PRINT     = CONFIG.autoPrint;
+const STORE_NAME     = CONFIG.storeName;
+const UPI_ID         = CONFIG.upiId;
+const MAX_PRINT_ATTEMPTS = CONFIG.maxPrintAttempts;
+const PRINTERS       = CONFIG.printers;
+// ─────────────────────────────────────────────────────────────────
+
 let adminToken = null;
 let printedOrders = new Set();
+let printQueue = [];   // [{ orderId, printer, order, attempts, nextAttemptAt, lastError, reprint }]
+let queueRunning = false;
+let streamConnected = false;
+let lastEventId = null;
 const PRINTED_FILE = path.join(os.homedir(), '.bsc_printed_orders.json');
+const QUEUE_FILE   = path.join(os.homedir(), '.bsc_print_queue.json');
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS  = 5 * 60 * 1000;
 
 // Load already-printed order IDs from disk (survives restarts)
 function loadPrinted() {
@@ -54,13 +251,36 @@ function savePrinted() {
   } catch (e) {}
 }
 
+// Print jobs that were still waiting when the app stopped
+function loadQueue() {
+  try {
+    if (fs.existsSync(QUEUE_FILE)) {
+      const jobs = JSON.parse(fs.readFileSync(QUEUE_FILE, 'utf8'));
+      printQueue = jobs.filter(j => {
+        j.printer = j.printer || PRINTERS[0].name; // jobs saved before named printers existed
+        j.nextAttemptAt = 0;                       // retry right away after a restart
+        if (PRINTERS.some(p => p.name === j.printer)) return true;
+        console.warn(`⚠️  Dropping print job for order #${j.orderId} — printer "${j.printer}" is no longer in the config`);
+        return false;
+      });
+      if (printQueue.length) console.log(`📋 ${printQueue.length} print job(s) waiting from last run`);
+    }
+  } catch (e) { console.warn('Could not load print queue file:', e.message); }
+}
+
+function saveQueue() {
+  try {
+    fs.writeFileSync(QUEUE_FILE, JSON.stringify(printQueue), 'utf8');
+  } catch (e) {}
+}
+
 // Login to admin and get token
 async function login() {
   try {
     const r = await fetch(`${STORE_URL}/api/admin/login`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ password: ADMIN_PASSWORD })
+      body: JSON.stringify({ username: ADMIN_USERNAME || undefined, password: ADMIN_PASSWORD })
     });
     const d = await r.json();
     if (!r.ok) throw new Error(d.error || 'Login failed');
@@ -73,10 +293,10 @@ async function login() {
   }
 }
 
-// Fetch today's pending orders
-async function fetchNewOrders() {
+// Fetch orders from the admin API, e.g. 'date=today&status=pending'
+async function fetchOrders(query) {
   try {
-    const r = await fetch(`${STORE_URL}/api/admin/orders?date=today&status=pending`, {
+    const r = await fetch(`${STORE_URL}/api/admin/orders?${query}`, {
       headers: { 'Authorization': 'Bearer ' + adminToken }
     });
     if (r.status === 401) { adminToken = null; return []; } // token expired
@@ -87,8 +307,58 @@ async function fetchNewOrders() {
   }
 }
 
-// Generate receipt HTML for an order
-function buildReceiptHTML(o) {
+// ── CATEGORY ROUTING ──────────────────────────────────────────────
+// Orders only carry productId, so product → category comes from /api/store.
+let catalog = null; // { fetchedAt, categories: [{ id, name }], productCat: Map(productId → category) }
+const CATALOG_TTL = 10 * 60 * 1000;
+
+async function getCatalog(productIds = []) {
+  const stale = !catalog || Date.now() - catalog.fetchedAt > CATALOG_TTL;
+  // A product added after the last fetch also triggers a refresh (at most every 30s)
+  const missing = catalog && productIds.some(id => !catalog.productCat.has(id)) && Date.now() - catalog.fetchedAt > 30000;
+  if (!stale && !missing) return catalog;
+  try {
+    const r = await fetch(`${STORE_URL}/api/store`);
+    if (!r.ok) throw new Error('HTTP ' + r.status);
+    const d = await r.json();
+    const byId = new Map((d.categories || []).map(c => [c.id, c]));
+    catalog = {
+      fetchedAt: Date.now(),
+      categories: d.categories || [],
+      productCat: new Map((d.products || []).map(p => [p.id, byId.get(p.catId) || null]))
+    };
+  } catch (e) {
+    if (!catalog) throw new Error('could not load categories: ' + e.message);
+  }
+  return catalog;
+}
+
+function printerWantsCategory(printer, cat) {
+  if (!printer.categories?.length) return true;
+  if (!cat) return false;
+  return printer.categories.some(c => String(c) === String(cat.id) || String(c).toLowerCase() === String(cat.name).toLowerCase());
+}
+
+// Items grouped by category, in the store's category order; uncategorised items go last
+function groupByCategory(items, cat) {
+  const groups = new Map();
+  for (const item of items) {
+    const c = cat.productCat.get(item.productId);
+    const key = c ? c.id : 'other';
+    if (!groups.has(key)) groups.set(key, { name: c ? c.name : 'Other', order: c ? cat.categories.indexOf(c) : Infinity, items: [] });
+    groups.get(key).items.push(item);
+  }
+  return [...groups.values()].sort((a, b) => a.order - b.order);
+}
+
+// "Tue, 20 Oct 07:00-09:00" — plain ASCII so thermal printers keep every character.
+// Printed big near the top, so slips can be stacked by delivery slot.
+function deliverySlotText(slot) {
+  return slot.label.replace(' · ', ' ').replace('–', '-');
+}
+
+// Generate receipt HTML for an order, laid out for 58mm or 80mm paper
+function buildReceiptHTML(o, { paperWidth = 80 } = {}) {
   const time = new Date(o.createdAt).toLocaleString('en-IN', {
     day: '2-digit', month: 'short', year: 'numeric',
     hour: '2-digit', minute: '2-digit', hour12: true
@@ -98,7 +368,7 @@ function buildReceiptHTML(o) {
     const lineTotal = (i.price * i.qty).toFixed(0);
     const name = i.name + (i.variant ? ` (${i.variant})` : '') + (i.isFreeGift ? ' [FREE]' : '');
     return `<tr>
-      <td style="padding:2px 0;max-width:150px;word-break:break-word">${name}</td>
+      <td style="padding:2px 0;max-width:${paperWidth === 58 ? 95 : 150}px;word-break:break-word">${name}</td>
       <td style="text-align:center;padding:2px 4px">${i.qty}</td>
       <td style="text-align:right;padding:2px 0">Rs.${lineTotal}</td>
     </tr>`;
@@ -110,11 +380,11 @@ function buildReceiptHTML(o) {
 <title>Order #${o.id}</title>
 <style>
   * { margin:0; padding:0; box-sizing:border-box; }
-  @page { margin: 4mm; size: 80mm auto; }
+  @page { margin: 4mm; size: ${paperWidth}mm auto; }
   body {
     font-family: 'Courier New', Courier, monospace;
     font-size: 12px;
-    width: 72mm;
+    width: ${paperWidth === 58 ? 48 : 72}mm;
     padding: 4px;
     color: #000;
   }
@@ -136,6 +406,7 @@ function buildReceiptHTML(o) {
 
   <div><span class="bold">Order #${o.id}</span> &nbsp; <span class="tag">${(o.status||'NEW').toUpperCase()}</span></div>
   <div style="font-size:10px;color:#333;margin-top:1px">${time}</div>
+  ${o.deliverySlot ? `<div class="big" style="margin-top:3px">DELIVER ${deliverySlotText(o.deliverySlot)}</div>` : ''}
 
   <hr class="divider">
 
@@ -172,9 +443,226 @@ function buildReceiptHTML(o) {
 </html>`;
 }
 
+// Picking slip HTML — no prices, items grouped by category with tick boxes
+function buildPickingSlipHTML(o, groups, { paperWidth = 80, partial = false } = {}) {
+  const time = new Date(o.createdAt).toLocaleString('en-IN', {
+    day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', hour12: true
+  });
+  const rows = groups.map(g => `
+    <div class="cat">${g.name}</div>
+    ${g.items.map(i => `<div class="item">&#9744; <b>${i.qty} ×</b> ${i.name}${i.variant ? ` (${i.variant})` : ''}${i.isFreeGift ? ' [FREE]' : ''}</div>`).join('')}`).join('');
+
+  return `<!DOCTYPE html>
+<html><head>
+<meta charset="utf-8">
+<title>Picking #${o.id}</title>
+<style>
+  * { margin:0; padding:0; box-sizing:border-box; }
+  @page { margin: 4mm; size: ${paperWidth}mm auto; }
+  body { font-family: 'Courier New', Courier, monospace; font-size: 13px; width: ${paperWidth === 58 ? 48 : 72}mm; padding: 4px; color: #000; }
+  .center  { text-align: center; }
+  .big     { font-size: 16px; font-weight: bold; }
+  .divider { border: none; border-top: 1px dashed #000; margin: 5px 0; }
+  .cat     { font-weight: bold; text-transform: uppercase; border-bottom: 1px solid #000; margin-top: 6px; }
+  .item    { padding: 2px 0; }
+</style>
+</head>
+<body>
+  <div class="center big">PICKING SLIP</div>
+  <div class="center big">Order #${o.id}</div>
+  <div class="center" style="font-size:10px">${time}${partial ? ' · part of order' : ''}</div>
+  ${o.deliverySlot ? `<div class="center big">${deliverySlotText(o.deliverySlot)}</div>` : ''}
+  <hr class="divider">
+  <div><b>${o.customerName || 'Customer'}</b></div>
+  ${o.block || o.villa ? `<div>Block ${o.block || ''}${o.villa ? ' · Villa ' + o.villa : ''}</div>` : ''}
+  ${o.note ? `<div style="font-style:italic">Note: ${o.note}</div>` : ''}
+  <hr class="divider">
+  ${rows}
+</body>
+</html>`;
+}
+
+// ── ESC/POS RECEIPT ───────────────────────────────────────────────
+// Thermal printers only know their built-in code page, so receipts are
+// plain ASCII: ₹ becomes "Rs." and accents are stripped.
+function toPrintable(s) {
+  return String(s ?? '')
+    .replace(/₹/g, 'Rs.')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e\n]/g, '');
+}
+
+const ESC = 0x1b, GS = 0x1d;
+
+class EscPosBuilder {
+  constructor(paperWidth) {
+    this.cols = paperWidth === 58 ? 32 : 48; // characters per line in font A
+    this.chunks = [Buffer.from([ESC, 0x40])]; // ESC @ — reset printer
+  }
+  raw(...bytes) { this.chunks.push(Buffer.from(bytes)); return this; }
+  text(s) { this.chunks.push(Buffer.from(toPrintable(s), 'ascii')); return this; }
+  line(s = '') { return this.text(s + '\n'); }
+  align(a) { return this.raw(ESC, 0x61, { left: 0, center: 1, right: 2 }[a] ?? 0); }
+  bold(on) { return this.raw(ESC, 0x45, on ? 1 : 0); }
+  // GS ! — width/height multipliers (1 or 2)
+  size(w, h) { return this.raw(GS, 0x21, ((w - 1) << 4) | (h - 1)); }
+  divider(ch = '-') { return this.line(ch.repeat(this.cols)); }
+  feed(n = 1) { return this.raw(ESC, 0x64, n); }
+  cut() { return this.feed(3).raw(GS, 0x56, 0x42, 0x00); } // GS V B — feed & partial cut
+
+  // Fixed-width columns: [{ text, width, align }]. Text wider than its column
+  // wraps onto extra lines (only the first column is expected to wrap).
+  row(cells) {
+    const wrapped = cells.map(c => {
+      const t = toPrintable(c.text);
+      const parts = [];
+      for (let i = 0; i < Math.max(t.length, 1); i += c.width) parts.push(t.slice(i, i + c.width));
+      return parts;
+    });
+    const height = Math.max(...wrapped.map(w => w.length));
+    for (let r = 0; r < height; r++) {
+      this.line(cells.map((c, i) => {
+        const t = wrapped[i][r] || '';
+        return c.align === 'right' ? t.padStart(c.width) : t.padEnd(c.width);
+      }).join('').trimEnd());
+    }
+    return this;
+  }
+
+  // GS ( k — model 2 QR code, module size 1–16
+  qr(data, moduleSize = 6) {
+    const bytes = Buffer.from(data, 'ascii');
+    const len = bytes.length + 3;
+    this.raw(GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00); // model 2
+    this.raw(GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, moduleSize);  // module size
+    this.raw(GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31);        // error correction M
+    this.raw(GS, 0x28, 0x6b, len & 0xff, len >> 8, 0x31, 0x50, 0x30);
+    this.chunks.push(bytes);
+    return this.raw(GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30); // print
+  }
+
+  toBuffer() { return Buffer.concat(this.chunks); }
+}
+
+function buildReceiptEscPos(o, { paperWidth = 80, upiId = UPI_ID } = {}) {
+  const p = new EscPosBuilder(paperWidth);
+  const time = new Date(o.createdAt).toLocaleString('en-IN', {
+    day: '2-digit', month: 'short', year: 'numeric',
+    hour: '2-digit', minute: '2-digit', hour12: true
+  });
+  const amtW = 10, qtyW = p.cols > 32 ? 5 : 4, nameW = p.cols - qtyW - amtW;
+
+  p.align('center').bold(true).size(2, 2).line(STORE_NAME).size(1, 1).bold(false)
+   .line('Your Neighbourhood Store')
+   .align('left').divider();
+
+  p.bold(true).size(1, 2).text(`Order #${o.id}`).size(1, 1).bold(false).line(`  [${(o.status || 'NEW').toUpperCase()}]`)
+   .line(time);
+  if (o.deliverySlot) p.bold(true).size(1, 2).line(`DELIVER ${deliverySlotText(o.deliverySlot)}`).size(1, 1).bold(false);
+  p.divider();
+
+  p.bold(true).line(o.customerName || 'Customer').bold(false);
+  if (o.phone) p.line(o.phone);
+  if (o.block || o.villa) p.line(`Block ${o.block || ''}${o.villa ? ' - Villa ' + o.villa : ''}`);
+  if (o.note) p.line(`Note: ${o.note}`);
+  p.divider();
+
+  p.bold(true).row([
+    { text: 'Item', width: nameW }, { text: 'Qty', width: qtyW, align: 'right' }, { text: 'Amt', width: amtW, align: 'right' }
+  ]).bold(false);
+  (o.items || []).forEach(i => {
+    const name = i.name + (i.variant ? ` (${i.variant})` : '') + (i.isFreeGift ? ' [FREE]' : '');
+    p.row([
+      { text: name, width: nameW - 1 }, { text: '', width: 1 },
+      { text: String(i.qty), width: qtyW, align: 'right' },
+      { text: 'Rs.' + (i.price * i.qty).toFixed(0), width: amtW, align: 'right' }
+    ]);
+  });
+  p.divider('=');
+  p.bold(true).size(1, 2).row([
+    { text: 'TOTAL', width: p.cols - 14 }, { text: 'Rs.' + o.total, width: 14, align: 'right' }
+  ]).size(1, 1).bold(false).divider();
+  p.line(`Payment: ${(o.paymentMethod || 'COD').toUpperCase()}`);
+
+  if (upiId && !o.paid && o.paymentMethod !== 'upi') {
+    const upi = `upi://pay?pa=${encodeURIComponent(upiId)}&pn=${encodeURIComponent(STORE_NAME)}&am=${o.total}&cu=INR&tn=${encodeURIComponent('Order ' + o.id)}`;
+    p.divider().align('center').line('Scan to pay with any UPI app').qr(upi, paperWidth === 58 ? 5 : 7).line(upiId).align('left');
+  }
+
+  p.divider().align('center').line('Thank you for your order!');
+  return p.cut().toBuffer();
+}
+
+function buildPickingSlipEscPos(o, groups, { paperWidth = 80, partial = false } = {}) {
+  const p = new EscPosBuilder(paperWidth);
+  const time = new Date(o.createdAt).toLocaleString('en-IN', {
+    day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', hour12: true
+  });
+  const qtyW = 6;
+
+  p.align('center').bold(true).line('PICKING SLIP').size(2, 2).line(`#${o.id}`).size(1, 1).bold(false)
+   .line(time + (partial ? ' - part of order' : ''));
+  if (o.deliverySlot) p.bold(true).size(1, 2).line(deliverySlotText(o.deliverySlot)).size(1, 1).bold(false);
+  p.align('left').divider();
+  p.bold(true).line(o.customerName || 'Customer').bold(false);
+  if (o.block || o.villa) p.line(`Block ${o.block || ''}${o.villa ? ' - Villa ' + o.villa : ''}`);
+  if (o.note) p.line(`Note: ${o.note}`);
+
+  for (const g of groups) {
+    p.divider().bold(true).line(g.name.toUpperCase()).bold(false);
+    g.items.forEach(i => {
+      const name = i.name + (i.variant ? ` (${i.variant})` : '') + (i.isFreeGift ? ' [FREE]' : '');
+      p.row([{ text: '[ ]', width: 4 }, { text: `${i.qty} x`, width: qtyW }, { text: name, width: p.cols - 4 - qtyW }]);
+    });
+  }
+  const count = groups.reduce((n, g) => n + g.items.length, 0);
+  p.divider('=').line(`${count} item${count === 1 ? '' : 's'}`);
+  return p.cut().toBuffer();
+}
+
+// Send raw bytes to a tcp://host:port printer, a device path, or file:<path>.
+// File paths may use {id} (order id) and {printer} (printer name).
+function sendRaw(buf, output, { id, printer }) {
+  if (output.startsWith('tcp://')) {
+    const [host, port] = output.slice(6).split(':');
+    return new Promise((resolve, reject) => {
+      const sock = net.connect({ host, port: parseInt(port) || 9100 });
+      sock.setTimeout(10000, () => sock.destroy(new Error(`printer at ${host} not responding`)));
+      sock.on('error', reject);
+      sock.on('connect', () => sock.end(buf));
+      sock.on('close', hadError => { if (!hadError) resolve(); });
+    });
+  }
+  const file = output.startsWith('file:') ? output.slice(5).replace('{id}', id).replace('{printer}', printer) : output;
+  if (output.startsWith('file:')) fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  return fs.promises.writeFile(file, buf);
+}
+
+// Print one order's slip on one printer. Resolves false when the printer's
+// routing rules leave nothing for it to print.
+async function printOrderOn(order, printer) {
+  const items = order.items || [];
+  const needsCatalog = printer.slip === 'picking' || printer.categories?.length;
+  const cat = needsCatalog ? await getCatalog(items.map(i => i.productId)) : null;
+  const routed = printer.categories?.length ? items.filter(i => printerWantsCategory(printer, cat.productCat.get(i.productId))) : items;
+  if (routed.length === 0) return false;
+
+  const opts = { paperWidth: printer.paperWidth, partial: routed.length < items.length };
+  if (printer.driver === 'escpos') {
+    const slip = printer.slip === 'picking'
+      ? buildPickingSlipEscPos(order, groupByCategory(routed, cat), opts)
+      : buildReceiptEscPos(order, opts);
+    await sendRaw(Buffer.concat(Array(printer.copies).fill(slip)), printer.output, { id: order.id, printer: printer.name });
+  } else {
+    const html = printer.slip === 'picking' ? buildPickingSlipHTML(order, groupByCategory(routed, cat), opts) : buildReceiptHTML(order, opts);
+    for (let n = 1; n <= printer.copies; n++) await printReceipt(`${order.id}_${printer.name}_${n}`, html, printer.paperWidth);
+  }
+  return true;
+}
+
 // Print using system browser (works on Windows, Mac, Linux)
-function printReceipt(orderId, html) {
-  return new Promise((resolve) => {
+function printReceipt(orderId, html, paperWidth = 80) {
+  return new Promise((resolve, reject) => {
     const tmpFile = path.join(os.tmpdir(), `bsc_order_${orderId}.html`);
     fs.writeFileSync(tmpFile, html, 'utf8');
 
@@ -195,62 +683,215 @@ function printReceipt(orderId, html) {
       }
     } else if (process.platform === 'darwin') {
       // macOS: lpr (CUPS)
-      cmd = `lpr -o media=Custom.80x297mm "${tmpFile}"`;
+      cmd = `lpr -o media=Custom.${paperWidth}x297mm "${tmpFile}"`;
     } else {
       // Linux: lpr
       cmd = `lpr "${tmpFile}"`;
     }
 
     exec(cmd, (err) => {
-      if (err) console.warn('  Print error:', err.message);
       // Clean up temp file after 30s
       setTimeout(() => { try { fs.unlinkSync(tmpFile); } catch {} }, 30000);
-      resolve();
+      if (err) reject(err); else resolve();
     });
   });
 }
 
-// Main polling loop
+// Tell the server how a print job is going — best effort, the queue never waits on it
+function reportPrintStatus(orderId, printer, state, extra = {}) {
+  if (!adminToken) return;
+  fetch(`${STORE_URL}/api/admin/orders/${orderId}/print-status`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + adminToken },
+    body: JSON.stringify({ printer, state, ...extra })
+  }).catch(() => {});
+}
+
+// Queue an order on every printer (once) — shared by the live stream and the polling fallback.
+// A reprint skips the "already printed" check and retries a failing job immediately.
+function enqueueOrder(order, { reprint = false } = {}) {
+  const queued = printQueue.filter(j => j.orderId === order.id);
+  if (queued.length && !reprint) return;
+  if (!reprint && printedOrders.has(order.id)) return; // already printed
+
+  const time = new Date(order.createdAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
+  console.log(`\n${reprint ? '🔁 REPRINT' : '🆕 NEW ORDER'} #${order.id} — Rs.${order.total} — ${order.customerName} — ${time}`);
+  console.log(`   Items: ${(order.items||[]).map(i=>i.name+' x'+i.qty).join(', ')}`);
+
+  if (!AUTO_PRINT && !reprint) {
+    console.log(`   ℹ️  Auto-print is off — run with --auto-print to enable`);
+    printedOrders.add(order.id);
+    savePrinted();
+    return;
+  }
+
+  for (const printer of PRINTERS) {
+    const existing = queued.find(j => j.printer === printer.name);
+    if (existing) {
+      Object.assign(existing, { order, attempts: 0, nextAttemptAt: 0 });
+    } else {
+      printQueue.push({ orderId: order.id, printer: printer.name, order, attempts: 0, nextAttemptAt: 0, lastError: null, reprint });
+    }
+    reportPrintStatus(order.id, printer.name, 'queued', { attempts: 0 });
+  }
+  saveQueue();
+  processQueue();
+}
+
+// A job left the queue — once all of an order's jobs are gone the order counts as handled
+function finishJob(job) {
+  printQueue = printQueue.filter(j => j !== job);
+  if (!printQueue.some(j => j.orderId === job.orderId)) {
+    printedOrders.add(job.orderId);
+    savePrinted();
+  }
+}
+
+// Print every job that is due, one at a time. A job only leaves the queue once
+// the printer accepted it (or it ran out of attempts).
+async function processQueue() {
+  if (queueRunning) return;
+  queueRunning = true;
+  try {
+    let job;
+    while ((job = printQueue.find(j => j.nextAttemptAt <= Date.now()))) {
+      const printer = PRINTERS.find(p => p.name === job.printer);
+      const label = `Order #${job.orderId} → ${job.printer}`;
+      job.attempts++;
+      try {
+        const printed = await printOrderOn(job.order, printer);
+        finishJob(job);
+        if (printed) {
+          console.log(`   ✅ ${label} printed${printer.copies > 1 ? ` (${printer.copies} copies)` : ''}${job.attempts > 1 ? ` on attempt ${job.attempts}` : ''}`);
+          reportPrintStatus(job.orderId, job.printer, 'printed', { attempts: job.attempts });
+        } else {
+          reportPrintStatus(job.orderId, job.printer, 'skipped', { attempts: job.attempts });
+        }
+      } catch (e) {
+        job.lastError = e.message;
+        if (job.attempts >= MAX_PRINT_ATTEMPTS) {
+          // Counts as handled so polling doesn't queue it again — Reprint in admin brings it back
+          finishJob(job);
+          console.warn(`   ❌ ${label} failed ${job.attempts} times (${e.message}) — giving up. Use Reprint in admin to try again.`);
+          reportPrintStatus(job.orderId, job.printer, 'failed', { attempts: job.attempts, error: e.message });
+        } else {
+          const delay = Math.min(RETRY_BASE_MS * 2 ** (job.attempts - 1), RETRY_MAX_MS);
+          job.nextAttemptAt = Date.now() + delay;
+          console.warn(`   ⚠️  ${label} print failed (${e.message}) — retrying in ${Math.round(delay / 1000)}s`);
+          reportPrintStatus(job.orderId, job.printer, 'failed', {
+            attempts: job.attempts, error: e.message, nextRetryAt: new Date(job.nextAttemptAt).toISOString()
+          });
+        }
+      }
+      saveQueue();
+    }
+  } finally {
+    queueRunning = false;
+  }
+}
+
+// Polling fallback — also used once after (re)connecting to catch up
 async function poll() {
   if (!adminToken) {
     const ok = await login();
     if (!ok) return;
   }
 
-  const orders = await fetchNewOrders();
+  const orders = await fetchOrders('date=today&status=pending');
+  orders.forEach(order => enqueueOrder(order));
+  // Reprints asked for in admin while the live stream was down
+  const reprints = await fetchOrders('printState=requested');
+  reprints.forEach(order => enqueueOrder(order, { reprint: true }));
+}
 
-  for (const order of orders) {
-    if (printedOrders.has(order.id)) continue; // already printed
+// ── LIVE ORDER STREAM (Server-Sent Events) ────────────────────────
+// Node has no EventSource, so read /api/admin/events with fetch and parse
+// the `id:` / `event:` / `data:` lines ourselves.
+function handleStreamEvent(type, data) {
+  if (type === 'order.created' && data.order?.status === 'pending') {
+    enqueueOrder(data.order);
+  } else if (type === 'order.updated' && data.previousStatus === 'awaiting_approval' && data.order?.status === 'pending') {
+    enqueueOrder(data.order); // khata order released once its credit was approved
+  } else if (type === 'print.requested') {
+    enqueueOrder(data.order, { reprint: true });
+  } else if (type === 'reset') {
+    poll(); // server restarted or we were away too long — re-fetch today's pending orders
+  } else if (type === 'stock.low') {
+    console.log(`⚠️  Low stock: ${data.name} — ${data.stockQuantity} left`);
+  }
+}
 
-    const time = new Date(order.createdAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
-    console.log(`\n🆕 NEW ORDER #${order.id} — Rs.${order.total} — ${order.customerName} — ${time}`);
-    console.log(`   Items: ${(order.items||[]).map(i=>i.name+' x'+i.qty).join(', ')}`);
+// A connection that dies without a FIN (Wi-Fi drop, router reboot, sleeping PC)
+// never ends the read, so a watchdog aborts it once even the pings stop coming.
+async function connectStream() {
+  if (!adminToken && !(await login())) return setTimeout(connectStream, POLL_INTERVAL);
+  const controller = new AbortController();
+  let idleTimer = null;
+  const resetIdle = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => controller.abort(new Error(`nothing received for ${STREAM_TIMEOUT/1000}s`)), STREAM_TIMEOUT);
+  };
+  try {
+    const headers = { 'Authorization': 'Bearer ' + adminToken, 'Accept': 'text/event-stream' };
+    if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+    resetIdle();
+    const r = await fetch(`${STORE_URL}/api/admin/events`, { headers, signal: controller.signal });
+    if (r.status === 401) { adminToken = null; throw new Error('token expired'); }
+    if (!r.ok || !r.body) throw new Error('HTTP ' + r.status);
 
-    if (AUTO_PRINT) {
-      console.log(`   🖨️  Printing...`);
-      const html = buildReceiptHTML(order);
-      await printReceipt(order.id, html);
-      console.log(`   ✅ Sent to printer`);
-    } else {
-      console.log(`   ℹ️  AUTO_PRINT is off — set AUTO_PRINT=true to enable`);
-    }
+    streamConnected = true;
+    console.log('📡 Live order stream connected');
+    if (!lastEventId) poll(); // first connect: pick up anything placed while we were offline
 
-    printedOrders.add(order.id);
-    savePrinted();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of r.body) {
+      resetIdle(); // any chunk counts, including the server's `: ping` comments
+      buffer += decoder.decode(chunk, { stream: true });
+      let sep;
+      while ((sep = buffer.indexOf('\n\n')) !== -1) {
+        const raw = buffer.slice(0, sep);
+        buffer = buffer.slice(sep + 2);
+        let type = 'message', data = '';
+        for (const line of raw.split('\n')) {
+          if (line.startsWith('id:')) lastEventId = line.slice(3).trim();
+          else if (line.startsWith('event:')) type = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        }
+        if (!data) continue;
+        try { handleStreamEvent(type, JSON.parse(data)); } catch (e) { console.warn('Bad stream event:', e.message); }
+      }
+    }
+    throw new Error('stream closed');
+  } catch (e) {
+    const reason = controller.signal.aborted ? controller.signal.reason.message : e.message;
+    if (streamConnected) console.warn(`📡 Live stream lost (${reason}) — polling every ${POLL_INTERVAL/1000}s until it reconnects`);
+    streamConnected = false;
+    setTimeout(connectStream, POLL_INTERVAL);
+  } finally {
+    clearTimeout(idleTimer);
   }
 }
 
 // ── STARTUP ───────────────────────────────────────────────────────
 loadPrinted();
+loadQueue();
 console.log('');
 console.log('╔══════════════════════════════════════╗');
 console.log('║   BSC Store — Local Printer App      ║');
 console.log('╚══════════════════════════════════════╝');
 console.log(`🌐 Server : ${STORE_URL}`);
+console.log(`⚙️  Config : ${CONFIG.configPath || 'none (defaults, env vars and flags)'}`);
 console.log(`🖨️  Auto-print: ${AUTO_PRINT ? 'ON' : 'OFF'}`);
-console.log(`⏱️  Polling every ${POLL_INTERVAL/1000}s for new pending orders`);
+PRINTERS.forEach(p => {
+  const where = p.driver === 'escpos' ? `ESC/POS ${p.paperWidth}mm → ${p.output}` : 'HTML → default printer';
+  const what = p.slip === 'picking' ? 'picking slips' : 'receipts';
+  console.log(`   • ${p.name}: ${what}${p.categories?.length ? ` for ${p.categories.join(', ')}` : ''}${p.copies > 1 ? ` ×${p.copies}` : ''} — ${where}`);
+});
+console.log(`📡 Listening for new orders (polling every ${POLL_INTERVAL/1000}s if the live stream is down)`);
 console.log('');
 
-// Poll immediately, then on interval
-poll();
-setInterval(poll, POLL_INTERVAL);
+// Live stream first; polling only runs while it is disconnected
+connectStream();
+setInterval(() => { if (!streamConnected) poll(); }, POLL_INTERVAL);
+setInterval(processQueue, 1000); // picks up retries once their backoff is over
@@ -1,19 +1,26 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const multer = require('multer');
+const ExcelJS = require('exceljs');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const { MongoClient } = require('mongodb');
+const { openMongoStore, openFileStore } = require('./storage');
 const cron = require('node-cron');
 
 const app = express();
+// req.ip honours X-Forwarded-For only when the request came through one of these
+// proxies (Render's load balancer sits on a private address); set TRUST_PROXY to change
+const TRUST_PROXY = process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY) : { true: true, false: false }[TRUST_PROXY] ?? TRUST_PROXY);
 const PORT = process.env.PORT || 3000;
 
 // ── SECURITY: Secrets from env vars (#1, #18) ─────────────────────────────────
 const ADMIN_SECRET   = process.env.ADMIN_JWT_SECRET  || 'bsc-admin-fallback-change-in-prod';
 const CUSTOMER_SECRET = process.env.CUSTOMER_JWT_SECRET || 'bsc-customer-fallback-change-in-prod';
 const MONGO_URI = process.env.MONGO_URI;
+// Without MONGO_URI the server runs on a local JSON file (see storage.js)
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data', 'store.json');
 // Rotate between multiple Gemini API keys to maximize free quota
 // Add GEMINI_KEY_1, GEMINI_KEY_2, GEMINI_KEY_3 in Render environment
 const GEMINI_KEYS = [
@@ -74,13 +81,16 @@ app.use((req, res, next) => {
   next();
 });
 
-// ── MONGODB ───────────────────────────────────────────────────────────────────
+// ── STORAGE (MongoDB, or local file when MONGO_URI is unset) ─────────────────
 let db;
 async function connectDB() {
-  const client = new MongoClient(MONGO_URI);
-  await client.connect();
-  db = client.db('bscstore');
-  console.log('✅ Connected to MongoDB');
+  if (MONGO_URI) {
+    db = (await openMongoStore(MONGO_URI)).db;
+    console.log('✅ Connected to MongoDB');
+  } else {
+    db = openFileStore(DATA_FILE, { seedFile: path.join(__dirname, 'db.json') }).db;
+    console.log(`✅ Using local file storage: ${DATA_FILE}`);
+  }
 
   await db.collection('customers').createIndex({ phone: 1 }, { unique: true });
   await db.collection('customers').createIndex({ customerId: 1 });
@@ -88,8 +98,26 @@ async function connectDB() {
   await db.collection('milkLogs').createIndex({ customerId: 1, month: 1 });
   await db.collection('orders').createIndex({ customerId: 1, createdAt: -1 });
   await db.collection('orders').createIndex({ phone: 1 });
+  await db.collection('orders').createIndex({ 'printStatus.state': 1 }, { sparse: true });
+  await db.collection('orders').createIndex({ createdAt: -1 });
+  await db.collection('adminDevices').createIndex({ endpoint: 1 }, { unique: true });
+  await db.collection('staffUsers').createIndex({ username: 1 }, { unique: true });
+  await db.collection('auditLog').createIndex({ id: -1 });
+  await db.collection('auditLog').createIndex({ entity: 1, entityId: 1 });
+  await db.collection('auditLog').createIndex({ customerId: 1 });
   // New unified ledger index
   await db.collection('ledger').createIndex({ customerId: 1, createdAt: -1 });
+  await db.collection('ledger').createIndex({ reverses: 1 }, { unique: true, sparse: true });
+  await db.collection('udharReminderLog').createIndex({ customerId: 1, sentAt: -1 });
+  await db.collection('stocktakes').createIndex({ status: 1, catId: 1 });
+  await db.collection('stockBatches').createIndex({ productId: 1, variantId: 1, expiry: 1 });
+  await db.collection('stockMovements').createIndex({ productId: 1, variantId: 1, id: -1 });
+  await db.collection('priceHistory').createIndex({ productId: 1, variantId: 1, at: -1 });
+  await db.collection('priceSchedules').createIndex({ status: 1, startAt: 1 });
+  await db.collection('slotBookings').createIndex({ key: 1 }, { unique: true });
+  await db.collection('supplierLedger').createIndex({ supplierId: 1 });
+  await db.collection('supplierLedger').createIndex({ reverses: 1 }, { unique: true, sparse: true });
+  await db.collection('purchaseOrders').createIndex({ supplierId: 1, status: 1 });
   // Keep old indexes for migration compat
   await db.collection('udharEntries').createIndex({ customerId: 1 });
   await db.collection('udharPayments').createIndex({ customerId: 1 });
@@ -103,9 +131,10 @@ async function connectDB() {
     { weights: { name: 10, brand: 5, keywords: 8, searchTokens: 3 }, name: 'product_text_search', default_language: 'none' }
   );
   await db.collection('products').createIndex({ catId: 1, subCatId: 1 });
-  // Barcode & SKU indexes for fast scanner lookups
-  await db.collection('products').createIndex({ barcode: 1 }, { unique: true, sparse: true });
-  await db.collection('products').createIndex({ sku: 1 }, { unique: true, sparse: true });
+  // Barcode & SKU indexes for fast scanner lookups (per variant; uniqueness is
+  // checked on save — a multikey unique index would clash on variants without one)
+  await db.collection('products').createIndex({ 'variants.barcode': 1 });
+  await db.collection('products').createIndex({ 'variants.sku': 1 });
 
   const settings = await db.collection('settings').findOne({ _id: 'main' });
   if (!settings) {
@@ -118,6 +147,35 @@ async function connectDB() {
       upsellProductIds: []
     });
   }
+
+  // Stock used to live on the product — move it (and SKU/barcode) onto variants
+  const legacyStock = (await db.collection('products').find().toArray()).filter(hasProductLevelStock);
+  for (const p of legacyStock) {
+    await db.collection('products').updateOne({ id: p.id }, {
+      $set: { variants: liftProductStock(p) },
+      $unset: { stockQuantity: '', lowStockThreshold: '', sku: '', barcode: '' }
+    });
+  }
+  if (legacyStock.length) console.log(`📦 Moved stock, SKU and barcode onto variants for ${legacyStock.length} products`);
+
+  // Stock journal starts with a count of whatever is tracked today
+  if (!(await db.collection('stockMovements').countDocuments())) {
+    for (const p of await db.collection('products').find().toArray()) {
+      await journalStockEdits(null, p, 'system', 'Opening balance');
+    }
+  }
+
+  // First run with staff accounts: the old shared admin password becomes the owner's
+  if (!(await db.collection('staffUsers').countDocuments())) {
+    const s = await db.collection('settings').findOne({ _id: 'main' });
+    await db.collection('staffUsers').insertOne({
+      id: await getNextId('staffUser'),
+      username: 'owner', name: 'Owner', role: 'owner',
+      passwordHash: s.adminPassword, tokenVersion: 0,
+      disabled: false, createdAt: new Date().toISOString()
+    });
+    console.log("👤 Created staff user 'owner' with the existing admin password");
+  }
 }
 
 // ── MULTER ────────────────────────────────────────────────────────────────────
@@ -137,6 +195,8 @@ const upload = multer({
   limits: { fileSize: 8 * 1024 * 1024 },
   fileFilter: (req, file, cb) => file.mimetype.startsWith('image/') ? cb(null, true) : cb(new Error('Images only'))
 });
+// Spreadsheet imports are parsed straight from memory, never saved
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
 
 // ── HELPERS ───────────────────────────────────────────────────────────────────
 const sha256 = s => crypto.createHash('sha256').update(s).digest('hex');
@@ -158,27 +218,86 @@ function computeStockStatus(stockQuantity, lowStockThreshold) {
   return { stockStatus: 'In Stock', isLowStock: false };
 }
 
+// Stock, low-stock threshold, SKU and barcode live on each variant (500ml and
+// 1L are different shelf items). stockQuantity null = not tracked.
+function normalizeVariant(v) {
+  const stockQuantity = typeof v.stockQuantity === 'number' ? v.stockQuantity : null;
+  const lowStockThreshold = typeof v.lowStockThreshold === 'number' ? v.lowStockThreshold : 5;
+  return { ...v, stockQuantity, lowStockThreshold, ...computeStockStatus(stockQuantity, lowStockThreshold) };
+}
+
+// Older products kept one stock counter (and SKU/barcode) on the product itself.
+// The shared counter can't be split, so it moves onto the first variant.
+function liftProductStock(p) {
+  const variants = p.variants ? p.variants.map(v => ({ ...v })) : [{
+    id: 'v1', label: p.unit || '1 unit', imageUrl: p.imageUrl || '',
+    mrp: p.mrp || null, inStock: p.inStock !== false,
+    priceTiers: p.priceTiers || [{ minQty: 1, price: 0 }]
+  }];
+  const first = variants[0];
+  if (first) {
+    const legacyQty = p.stockQuantity != null && p.stockQuantity !== '' ? Number(p.stockQuantity) : NaN;
+    if (first.stockQuantity === undefined && !isNaN(legacyQty)) first.stockQuantity = legacyQty;
+    if (first.lowStockThreshold === undefined && typeof p.lowStockThreshold === 'number') first.lowStockThreshold = p.lowStockThreshold;
+    if (!first.sku && p.sku) first.sku = p.sku;
+    if (!first.barcode && p.barcode) first.barcode = p.barcode;
+  }
+  return variants;
+}
+const hasProductLevelStock = p => !p.variants || ['stockQuantity', 'lowStockThreshold', 'sku', 'barcode'].some(k => p[k] !== undefined);
+
+// Variants as sent by the admin form: numbers for stock, no computed fields,
+// and empty SKU/barcode dropped so they don't clash with each other
+function cleanVariants(variants) {
+  return variants.map(({ stockStatus, isLowStock, ...v }) => {
+    const qty = v.stockQuantity === '' || v.stockQuantity == null ? NaN : parseInt(v.stockQuantity);
+    const threshold = parseInt(v.lowStockThreshold);
+    const out = { ...v, stockQuantity: isNaN(qty) ? null : Math.max(0, qty), lowStockThreshold: isNaN(threshold) ? 5 : Math.max(0, threshold) };
+    for (const k of ['sku', 'barcode']) {
+      if (typeof out[k] === 'string') out[k] = out[k].trim();
+      if (!out[k]) delete out[k];
+    }
+    return out;
+  });
+}
+
+// SKUs and barcodes must identify exactly one variant across the catalogue
+async function assertUniqueVariantCodes(variants, productId) {
+  for (const [field, label] of [['sku', 'SKU'], ['barcode', 'Barcode']]) {
+    const codes = variants.map(v => v[field]).filter(Boolean);
+    const dup = codes.find((c, i) => codes.indexOf(c) !== i);
+    if (dup) throw Object.assign(new Error(`${label} ${dup} is used by two variants`), { status: 400 });
+    if (!codes.length) continue;
+    const clash = await db.collection('products').findOne({ id: { $ne: productId }, [`variants.${field}`]: { $in: codes } });
+    if (clash) {
+      const code = clash.variants.map(v => v[field]).find(c => codes.includes(c));
+      throw Object.assign(new Error(`${label} ${code} already belongs to "${clash.name}"`), { status: 400 });
+    }
+  }
+}
+
+// Label used in stock messages: "Amul Milk (1 L)" when there's more than one variant
+const stockLabel = (product, variant) =>
+  (product.variants || []).length > 1 && variant?.label ? `${product.name} (${variant.label})` : product.name;
+
 function migrateProduct(p) {
-  const { stockStatus, isLowStock } = computeStockStatus(p.stockQuantity, p.lowStockThreshold);
-  const base = {
+  const variants = (hasProductLevelStock(p) ? liftProductStock(p) : p.variants).map(normalizeVariant);
+  // Product-level figures roll the tracked variants up for lists and the dashboard
+  const tracked = variants.filter(v => v.stockQuantity !== null);
+  const stockQuantity = tracked.length ? tracked.reduce((s, v) => s + v.stockQuantity, 0) : null;
+  const isLowStock = variants.some(v => v.isLowStock);
+  const stockStatus = !tracked.length ? 'In Stock'
+    : tracked.length === variants.length && stockQuantity === 0 ? 'Out of Stock'
+    : isLowStock || tracked.some(v => v.stockQuantity === 0) ? 'Low Stock' : 'In Stock';
+  return {
     id: p.id, name: p.name, catId: p.catId || 0,
     subCatId: p.subCatId || null,
     imageUrl: p.imageUrl || '', featured: p.featured || false, isNew: p.isNew || false,
     brand: p.brand || '', keywords: p.keywords || [], searchTokens: p.searchTokens || [],
-    ...(p.sku     ? { sku:     p.sku     } : {}),
-    ...(p.barcode ? { barcode: p.barcode } : {}),
     mrp: p.mrp || null,
-    stockQuantity: typeof p.stockQuantity === 'number' ? p.stockQuantity : null,
-    lowStockThreshold: typeof p.lowStockThreshold === 'number' ? p.lowStockThreshold : 5,
-    stockStatus, isLowStock,
+    stockQuantity, stockStatus, isLowStock,
     disabled: p.disabled || false,
-  };
-  if (p.variants) return { ...base, variants: p.variants };
-  return {
-    ...base,
-    variants: [{ id: 'v1', label: p.unit || '1 unit', imageUrl: p.imageUrl || '',
-      mrp: p.mrp || null, inStock: p.inStock !== false,
-      priceTiers: p.priceTiers || [{ minQty: 1, price: 0 }] }]
+    variants
   };
 }
 
@@ -861,12 +980,402 @@ async function getCustomerBalance(customerId) {
   return balance;
 }
 
+// udharEntries / udharPayments are read-only history from before the ledger.
+// Rows already carried into it — by migrate-to-ledger (legacyId) or as the copy
+// an app order charge used to leave behind — are dropped so they don't count twice.
+function legacyOutsideLedger(ledgerEntries, udharEntries, udharPayments) {
+  const migrated = source => new Set(ledgerEntries.filter(e => e.source === source).map(e => e.legacyId));
+  const entriesIn = migrated('legacy_udhar'), paymentsIn = migrated('legacy_payment');
+  const orderCharges = new Set(ledgerEntries.filter(e => e.source === 'app_order').map(e => e.orderId));
+  return {
+    udharEntries: udharEntries.filter(e => !entriesIn.has(e.id) && !(e.type === 'app_order' && orderCharges.has(e.orderId))),
+    udharPayments: udharPayments.filter(p => !paymentsIn.has(p.id)),
+  };
+}
+
+// Credit position for account orders. A creditLimit of 0 (or unset) means no limit.
+async function getCustomerCredit(customer) {
+  const creditLimit = parseFloat(customer.creditLimit) || 0;
+  const balance = parseFloat((await getCustomerBalance(customer.customerId)).toFixed(2));
+  const availableCredit = creditLimit > 0 ? parseFloat(Math.max(0, creditLimit - balance).toFixed(2)) : null;
+  return { creditLimit, balance, availableCredit };
+}
+
+// Charge an account order to the customer's khata
+async function addOrderToLedger(order, customer) {
+  const udharItems = (order.items || []).filter(i => !i.isFreeGift).map(i => ({
+    name: i.name + (i.variant ? ` (${i.variant})` : ''), qty: i.qty, price: i.price
+  }));
+  await db.collection('ledger').insertOne({
+    id: await getNextId('ledgerId'),
+    customerId: customer.customerId,
+    type: 'credit',
+    amount: order.total,
+    note: `App Order #${order.id}`,
+    date: istToday(),
+    source: 'app_order',
+    orderId: order.id,
+    items: udharItems,
+    createdAt: new Date().toISOString()
+  });
+}
+
+// Put a cancelled order's stock back (variants that track stock only)
+async function restoreOrderStock(order, by) {
+  for (const item of (order.items || []).filter(i => !i.isFreeGift)) {
+    const product = await db.collection('products').findOne({ id: item.productId });
+    if (!product?.variants) continue;
+    const idx = Math.max(0, product.variants.findIndex(v => v.id === item.variantId));
+    const variant = product.variants[idx];
+    if (variant && typeof variant.stockQuantity === 'number') {
+      const updated = await db.collection('products').findOneAndUpdate(
+        { id: item.productId, [`variants.${idx}.id`]: variant.id },
+        { $inc: { [`variants.${idx}.stockQuantity`]: item.qty } },
+        { returnDocument: 'after' }
+      );
+      if (updated) await recordStockMovement({
+        productId: item.productId, variantId: variant.id, type: 'cancel_restock',
+        delta: item.qty, balance: updated.variants[idx].stockQuantity, by, orderId: order.id
+      });
+    }
+  }
+  await returnToBatches(order.batchAllocations);
+}
+
+// ── STOCK RESERVATION ─────────────────────────────────────────────────────────
+// Order placement is all-or-nothing. The file store has no transactions, so on
+// both backends we take stock with a conditional decrement (only if enough is
+// left — two orders racing for the last units can't both win) and undo every
+// reservation, ledger row and slot booking if anything fails before the order is
+// inserted. The order insert is the commit point.
+// Variants are addressed by array position, pinned by id so a concurrent
+// variant edit can't redirect the decrement to the wrong pack size.
+function stockError(name, available) {
+  return Object.assign(new Error(available > 0
+    ? `Only ${available} unit(s) of "${name}" available.`
+    : `"${name}" is Out of Stock.`), { status: 400 });
+}
+async function reserveStock(product, variant, qty) {
+  if (!Number.isInteger(qty) || qty < 1) throw Object.assign(new Error(`Invalid quantity for "${stockLabel(product, variant)}"`), { status: 400 });
+  const idx = product.variants.findIndex(v => v.id === variant.id);
+  const updated = idx === -1 ? null : await db.collection('products').findOneAndUpdate(
+    { id: product.id, [`variants.${idx}.id`]: variant.id, [`variants.${idx}.stockQuantity`]: { $gte: qty } },
+    { $inc: { [`variants.${idx}.stockQuantity`]: -qty } },
+    { returnDocument: 'after' }
+  );
+  if (!updated) {
+    const fresh = await db.collection('products').findOne({ id: product.id });
+    const current = fresh?.variants?.find(v => v.id === variant.id);
+    throw stockError(stockLabel(product, variant), Number(current?.stockQuantity) || 0);
+  }
+  return { idx, variant: updated.variants[idx] };
+}
+async function releaseStock(reservations) {
+  for (const { product, idx, variant, qty } of reservations) {
+    await db.collection('products').updateOne(
+      { id: product.id, [`variants.${idx}.id`]: variant.id },
+      { $inc: { [`variants.${idx}.stockQuantity`]: qty } }
+    ).catch(e => console.error(`Stock release failed for product ${product.id}/${variant.id}:`, e.message));
+  }
+}
+async function rollbackOrderLedger(orderId) {
+  await db.collection('ledger').deleteMany({ orderId, source: 'app_order' }).catch(() => {});
+}
+
+// Moves stock for the difference between an order's current items and newItems:
+// takes more where a line grew or was added, puts back where it shrank or went
+// (and hands its batch allocations back, latest taken first). All-or-nothing
+// like placement — if any increase can't be reserved, what was taken is released
+// and the stock error is thrown. Returns the order's new batchAllocations.
+const orderLineKey = i => i.productId + ':' + i.variantId;
+function orderQtyByLine(items) {
+  const qty = {};
+  for (const i of (items || []).filter(i => !i.isFreeGift)) qty[orderLineKey(i)] = (qty[orderLineKey(i)] || 0) + i.qty;
+  return qty;
+}
+async function reconcileOrderStock(order, newItems, by, note) {
+  const before = orderQtyByLine(order.items), after = orderQtyByLine(newItems);
+  const deltas = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .map(key => ({ key, productId: parseInt(key), variantId: key.slice(key.indexOf(':') + 1), delta: (after[key] || 0) - (before[key] || 0) }))
+    .filter(d => d.delta !== 0);
+
+  const reservations = [];
+  try {
+    for (const d of deltas.filter(d => d.delta > 0)) {
+      const product = await db.collection('products').findOne({ id: d.productId });
+      if (!product) continue;
+      const migrated = migrateProduct(product);
+      const variant = migrated.variants.find(v => v.id === d.variantId);
+      if (!variant || variant.stockQuantity === null) continue;
+      reservations.push({ product: migrated, ...d, qty: d.delta, ...await reserveStock(migrated, variant, d.delta) });
+    }
+  } catch (e) {
+    await releaseStock(reservations);
+    throw e;
+  }
+
+  let allocations = [...(order.batchAllocations || [])];
+  for (const r of reservations) {
+    await recordStockMovement({
+      productId: r.productId, variantId: r.variantId, type: 'sale',
+      delta: -r.qty, balance: r.variant.stockQuantity, by, orderId: order.id, note
+    });
+    allocations.push(...await takeFromBatches(r.productId, r.variantId, r.qty));
+  }
+  for (const d of deltas.filter(d => d.delta < 0)) {
+    const product = await db.collection('products').findOne({ id: d.productId });
+    const idx = (product?.variants || []).findIndex(v => v.id === d.variantId);
+    if (idx === -1 || typeof product.variants[idx].stockQuantity !== 'number') continue;
+    const updated = await db.collection('products').findOneAndUpdate(
+      { id: d.productId, [`variants.${idx}.id`]: d.variantId },
+      { $inc: { [`variants.${idx}.stockQuantity`]: -d.delta } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) continue;
+    await recordStockMovement({
+      productId: d.productId, variantId: d.variantId, type: 'cancel_restock',
+      delta: -d.delta, balance: updated.variants[idx].stockQuantity, by, orderId: order.id, note
+    });
+    let toReturn = -d.delta;
+    const returned = [];
+    for (let i = allocations.length - 1; i >= 0 && toReturn > 0; i--) {
+      const a = allocations[i];
+      if (a.productId !== d.productId || a.variantId !== d.variantId) continue;
+      const qty = Math.min(a.qty, toReturn);
+      returned.push({ ...a, qty });
+      toReturn -= qty;
+      if (qty === a.qty) allocations.splice(i, 1);
+      else allocations[i] = { ...a, qty: a.qty - qty };
+    }
+    await returnToBatches(returned);
+  }
+  return allocations;
+}
+
+// ── STOCK JOURNAL ─────────────────────────────────────────────────────────────
+// Every change to a tracked variant's stock lands in stockMovements with its
+// delta and the balance it left. A 'count' records what was on the shelf, so
+// replaying the journal = the last count plus every delta after it. Anything
+// that changes stock without going through here shows up as drift.
+const STOCK_MOVEMENT_TYPES = ['sale', 'cancel_restock', 'purchase', 'damage', 'expiry', 'count', 'correction'];
+const MANUAL_STOCK_MOVEMENTS = ['purchase', 'damage', 'expiry', 'count', 'correction'];
+
+async function recordStockMovement({ productId, variantId, type, delta, balance, by, orderId, ref, note }) {
+  // The stock change has already happened — a failed journal write is logged, not
+  // surfaced, and the drift check will flag the gap
+  try {
+    await db.collection('stockMovements').insertOne({
+      id: await getNextId('stockMovementId'),
+      productId, variantId, type, delta, balance,
+      by: by || 'system',
+      ...(orderId != null ? { orderId } : {}),
+      ...(ref ? { ref } : {}),
+      ...(note ? { note } : {}),
+      createdAt: new Date().toISOString()
+    });
+  } catch (e) { console.error(`Stock journal write failed for product ${productId}/${variantId}:`, e.message); }
+}
+
+// Journal 'count' movements for variants whose stock was set directly
+// (product form, import) — before is the stored product, or null when new
+async function journalStockEdits(before, after, by, note) {
+  for (const v of after.variants || []) {
+    if (typeof v.stockQuantity !== 'number') continue;
+    const old = before?.variants?.find(x => x.id === v.id)?.stockQuantity;
+    const prev = typeof old === 'number' ? old : null;
+    if (prev === v.stockQuantity) continue;
+    await recordStockMovement({
+      productId: after.id, variantId: v.id, type: 'count',
+      delta: v.stockQuantity - (prev ?? 0), balance: v.stockQuantity, by, note
+    });
+  }
+}
+
+// Replays the journal for every tracked variant and compares it with the live figure
+async function rebuildStockFromJournal(productId) {
+  const filter = productId ? { id: productId } : {};
+  const [products, movements] = await Promise.all([
+    db.collection('products').find(filter).toArray(),
+    db.collection('stockMovements').find(productId ? { productId } : {}).sort({ id: 1 }).toArray(),
+  ]);
+  const journal = {};
+  for (const m of movements) {
+    const key = m.productId + ':' + m.variantId;
+    journal[key] = m.type === 'count' ? m.balance : (journal[key] ?? 0) + m.delta;
+  }
+  return products.map(migrateProduct).flatMap(p => p.variants
+    .filter(v => v.stockQuantity !== null)
+    .map(v => {
+      const rebuilt = journal[p.id + ':' + v.id] ?? null;
+      return {
+        productId: p.id, variantId: v.id, label: stockLabel(p, v),
+        stockQuantity: v.stockQuantity, journalQuantity: rebuilt,
+        drift: rebuilt === null ? null : v.stockQuantity - rebuilt,
+        inSync: rebuilt === v.stockQuantity
+      };
+    }));
+}
+
+// ── BATCHES & EXPIRY ──────────────────────────────────────────────────────────
+// A batch is part of a variant's stock with one expiry date (stockBatches:
+// { productId, variantId, expiry, qty }). stockQuantity stays the total that
+// reservations and the journal work on; batches break it down, and whatever
+// isn't in a batch is "unbatched" (expiry unknown). Sales take from the
+// earliest expiry first (FEFO) and orders remember which batches they used, so
+// a cancellation puts units back where they came from. Any other decrease
+// trims batches FEFO so they never add up to more than the shelf.
+const DEFAULT_EXPIRY_ALERT_DAYS = 3;
+const EXPIRY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const daysUntil = (date, from = istToday()) => Math.round((Date.parse(date) - Date.parse(from)) / 86400000);
+
+function activeBatches(productId, variantId) {
+  return db.collection('stockBatches').find({ productId, variantId, qty: { $gt: 0 } }).sort({ expiry: 1, id: 1 }).toArray();
+}
+
+async function addStockBatch({ productId, variantId, expiry, qty, ref, note, by }) {
+  if (!EXPIRY_RE.test(expiry || '')) throw Object.assign(new Error('Expiry date must be YYYY-MM-DD'), { status: 400 });
+  const batch = {
+    id: await getNextId('stockBatchId'), productId, variantId, expiry, qty, initialQty: qty,
+    ...(ref ? { ref } : {}), ...(note ? { note } : {}), by, createdAt: new Date().toISOString()
+  };
+  await db.collection('stockBatches').insertOne(batch);
+  return batch;
+}
+
+// Takes qty from a variant's batches, earliest expiry first. Stops short when
+// the batches run out — the rest came from unbatched stock.
+async function takeFromBatches(productId, variantId, qty) {
+  const taken = [];
+  let remaining = qty;
+  for (let attempt = 0; remaining > 0 && attempt < 5; attempt++) {
+    const batches = await activeBatches(productId, variantId);
+    if (!batches.length) break;
+    let raced = false;
+    for (const b of batches) {
+      if (remaining <= 0) break;
+      const take = Math.min(b.qty, remaining);
+      const updated = await db.collection('stockBatches').findOneAndUpdate(
+        { id: b.id, qty: { $gte: take } }, { $inc: { qty: -take } }, { returnDocument: 'after' }
+      );
+      if (!updated) { raced = true; break; } // someone else took from it — re-read and carry on
+      taken.push({ batchId: b.id, productId, variantId, expiry: b.expiry, qty: take });
+      remaining -= take;
+    }
+    if (!raced) break;
+  }
+  return taken;
+}
+
+async function returnToBatches(allocations) {
+  for (const a of allocations || []) {
+    await db.collection('stockBatches').updateOne({ id: a.batchId }, { $inc: { qty: a.qty } })
+      .catch(e => console.error(`Batch return failed for batch ${a.batchId}:`, e.message));
+  }
+}
+
+// After stock goes down for a reason other than a sale, drop the surplus from
+// the batches that expire first
+async function trimBatchesToStock(productId, variantId, stockQuantity) {
+  if (typeof stockQuantity !== 'number') return [];
+  const batched = (await activeBatches(productId, variantId)).reduce((s, b) => s + b.qty, 0);
+  return batched > stockQuantity ? takeFromBatches(productId, variantId, batched - stockQuantity) : [];
+}
+
+// Batches expiring within `days` (and anything already expired), soonest first
+async function findExpiringBatches(days) {
+  const today = istToday();
+  const until = new Date(Date.parse(today) + days * 86400000).toISOString().slice(0, 10);
+  const batches = await db.collection('stockBatches').find({ qty: { $gt: 0 }, expiry: { $lte: until } }).sort({ expiry: 1, id: 1 }).toArray();
+  const products = await db.collection('products').find({ id: { $in: [...new Set(batches.map(b => b.productId))] } }).toArray();
+  const byId = Object.fromEntries(products.map(p => [p.id, migrateProduct(p)]));
+  return batches.filter(b => byId[b.productId]).map(b => {
+    const p = byId[b.productId];
+    const v = p.variants.find(x => x.id === b.variantId) || p.variants[0];
+    const daysLeft = daysUntil(b.expiry, today);
+    return { ...b, label: stockLabel(p, v), daysLeft, expired: daysLeft < 0 };
+  });
+}
+
+// ── STAFF ROLES & PERMISSIONS ─────────────────────────────────────────────────
+// The owner can do everything. Every other role only reaches the admin routes
+// its rules allow. A rule is 'METHOD /api/admin/path' exactly as the route is
+// declared (':id' params and all); '*' stands for any method, and a trailing '*'
+// matches the rest of the path. Rules starting with '!' take back something a
+// broader rule gave. Actions that share a route with milder ones have their own
+// key (e.g. 'customers:hard-delete'), checked inside the route with staffCan().
+const STAFF_ROLES = ['owner', 'counter', 'packer', 'milkman'];
+const ROLE_PERMISSIONS = {
+  counter: [
+    '* /api/admin/*',
+    '!DELETE /api/admin/orders/:id',
+    '!customers:hard-delete',
+    '!* /api/admin/staff*',
+    '!GET /api/admin/audit',
+    '!POST /api/admin/migrate-to-ledger',
+    '!POST /api/admin/ledger/reopen-month',
+  ],
+  packer: [
+    'GET /api/admin/verify',
+    'GET /api/admin/events',
+    'GET /api/admin/orders',
+    'PUT /api/admin/orders/:id',
+    'POST /api/admin/orders/:id/reprint',
+    'POST /api/admin/orders/:id/packing',
+    'POST /api/admin/orders/:id/packing/notify',
+    'GET /api/admin/products*',
+    'GET /api/admin/categories',
+    'GET /api/admin/subcategories',
+  ],
+  milkman: [
+    'GET /api/admin/verify',
+    'GET /api/admin/milk/customers',
+    'GET /api/admin/milk/logs',
+    'POST /api/admin/milk/logs',
+    'POST /api/admin/milk/bulk-mark',
+  ],
+};
+
+function permissionRuleMatches(rule, key) {
+  const [ruleMethod, rulePath] = rule.includes(' ') ? rule.split(' ') : [null, rule];
+  const [keyMethod, keyPath] = key.includes(' ') ? key.split(' ') : [null, key];
+  if (ruleMethod && ruleMethod !== '*' && ruleMethod !== keyMethod) return false;
+  return rulePath.endsWith('*') ? keyPath.startsWith(rulePath.slice(0, -1)) : rulePath === keyPath;
+}
+
+function roleCan(role, key) {
+  if (role === 'owner') return true;
+  const rules = ROLE_PERMISSIONS[role] || [];
+  return rules.some(r => !r.startsWith('!') && permissionRuleMatches(r, key))
+      && !rules.some(r => r.startsWith('!') && permissionRuleMatches(r.slice(1), key));
+}
+
+function staffCan(req, key) { return !!req.staff && roleCan(req.staff.role, key); }
+
 // ── AUTH ──────────────────────────────────────────────────────────────────────
-function adminAuth(req, res, next) {
+// Admin tokens carry { uid, role, tv }. The user is re-read on every request so
+// a disabled account, a role change or a password reset (which bumps
+// tokenVersion) takes effect straight away.
+async function adminAuth(req, res, next) {
   const h = req.headers.authorization;
   if (!h) return res.status(401).json({ error: 'No token' });
-  try { jwt.verify(h.replace('Bearer ', ''), ADMIN_SECRET); next(); }
-  catch { res.status(401).json({ error: 'Invalid token' }); }
+  let payload;
+  try { payload = jwt.verify(h.replace('Bearer ', ''), ADMIN_SECRET); }
+  catch { return res.status(401).json({ error: 'Invalid token' }); }
+  if (!payload.uid) return res.status(401).json({ error: 'Session expired — please log in again' });
+  try {
+    const user = await db.collection('staffUsers').findOne({ id: payload.uid });
+    if (!user || user.disabled || (user.tokenVersion || 0) !== (payload.tv || 0)) {
+      return res.status(401).json({ error: 'Session expired — please log in again' });
+    }
+    req.staff = { id: user.id, username: user.username, name: user.name, role: user.role };
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    if (!roleCan(user.role, `${method} ${req.route.path}`)) {
+      return res.status(403).json({ error: `Not allowed for the ${user.role} role` });
+    }
+    if (method !== 'GET') await beginAudit(req, res);
+    next();
+  } catch (e) { res.status(500).json({ error: e.message }); }
 }
 
 function customerAuth(req, res, next) {
@@ -879,21 +1388,33 @@ function customerAuth(req, res, next) {
 // ── PUBLIC STORE ──────────────────────────────────────────────────────────────
 app.get('/api/store', async (req, res) => {
   try {
-    const [settings, categories, products, banners, subcategories] = await Promise.all([
+    // A schedule that fell due since the last cron tick goes live before prices are read
+    await applyDuePriceSchedules();
+    const [settings, categories, products, banners, subcategories, offers] = await Promise.all([
       db.collection('settings').findOne({ _id: 'main' }),
       db.collection('categories').find().toArray(),
       db.collection('products').find().toArray(),
       db.collection('banners').find().toArray(),
       db.collection('subcategories').find().toArray(),
+      db.collection('priceSchedules').find({ status: 'active' }).toArray(),
     ]);
     const fg = settings.freeGift || {};
+    const offerFor = Object.fromEntries(offers.map(s => [s.productId + ':' + s.variantId, s]));
+    const shopNow = shopStatusAt(settings);
+    const slotsOn = !!settings.deliverySlots?.enabled && !!settings.deliverySlots?.slots?.length;
     res.json({
       categories, products: products.map(p => {
         const migrated = migrateProduct(p);
-        // For customers: mark variants as out of stock if product has 0 stock
-        if (migrated.stockQuantity === 0) {
-          migrated.variants = migrated.variants.map(v => ({ ...v, inStock: false }));
-        }
+        migrated.variants = migrated.variants.map(v => {
+          // For customers: a tracked variant with 0 left is out of stock
+          const out = v.stockQuantity === 0 ? { ...v, inStock: false } : { ...v };
+          // priceTiers is already the offer price; this says until when and what it was
+          const s = offerFor[p.id + ':' + v.id];
+          if (s && s.previousTiers && sameTiers(s.priceTiers, v.priceTiers)) {
+            out.offer = { endsAt: s.endAt, regularPriceTiers: sortTiers(s.previousTiers) };
+          }
+          return out;
+        });
         return migrated;
       }), banners, subcategories,
       settings: {
@@ -911,7 +1432,12 @@ app.get('/api/store', async (req, res) => {
           manualOpen: settings.shopStatus?.manualOpen !== false,
           openTime: settings.shopStatus?.openTime || '08:00',
           closeTime: settings.shopStatus?.closeTime || '22:00',
-          closedMessage: settings.shopStatus?.closedMessage || "We're closed right now. Orders open at",
+          closedMessage: settings.shopStatus?.closedMessage || DEFAULT_CLOSED_MESSAGE,
+          isOpen: shopNow.isOpen, closedToday: shopNow.closedToday,
+          todayOpenTime: shopNow.openTime, todayCloseTime: shopNow.closeTime,
+          message: shopNow.message, calendarEntry: shopNow.calendarEntry, nextOpenAt: shopNow.nextOpenAt,
+          // With delivery slots on, orders for a later slot are taken even while the shop is shut
+          acceptingOrders: shopNow.isOpen || (shopNow.manualOpen && slotsOn),
         },
         homeLayout: (() => {
           const base = settings.homeLayout || ['personalised','banners','featured','new','categories','cat_strips'];
@@ -930,15 +1456,299 @@ app.get('/api/store', async (req, res) => {
 });
 
 // ── ADMIN AUTH ────────────────────────────────────────────────────────────────
+function signStaffToken(user) {
+  return jwt.sign({ admin: true, uid: user.id, role: user.role, tv: user.tokenVersion || 0 }, ADMIN_SECRET, { expiresIn: '30d' });
+}
+
+// Login without a username signs in as the owner (older admin pages, printer.js)
 app.post('/api/admin/login', loginRateLimit, async (req, res) => {
   try {
-    const settings = await db.collection('settings').findOne({ _id: 'main' });
-    if (sha256(req.body.password) !== settings.adminPassword)
-      return res.status(401).json({ error: 'Wrong password' });
-    res.json({ token: jwt.sign({ admin: true }, ADMIN_SECRET, { expiresIn: '30d' }) });
+    const username = String(req.body.username || 'owner').trim().toLowerCase();
+    const user = await db.collection('staffUsers').findOne({ username });
+    if (!user || user.disabled || sha256(String(req.body.password || '')) !== user.passwordHash)
+      return res.status(401).json({ error: 'Wrong username or password' });
+    await db.collection('staffUsers').updateOne({ id: user.id }, { $set: { lastLoginAt: new Date().toISOString() } });
+    res.json({ token: signStaffToken(user), user: { id: user.id, username: user.username, name: user.name, role: user.role } });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+app.get('/api/admin/verify', adminAuth, (req, res) => res.json({ ok: true, user: req.staff }));
+
+// ── STAFF USERS (owner only) ──────────────────────────────────────────────────
+function publicStaffUser(u) {
+  const { passwordHash, tokenVersion, _id, ...rest } = u;
+  return rest;
+}
+
+// Refuses changes that would leave the shop without an active owner
+async function assertOtherActiveOwner(userId) {
+  const owners = await db.collection('staffUsers').countDocuments({ role: 'owner', disabled: { $ne: true }, id: { $ne: userId } });
+  if (!owners) throw Object.assign(new Error('There must always be at least one active owner'), { status: 400 });
+}
+
+app.get('/api/admin/staff', adminAuth, async (req, res) => {
+  try {
+    const users = await db.collection('staffUsers').find().sort({ id: 1 }).toArray();
+    res.json(users.map(publicStaffUser));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/admin/staff', adminAuth, async (req, res) => {
+  try {
+    const username = String(req.body.username || '').trim().toLowerCase();
+    const { name, role, password } = req.body;
+    if (!/^[a-z0-9._-]{3,30}$/.test(username)) return res.status(400).json({ error: 'Username must be 3–30 letters, numbers, . _ or -' });
+    if (!STAFF_ROLES.includes(role)) return res.status(400).json({ error: 'Role must be one of ' + STAFF_ROLES.join(', ') });
+    if (!password || String(password).length < 6) return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    if (await db.collection('staffUsers').findOne({ username })) return res.status(400).json({ error: 'Username already taken' });
+    const user = {
+      id: await getNextId('staffUser'),
+      username, name: String(name || username).trim(), role,
+      passwordHash: sha256(String(password)), tokenVersion: 0,
+      disabled: false, createdAt: new Date().toISOString(), createdBy: req.staff.id
+    };
+    await db.collection('staffUsers').insertOne(user);
+    res.json(publicStaffUser(user));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Update name / role / disabled, or reset the password (signs that user out everywhere)
+app.put('/api/admin/staff/:id', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const user = await db.collection('staffUsers').findOne({ id });
+    if (!user) return res.status(404).json({ error: 'Staff user not found' });
+    const { name, role, disabled, password } = req.body;
+    const set = { updatedAt: new Date().toISOString() };
+    const update = { $set: set };
+    if (name !== undefined) set.name = String(name).trim() || user.username;
+    if (role !== undefined) {
+      if (!STAFF_ROLES.includes(role)) return res.status(400).json({ error: 'Role must be one of ' + STAFF_ROLES.join(', ') });
+      set.role = role;
+    }
+    if (disabled !== undefined) set.disabled = !!disabled;
+    const losesOwner = (set.role !== undefined && set.role !== 'owner') || set.disabled;
+    if (user.role === 'owner' && losesOwner) await assertOtherActiveOwner(id);
+    if (password !== undefined) {
+      if (String(password).length < 6) return res.status(400).json({ error: 'Password must be at least 6 characters' });
+      set.passwordHash = sha256(String(password));
+      update.$inc = { tokenVersion: 1 };
+    }
+    const updated = await db.collection('staffUsers').findOneAndUpdate({ id }, update, { returnDocument: 'after' });
+    res.json(publicStaffUser(updated));
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+app.delete('/api/admin/staff/:id', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (id === req.staff.id) return res.status(400).json({ error: 'You cannot delete your own account' });
+    const user = await db.collection('staffUsers').findOne({ id });
+    if (!user) return res.status(404).json({ error: 'Staff user not found' });
+    if (user.role === 'owner') await assertOtherActiveOwner(id);
+    await db.collection('staffUsers').deleteOne({ id });
+    res.json({ ok: true });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ── AUDIT LOG ─────────────────────────────────────────────────────────────────
+// Append-only: every successful admin write adds one auditLog doc — who, from
+// which IP, which route, and (where the route touches one known document)
+// before/after snapshots of it. Nothing ever updates or deletes audit docs.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Route → [entity, collection, filter from request, filter from response (creates)]
+// A filter wrapped in many() matches several documents; before/after are then lists.
+// A route that can only know its targets once it has run (an import) may hand its
+// own before snapshot over in res.locals.auditBefore.
+const many = fn => Object.assign((...args) => fn(...args), { many: true });
+const respIds = (key, idKey = 'id') => many(body => Array.isArray(body?.[key]) ? { id: { $in: body[key].map(d => d[idKey]).filter(id => id != null) } } : null);
+const paramId = req => ({ id: parseInt(req.params.id) });
+const paramCustomer = req => ({ customerId: parseInt(req.params.customerId) });
+const respId = key => body => { const d = key ? body?.[key] : body; return d?.id != null ? { id: d.id } : null; };
+const AUDIT_TARGETS = {
+  'POST /api/admin/categories':             ['category', 'categories', null, respId()],
+  'PUT /api/admin/categories/:id':          ['category', 'categories', paramId],
+  'DELETE /api/admin/categories/:id':       ['category', 'categories', paramId],
+  'POST /api/admin/subcategories':          ['subcategory', 'subcategories', null, respId()],
+  'PUT /api/admin/subcategories/:id':       ['subcategory', 'subcategories', paramId],
+  'DELETE /api/admin/subcategories/:id':    ['subcategory', 'subcategories', paramId],
+  'POST /api/admin/products':               ['product', 'products', null, respId()],
+  'PUT /api/admin/products/:id':            ['product', 'products', paramId],
+  'DELETE /api/admin/products/:id':         ['product', 'products', paramId],
+  'PATCH /api/admin/products/:id/stock':    ['product', 'products', paramId],
+  'POST /api/admin/import/products':        ['product', 'products', null, respIds('results', 'productId')],
+  'POST /api/admin/products/:id/batches':   ['stockBatch', 'stockBatches', null, respId('batch')],
+  'POST /api/admin/batches/:id/write-off':  ['stockBatch', 'stockBatches', paramId],
+  'POST /api/admin/price-schedules':        ['priceSchedule', 'priceSchedules', null, respId()],
+  'POST /api/admin/price-schedules/:id/cancel': ['priceSchedule', 'priceSchedules', paramId],
+  'POST /api/admin/stocktakes':             ['stocktake', 'stocktakes', null, respId()],
+  'POST /api/admin/stocktakes/:id/commit':  ['stocktake', 'stocktakes', paramId],
+  'POST /api/admin/stocktakes/:id/cancel':  ['stocktake', 'stocktakes', paramId],
+  'POST /api/admin/stock/rebuild':          ['product', 'products', req => ({ id: parseInt(req.body.productId) })],
+  'POST /api/admin/suppliers':              ['supplier', 'suppliers', null, respId()],
+  'PUT /api/admin/suppliers/:id':           ['supplier', 'suppliers', paramId],
+  'DELETE /api/admin/suppliers/:id':        ['supplier', 'suppliers', paramId],
+  'POST /api/admin/suppliers/:id/ledger':   ['supplierLedger', 'supplierLedger', null, respId()],
+  'POST /api/admin/suppliers/:id/ledger/:entryId/reverse': ['supplierLedger', 'supplierLedger', null, respId('reversal')],
+  'POST /api/admin/purchase-orders':        ['purchaseOrder', 'purchaseOrders', null, respId()],
+  'POST /api/admin/reorder-suggestions/draft': ['purchaseOrder', 'purchaseOrders', null, respIds('purchaseOrders')],
+  'PUT /api/admin/purchase-orders/:id':     ['purchaseOrder', 'purchaseOrders', paramId],
+  'POST /api/admin/purchase-orders/:id/send':    ['purchaseOrder', 'purchaseOrders', paramId],
+  'POST /api/admin/purchase-orders/:id/receive': ['purchaseOrder', 'purchaseOrders', paramId],
+  'POST /api/admin/purchase-orders/:id/close':   ['purchaseOrder', 'purchaseOrders', paramId],
+  'POST /api/admin/purchase-orders/:id/cancel':  ['purchaseOrder', 'purchaseOrders', paramId],
+  'POST /api/admin/banners':                ['banner', 'banners', null, respId()],
+  'PUT /api/admin/banners/:id':             ['banner', 'banners', paramId],
+  'DELETE /api/admin/banners/:id':          ['banner', 'banners', paramId],
+  'PUT /api/admin/settings':                ['settings', 'settings', () => ({ _id: 'main' })],
+  'PUT /api/admin/milk/settings':           ['settings', 'settings', () => ({ _id: 'main' })],
+  'POST /api/admin/customers':              ['customer', 'customers', null, b => b?.customer ? { customerId: b.customer.customerId } : null],
+  'PUT /api/admin/customers/:id':           ['customer', 'customers', req => ({ customerId: parseInt(req.params.id) })],
+  'DELETE /api/admin/customers/:id':        ['customer', 'customers', req => ({ customerId: parseInt(req.params.id) })],
+  'POST /api/admin/ledger':                 ['ledger', 'ledger', null, respId('entry')],
+  'POST /api/admin/ledger/:id/reverse':     ['ledger', 'ledger', null, respId('reversal')],
+  'POST /api/admin/ledger/:id/adjust':      ['ledger', 'ledger', null, respId('adjustment')],
+  'POST /api/admin/ledger/close-month':     ['settings', 'settings', () => ({ _id: 'main' })],
+  'POST /api/admin/ledger/reopen-month':    ['settings', 'settings', () => ({ _id: 'main' })],
+  'PUT /api/admin/udhar-reminders':         ['settings', 'settings', () => ({ _id: 'main' })],
+  'POST /api/admin/udhar-reminders/run':    ['udharReminder', 'udharReminderLog', null, respIds('results', 'logId')],
+  'PUT /api/admin/reorder-settings':        ['settings', 'settings', () => ({ _id: 'main' })],
+  'PUT /api/admin/delivery-slots':          ['settings', 'settings', () => ({ _id: 'main' })],
+  'PUT /api/admin/shop-calendar':           ['settings', 'settings', () => ({ _id: 'main' })],
+  'POST /api/admin/udhar':                  ['ledger', 'ledger', null, respId('entry')],
+  'POST /api/admin/udhar-payments':         ['ledger', 'ledger', null, respId('pay')],
+  'PUT /api/admin/orders/:id':              ['order', 'orders', paramId],
+  'DELETE /api/admin/orders/:id':           ['order', 'orders', paramId],
+  'POST /api/admin/orders/:id/reprint':     ['order', 'orders', paramId],
+  'POST /api/admin/orders/:id/amend':       ['order', 'orders', paramId],
+  'POST /api/admin/orders/:id/packing':     ['order', 'orders', paramId],
+  'POST /api/admin/orders/:id/packing/notify': ['order', 'orders', paramId],
+  'POST /api/admin/orders/:id/convert-to-udhar': ['order', 'orders', paramId],
+  'POST /api/admin/orders/:id/mark-paid':   ['order', 'orders', paramId],
+  'POST /api/admin/orders/:id/approve-credit': ['order', 'orders', paramId],
+  'POST /api/admin/orders/:id/reject-credit':  ['order', 'orders', paramId],
+  'POST /api/admin/milk/subscriptions':     ['milkSubscription', 'milkSubscriptions', req => ({ customerId: parseInt(req.body.customerId) })],
+  'PUT /api/admin/milk/subscriptions/:customerId':           ['milkSubscription', 'milkSubscriptions', paramCustomer],
+  'POST /api/admin/milk/subscriptions/:customerId/pause':    ['milkSubscription', 'milkSubscriptions', paramCustomer],
+  'POST /api/admin/milk/subscriptions/:customerId/resume':   ['milkSubscription', 'milkSubscriptions', paramCustomer],
+  'DELETE /api/admin/milk/subscriptions/:customerId':        ['milkSubscription', 'milkSubscriptions', paramCustomer],
+  'POST /api/admin/milk/logs':              ['milkLog', 'milkLogs', req => ({ customerId: parseInt(req.body.customerId), date: req.body.date })],
+  'POST /api/admin/milk/bulk-mark':         ['milkLog', 'milkLogs', many(req => ({ date: req.body.date }))],
+  'POST /api/admin/milk/payment':           ['milkPayment', 'milkPayments', null, respId('payment')],
+  'POST /api/admin/push/send':              ['pushBroadcast', 'pushBroadcasts', null, respId('broadcast')],
+  'POST /api/admin/push/devices':           ['adminDevice', 'adminDevices', null, respId()],
+  'PUT /api/admin/push/devices/:id':        ['adminDevice', 'adminDevices', paramId],
+  'DELETE /api/admin/push/devices/:id':     ['adminDevice', 'adminDevices', paramId],
+  'POST /api/admin/staff':                  ['staffUser', 'staffUsers', null, respId()],
+  'PUT /api/admin/staff/:id':               ['staffUser', 'staffUsers', paramId],
+  'DELETE /api/admin/staff/:id':            ['staffUser', 'staffUsers', paramId],
+};
+// Writes that change nothing worth auditing (machine status reports, tests, chat).
+// Stocktake scans are left out too — each line records who counted it, and the commit is audited.
+const AUDIT_SKIP = new Set([
+  'POST /api/admin/orders/:id/print-status',
+  'POST /api/admin/push/devices/:id/test',
+  'POST /api/admin/ai-chat',
+  'POST /api/admin/stocktakes/:id/:action(scan|count)',
+]);
+const AUDIT_REDACT = ['passwordHash', 'tokenVersion', 'password', 'newPassword', 'adminPassword', 'pin', 'pinPlain', 'vapid', 'subscription'];
+const AUDIT_BODY_MAX = 4000; // chars of request body kept per entry
+
+function auditRedact(doc) {
+  if (!doc || typeof doc !== 'object') return doc ?? null;
+  const copy = { ...doc };
+  delete copy._id;
+  for (const k of AUDIT_REDACT) if (k in copy) copy[k] = '[redacted]';
+  return copy;
+}
+
+function clientIp(req) {
+  return req.ip || req.socket?.remoteAddress || '';
+}
+
+// Called from adminAuth for every non-GET request that passed the permission check:
+// snapshots the target before the handler runs, then writes the entry once the
+// response has gone out (only for 2xx/3xx — rejected writes changed nothing).
+async function beginAudit(req, res) {
+  const key = `${req.method} ${req.route.path}`;
+  if (AUDIT_SKIP.has(key)) return;
+  const [entity = null, collection, filterFromReq, filterFromRes] = AUDIT_TARGETS[key] || [];
+  const snapshot = (fn, filter) => !filter ? null
+    : fn.many ? db.collection(collection).find(filter).toArray() : db.collection(collection).findOne(filter);
+  const beforeFilter = filterFromReq ? filterFromReq(req) : null;
+  const before = await snapshot(filterFromReq, beforeFilter);
+
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = body => { responseBody = body; return json(body); };
+
+  res.on('finish', async () => {
+    if (res.statusCode >= 400) return;
+    try {
+      const filterFn = beforeFilter ? filterFromReq : filterFromRes;
+      const filter = beforeFilter || (filterFromRes ? filterFromRes(responseBody) : null);
+      const after = await snapshot(filterFn, filter);
+      let b, a, changes, entityId = null;
+      if (filterFn?.many) {
+        // Lists: changes names the ids of the documents that were added, changed or removed
+        b = (res.locals.auditBefore ?? before ?? []).map(auditRedact); a = (after || []).map(auditRedact);
+        const byId = list => Object.fromEntries(list.map(d => [d.id, JSON.stringify(d)]));
+        const bi = byId(b), ai = byId(a);
+        changes = [...new Set([...Object.keys(bi), ...Object.keys(ai)])].filter(id => bi[id] !== ai[id]);
+      } else {
+        const vals = filter ? Object.values(filter) : [];
+        entityId = vals.length === 1 ? vals[0] : vals.length ? vals.join(':') : null;
+        b = auditRedact(before); a = auditRedact(after);
+        changes = [...new Set([...Object.keys(b || {}), ...Object.keys(a || {})])]
+          .filter(k => JSON.stringify(b?.[k]) !== JSON.stringify(a?.[k]));
+      }
+      let body = JSON.stringify(auditRedact(req.body) || {});
+      if (body.length > AUDIT_BODY_MAX) body = body.slice(0, AUDIT_BODY_MAX) + '…';
+      const customerId = (Array.isArray(after) ? null : after?.customerId ?? before?.customerId) ?? (req.body?.customerId != null ? parseInt(req.body.customerId) : null);
+      await db.collection('auditLog').insertOne({
+        id: await getNextId('audit'),
+        at: new Date().toISOString(),
+        actor: req.staff,
+        ip: clientIp(req),
+        method: req.method,
+        route: req.route.path,
+        path: req.originalUrl,
+        status: res.statusCode,
+        entity, entityId,
+        customerId: Number.isFinite(customerId) ? customerId : null,
+        before: b, after: a, changes,
+        body: body === '{}' ? null : body
+      });
+    } catch (e) { console.error('Audit log error:', e.message); }
+  });
+}
+
+// Filterable history. ?entity=order&entityId=12, ?customerId=4 (everything about a
+// customer: their record, ledger, udhar, orders, milk), ?actor=<staff id>,
+// ?from/to=YYYY-MM-DD (IST), ?beforeId= for paging.
+app.get('/api/admin/audit', adminAuth, async (req, res) => {
+  try {
+    const filter = {};
+    const { entity, entityId, customerId, actor, from, to, beforeId } = req.query;
+    if (entity) filter.entity = entity;
+    if (entityId) filter.entityId = { $in: [entityId, ...(isNaN(entityId) ? [] : [Number(entityId)])] };
+    if (customerId) {
+      const cid = parseInt(customerId);
+      filter.$or = [{ customerId: cid }, { entity: 'customer', entityId: cid }];
+    }
+    if (actor) filter['actor.id'] = parseInt(actor);
+    const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+    if (from || to) {
+      filter.at = {};
+      if (from) filter.at.$gte = new Date(new Date(from + 'T00:00:00.000Z').getTime() - IST_OFFSET_MS).toISOString();
+      if (to)   filter.at.$lte = new Date(new Date(to   + 'T23:59:59.999Z').getTime() - IST_OFFSET_MS).toISOString();
+    }
+    if (beforeId) filter.id = { $lt: parseInt(beforeId) };
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    res.json(await db.collection('auditLog').find(filter).sort({ id: -1 }).limit(limit).toArray());
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
-app.get('/api/admin/verify', adminAuth, (req, res) => res.json({ ok: true }));
 
 // ── UPLOAD ────────────────────────────────────────────────────────────────────
 app.post('/api/admin/upload', adminAuth, upload.single('image'), (req, res) => {
@@ -1112,6 +1922,8 @@ app.get('/api/admin/products', adminAuth, async (req, res) => {
 });
 app.post('/api/admin/products', adminAuth, async (req, res) => {
   try {
+    const variants = cleanVariants(req.body.variants || [{ id: 'v1', label: '1 unit', imageUrl: '', mrp: null, inStock: true, priceTiers: [{ minQty: 1, price: 0 }] }]);
+    await assertUniqueVariantCodes(variants, null);
     const p = {
       id: await getNextId('productId'), name: req.body.name || 'New Product',
       catId: parseInt(req.body.catId) || 0,
@@ -1120,18 +1932,16 @@ app.post('/api/admin/products', adminAuth, async (req, res) => {
       brand: req.body.brand || '',
       keywords: Array.isArray(req.body.keywords) ? req.body.keywords : (req.body.keywords || '').split(',').map(k=>k.trim()).filter(Boolean),
       searchTokens: buildSearchTokens(req.body),
-      ...(req.body.sku    ? { sku:     req.body.sku     } : {}),
-      ...(req.body.barcode? { barcode: req.body.barcode } : {}),
       mrp: req.body.mrp ? parseFloat(req.body.mrp) : null,
-      stockQuantity: req.body.stockQuantity !== undefined ? parseInt(req.body.stockQuantity) : null,
-      lowStockThreshold: req.body.lowStockThreshold !== undefined ? parseInt(req.body.lowStockThreshold) : 5,
       disabled: false,
       featured: req.body.featured || false, isNew: req.body.isNew || false,
-      variants: req.body.variants || [{ id: 'v1', label: '1 unit', imageUrl: '', mrp: null, inStock: true, priceTiers: [{ minQty: 1, price: 0 }] }]
+      variants
     };
     await db.collection('products').insertOne(p);
-    res.json(p);
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    await journalStockEdits(null, p, req.staff.username, 'Opening stock');
+    await recordPriceChanges(null, p, req.staff.username, 'edit');
+    res.json(migrateProduct(p));
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
 });
 app.put('/api/admin/products/:id', adminAuth, async (req, res) => {
   try {
@@ -1140,19 +1950,25 @@ app.put('/api/admin/products/:id', adminAuth, async (req, res) => {
       update.keywords = update.keywords.split(',').map(k=>k.trim()).filter(Boolean);
     }
     update.searchTokens = buildSearchTokens(update);
-    // Stock fields — keep as numbers
-    if (update.stockQuantity !== undefined) update.stockQuantity = parseInt(update.stockQuantity);
-    if (update.lowStockThreshold !== undefined) update.lowStockThreshold = parseInt(update.lowStockThreshold);
+    // Stock, SKU and barcode are per variant now — ignore product-level copies
+    for (const k of ['stockQuantity', 'lowStockThreshold', 'sku', 'barcode', 'stockStatus', 'isLowStock']) delete update[k];
+    if (update.variants) {
+      update.variants = cleanVariants(update.variants);
+      await assertUniqueVariantCodes(update.variants, parseInt(req.params.id));
+    }
     if (update.mrp !== undefined && update.mrp !== '') update.mrp = parseFloat(update.mrp);
-    // Remove empty barcode/sku to avoid index conflicts
-    if (update.barcode === '') delete update.barcode;
-    if (update.sku === '') delete update.sku;
-    const result = await db.collection('products').findOneAndUpdate(
-      { id: parseInt(req.params.id) }, { $set: update }, { returnDocument: 'after' }
+    const before = await db.collection('products').findOneAndUpdate(
+      { id: parseInt(req.params.id) }, { $set: update }, { returnDocument: 'before' }
     );
-    if (!result) return res.status(404).json({ error: 'Not found' });
+    if (!before) return res.status(404).json({ error: 'Not found' });
+    const result = { ...before, ...update };
+    if (update.variants) {
+      await journalStockEdits(before, result, req.staff.username, 'Edited in product form');
+      await recordPriceChanges(before, result, req.staff.username, 'edit');
+      for (const v of update.variants) await trimBatchesToStock(result.id, v.id, v.stockQuantity);
+    }
     res.json(migrateProduct(result));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
 });
 app.delete('/api/admin/products/:id', adminAuth, async (req, res) => {
   try { await db.collection('products').deleteOne({ id: parseInt(req.params.id) }); res.json({ ok: true }); }
@@ -1161,15 +1977,15 @@ app.delete('/api/admin/products/:id', adminAuth, async (req, res) => {
 
 // ── BARCODE / SKU SEARCH (Admin only) ─────────────────────────────────────────
 // GET /api/admin/products/search?q=8901262010023
-// Searches by: barcode (exact), sku (exact), name (partial case-insensitive)
+// Searches by: variant barcode (exact), variant sku (exact), name (partial case-insensitive)
+// A code match also returns variantId — the pack size that was scanned.
 app.get('/api/admin/products/search', adminAuth, async (req, res) => {
   try {
     const q = (req.query.q || '').trim();
     if (!q) return res.json({ results: [] });
-    // 1) Exact barcode match
-    let product = await db.collection('products').findOne({ barcode: q });
-    if (!product) product = await db.collection('products').findOne({ sku: q });
-    if (product) return res.json({ results: [migrateProduct(product)], matchType: product.barcode === q ? 'barcode' : 'sku' });
+    // 1) Exact barcode / SKU match
+    const hit = await findVariantByCode(q);
+    if (hit) return res.json({ results: [hit.product], matchType: hit.matchType, variantId: hit.variant.id });
     // 2) Partial name match
     const byName = await db.collection('products').find({ name: { $regex: q, $options: 'i' } }).limit(10).toArray();
     res.json({ results: byName.map(migrateProduct), matchType: 'name' });
@@ -1177,98 +1993,1262 @@ app.get('/api/admin/products/search', adminAuth, async (req, res) => {
 });
 
 // ── STOCK MANAGEMENT ──────────────────────────────────────────────────────────
-// PATCH /api/admin/products/:id/stock — update stockQuantity and/or lowStockThreshold
+// Manual stock change for one variant (variantId defaults to the first), shared
+// by PATCH /api/admin/products/:id/stock and purchase-order receiving. Stock
+// changes are journalled: reason is one of MANUAL_STOCK_MOVEMENTS (default
+// 'count' for an absolute quantity, 'correction' for an adjustment). Throws
+// errors with a .status; returns the updated product document.
+async function applyStockChange({ productId, variantId, stockQuantity, lowStockThreshold, adjustment, reason, note, ref, by, set = {} }) {
+  const fail = (status, msg) => Object.assign(new Error(msg), { status });
+  const product = await db.collection('products').findOne({ id: productId });
+  if (!product) throw fail(404, 'Not found');
+  const idx = variantId ? (product.variants || []).findIndex(v => v.id === variantId) : 0;
+  const variant = product.variants?.[idx];
+  if (!variant) throw fail(404, 'Variant not found');
+  const path = `variants.${idx}`;
+  const current = typeof variant.stockQuantity === 'number' ? variant.stockQuantity : null;
+  const update = {};
+  let newQty;
+  if (typeof adjustment === 'number') {
+    // Relative adjustment (+/-) — safe: no negative stock
+    newQty = Math.max(0, (current ?? 0) + adjustment);
+  } else if (typeof stockQuantity === 'number') {
+    newQty = Math.max(0, stockQuantity);
+  } else if (stockQuantity === null) {
+    newQty = null; // stop tracking
+  }
+  if (typeof lowStockThreshold === 'number') update[`${path}.lowStockThreshold`] = Math.max(0, lowStockThreshold);
+  for (const [k, v] of Object.entries(set)) update[`${path}.${k}`] = v;
+  if (newQty === undefined && !Object.keys(update).length) throw fail(400, 'Nothing to update');
+
+  reason = reason || (typeof adjustment === 'number' ? 'correction' : 'count');
+  const delta = typeof newQty === 'number' ? newQty - (current ?? 0) : 0;
+  if (!MANUAL_STOCK_MOVEMENTS.includes(reason)) throw fail(400, `reason must be one of: ${MANUAL_STOCK_MOVEMENTS.join(', ')}`);
+  if (reason === 'purchase' && delta < 0) throw fail(400, 'A purchase can only add stock');
+  if ((reason === 'damage' || reason === 'expiry') && delta > 0) throw fail(400, `${reason === 'damage' ? 'Damage' : 'Expiry'} can only remove stock`);
+
+  let result;
+  if (current !== null && typeof adjustment === 'number' && adjustment >= 0) {
+    // Adding to tracked stock commutes with sales — a plain $inc is safe
+    result = await db.collection('products').findOneAndUpdate(
+      { id: productId, [`${path}.id`]: variant.id },
+      { $inc: { [`${path}.stockQuantity`]: adjustment }, ...(Object.keys(update).length ? { $set: update } : {}) },
+      { returnDocument: 'after' }
+    );
+  } else {
+    // Pin the quantity we computed from, so a sale in between isn't overwritten
+    if (newQty !== undefined) update[`${path}.stockQuantity`] = newQty;
+    result = await db.collection('products').findOneAndUpdate(
+      { id: productId, [`${path}.id`]: variant.id, [`${path}.stockQuantity`]: current }, { $set: update }, { returnDocument: 'after' }
+    );
+  }
+  if (!result) throw fail(409, 'Stock changed meanwhile — reload and try again');
+  const balance = result.variants[idx].stockQuantity;
+  if (typeof newQty === 'number' && (delta !== 0 || reason === 'count')) {
+    await recordStockMovement({ productId, variantId: variant.id, type: reason, delta, balance, by, ref, note });
+  }
+  if (delta < 0) await trimBatchesToStock(productId, variant.id, balance);
+  return result;
+}
+
+// PATCH /api/admin/products/:id/stock — { variantId, stockQuantity | adjustment,
+// lowStockThreshold, reason, note, ref } — see applyStockChange
 app.patch('/api/admin/products/:id/stock', adminAuth, async (req, res) => {
   try {
-    const id = parseInt(req.params.id);
-    const { stockQuantity, lowStockThreshold, adjustment } = req.body;
-    const product = await db.collection('products').findOne({ id });
-    if (!product) return res.status(404).json({ error: 'Not found' });
-    const update = {};
-    if (typeof adjustment === 'number') {
-      // Relative adjustment (+/-) — safe: no negative stock
-      const current = typeof product.stockQuantity === 'number' ? product.stockQuantity : 0;
-      update.stockQuantity = Math.max(0, current + adjustment);
-    } else if (typeof stockQuantity === 'number') {
-      update.stockQuantity = Math.max(0, stockQuantity);
-    }
-    if (typeof lowStockThreshold === 'number') update.lowStockThreshold = Math.max(0, lowStockThreshold);
-    const result = await db.collection('products').findOneAndUpdate(
-      { id }, { $set: update }, { returnDocument: 'after' }
-    );
+    const { variantId, stockQuantity, lowStockThreshold, adjustment, reason, note, ref } = req.body;
+    const result = await applyStockChange({
+      productId: parseInt(req.params.id), variantId, stockQuantity, lowStockThreshold, adjustment,
+      reason, note, ref, by: req.staff.username
+    });
     res.json(migrateProduct(result));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
 });
 
-// GET /api/admin/products/low-stock — list products at or below threshold
-app.get('/api/admin/products/low-stock', adminAuth, async (req, res) => {
+// GET /api/admin/products/:id/stock-history?variantId=&limit= — journal, newest first
+app.get('/api/admin/products/:id/stock-history', adminAuth, async (req, res) => {
   try {
-    const products = await db.collection('products').find({
-      stockQuantity: { $type: 'number' },
-      $expr: { $lte: ['$stockQuantity', '$lowStockThreshold'] }
-    }).toArray();
-    res.json(products.map(migrateProduct));
+    const filter = { productId: parseInt(req.params.id) };
+    if (req.query.variantId) filter.variantId = req.query.variantId;
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+    res.json(await db.collection('stockMovements').find(filter).sort({ id: -1 }).limit(limit).toArray());
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-// ── BANNERS ───────────────────────────────────────────────────────────────────
-app.get('/api/admin/banners', adminAuth, async (req, res) => {
-  try { res.json(await db.collection('banners').find().toArray()); }
-  catch (e) { res.status(500).json({ error: e.message }); }
+// GET /api/admin/stock/rebuild[?productId=] — stock rebuilt from the journal vs live stock
+app.get('/api/admin/stock/rebuild', adminAuth, async (req, res) => {
+  try {
+    const rows = await rebuildStockFromJournal(req.query.productId ? parseInt(req.query.productId) : null);
+    res.json({ checked: rows.length, drifted: rows.filter(r => !r.inSync).length, rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
 });
-app.post('/api/admin/banners', adminAuth, async (req, res) => {
+
+// POST /api/admin/stock/rebuild — settle one drifted variant { productId, variantId, keep }
+// keep 'journal': set live stock to the rebuilt figure
+// keep 'stock':   trust the shelf — journal a correction so the replay matches
+app.post('/api/admin/stock/rebuild', adminAuth, async (req, res) => {
   try {
-    const b = { id: await getNextId('bannerId'), imageUrl: req.body.imageUrl || '', title: req.body.title || '', subtitle: req.body.subtitle || '', bgColor: req.body.bgColor || '#1a1a2e', action: req.body.action || null };
-    await db.collection('banners').insertOne(b);
-    res.json(b);
+    const productId = parseInt(req.body.productId);
+    const { variantId, keep } = req.body;
+    if (!['journal', 'stock'].includes(keep)) return res.status(400).json({ error: "keep must be 'journal' or 'stock'" });
+    const row = (await rebuildStockFromJournal(productId)).find(r => r.variantId === variantId);
+    if (!row) return res.status(404).json({ error: 'No tracked variant with that id' });
+    if (row.inSync) return res.json({ ok: true, row });
+    if (keep === 'journal') {
+      if (row.journalQuantity === null) return res.status(400).json({ error: 'This variant has no journal yet — keep the live stock instead' });
+      const product = await db.collection('products').findOne({ id: productId });
+      const idx = product.variants.findIndex(v => v.id === variantId);
+      const updated = await db.collection('products').findOneAndUpdate(
+        { id: productId, [`variants.${idx}.id`]: variantId, [`variants.${idx}.stockQuantity`]: row.stockQuantity },
+        { $set: { [`variants.${idx}.stockQuantity`]: row.journalQuantity } }, { returnDocument: 'after' }
+      );
+      if (!updated) return res.status(409).json({ error: 'Stock changed meanwhile — run the check again' });
+    } else {
+      await recordStockMovement({
+        productId, variantId, type: row.journalQuantity === null ? 'count' : 'correction',
+        delta: row.drift ?? row.stockQuantity, balance: row.stockQuantity,
+        by: req.staff.username, note: 'Journal reconciled to live stock'
+      });
+    }
+    res.json({ ok: true, row: (await rebuildStockFromJournal(productId)).find(r => r.variantId === variantId) });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
-app.put('/api/admin/banners/:id', adminAuth, async (req, res) => {
+
+// GET /api/admin/products/low-stock — one row per variant at or below its threshold
+app.get('/api/admin/products/low-stock', adminAuth, async (req, res) => {
   try {
-    const result = await db.collection('banners').findOneAndUpdate(
-      { id: parseInt(req.params.id) }, { $set: req.body }, { returnDocument: 'after' }
-    );
-    if (!result) return res.status(404).json({ error: 'Not found' });
-    res.json(result);
+    const products = (await db.collection('products').find().toArray()).map(migrateProduct);
+    res.json(products.flatMap(p => p.variants
+      .filter(v => v.stockQuantity !== null && v.stockQuantity <= v.lowStockThreshold)
+      .map(v => ({
+        productId: p.id, name: p.name, variantId: v.id, variantLabel: v.label,
+        label: stockLabel(p, v), disabled: p.disabled,
+        ...(v.sku ? { sku: v.sku } : {}), ...(v.barcode ? { barcode: v.barcode } : {}),
+        stockQuantity: v.stockQuantity, lowStockThreshold: v.lowStockThreshold,
+        stockStatus: v.stockStatus, isLowStock: v.isLowStock
+      }))));
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
-app.delete('/api/admin/banners/:id', adminAuth, async (req, res) => {
-  try { await db.collection('banners').deleteOne({ id: parseInt(req.params.id) }); res.json({ ok: true }); }
-  catch (e) { res.status(500).json({ error: e.message }); }
+
+// GET /api/admin/products/:id/batches — per variant: stock, what's in batches and the batches themselves
+app.get('/api/admin/products/:id/batches', adminAuth, async (req, res) => {
+  try {
+    const product = await db.collection('products').findOne({ id: parseInt(req.params.id) });
+    if (!product) return res.status(404).json({ error: 'Not found' });
+    const p = migrateProduct(product);
+    const batches = await db.collection('stockBatches').find({ productId: p.id, qty: { $gt: 0 } }).sort({ expiry: 1, id: 1 }).toArray();
+    const today = istToday();
+    res.json({
+      productId: p.id, name: p.name,
+      variants: p.variants.map(v => {
+        const mine = batches.filter(b => b.variantId === v.id).map(b => ({ ...b, daysLeft: daysUntil(b.expiry, today) }));
+        const batchedQty = mine.reduce((s, b) => s + b.qty, 0);
+        return {
+          variantId: v.id, label: stockLabel(p, v), stockQuantity: v.stockQuantity,
+          batchedQty, unbatchedQty: v.stockQuantity === null ? null : Math.max(0, v.stockQuantity - batchedQty), batches: mine
+        };
+      })
+    });
+  } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-// ── SETTINGS ──────────────────────────────────────────────────────────────────
-app.get('/api/admin/settings', adminAuth, async (req, res) => {
-  try { res.json(await db.collection('settings').findOne({ _id: 'main' })); }
-  catch (e) { res.status(500).json({ error: e.message }); }
+// POST /api/admin/products/:id/batches — { variantId, expiry, qty, addStock, note }
+// addStock: true books new stock (reason 'purchase') as the batch; false puts an
+// expiry on units already on the shelf (up to the unbatched quantity).
+app.post('/api/admin/products/:id/batches', adminAuth, async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const product = await db.collection('products').findOne({ id: productId });
+    if (!product) return res.status(404).json({ error: 'Not found' });
+    const { variants } = migrateProduct(product);
+    const variant = variants.find(v => v.id === req.body.variantId) || variants[0];
+    const qty = parseInt(req.body.qty), expiry = req.body.expiry, note = (req.body.note || '').trim();
+    if (!(qty > 0)) return res.status(400).json({ error: 'Quantity must be at least 1' });
+    if (!EXPIRY_RE.test(expiry || '')) return res.status(400).json({ error: 'Expiry date must be YYYY-MM-DD' });
+    if (req.body.addStock !== false) {
+      await applyStockChange({ productId, variantId: variant.id, adjustment: qty, reason: 'purchase', note: note || `Batch exp ${expiry}`, by: req.staff.username });
+    } else {
+      if (variant.stockQuantity === null) return res.status(400).json({ error: 'Start tracking stock for this item first' });
+      const batched = (await activeBatches(productId, variant.id)).reduce((s, b) => s + b.qty, 0);
+      if (qty > variant.stockQuantity - batched) {
+        return res.status(400).json({ error: `Only ${Math.max(0, variant.stockQuantity - batched)} unit(s) on the shelf have no batch yet` });
+      }
+    }
+    const batch = await addStockBatch({ productId, variantId: variant.id, expiry, qty, note, by: req.staff.username });
+    res.json({ ok: true, batch });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
 });
-app.put('/api/admin/settings', adminAuth, async (req, res) => {
+
+// POST /api/admin/batches/:id/write-off — { qty, reason: 'expiry'|'damage', note }
+// Takes units out of the batch and out of stock with a journalled movement.
+// qty defaults to everything left in the batch; reason defaults to 'expiry'
+// once the date has passed, 'damage' before it.
+app.post('/api/admin/batches/:id/write-off', adminAuth, async (req, res) => {
   try {
-    const { newPassword, shopStatus, _id, ...rest } = req.body; // strip _id — MongoDB immutable field
-    const update = { ...rest };
-    if (newPassword) update.adminPassword = sha256(newPassword);
-    // Handle shopStatus as a merged sub-object or dot-notation key
-    if (shopStatus) {
-      // Get existing first, then merge
-      const existing = await db.collection('settings').findOne({ _id: 'main' });
-      update.shopStatus = { ...(existing?.shopStatus || {}), ...shopStatus };
+    const batch = await db.collection('stockBatches').findOne({ id: parseInt(req.params.id) });
+    if (!batch) return res.status(404).json({ error: 'Batch not found' });
+    const qty = req.body.qty !== undefined && req.body.qty !== '' ? parseInt(req.body.qty) : batch.qty;
+    if (!(qty > 0)) return res.status(400).json({ error: 'Quantity must be at least 1' });
+    const reason = req.body.reason || (daysUntil(batch.expiry) < 0 ? 'expiry' : 'damage');
+    if (!['expiry', 'damage'].includes(reason)) return res.status(400).json({ error: 'reason must be expiry or damage' });
+    const updated = await db.collection('stockBatches').findOneAndUpdate(
+      { id: batch.id, qty: { $gte: qty } }, { $inc: { qty: -qty } }, { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(400).json({ error: `Only ${batch.qty} unit(s) left in this batch` });
+    try {
+      await applyStockChange({
+        productId: batch.productId, variantId: batch.variantId, adjustment: -qty, reason,
+        ref: `Batch #${batch.id} (exp ${batch.expiry})`, note: (req.body.note || '').trim(), by: req.staff.username
+      });
+    } catch (e) {
+      await returnToBatches([{ batchId: batch.id, qty }]);
+      throw e;
     }
-    // Handle dot-notation keys like 'shopStatus.manualOpen'
-    const dotKeys = Object.keys(update).filter(k => k.includes('.'));
-    const setObj = {};
-    dotKeys.forEach(k => { setObj[k] = update[k]; delete update[k]; });
-    Object.keys(update).forEach(k => { setObj[k] = update[k]; });
-    await db.collection('settings').updateOne({ _id: 'main' }, { $set: setObj });
-    res.json({ ok: true });
+    res.json({ ok: true, batch: updated });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// GET /api/admin/batches/expiring?days=N — defaults to settings.expiryAlertDays
+app.get('/api/admin/batches/expiring', adminAuth, async (req, res) => {
+  try {
+    const settings = await db.collection('settings').findOne({ _id: 'main' });
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : (settings?.expiryAlertDays ?? DEFAULT_EXPIRY_ALERT_DAYS);
+    if (!(days >= 0)) return res.status(400).json({ error: 'days must be 0 or more' });
+    res.json({ days, rows: await findExpiringBatches(days) });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// ── CUSTOMERS (Master Registry) ───────────────────────────────────────────────
-// ═══════════════════════════════════════════════════════════════════════════════
+// ── PRICE HISTORY & SCHEDULED PRICES ─────────────────────────────────────────
+// priceHistory gets one row per variant whose tiers or MRP changed:
+//   { id, productId, variantId, priceTiers, mrp, previousTiers, previousMrp,
+//     source: 'edit' | 'import' | 'schedule' | 'schedule_end', scheduleId?, by, at }
+// The price in force at time T is the last row at or before T; before the first
+// row it is that row's previousTiers (null = the variant didn't exist yet).
+//
+// priceSchedules swap a variant's tiers for a window:
+//   { id, productId, variantId, label, priceTiers, startAt, endAt|null, note,
+//     status: scheduled → active → ended | cancelled, previousTiers, createdBy, ... }
+// At endAt the regular tiers go back — unless someone edited the price during
+// the offer, in which case the edit stands and the schedule is marked notReverted.
+const sortTiers = tiers => (tiers || [])
+  .map(t => ({ minQty: Number(t.minQty) || 1, price: Number(t.price) || 0 }))
+  .sort((a, b) => a.minQty - b.minQty);
+const sameTiers = (a, b) => JSON.stringify(sortTiers(a)) === JSON.stringify(sortTiers(b));
+// Unit price for qty: the highest tier the quantity reaches (the first tier below that)
+function tierPrice(tiers, qty) {
+  const sorted = [...(tiers || [])].sort((a, b) => a.minQty - b.minQty);
+  let price = sorted[0]?.price || 0;
+  for (const tier of sorted) { if (qty >= tier.minQty) price = tier.price; }
+  return price;
+}
+const variantMrp = v => (v?.mrp === '' || v?.mrp == null ? null : Number(v.mrp));
+
+function cleanPriceTiers(tiers) {
+  const fail = msg => Object.assign(new Error(msg), { status: 400 });
+  if (!Array.isArray(tiers) || !tiers.length) throw fail('At least one price tier is needed');
+  const out = tiers.map(t => ({ minQty: parseInt(t.minQty), price: parseFloat(t.price) }));
+  if (out.some(t => !(t.minQty >= 1) || !(t.price >= 0))) throw fail('Each tier needs a minimum quantity of 1 or more and a price');
+  if (new Set(out.map(t => t.minQty)).size !== out.length) throw fail('Two tiers have the same minimum quantity');
+  return out.sort((a, b) => a.minQty - b.minQty);
+}
 
-app.get('/api/admin/customers', adminAuth, async (req, res) => {
-  try {
+// "2026-10-24T09:00" from a datetime-local input is shop time (IST)
+function parseShopTime(s) {
+  if (!s) return null;
+  const str = String(s).trim();
+  const d = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(str) ? str : (str.length === 10 ? str + 'T00:00' : str) + '+05:30');
+  return isNaN(d) ? undefined : d.toISOString();
+}
+
+async function addPriceHistory({ productId, variantId, priceTiers, mrp, previousTiers, previousMrp, source, scheduleId, by }) {
+  // Like the stock journal: the price has already changed, so a failed write is logged, not surfaced
+  try {
+    await db.collection('priceHistory').insertOne({
+      id: await getNextId('priceHistoryId'),
+      productId, variantId,
+      priceTiers: sortTiers(priceTiers), mrp: mrp ?? null,
+      previousTiers: previousTiers ? sortTiers(previousTiers) : null, previousMrp: previousMrp ?? null,
+      source, ...(scheduleId ? { scheduleId } : {}),
+      by: by || 'system', at: new Date().toISOString()
+    });
+  } catch (e) { console.error(`Price history write failed for product ${productId}/${variantId}:`, e.message); }
+}
+
+// History rows for variants whose tiers or MRP differ between two versions of a
+// product — before is the stored product, or null when new
+async function recordPriceChanges(before, after, by, source) {
+  for (const v of after.variants || []) {
+    const old = before?.variants?.find(x => x.id === v.id);
+    if (old && sameTiers(old.priceTiers, v.priceTiers) && variantMrp(old) === variantMrp(v)) continue;
+    await addPriceHistory({
+      productId: after.id, variantId: v.id, priceTiers: v.priceTiers, mrp: variantMrp(v),
+      previousTiers: old?.priceTiers || null, previousMrp: variantMrp(old), source, by
+    });
+  }
+}
+
+// Tiers in force for every variant at `at` (ISO), for reports. Variants with no
+// history have always had their current price.
+async function priceListAt(at) {
+  const [products, history] = await Promise.all([
+    db.collection('products').find().toArray(),
+    db.collection('priceHistory').find().sort({ at: 1, id: 1 }).toArray(),
+  ]);
+  const lastBefore = {}, firstAfter = {};
+  for (const h of history) {
+    const key = h.productId + ':' + h.variantId;
+    if (h.at <= at) lastBefore[key] = h;
+    else if (!firstAfter[key]) firstAfter[key] = h;
+  }
+  return products.map(migrateProduct).flatMap(p => p.variants.map(v => {
+    const key = p.id + ':' + v.id;
+    const tiers = lastBefore[key] ? lastBefore[key].priceTiers
+      : firstAfter[key] ? firstAfter[key].previousTiers
+      : sortTiers(v.priceTiers);
+    return {
+      productId: p.id, variantId: v.id, label: stockLabel(p, v),
+      priceTiers: tiers, price: tiers?.[0]?.price ?? null,
+      currentPrice: sortTiers(v.priceTiers)[0]?.price ?? null,
+    };
+  }));
+}
+
+// Point a variant's tiers somewhere else; returns the tiers it had, or null when
+// the product/variant is gone
+async function setVariantTiers(productId, variantId, tiers) {
+  const product = await db.collection('products').findOne({ id: productId });
+  const idx = (product?.variants || []).findIndex(v => v.id === variantId);
+  if (idx === -1) return null;
+  await db.collection('products').updateOne(
+    { id: productId, [`variants.${idx}.id`]: variantId },
+    { $set: { [`variants.${idx}.priceTiers`]: tiers } }
+  );
+  return product.variants[idx];
+}
+
+async function startPriceSchedule(s) {
+  const now = new Date().toISOString();
+  // Claim first so the cron and a store request can't both apply it
+  const claimed = await db.collection('priceSchedules').findOneAndUpdate(
+    { id: s.id, status: 'scheduled' }, { $set: { status: 'active', appliedAt: now } }, { returnDocument: 'after' }
+  );
+  if (!claimed) return;
+  const variant = await setVariantTiers(s.productId, s.variantId, s.priceTiers);
+  if (!variant) {
+    await db.collection('priceSchedules').updateOne({ id: s.id }, { $set: { status: 'ended', endedAt: now, error: 'Product or variant no longer exists' } });
+    return;
+  }
+  await db.collection('priceSchedules').updateOne({ id: s.id }, { $set: { previousTiers: variant.priceTiers } });
+  await addPriceHistory({
+    productId: s.productId, variantId: s.variantId, priceTiers: s.priceTiers, mrp: variantMrp(variant),
+    previousTiers: variant.priceTiers, previousMrp: variantMrp(variant), source: 'schedule', scheduleId: s.id, by: s.createdBy
+  });
+}
+
+async function endPriceSchedule(s, by) {
+  const claimed = await db.collection('priceSchedules').findOneAndUpdate(
+    { id: s.id, status: 'active' },
+    { $set: { status: 'ended', endedAt: new Date().toISOString(), endedBy: by } },
+    { returnDocument: 'after' }
+  );
+  if (!claimed) return null;
+  const product = await db.collection('products').findOne({ id: s.productId });
+  const variant = product?.variants?.find(v => v.id === s.variantId);
+  if (!variant || !claimed.previousTiers) return claimed;
+  if (!sameTiers(variant.priceTiers, claimed.priceTiers)) {
+    await db.collection('priceSchedules').updateOne({ id: s.id }, { $set: { notReverted: true } });
+    return { ...claimed, notReverted: true };
+  }
+  await setVariantTiers(s.productId, s.variantId, claimed.previousTiers);
+  await addPriceHistory({
+    productId: s.productId, variantId: s.variantId, priceTiers: claimed.previousTiers, mrp: variantMrp(variant),
+    previousTiers: variant.priceTiers, previousMrp: variantMrp(variant), source: 'schedule_end', scheduleId: s.id, by
+  });
+  return claimed;
+}
+
+async function runPriceSchedules() {
+  const now = new Date().toISOString();
+  // Ends first, so an offer that follows another starts from the regular price
+  const ending = await db.collection('priceSchedules').find({ status: 'active', endAt: { $lte: now } }).toArray();
+  for (const s of ending.filter(s => s.endAt)) await endPriceSchedule(s, 'system');
+  const due = await db.collection('priceSchedules').find({ status: 'scheduled', startAt: { $lte: now } }).sort({ startAt: 1 }).toArray();
+  for (const s of due) {
+    if (s.endAt && s.endAt <= now) {
+      // The server was down for the whole window — don't start an offer that's already over
+      await db.collection('priceSchedules').updateOne(
+        { id: s.id, status: 'scheduled' }, { $set: { status: 'ended', endedAt: now, error: 'Window passed before it could start' } }
+      );
+    } else await startPriceSchedule(s);
+  }
+}
+
+// Runs every minute and before the store or an order reads prices. Callers that
+// arrive during a pass share it.
+let priceScheduleRun = null;
+function applyDuePriceSchedules() {
+  if (!priceScheduleRun) {
+    priceScheduleRun = runPriceSchedules()
+      .catch(e => console.error('Price schedule run failed:', e.message))
+      .finally(() => { priceScheduleRun = null; });
+  }
+  return priceScheduleRun;
+}
+
+app.get('/api/admin/products/:id/price-history', adminAuth, async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const filter = { productId };
+    if (req.query.variantId) filter.variantId = req.query.variantId;
+    const [history, schedules] = await Promise.all([
+      db.collection('priceHistory').find(filter).sort({ at: -1, id: -1 }).limit(200).toArray(),
+      db.collection('priceSchedules').find(filter).sort({ startAt: -1 }).toArray(),
+    ]);
+    res.json({ history, schedules });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// GET /api/admin/reports/prices?at=2026-10-12  — the price list as it stood then
+// (a bare date means the end of that day, shop time)
+app.get('/api/admin/reports/prices', adminAuth, async (req, res) => {
+  try {
+    const raw = String(req.query.at || '').trim();
+    const at = raw ? parseShopTime(raw.length === 10 ? raw + 'T23:59:59.999' : raw) : new Date().toISOString();
+    if (!at) return res.status(400).json({ error: 'Invalid date' });
+    const rows = await priceListAt(at);
+    res.json({ at, rows, changed: rows.filter(r => r.price !== r.currentPrice).length });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get('/api/admin/price-schedules', adminAuth, async (req, res) => {
+  try {
+    await applyDuePriceSchedules();
+    const filter = {};
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+    if (req.query.productId) filter.productId = parseInt(req.query.productId);
+    res.json(await db.collection('priceSchedules').find(filter).sort({ startAt: -1 }).toArray());
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/admin/price-schedules', adminAuth, async (req, res) => {
+  try {
+    const productId = parseInt(req.body.productId);
+    const product = await db.collection('products').findOne({ id: productId });
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    const variant = req.body.variantId ? product.variants?.find(v => v.id === req.body.variantId) : product.variants?.[0];
+    if (!variant) return res.status(404).json({ error: 'Variant not found' });
+    const priceTiers = cleanPriceTiers(req.body.priceTiers);
+    const now = new Date().toISOString();
+    const startAt = req.body.startAt ? parseShopTime(req.body.startAt) : now;
+    const endAt = req.body.endAt ? parseShopTime(req.body.endAt) : null;
+    if (!startAt || endAt === undefined) return res.status(400).json({ error: 'Invalid start or end time' });
+    if (endAt && endAt <= startAt) return res.status(400).json({ error: 'The end must be after the start' });
+    if (endAt && endAt <= now) return res.status(400).json({ error: 'That window is already over' });
+
+    // One price change at a time per variant
+    const open = await db.collection('priceSchedules').find({ productId, variantId: variant.id, status: { $in: ['scheduled', 'active'] } }).toArray();
+    const clash = open.find(s => s.startAt < (endAt || '~') && startAt < (s.endAt || '~'));
+    if (clash) return res.status(409).json({ error: `Overlaps schedule #${clash.id} (${clash.status}) for this item` });
+
+    const schedule = {
+      id: await getNextId('priceScheduleId'), productId, variantId: variant.id,
+      label: stockLabel(product, variant), priceTiers, startAt, endAt,
+      note: String(req.body.note || '').trim(), status: 'scheduled',
+      createdBy: req.staff.username, createdAt: now
+    };
+    await db.collection('priceSchedules').insertOne(schedule);
+    if (startAt <= now) await applyDuePriceSchedules();
+    res.json(await db.collection('priceSchedules').findOne({ id: schedule.id }));
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// Cancelling a running offer ends it now and puts the regular price back
+app.post('/api/admin/price-schedules/:id/cancel', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const s = await db.collection('priceSchedules').findOne({ id });
+    if (!s) return res.status(404).json({ error: 'Not found' });
+    let result = null;
+    if (s.status === 'scheduled') {
+      result = await db.collection('priceSchedules').findOneAndUpdate(
+        { id, status: 'scheduled' },
+        { $set: { status: 'cancelled', cancelledAt: new Date().toISOString(), cancelledBy: req.staff.username } },
+        { returnDocument: 'after' }
+      );
+    } else if (s.status === 'active') {
+      result = await endPriceSchedule(s, req.staff.username);
+    }
+    if (!result) return res.status(400).json({ error: `Schedule is already ${s.status}` });
+    res.json(result);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ── STOCKTAKE SESSIONS ───────────────────────────────────────────────────────
+// A counting session collects scanned counts per variant without touching live
+// stock. A session can be scoped to one category so a full count can be spread
+// over several days. Each line keeps the live stock at the moment it was last
+// counted (`expected`); on commit the difference counted − expected is applied
+// as a 'count' movement (ref "Stocktake #id"), so sales made after an item was
+// counted aren't wiped out. Variants in scope that nobody counted are left alone.
+// lines is keyed "productId:variantId" so a scan can $inc a single line.
+const stocktakeKey = (productId, variantId) => `${productId}:${variantId}`;
+
+async function findVariantByCode(code) {
+  for (const matchType of ['barcode', 'sku']) {
+    const product = await db.collection('products').findOne({ [`variants.${matchType}`]: code });
+    if (!product) continue;
+    const migrated = migrateProduct(product);
+    return { product: migrated, variant: migrated.variants.find(v => v[matchType] === code), matchType };
+  }
+  return null;
+}
+
+async function getOpenStocktake(id) {
+  const session = await db.collection('stocktakes').findOne({ id });
+  if (!session) throw Object.assign(new Error('Stocktake not found'), { status: 404 });
+  if (session.status !== 'open') throw Object.assign(new Error(`This stocktake is already ${session.status}`), { status: 400 });
+  return session;
+}
+
+// Session with live stock and variance per line, plus what's in scope and still uncounted
+async function stocktakeView(session) {
+  const products = (await db.collection('products').find(session.catId ? { catId: session.catId } : {}).toArray()).map(migrateProduct);
+  const byId = Object.fromEntries(products.map(p => [p.id, p]));
+  const lines = Object.entries(session.lines || {}).map(([key, l]) => {
+    const p = byId[l.productId] || null;
+    const v = p?.variants.find(x => x.id === l.variantId);
+    const live = v ? v.stockQuantity : null;
+    const variance = l.expected === null ? null : l.counted - l.expected;
+    return { key, ...l, live, variance, value: variance === null ? null : parseFloat((variance * (v?.costPrice || 0)).toFixed(2)) };
+  }).sort((a, b) => Math.abs(b.variance ?? 0) - Math.abs(a.variance ?? 0) || a.label.localeCompare(b.label));
+  const uncounted = products.filter(p => !p.disabled).flatMap(p => p.variants
+    .filter(v => !session.lines?.[stocktakeKey(p.id, v.id)])
+    .map(v => ({ productId: p.id, variantId: v.id, label: stockLabel(p, v), stockQuantity: v.stockQuantity })));
+  const withVariance = lines.filter(l => l.variance);
+  return {
+    ...session, lines, uncounted,
+    summary: {
+      counted: lines.length, uncounted: uncounted.length, mismatched: withVariance.length,
+      varianceUnits: withVariance.reduce((s, l) => s + l.variance, 0),
+      varianceValue: parseFloat(withVariance.reduce((s, l) => s + l.value, 0).toFixed(2))
+    }
+  };
+}
+
+app.get('/api/admin/stocktakes', adminAuth, async (req, res) => {
+  try {
+    const [sessions, categories] = await Promise.all([
+      db.collection('stocktakes').find().sort({ id: -1 }).limit(50).toArray(),
+      db.collection('categories').find().toArray(),
+    ]);
+    const catNames = Object.fromEntries(categories.map(c => [c.id, c.name]));
+    res.json(sessions.map(({ lines, adjustments, ...s }) => ({
+      ...s, categoryName: s.catId ? catNames[s.catId] || `Category #${s.catId}` : 'Whole store',
+      counted: Object.keys(lines || {}).length, ...(adjustments ? { adjusted: adjustments.filter(a => a.delta).length } : {})
+    })));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/admin/stocktakes — { catId?, name? }; one open session per scope
+app.post('/api/admin/stocktakes', adminAuth, async (req, res) => {
+  try {
+    const catId = req.body.catId ? parseInt(req.body.catId) : null;
+    if (catId && !await db.collection('categories').findOne({ id: catId })) return res.status(400).json({ error: 'Category not found' });
+    const clash = await db.collection('stocktakes').findOne({ status: 'open', catId });
+    if (clash) return res.status(400).json({ error: `Stocktake #${clash.id} is already open for this ${catId ? 'category' : 'store'} — finish or cancel it first` });
+    const session = {
+      id: await getNextId('stocktakeId'), status: 'open', catId, name: (req.body.name || '').trim(),
+      lines: {}, createdBy: req.staff.username, createdAt: new Date().toISOString()
+    };
+    await db.collection('stocktakes').insertOne(session);
+    res.json(await stocktakeView(session));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get('/api/admin/stocktakes/:id', adminAuth, async (req, res) => {
+  try {
+    const session = await db.collection('stocktakes').findOne({ id: parseInt(req.params.id) });
+    if (!session) return res.status(404).json({ error: 'Stocktake not found' });
+    res.json(await stocktakeView(session));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/admin/stocktakes/:id/scan — { code, qty } or { productId, variantId, qty }
+// Adds qty (default 1) to the line. An unknown code answers 404 with name
+// matches in scope so the scanner can offer a pick.
+// POST /api/admin/stocktakes/:id/count — { productId, variantId, counted } sets the
+// line outright (counted: null removes it).
+app.post('/api/admin/stocktakes/:id/:action(scan|count)', adminAuth, async (req, res) => {
+  try {
+    const session = await getOpenStocktake(parseInt(req.params.id));
+    let hit = null;
+    if (req.body.code) {
+      const code = String(req.body.code).trim();
+      hit = await findVariantByCode(code);
+      if (!hit) {
+        const filter = { name: { $regex: code.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' }, ...(session.catId ? { catId: session.catId } : {}) };
+        const candidates = (await db.collection('products').find(filter).limit(8).toArray()).map(migrateProduct)
+          .flatMap(p => p.variants.map(v => ({ productId: p.id, variantId: v.id, label: stockLabel(p, v) })));
+        return res.status(404).json({ error: `Nothing matches "${code}"`, candidates });
+      }
+    } else {
+      const product = await db.collection('products').findOne({ id: parseInt(req.body.productId) });
+      const p = product && migrateProduct(product);
+      const variant = p?.variants.find(v => v.id === req.body.variantId);
+      if (!variant) return res.status(404).json({ error: 'Product not found' });
+      hit = { product: p, variant };
+    }
+    const { product, variant } = hit;
+    if (session.catId && product.catId !== session.catId) {
+      return res.status(400).json({ error: `"${stockLabel(product, variant)}" isn't in this stocktake's category` });
+    }
+    const path = `lines.${stocktakeKey(product.id, variant.id)}`;
+    let update;
+    if (req.params.action === 'scan') {
+      const qty = req.body.qty !== undefined ? parseInt(req.body.qty) : 1;
+      if (!(qty > 0)) return res.status(400).json({ error: 'Quantity must be at least 1' });
+      update = { $inc: { [`${path}.counted`]: qty, [`${path}.scans`]: 1 } };
+    } else if (req.body.counted === null) {
+      update = { $unset: { [path]: '' } };
+    } else {
+      const counted = parseInt(req.body.counted);
+      if (!(counted >= 0)) return res.status(400).json({ error: 'Count must be 0 or more' });
+      update = { $set: { [`${path}.counted`]: counted } };
+    }
+    if (!update.$unset) {
+      update.$set = {
+        ...(update.$set || {}),
+        [`${path}.productId`]: product.id, [`${path}.variantId`]: variant.id, [`${path}.label`]: stockLabel(product, variant),
+        [`${path}.expected`]: variant.stockQuantity, [`${path}.by`]: req.staff.username, [`${path}.lastAt`]: new Date().toISOString()
+      };
+    }
+    const updated = await db.collection('stocktakes').findOneAndUpdate({ id: session.id, status: 'open' }, update, { returnDocument: 'after' });
+    if (!updated) return res.status(400).json({ error: 'This stocktake was just closed' });
+    const line = updated.lines?.[stocktakeKey(product.id, variant.id)] || null;
+    res.json({ ok: true, line, label: stockLabel(product, variant), counted: Object.keys(updated.lines || {}).length });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// Applies every counted line in one go and records what changed on the session
+app.post('/api/admin/stocktakes/:id/commit', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const session = await db.collection('stocktakes').findOneAndUpdate(
+      { id, status: 'open' }, { $set: { status: 'committed', committedBy: req.staff.username, committedAt: new Date().toISOString() } }, { returnDocument: 'after' }
+    );
+    if (!session) return res.status(400).json({ error: 'Only an open stocktake can be committed' });
+    const adjustments = [];
+    for (const l of Object.values(session.lines || {})) {
+      const delta = l.expected === null ? null : l.counted - l.expected;
+      const row = { productId: l.productId, variantId: l.variantId, label: l.label, expected: l.expected, counted: l.counted, delta };
+      try {
+        const base = { productId: l.productId, variantId: l.variantId, reason: 'count', ref: `Stocktake #${id}`, note: `Counted ${l.counted}, expected ${l.expected ?? 'untracked'}`, by: req.staff.username };
+        // Untracked until now — the count becomes its stock
+        const product = l.expected === null
+          ? await applyStockChange({ ...base, stockQuantity: l.counted })
+          : delta !== 0 ? await applyStockChange({ ...base, adjustment: delta }) : null;
+        if (product) row.balance = product.variants.find(v => v.id === l.variantId)?.stockQuantity;
+      } catch (e) { row.error = e.message; }
+      adjustments.push(row);
+    }
+    await db.collection('stocktakes').updateOne({ id }, { $set: { adjustments } });
+    res.json({ ok: true, adjustments, errors: adjustments.filter(a => a.error) });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/admin/stocktakes/:id/cancel', adminAuth, async (req, res) => {
+  try {
+    const session = await db.collection('stocktakes').findOneAndUpdate(
+      { id: parseInt(req.params.id), status: 'open' },
+      { $set: { status: 'cancelled', cancelledBy: req.staff.username, cancelledAt: new Date().toISOString() } }, { returnDocument: 'after' }
+    );
+    if (!session) return res.status(400).json({ error: 'Only an open stocktake can be cancelled' });
+    res.json({ ok: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ── SUPPLIERS & PURCHASE ORDERS ──────────────────────────────────────────────
+// ═══════════════════════════════════════════════════════════════════════════════
+// Purchase orders go draft → sent → (partial →) received, or cancelled before
+// anything arrives. Each receipt adds stock through applyStockChange (reason
+// 'purchase', ref "PO #id") and books a bill on the supplier's payable ledger.
+// supplierLedger works like the customer ledger: entries are never edited or
+// deleted, mistakes are reversed. balance = bills − payments = what we owe.
+const GSTIN_RE = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+function supplierFields(body) {
+  const out = {};
+  if (body.name !== undefined) out.name = String(body.name).trim();
+  if (body.phone !== undefined) out.phone = String(body.phone).replace(/\D/g, '').slice(-10);
+  if (body.gstin !== undefined) {
+    out.gstin = String(body.gstin).trim().toUpperCase();
+    if (out.gstin && !GSTIN_RE.test(out.gstin)) throw Object.assign(new Error('GSTIN should look like 22AAAAA0000A1Z5'), { status: 400 });
+  }
+  if (body.address !== undefined) out.address = String(body.address).trim();
+  if (body.notes !== undefined) out.notes = String(body.notes).trim();
+  if (body.leadTimeDays !== undefined) {
+    const n = body.leadTimeDays === '' || body.leadTimeDays === null ? null : parseInt(body.leadTimeDays);
+    if (n !== null && !(n >= 0 && n <= 365)) throw Object.assign(new Error('Lead time must be 0–365 days'), { status: 400 });
+    out.leadTimeDays = n;
+  }
+  if (body.productIds !== undefined) out.productIds = (Array.isArray(body.productIds) ? body.productIds : []).map(Number).filter(Boolean);
+  return out;
+}
+
+async function getSupplierBalance(supplierId) {
+  const entries = await db.collection('supplierLedger').find({ supplierId }).toArray();
+  const sum = type => entries.filter(e => e.type === type).reduce((s, e) => s + e.amount, 0);
+  return parseFloat((sum('bill') - sum('payment')).toFixed(2));
+}
+
+async function addSupplierEntry({ supplierId, type, amount, date, note, ref, poId, receiptNo, source, by, reverses, reason }) {
+  const entry = {
+    id: await getNextId('supplierLedgerId'), supplierId, type,
+    amount: parseFloat(amount.toFixed(2)), date: date || istToday(), note: note || '',
+    ...(ref ? { ref } : {}), ...(poId ? { poId, receiptNo } : {}),
+    ...(reverses ? { reverses, reason } : {}),
+    source, by, createdAt: new Date().toISOString()
+  };
+  await db.collection('supplierLedger').insertOne(entry);
+  return entry;
+}
+
+// PO lines as entered: existing product + variant, whole qty > 0, cost ≥ 0
+async function cleanPoItems(items) {
+  if (!Array.isArray(items) || !items.length) throw Object.assign(new Error('Add at least one item'), { status: 400 });
+  const out = [];
+  for (const it of items) {
+    const product = await db.collection('products').findOne({ id: parseInt(it.productId) });
+    if (!product) throw Object.assign(new Error(`Product #${it.productId} not found`), { status: 400 });
+    const migrated = migrateProduct(product);
+    const variant = migrated.variants.find(v => v.id === it.variantId) || migrated.variants[0];
+    const qty = parseInt(it.qty);
+    if (!(qty > 0)) throw Object.assign(new Error(`Quantity for "${stockLabel(migrated, variant)}" must be at least 1`), { status: 400 });
+    const costPrice = it.costPrice !== undefined && it.costPrice !== '' ? parseFloat(it.costPrice) : (variant.costPrice ?? 0);
+    if (!(costPrice >= 0)) throw Object.assign(new Error(`Cost price for "${stockLabel(migrated, variant)}" is invalid`), { status: 400 });
+    if (out.some(o => o.productId === product.id && o.variantId === variant.id)) {
+      throw Object.assign(new Error(`"${stockLabel(migrated, variant)}" is on the order twice`), { status: 400 });
+    }
+    out.push({ productId: product.id, variantId: variant.id, name: stockLabel(migrated, variant), qty, costPrice, qtyReceived: 0 });
+  }
+  return out;
+}
+
+const poTotal = items => parseFloat(items.reduce((s, i) => s + i.qty * i.costPrice, 0).toFixed(2));
+
+// Text for sending the PO to the supplier on WhatsApp
+function purchaseOrderMessage(po, supplier, storeName) {
+  return [
+    `*Purchase Order #${po.id}* — ${storeName || 'BSC Store'}`,
+    supplier?.name ? `To: ${supplier.name}` : null,
+    '',
+    ...po.items.map((i, n) => `${n + 1}. ${i.name} × ${i.qty}${i.costPrice ? ` @ ₹${i.costPrice}` : ''}`),
+    '',
+    po.note ? `Note: ${po.note}` : null,
+    `Total: ₹${poTotal(po.items)}`
+  ].filter(l => l !== null).join('\n');
+}
+
+// ── SUPPLIERS ────────────────────────────────────────────────────────────────
+app.get('/api/admin/suppliers', adminAuth, async (req, res) => {
+  try {
+    const [suppliers, entries, openPOs] = await Promise.all([
+      db.collection('suppliers').find({ deleted: { $ne: true } }).sort({ name: 1 }).toArray(),
+      db.collection('supplierLedger').find().toArray(),
+      db.collection('purchaseOrders').find({ status: { $in: ['draft', 'sent', 'partial'] } }).toArray(),
+    ]);
+    res.json(suppliers.map(s => {
+      const mine = entries.filter(e => e.supplierId === s.id);
+      const balance = mine.reduce((t, e) => t + (e.type === 'bill' ? e.amount : -e.amount), 0);
+      return { ...s, balance: parseFloat(balance.toFixed(2)), openPOs: openPOs.filter(po => po.supplierId === s.id).length };
+    }));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/admin/suppliers', adminAuth, async (req, res) => {
+  try {
+    const fields = supplierFields(req.body);
+    if (!fields.name) return res.status(400).json({ error: 'Supplier name required' });
+    const supplier = {
+      id: await getNextId('supplierId'), phone: '', gstin: '', address: '', notes: '', productIds: [], leadTimeDays: null,
+      ...fields, createdAt: new Date().toISOString()
+    };
+    await db.collection('suppliers').insertOne(supplier);
+    res.json(supplier);
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+app.put('/api/admin/suppliers/:id', adminAuth, async (req, res) => {
+  try {
+    const fields = supplierFields(req.body);
+    if (fields.name === '') return res.status(400).json({ error: 'Supplier name required' });
+    const result = await db.collection('suppliers').findOneAndUpdate(
+      { id: parseInt(req.params.id), deleted: { $ne: true } }, { $set: fields }, { returnDocument: 'after' }
+    );
+    if (!result) return res.status(404).json({ error: 'Supplier not found' });
+    res.json(result);
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// Suppliers are archived, not removed — their bills and POs stay on record
+app.delete('/api/admin/suppliers/:id', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const balance = await getSupplierBalance(id);
+    if (balance !== 0) return res.status(400).json({ error: `Settle the ₹${balance} balance before removing this supplier` });
+    const open = await db.collection('purchaseOrders').countDocuments({ supplierId: id, status: { $in: ['draft', 'sent', 'partial'] } });
+    if (open) return res.status(400).json({ error: 'This supplier still has open purchase orders' });
+    const result = await db.collection('suppliers').updateOne({ id }, { $set: { deleted: true, deletedAt: new Date().toISOString() } });
+    if (!result.matchedCount) return res.status(404).json({ error: 'Supplier not found' });
+    res.json({ ok: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get('/api/admin/suppliers/:id', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const supplier = await db.collection('suppliers').findOne({ id });
+    if (!supplier) return res.status(404).json({ error: 'Supplier not found' });
+    const [ledger, purchaseOrders] = await Promise.all([
+      db.collection('supplierLedger').find({ supplierId: id }).sort({ id: -1 }).toArray(),
+      db.collection('purchaseOrders').find({ supplierId: id }).sort({ id: -1 }).toArray(),
+    ]);
+    const balance = ledger.reduce((t, e) => t + (e.type === 'bill' ? e.amount : -e.amount), 0);
+    res.json({ supplier, balance: parseFloat(balance.toFixed(2)), ledger: withReversalLinks(ledger), purchaseOrders });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/admin/suppliers/:id/ledger — { type: 'payment' | 'bill', amount, date, note, ref }
+// Bills from receiving are booked automatically; this is for payments and bills
+// that didn't come through a PO.
+app.post('/api/admin/suppliers/:id/ledger', adminAuth, async (req, res) => {
+  try {
+    const supplierId = parseInt(req.params.id);
+    const { type, note, ref } = req.body;
+    const amount = parseFloat(req.body.amount);
+    if (!['payment', 'bill'].includes(type)) return res.status(400).json({ error: "type must be 'payment' or 'bill'" });
+    if (!(amount > 0)) return res.status(400).json({ error: 'Amount must be more than 0' });
+    if (!(await db.collection('suppliers').findOne({ id: supplierId }))) return res.status(404).json({ error: 'Supplier not found' });
+    const date = req.body.date || istToday();
+    await assertLedgerDateOpen(date);
+    const entry = await addSupplierEntry({ supplierId, type, amount, date, note, ref, source: 'manual', by: req.staff.username });
+    res.json({ ok: true, ...entry, balance: await getSupplierBalance(supplierId) });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+app.post('/api/admin/suppliers/:id/ledger/:entryId/reverse', adminAuth, async (req, res) => {
+  try {
+    const supplierId = parseInt(req.params.id);
+    const reason = (req.body.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'Please give a reason for the reversal' });
+    const original = await db.collection('supplierLedger').findOne({ id: parseInt(req.params.entryId), supplierId });
+    if (!original) return res.status(404).json({ error: 'Entry not found' });
+    if (original.reverses) return res.status(400).json({ error: 'A reversal can\'t itself be reversed — add a new entry instead' });
+    if (await db.collection('supplierLedger').findOne({ reverses: original.id })) return res.status(400).json({ error: 'This entry has already been reversed' });
+    const date = istToday();
+    await assertLedgerDateOpen(date);
+    const reversal = await addSupplierEntry({
+      supplierId, type: original.type, amount: -original.amount, date,
+      note: `Reversal of #${original.id}${original.note ? ` (${original.note})` : ''}`,
+      source: 'reversal', reverses: original.id, reason, by: req.staff.username
+    });
+    res.json({ ok: true, reversal, balance: await getSupplierBalance(supplierId) });
+  } catch (e) {
+    if (e.code === 11000) return res.status(400).json({ error: 'This entry has already been reversed' });
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+// ── PURCHASE ORDERS ──────────────────────────────────────────────────────────
+app.get('/api/admin/purchase-orders', adminAuth, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.supplierId) filter.supplierId = parseInt(req.query.supplierId);
+    const [pos, suppliers] = await Promise.all([
+      db.collection('purchaseOrders').find(filter).sort({ id: -1 }).toArray(),
+      db.collection('suppliers').find().toArray(),
+    ]);
+    const names = Object.fromEntries(suppliers.map(s => [s.id, s.name]));
+    res.json(pos.map(po => ({ ...po, supplierName: names[po.supplierId] || '—', total: poTotal(po.items) })));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get('/api/admin/purchase-orders/:id', adminAuth, async (req, res) => {
+  try {
+    const po = await db.collection('purchaseOrders').findOne({ id: parseInt(req.params.id) });
+    if (!po) return res.status(404).json({ error: 'Purchase order not found' });
+    const supplier = await db.collection('suppliers').findOne({ id: po.supplierId });
+    res.json({ ...po, supplier, total: poTotal(po.items) });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/admin/purchase-orders', adminAuth, async (req, res) => {
+  try {
+    const supplier = await db.collection('suppliers').findOne({ id: parseInt(req.body.supplierId), deleted: { $ne: true } });
+    if (!supplier) return res.status(400).json({ error: 'Choose a supplier' });
+    const po = {
+      id: await getNextId('purchaseOrderId'), supplierId: supplier.id, status: 'draft',
+      items: await cleanPoItems(req.body.items), note: (req.body.note || '').trim(),
+      expectedDate: req.body.expectedDate || null, receipts: [],
+      createdBy: req.staff.username, createdAt: new Date().toISOString()
+    };
+    await db.collection('purchaseOrders').insertOne(po);
+    res.json(po);
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// Only drafts can be edited — once sent, the supplier has the list
+app.put('/api/admin/purchase-orders/:id', adminAuth, async (req, res) => {
+  try {
+    const update = {};
+    if (req.body.items !== undefined) update.items = await cleanPoItems(req.body.items);
+    if (req.body.note !== undefined) update.note = String(req.body.note).trim();
+    if (req.body.expectedDate !== undefined) update.expectedDate = req.body.expectedDate || null;
+    const result = await db.collection('purchaseOrders').findOneAndUpdate(
+      { id: parseInt(req.params.id), status: 'draft' }, { $set: update }, { returnDocument: 'after' }
+    );
+    if (!result) return res.status(400).json({ error: 'Only draft purchase orders can be edited' });
+    res.json(result);
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+app.post('/api/admin/purchase-orders/:id/send', adminAuth, async (req, res) => {
+  try {
+    const po = await db.collection('purchaseOrders').findOneAndUpdate(
+      { id: parseInt(req.params.id), status: 'draft' },
+      { $set: { status: 'sent', sentAt: new Date().toISOString(), sentBy: req.staff.username } },
+      { returnDocument: 'after' }
+    );
+    if (!po) return res.status(400).json({ error: 'Only a draft can be sent' });
+    const [supplier, settings] = await Promise.all([
+      db.collection('suppliers').findOne({ id: po.supplierId }),
+      db.collection('settings').findOne({ _id: 'main' }),
+    ]);
+    res.json({ ok: true, po, phone: supplier?.phone || '', message: purchaseOrderMessage(po, supplier, settings?.storeName) });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/admin/purchase-orders/:id/receive — { lines: [{ productId, variantId, qty, costPrice, expiry }], billNo, note, date }
+// Partial quantities are fine; the PO stays 'partial' until every line is in.
+// A line with an expiry date goes into stock as a batch.
+app.post('/api/admin/purchase-orders/:id/receive', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const po = await db.collection('purchaseOrders').findOne({ id });
+    if (!po) return res.status(404).json({ error: 'Purchase order not found' });
+    if (!['sent', 'partial'].includes(po.status)) return res.status(400).json({ error: `A ${po.status} purchase order can't be received` });
+    const date = req.body.date || istToday();
+    await assertLedgerDateOpen(date);
+
+    const items = po.items.map(i => ({ ...i }));
+    const lines = [];
+    for (const l of req.body.lines || []) {
+      const qty = parseInt(l.qty);
+      if (!qty) continue;
+      const item = items.find(i => i.productId === parseInt(l.productId) && i.variantId === l.variantId);
+      if (!item) return res.status(400).json({ error: 'That item is not on this purchase order' });
+      if (qty < 0) return res.status(400).json({ error: `Quantity for "${item.name}" can't be negative` });
+      if (qty > item.qty - item.qtyReceived) return res.status(400).json({ error: `Only ${item.qty - item.qtyReceived} of "${item.name}" are still due` });
+      const costPrice = l.costPrice !== undefined && l.costPrice !== '' ? parseFloat(l.costPrice) : item.costPrice;
+      if (!(costPrice >= 0)) return res.status(400).json({ error: `Cost price for "${item.name}" is invalid` });
+      if (l.expiry && !EXPIRY_RE.test(l.expiry)) return res.status(400).json({ error: `Expiry for "${item.name}" must be YYYY-MM-DD` });
+      item.qtyReceived += qty;
+      item.costPrice = costPrice;
+      lines.push({ productId: item.productId, variantId: item.variantId, name: item.name, qty, costPrice, ...(l.expiry ? { expiry: l.expiry } : {}) });
+    }
+    if (!lines.length) return res.status(400).json({ error: 'Enter the quantity received for at least one item' });
+
+    const complete = items.every(i => i.qtyReceived >= i.qty);
+    const receipt = {
+      no: po.receipts.length + 1, date, billNo: (req.body.billNo || '').trim(), note: (req.body.note || '').trim(),
+      lines, amount: poTotal(lines), by: req.staff.username, at: new Date().toISOString()
+    };
+    // Claim the receipt slot first so two people receiving at once can't both book it
+    const updated = await db.collection('purchaseOrders').findOneAndUpdate(
+      { id, status: po.status, receipts: { $size: po.receipts.length } },
+      { $set: { items, status: complete ? 'received' : 'partial', ...(complete ? { receivedAt: receipt.at } : {}) }, $push: { receipts: receipt } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(409).json({ error: 'This purchase order was just updated — reload and try again' });
+
+    const stockErrors = [];
+    for (const l of lines) {
+      try {
+        await applyStockChange({
+          productId: l.productId, variantId: l.variantId, adjustment: l.qty, reason: 'purchase',
+          ref: `PO #${id}`, note: [receipt.billNo && `Bill ${receipt.billNo}`, `@ ₹${l.costPrice}`].filter(Boolean).join(' '),
+          by: req.staff.username, set: { costPrice: l.costPrice }
+        });
+        if (l.expiry) {
+          await addStockBatch({ productId: l.productId, variantId: l.variantId, expiry: l.expiry, qty: l.qty, ref: `PO #${id}`, by: req.staff.username });
+        }
+      } catch (e) { stockErrors.push({ name: l.name, error: e.message }); }
+    }
+    let bill = null;
+    if (receipt.amount > 0) {
+      bill = await addSupplierEntry({
+        supplierId: po.supplierId, type: 'bill', amount: receipt.amount, date,
+        note: `PO #${id} — receipt ${receipt.no}${receipt.billNo ? ` · Bill ${receipt.billNo}` : ''}`,
+        poId: id, receiptNo: receipt.no, source: 'po_receipt', by: req.staff.username
+      });
+    }
+    res.json({ ok: true, po: updated, bill, stockErrors });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// Supplier won't send the rest — close a partly received PO as it stands
+app.post('/api/admin/purchase-orders/:id/close', adminAuth, async (req, res) => {
+  try {
+    const po = await db.collection('purchaseOrders').findOneAndUpdate(
+      { id: parseInt(req.params.id), status: 'partial' },
+      { $set: { status: 'received', closedShort: true, receivedAt: new Date().toISOString(), closedBy: req.staff.username } },
+      { returnDocument: 'after' }
+    );
+    if (!po) return res.status(400).json({ error: 'Only a partly received purchase order can be closed' });
+    res.json({ ok: true, po });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/admin/purchase-orders/:id/cancel', adminAuth, async (req, res) => {
+  try {
+    const po = await db.collection('purchaseOrders').findOneAndUpdate(
+      { id: parseInt(req.params.id), status: { $in: ['draft', 'sent'] } },
+      { $set: { status: 'cancelled', cancelledAt: new Date().toISOString(), cancelledBy: req.staff.username, cancelReason: (req.body.reason || '').trim() } },
+      { returnDocument: 'after' }
+    );
+    if (!po) return res.status(400).json({ error: 'Only a draft or sent purchase order with nothing received can be cancelled' });
+    res.json({ ok: true, po });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ── REORDER SUGGESTIONS ──────────────────────────────────────────────────────
+// Average daily sales over the last windowDays (cancelled orders excluded)
+// drive the numbers for every tracked variant:
+//   reorder point = sales over the supplier's lead time + safety stock
+//   target        = reorder point + coverDays of sales
+// A variant is suggested when stock + what's already on open POs is at or
+// below the reorder point, or stock is at its low-stock threshold. Variants
+// with no sales in the window only show up through the threshold, topped up
+// to twice the threshold.
+const DEFAULT_REORDER_SETTINGS = { windowDays: 28, leadTimeDays: 2, safetyDays: 2, coverDays: 7 };
+
+async function getReorderSettings() {
+  const settings = await db.collection('settings').findOne({ _id: 'main' });
+  return { ...DEFAULT_REORDER_SETTINGS, ...(settings?.reorder || {}) };
+}
+
+function cleanReorderSettings(body, base = DEFAULT_REORDER_SETTINGS) {
+  const out = { ...base };
+  for (const [k, min] of [['windowDays', 1], ['leadTimeDays', 0], ['safetyDays', 0], ['coverDays', 1]]) {
+    if (body[k] === undefined || body[k] === '') continue;
+    const n = parseInt(body[k]);
+    if (!(n >= min) || n > 365) throw Object.assign(new Error(`${k} must be between ${min} and 365`), { status: 400 });
+    out[k] = n;
+  }
+  return out;
+}
+
+async function buildReorderSuggestions(cfg, { includeAll = false } = {}) {
+  const since = new Date(Date.now() - cfg.windowDays * 86400000).toISOString();
+  const [products, categories, suppliers, orders, openPOs] = await Promise.all([
+    db.collection('products').find({ disabled: { $ne: true } }).toArray(),
+    db.collection('categories').find().toArray(),
+    db.collection('suppliers').find({ deleted: { $ne: true } }).sort({ id: 1 }).toArray(),
+    db.collection('orders').find({ createdAt: { $gte: since }, status: { $ne: 'cancelled' } }).toArray(),
+    db.collection('purchaseOrders').find({ status: { $in: ['draft', 'sent', 'partial'] } }).toArray(),
+  ]);
+  const key = (pid, vid) => `${pid}|${vid}`;
+  const firstVariant = {};
+  products.forEach(p => { firstVariant[p.id] = p.variants?.[0]?.id || 'v1'; });
+  const sold = {}, onOrder = {};
+  orders.forEach(o => (o.items || []).forEach(i => {
+    const k = key(i.productId, i.variantId || firstVariant[i.productId]);
+    sold[k] = (sold[k] || 0) + (parseInt(i.qty) || 0);
+  }));
+  openPOs.forEach(po => po.items.forEach(i => {
+    const k = key(i.productId, i.variantId);
+    onOrder[k] = (onOrder[k] || 0) + Math.max(0, i.qty - i.qtyReceived);
+  }));
+  const catNames = Object.fromEntries(categories.map(c => [c.id, c.name]));
+
+  const rows = [];
+  for (const p of products.map(migrateProduct)) {
+    // Cheapest lead time wins when more than one supplier carries the product
+    const carriers = suppliers.filter(s => (s.productIds || []).includes(p.id));
+    const supplier = carriers.sort((a, b) => (a.leadTimeDays ?? cfg.leadTimeDays) - (b.leadTimeDays ?? cfg.leadTimeDays))[0] || null;
+    const leadTimeDays = supplier?.leadTimeDays ?? cfg.leadTimeDays;
+    for (const v of p.variants) {
+      if (v.stockQuantity === null) continue;
+      const k = key(p.id, v.id);
+      const soldQty = sold[k] || 0, pending = onOrder[k] || 0;
+      const avgDaily = soldQty / cfg.windowDays;
+      const safetyStock = Math.ceil(avgDaily * cfg.safetyDays);
+      const reorderPoint = Math.ceil(avgDaily * leadTimeDays) + safetyStock;
+      const target = avgDaily > 0 ? reorderPoint + Math.ceil(avgDaily * cfg.coverDays) : v.lowStockThreshold * 2;
+      const belowThreshold = v.stockQuantity <= v.lowStockThreshold;
+      const velocityDue = avgDaily > 0 && v.stockQuantity + pending <= reorderPoint;
+      const suggestedQty = velocityDue || belowThreshold ? Math.max(0, target - v.stockQuantity - pending) : 0;
+      if (!includeAll && !suggestedQty) continue;
+      rows.push({
+        productId: p.id, variantId: v.id, label: stockLabel(p, v),
+        catId: p.catId ?? null, categoryName: catNames[p.catId] || 'Uncategorised',
+        supplierId: supplier?.id ?? null, supplierName: supplier?.name || null,
+        stockQuantity: v.stockQuantity, lowStockThreshold: v.lowStockThreshold, isLowStock: v.isLowStock, onOrder: pending,
+        soldQty, avgDaily: parseFloat(avgDaily.toFixed(2)),
+        daysOfCover: avgDaily > 0 ? parseFloat((v.stockQuantity / avgDaily).toFixed(1)) : null,
+        leadTimeDays, safetyStock, reorderPoint, suggestedQty,
+        costPrice: v.costPrice ?? null, value: parseFloat((suggestedQty * (v.costPrice || 0)).toFixed(2)),
+        reason: velocityDue ? 'velocity' : belowThreshold ? 'threshold' : null
+      });
+    }
+  }
+  // Soonest to run out first; items that aren't selling go last
+  return rows.sort((a, b) => (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity) || a.label.localeCompare(b.label));
+}
+
+function groupReorderRows(rows, groupBy, suppliers) {
+  const groups = new Map();
+  for (const r of rows) {
+    const [k, name] = groupBy === 'category'
+      ? [`cat:${r.catId}`, r.categoryName]
+      : [`sup:${r.supplierId}`, r.supplierName || 'No supplier'];
+    if (!groups.has(k)) {
+      const supplier = groupBy === 'category' ? null : suppliers.find(s => s.id === r.supplierId);
+      groups.set(k, { key: k, name, ...(supplier ? { supplierId: supplier.id, phone: supplier.phone || '' } : {}), items: [] });
+    }
+    groups.get(k).items.push(r);
+  }
+  return [...groups.values()]
+    .map(g => ({ ...g, value: parseFloat(g.items.reduce((s, i) => s + i.value, 0).toFixed(2)) }))
+    .sort((a, b) => (a.key.endsWith(':null') ? 1 : 0) - (b.key.endsWith(':null') ? 1 : 0) || a.name.localeCompare(b.name));
+}
+
+app.get('/api/admin/reorder-settings', adminAuth, async (req, res) => {
+  try { res.json(await getReorderSettings()); }
+  catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.put('/api/admin/reorder-settings', adminAuth, async (req, res) => {
+  try {
+    const reorder = cleanReorderSettings(req.body, await getReorderSettings());
+    await db.collection('settings').updateOne({ _id: 'main' }, { $set: { reorder } });
+    res.json({ ok: true, config: reorder });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// GET /api/admin/reorder-suggestions?groupBy=supplier|category&windowDays=&all=1
+// Query values override the saved settings for this run only.
+app.get('/api/admin/reorder-suggestions', adminAuth, async (req, res) => {
+  try {
+    const cfg = cleanReorderSettings(req.query, await getReorderSettings());
+    const groupBy = req.query.groupBy === 'category' ? 'category' : 'supplier';
+    const [rows, suppliers] = await Promise.all([
+      buildReorderSuggestions(cfg, { includeAll: req.query.all === '1' }),
+      db.collection('suppliers').find({ deleted: { $ne: true } }).toArray(),
+    ]);
+    res.json({ config: cfg, groupBy, generatedAt: new Date().toISOString(), count: rows.filter(r => r.suggestedQty > 0).length, groups: groupReorderRows(rows, groupBy, suppliers) });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// POST /api/admin/reorder-suggestions/draft — { items: [{ productId, variantId, qty, costPrice, supplierId }] }
+// One draft PO per supplier; lines without a supplier come back in `skipped`.
+app.post('/api/admin/reorder-suggestions/draft', adminAuth, async (req, res) => {
+  try {
+    const lines = (Array.isArray(req.body.items) ? req.body.items : []).filter(i => parseInt(i.qty) > 0);
+    if (!lines.length) return res.status(400).json({ error: 'Nothing to order' });
+    const bySupplier = {}, skipped = [];
+    lines.forEach(l => l.supplierId ? (bySupplier[l.supplierId] = bySupplier[l.supplierId] || []).push(l) : skipped.push(l));
+    // Validate every supplier's lines before writing anything
+    const drafts = [];
+    for (const [sid, items] of Object.entries(bySupplier)) {
+      const supplier = await db.collection('suppliers').findOne({ id: parseInt(sid), deleted: { $ne: true } });
+      if (!supplier) return res.status(400).json({ error: `Supplier #${sid} not found` });
+      drafts.push({ supplier, items: await cleanPoItems(items) });
+    }
+    const purchaseOrders = [];
+    for (const { supplier, items } of drafts) {
+      const po = {
+        id: await getNextId('purchaseOrderId'), supplierId: supplier.id, status: 'draft',
+        items, note: '', expectedDate: null, receipts: [], source: 'reorder',
+        createdBy: req.staff.username, createdAt: new Date().toISOString()
+      };
+      await db.collection('purchaseOrders').insertOne(po);
+      purchaseOrders.push({ ...po, supplierName: supplier.name, total: poTotal(items) });
+    }
+    res.json({ ok: true, purchaseOrders, skipped });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// ── BANNERS ───────────────────────────────────────────────────────────────────
+app.get('/api/admin/banners', adminAuth, async (req, res) => {
+  try { res.json(await db.collection('banners').find().toArray()); }
+  catch (e) { res.status(500).json({ error: e.message }); }
+});
+app.post('/api/admin/banners', adminAuth, async (req, res) => {
+  try {
+    const b = { id: await getNextId('bannerId'), imageUrl: req.body.imageUrl || '', title: req.body.title || '', subtitle: req.body.subtitle || '', bgColor: req.body.bgColor || '#1a1a2e', action: req.body.action || null };
+    await db.collection('banners').insertOne(b);
+    res.json(b);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+app.put('/api/admin/banners/:id', adminAuth, async (req, res) => {
+  try {
+    const result = await db.collection('banners').findOneAndUpdate(
+      { id: parseInt(req.params.id) }, { $set: req.body }, { returnDocument: 'after' }
+    );
+    if (!result) return res.status(404).json({ error: 'Not found' });
+    res.json(result);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+app.delete('/api/admin/banners/:id', adminAuth, async (req, res) => {
+  try { await db.collection('banners').deleteOne({ id: parseInt(req.params.id) }); res.json({ ok: true }); }
+  catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ── SETTINGS ──────────────────────────────────────────────────────────────────
+app.get('/api/admin/settings', adminAuth, async (req, res) => {
+  try { res.json(await db.collection('settings').findOne({ _id: 'main' })); }
+  catch (e) { res.status(500).json({ error: e.message }); }
+});
+// Never written through PUT /api/admin/settings: _id is immutable, the passwords
+// live on staff accounts, and the rest have their own routes with their own checks.
+// Matched on the first segment so 'ledgerLock.closedThrough' is dropped as well.
+const SETTINGS_NOT_WRITABLE = ['_id', 'newPassword', 'adminPassword', 'ledgerLock', 'udharReminders', 'reorder', 'deliverySlots', 'shopCalendar'];
+
+app.put('/api/admin/settings', adminAuth, async (req, res) => {
+  try {
+    const { newPassword, shopStatus, ...rest } = req.body;
+    const update = Object.fromEntries(Object.entries(rest).filter(([k]) => !SETTINGS_NOT_WRITABLE.includes(k.split('.')[0])));
+    // Passwords live on staff accounts now — this changes the signed-in user's own and,
+    // like PUT /api/admin/staff/:id, signs out every other session; this one gets a new token
+    let token;
+    if (newPassword) {
+      const user = await db.collection('staffUsers').findOneAndUpdate({ id: req.staff.id }, { $set: { passwordHash: sha256(newPassword) }, $inc: { tokenVersion: 1 } }, { returnDocument: 'after' });
+      token = signStaffToken(user);
+    }
+    // Handle shopStatus as a merged sub-object or dot-notation key
+    if (shopStatus) {
+      // Get existing first, then merge
+      const existing = await db.collection('settings').findOne({ _id: 'main' });
+      update.shopStatus = { ...(existing?.shopStatus || {}), ...shopStatus };
+    }
+    // Handle dot-notation keys like 'shopStatus.manualOpen'
+    const dotKeys = Object.keys(update).filter(k => k.includes('.'));
+    const setObj = {};
+    dotKeys.forEach(k => { setObj[k] = update[k]; delete update[k]; });
+    Object.keys(update).forEach(k => { setObj[k] = update[k]; });
+    await db.collection('settings').updateOne({ _id: 'main' }, { $set: setObj });
+    res.json(token ? { ok: true, token } : { ok: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ── CUSTOMERS (Master Registry) ───────────────────────────────────────────────
+// ═══════════════════════════════════════════════════════════════════════════════
+
+app.get('/api/admin/customers', adminAuth, async (req, res) => {
+  try {
     const customers = await db.collection('customers').find({ deleted: { $ne: true } }).sort({ joinedAt: -1 }).toArray();
     const subs = await db.collection('milkSubscriptions').find().toArray();
     const subMap = {};
@@ -1284,8 +3264,8 @@ app.get('/api/admin/customers', adminAuth, async (req, res) => {
     });
 
     // Also include old udhar entries for customers not yet migrated
-    const oldEntries = await db.collection('udharEntries').find().toArray();
-    const oldPayments = await db.collection('udharPayments').find().toArray();
+    const { udharEntries: oldEntries, udharPayments: oldPayments } = legacyOutsideLedger(ledgerEntries,
+      await db.collection('udharEntries').find().toArray(), await db.collection('udharPayments').find().toArray());
     const oldBalMap = {};
     oldEntries.forEach(e => {
       if (!oldBalMap[e.customerId]) oldBalMap[e.customerId] = 0;
@@ -1310,7 +3290,7 @@ app.get('/api/admin/customers/:id', adminAuth, async (req, res) => {
     const c = await db.collection('customers').findOne({ customerId, deleted: { $ne: true } });
     if (!c) return res.status(404).json({ error: 'Customer not found' });
 
-    const [milkSub, orders, ledgerEntries, oldUdharEntries, oldUdharPayments, milkLogs, milkPayments] = await Promise.all([
+    const [milkSub, orders, ledgerEntries, allUdharEntries, allUdharPayments, milkLogs, milkPayments] = await Promise.all([
       db.collection('milkSubscriptions').findOne({ customerId }),
       db.collection('orders').find({ $or: [{ customerId }, { phone: c.phone }] }).sort({ createdAt: -1 }).toArray(),
       db.collection('ledger').find({ customerId }).sort({ createdAt: -1 }).toArray(),
@@ -1321,6 +3301,7 @@ app.get('/api/admin/customers/:id', adminAuth, async (req, res) => {
     ]);
 
     // Compute balance from both new ledger and old udhar (migration compat)
+    const { udharEntries: oldUdharEntries, udharPayments: oldUdharPayments } = legacyOutsideLedger(ledgerEntries, allUdharEntries, allUdharPayments);
     const ledgerBalance = ledgerEntries.reduce((s, e) => {
       if (e.type === 'credit') return s + (e.amount || 0);
       if (e.type === 'payment') return s - (e.amount || 0);
@@ -1333,7 +3314,7 @@ app.get('/api/admin/customers/:id', adminAuth, async (req, res) => {
       customer: { ...c, pin: undefined },
       milkSubscription: milkSub || null,
       milkLogs, milkPayments, orders,
-      ledgerEntries,
+      ledgerEntries: withReversalLinks(ledgerEntries),
       udharEntries: oldUdharEntries,
       udharPayments: oldUdharPayments,
       balance: ledgerBalance + oldUdharBalance,
@@ -1397,14 +3378,15 @@ app.delete('/api/admin/customers/:id', adminAuth, async (req, res) => {
   try {
     const customerId = parseInt(req.params.id);
     const hard = req.query.hard === 'true';
+    if (hard && !staffCan(req, 'customers:hard-delete')) {
+      return res.status(403).json({ error: `Not allowed for the ${req.staff.role} role` });
+    }
     if (hard) {
-      // Hard delete: remove everything
+      // Hard delete: remove everything except the khata — ledger and old udhar
+      // rows are never deleted, and may sit in months that are already closed
       await Promise.all([
         db.collection('customers').deleteOne({ customerId }),
         db.collection('milkSubscriptions').deleteOne({ customerId }),
-        db.collection('ledger').deleteMany({ customerId }),
-        db.collection('udharEntries').deleteMany({ customerId }),
-        db.collection('udharPayments').deleteMany({ customerId }),
         db.collection('milkLogs').deleteMany({ customerId }),
         db.collection('milkPayments').deleteMany({ customerId }),
       ]);
@@ -1423,15 +3405,77 @@ app.delete('/api/admin/customers/:id', adminAuth, async (req, res) => {
 // ═══════════════════════════════════════════════════════════════════════════════
 // ── UNIFIED LEDGER ─────────────────────────────────────────────────────────────
 // Each entry: customerId, type ('credit'|'payment'), amount, note, createdAt
+// Entries are never edited or deleted once written. A mistake is corrected by a
+// reversal (same type, negated amount, reverses: <id>) and, when the amount was
+// wrong rather than the whole entry, an adjustment carrying the right figure
+// (adjusts: <id>). Balances are plain sums, so every total stays correct.
 // ═══════════════════════════════════════════════════════════════════════════════
 
+// Month-close lock: settings.ledgerLock = { closedThrough: 'YYYY-MM', closedAt, closedBy }.
+// No entry may be dated in or before a closed month.
+function istToday() {
+  return new Date(Date.now() + 5.5 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+async function getLedgerLock() {
+  const settings = await db.collection('settings').findOne({ _id: 'main' });
+  return settings?.ledgerLock || null;
+}
+
+const LEDGER_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+async function assertLedgerDateOpen(date) {
+  const lock = await getLedgerLock();
+  if (lock?.closedThrough && String(date).slice(0, 7) <= lock.closedThrough) {
+    const err = new Error(`The books are closed through ${lock.closedThrough} — date the entry in an open month`);
+    err.status = 400;
+    throw err;
+  }
+}
+
+// Mark each original with the id of the entry that reversed it
+function withReversalLinks(entries) {
+  const reversedBy = {};
+  entries.forEach(e => { if (e.reverses) reversedBy[e.reverses] = e.id; });
+  return entries.map(e => reversedBy[e.id] ? { ...e, reversedBy: reversedBy[e.id] } : e);
+}
+
+// Write the reversal for an entry; throws (status 400/404) when it can't be reversed
+async function reverseLedgerEntry(id, reason, staff) {
+  const original = await db.collection('ledger').findOne({ id });
+  if (!original) { const err = new Error('Ledger entry not found'); err.status = 404; throw err; }
+  if (original.reverses) { const err = new Error('A reversal can\'t itself be reversed — add a new entry instead'); err.status = 400; throw err; }
+  await assertLedgerDateOpen(istToday());
+  const reversal = {
+    id: await getNextId('ledgerId'),
+    customerId: original.customerId,
+    type: original.type,
+    amount: -original.amount,
+    note: `Reversal of #${original.id}${original.note ? ` (${original.note})` : ''}`,
+    reason,
+    date: istToday(),
+    source: 'reversal',
+    reverses: original.id,
+    ...(original.orderId ? { orderId: original.orderId } : {}),
+    by: staff?.username || null,
+    createdAt: new Date().toISOString()
+  };
+  try {
+    await db.collection('ledger').insertOne(reversal);
+  } catch (e) {
+    if (e.code !== 11000) throw e;
+    const err = new Error('This entry has already been reversed'); err.status = 400; throw err;
+  }
+  return { original, reversal };
+}
+
 // Get ledger entries for a customer
 app.get('/api/admin/ledger', adminAuth, async (req, res) => {
   try {
     const customerId = parseInt(req.query.customerId);
     if (!customerId) return res.status(400).json({ error: 'customerId required' });
     const entries = await db.collection('ledger').find({ customerId }).sort({ createdAt: -1 }).toArray();
-    res.json(entries);
+    res.json(withReversalLinks(entries));
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
@@ -1441,36 +3485,114 @@ app.post('/api/admin/ledger', adminAuth, async (req, res) => {
     const { customerId, type, amount, note, date } = req.body;
     if (!customerId || !type || !amount) return res.status(400).json({ error: 'customerId, type, amount required' });
     if (!['credit', 'payment'].includes(type)) return res.status(400).json({ error: 'type must be credit or payment' });
+    if (!(parseFloat(amount) > 0)) return res.status(400).json({ error: 'amount must be positive' });
+    const entryDate = date || istToday();
+    if (!LEDGER_DATE_RE.test(entryDate)) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    await assertLedgerDateOpen(entryDate);
     const entry = {
       id: await getNextId('ledgerId'),
       customerId: parseInt(customerId),
       type, // 'credit' or 'payment'
       amount: parseFloat(amount),
       note: note || '',
-      date: date || new Date().toISOString().slice(0, 10),
+      date: entryDate,
+      by: req.staff.username,
+      createdAt: new Date().toISOString()
+    };
+    await db.collection('ledger').insertOne(entry);
+    res.json({ ok: true, entry });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// Entries are immutable — these only point old clients at the reversal routes
+app.put('/api/admin/ledger/:id', adminAuth, (req, res) => {
+  res.status(405).json({ error: 'Ledger entries can\'t be edited — adjust the entry instead' });
+});
+
+app.delete('/api/admin/ledger/:id', adminAuth, (req, res) => {
+  res.status(405).json({ error: 'Ledger entries can\'t be deleted — reverse the entry instead' });
+});
+
+// Cancel an entry out with a linked reversal
+app.post('/api/admin/ledger/:id/reverse', adminAuth, async (req, res) => {
+  try {
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'reason required' });
+    const { reversal } = await reverseLedgerEntry(parseInt(req.params.id), reason, req.staff);
+    res.json({ ok: true, reversal });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// Correct an entry: reverse it, then record the right amount/note/date as an adjustment
+app.post('/api/admin/ledger/:id/adjust', adminAuth, async (req, res) => {
+  try {
+    const reason = String(req.body.reason || '').trim();
+    const amount = parseFloat(req.body.amount);
+    if (!reason) return res.status(400).json({ error: 'reason required' });
+    if (!(amount > 0)) return res.status(400).json({ error: 'amount must be positive' });
+    const id = parseInt(req.params.id);
+    const existing = await db.collection('ledger').findOne({ id });
+    if (!existing) return res.status(404).json({ error: 'Ledger entry not found' });
+    const date = req.body.date || existing.date;
+    await assertLedgerDateOpen(date);
+    const { original, reversal } = await reverseLedgerEntry(id, reason, req.staff);
+    const adjustment = {
+      id: await getNextId('ledgerId'),
+      customerId: original.customerId,
+      type: original.type,
+      amount,
+      note: req.body.note != null ? String(req.body.note) : (original.note || ''),
+      reason,
+      date,
+      source: 'adjustment',
+      adjusts: original.id,
+      ...(original.items ? { items: original.items } : {}),
+      ...(original.orderId ? { orderId: original.orderId } : {}),
+      by: req.staff.username,
       createdAt: new Date().toISOString()
     };
-    await db.collection('ledger').insertOne(entry);
-    res.json({ ok: true, entry });
+    await db.collection('ledger').insertOne(adjustment);
+    res.json({ ok: true, reversal, adjustment });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// ── MONTH CLOSE ──────────────────────────────────────────────────────────────
+app.get('/api/admin/ledger/lock', adminAuth, async (req, res) => {
+  try {
+    res.json({ lock: await getLedgerLock(), currentMonth: istToday().slice(0, 7) });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-app.put('/api/admin/ledger/:id', adminAuth, async (req, res) => {
+// Close the books through a month (only past months; closing only moves forward)
+app.post('/api/admin/ledger/close-month', adminAuth, async (req, res) => {
   try {
-    const { amount, note, date } = req.body;
-    const update = {};
-    if (amount != null) update.amount = parseFloat(amount);
-    if (note != null) update.note = note;
-    if (date) update.date = date;
-    await db.collection('ledger').updateOne({ id: parseInt(req.params.id) }, { $set: update });
-    res.json({ ok: true });
+    const month = String(req.body.month || '');
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) return res.status(400).json({ error: 'month must be YYYY-MM' });
+    if (month >= istToday().slice(0, 7)) return res.status(400).json({ error: 'Only past months can be closed' });
+    const lock = await getLedgerLock();
+    if (lock?.closedThrough && month <= lock.closedThrough) {
+      return res.status(400).json({ error: `Already closed through ${lock.closedThrough}` });
+    }
+    const ledgerLock = { closedThrough: month, closedAt: new Date().toISOString(), closedBy: req.staff.username };
+    await db.collection('settings').updateOne({ _id: 'main' }, { $set: { ledgerLock } });
+    res.json({ ok: true, lock: ledgerLock });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-app.delete('/api/admin/ledger/:id', adminAuth, async (req, res) => {
+// Reopen back to (and including) a month — owner only by default
+app.post('/api/admin/ledger/reopen-month', adminAuth, async (req, res) => {
   try {
-    await db.collection('ledger').deleteOne({ id: parseInt(req.params.id) });
-    res.json({ ok: true });
+    const month = String(req.body.month || '');
+    const lock = await getLedgerLock();
+    if (!lock?.closedThrough) return res.status(400).json({ error: 'No months are closed' });
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month) || month > lock.closedThrough) {
+      return res.status(400).json({ error: `month must be YYYY-MM, no later than ${lock.closedThrough}` });
+    }
+    const [y, m] = month.split('-').map(Number);
+    const prev = m === 1 ? `${y - 1}-12` : `${y}-${String(m - 1).padStart(2, '0')}`;
+    const ledgerLock = { closedThrough: prev, closedAt: lock.closedAt, closedBy: lock.closedBy, reopenedAt: new Date().toISOString(), reopenedBy: req.staff.username };
+    await db.collection('settings').updateOne({ _id: 'main' }, { $set: { ledgerLock } });
+    res.json({ ok: true, lock: ledgerLock });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
@@ -1478,11 +3600,12 @@ app.delete('/api/admin/ledger/:id', adminAuth, async (req, res) => {
 app.get('/api/admin/udhar-summary', adminAuth, async (req, res) => {
   try {
     const customers = await db.collection('customers').find({ deleted: { $ne: true } }).toArray();
-    const [ledgerAll, oldEntries, oldPayments] = await Promise.all([
+    const [ledgerAll, allEntries, allPayments] = await Promise.all([
       db.collection('ledger').find().toArray(),
       db.collection('udharEntries').find().toArray(),
       db.collection('udharPayments').find().toArray(),
     ]);
+    const { udharEntries: oldEntries, udharPayments: oldPayments } = legacyOutsideLedger(ledgerAll, allEntries, allPayments);
 
     const summary = customers.map(c => {
       const cid = c.customerId;
@@ -1506,6 +3629,8 @@ app.get('/api/admin/udhar-summary', adminAuth, async (req, res) => {
 });
 
 // ── LEGACY UDHAR ENDPOINTS (kept for backward compat) ────────────────────────
+// Old udharEntries / udharPayments can be read but no longer edited or deleted,
+// like the ledger. Adding udhar or a payment here writes to the ledger only.
 app.get('/api/admin/udhar', adminAuth, async (req, res) => {
   try {
     const cid = req.query.customerId ? parseInt(req.query.customerId) : null;
@@ -1514,42 +3639,27 @@ app.get('/api/admin/udhar', adminAuth, async (req, res) => {
 });
 app.post('/api/admin/udhar', adminAuth, async (req, res) => {
   try {
-    const { customerId, items, amount, date, note, type } = req.body;
+    const { customerId, items, amount, note } = req.body;
     if (!customerId || !amount) return res.status(400).json({ error: 'customerId and amount required' });
-    // Save to new ledger AND old udharEntries for compatibility
-    const ledgerEntry = {
+    if (!(parseFloat(amount) > 0)) return res.status(400).json({ error: 'amount must be positive' });
+    const date = req.body.date || istToday();
+    if (!LEDGER_DATE_RE.test(date)) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    await assertLedgerDateOpen(date);
+    const entry = {
       id: await getNextId('ledgerId'),
       customerId: parseInt(customerId),
       type: 'credit',
       amount: parseFloat(amount),
       note: note || (items && items.length ? items.map(i=>i.name).join(', ') : ''),
-      date: date || new Date().toISOString().slice(0, 10),
+      date,
       source: 'manual',
       items: items || [],
+      by: req.staff.username,
       createdAt: new Date().toISOString()
     };
-    await db.collection('ledger').insertOne(ledgerEntry);
-    // Also keep legacy for migration period
-    const entry = {
-      id: await getNextId('udharId'), customerId: parseInt(customerId),
-      items: items || [], amount: parseFloat(amount),
-      date: date || new Date().toISOString().slice(0, 10),
-      note: note || '', type: type || 'purchase', createdAt: new Date().toISOString()
-    };
-    await db.collection('udharEntries').insertOne(entry);
+    await db.collection('ledger').insertOne(entry);
     res.json({ ok: true, entry });
-  } catch (e) { res.status(500).json({ error: e.message }); }
-});
-app.put('/api/admin/udhar/:id', adminAuth, async (req, res) => {
-  try {
-    const { customerId, ...rest } = req.body;
-    await db.collection('udharEntries').updateOne({ id: parseInt(req.params.id) }, { $set: rest });
-    res.json({ ok: true });
-  } catch (e) { res.status(500).json({ error: e.message }); }
-});
-app.delete('/api/admin/udhar/:id', adminAuth, async (req, res) => {
-  try { await db.collection('udharEntries').deleteOne({ id: parseInt(req.params.id) }); res.json({ ok: true }); }
-  catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
 });
 app.get('/api/admin/udhar-payments', adminAuth, async (req, res) => {
   try {
@@ -1561,31 +3671,79 @@ app.post('/api/admin/udhar-payments', adminAuth, async (req, res) => {
   try {
     const { customerId, amount, method, note } = req.body;
     if (!customerId || !amount) return res.status(400).json({ error: 'customerId and amount required' });
-    // Save to new ledger
-    const ledgerEntry = {
+    if (!(parseFloat(amount) > 0)) return res.status(400).json({ error: 'amount must be positive' });
+    const date = req.body.date || istToday();
+    if (!LEDGER_DATE_RE.test(date)) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    await assertLedgerDateOpen(date);
+    const pay = {
       id: await getNextId('ledgerId'),
       customerId: parseInt(customerId),
       type: 'payment',
       amount: parseFloat(amount),
       note: note || method || 'Cash',
-      date: new Date().toISOString().slice(0, 10),
+      date,
       source: 'payment',
+      by: req.staff.username,
       createdAt: new Date().toISOString()
     };
-    await db.collection('ledger').insertOne(ledgerEntry);
-    // Legacy
-    const pay = {
-      id: await getNextId('udharPayId'), customerId: parseInt(customerId),
-      amount: parseFloat(amount), method: method || 'cash', note: note || '',
-      paidAt: new Date().toISOString(), date: new Date().toISOString().slice(0, 10)
-    };
-    await db.collection('udharPayments').insertOne(pay);
+    await db.collection('ledger').insertOne(pay);
     res.json({ ok: true, pay });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
 });
-app.delete('/api/admin/udhar-payments/:id', adminAuth, async (req, res) => {
-  try { await db.collection('udharPayments').deleteOne({ id: parseInt(req.params.id) }); res.json({ ok: true }); }
-  catch (e) { res.status(500).json({ error: e.message }); }
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ── ADMIN EVENT STREAM (Server-Sent Events) ──────────────────────────────────
+// GET /api/admin/events — pushes order.created, order.updated, stock.low and
+// milk.logged to the admin panel and printer.js as they happen, instead of
+// them polling. Recent events are kept in memory so a client that reconnects
+// with Last-Event-ID gets what it missed; if that ID is older than the buffer
+// (or from before a restart) it gets a `reset` event and should re-fetch.
+// ═══════════════════════════════════════════════════════════════════════════════
+const EVENT_BUFFER_SIZE = 500;
+const adminEventClients = new Set();
+const adminEventBuffer = [];
+let lastAdminEventId = Date.now(); // start from boot time so IDs keep rising across restarts
+
+function emitAdminEvent(type, data) {
+  const evt = { id: ++lastAdminEventId, type, data, ts: new Date().toISOString() };
+  adminEventBuffer.push(evt);
+  if (adminEventBuffer.length > EVENT_BUFFER_SIZE) adminEventBuffer.shift();
+  for (const client of adminEventClients) writeAdminEvent(client, evt);
+}
+
+function writeAdminEvent(res, evt) {
+  res.write(`id: ${evt.id}\nevent: ${evt.type}\ndata: ${JSON.stringify({ ...evt.data, ts: evt.ts })}\n\n`);
+}
+
+// EventSource cannot send headers, so the browser passes its token as ?token=
+function eventStreamAuth(req, res, next) {
+  if (!req.headers.authorization && req.query.token) req.headers.authorization = 'Bearer ' + req.query.token;
+  adminAuth(req, res, next);
+}
+
+app.get('/api/admin/events', eventStreamAuth, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // stop proxies (Render/nginx) from buffering the stream
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const lastId = parseInt(req.headers['last-event-id'] || req.query.lastEventId);
+  if (lastId) {
+    const oldestId = adminEventBuffer.length ? adminEventBuffer[0].id : lastAdminEventId + 1;
+    if (lastId > lastAdminEventId || lastId < oldestId - 1) {
+      res.write(`id: ${lastAdminEventId}\nevent: reset\ndata: {}\n\n`);
+    } else {
+      adminEventBuffer.filter(e => e.id > lastId).forEach(e => writeAdminEvent(res, e));
+    }
+  }
+
+  adminEventClients.add(res);
+  const ping = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => { clearInterval(ping); adminEventClients.delete(res); });
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -1597,6 +3755,7 @@ app.get('/api/admin/orders', adminAuth, async (req, res) => {
     const filter = {};
     if (req.query.status) filter.status = req.query.status;
     if (req.query.customerId) filter.customerId = parseInt(req.query.customerId);
+    if (req.query.printState) filter['printStatus.state'] = req.query.printState;
     // #12: Date filtering — today, or custom date range
     // ⚠️  Server runs UTC. "Today" must be computed in IST (UTC+5:30) so that
     //     orders placed e.g. at 11pm IST don't fall into "yesterday" on the server.
@@ -1609,7 +3768,8 @@ app.get('/api/admin/orders', adminAuth, async (req, res) => {
       const istEndOfDay  = new Date(Date.UTC(nowIST.getUTCFullYear(), nowIST.getUTCMonth(), nowIST.getUTCDate(), 23, 59, 59, 999));
       const todayStart = new Date(istMidnight.getTime() - IST_OFFSET_MS);
       const todayEnd   = new Date(istEndOfDay.getTime()  - IST_OFFSET_MS);
-      filter.createdAt = { $gte: todayStart.toISOString(), $lte: todayEnd.toISOString() };
+      // ...plus orders booked into one of today's delivery slots earlier
+      filter.$or = [{ createdAt: { $gte: todayStart.toISOString(), $lte: todayEnd.toISOString() } }, { 'deliverySlot.date': istToday() }];
     } else if (req.query.from || req.query.to) {
       // ⚠️  Treat from/to as IST dates (same as "today" filter above) — subtract 5h30m to get UTC
       filter.createdAt = {};
@@ -1620,35 +3780,104 @@ app.get('/api/admin/orders', adminAuth, async (req, res) => {
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+// ── ORDER LIFECYCLE ──────────────────────────────────────────────────────────
+// awaiting_approval → pending → accepted → packed → out_for_delivery → delivered
+// Orders only move forward. Steps may be skipped (a counter order is handed over
+// straight from 'pending'), and anything not yet delivered can be cancelled.
+// A credit hold leaves only through approve-credit / reject-credit. Every move
+// appends { status, at, by, reason? } to order.statusHistory.
+const ORDER_FLOW = ['pending', 'accepted', 'packed', 'out_for_delivery', 'delivered'];
+const ORDER_STATUSES = ['awaiting_approval', ...ORDER_FLOW, 'cancelled'];
+// Names older builds wrote before the flow was fixed
+const LEGACY_ORDER_STATUSES = { new: 'pending', confirmed: 'accepted', processing: 'accepted', preparing: 'accepted' };
+
+function nextOrderStatuses(status) {
+  const i = ORDER_FLOW.indexOf(LEGACY_ORDER_STATUSES[status] || status);
+  if (i === -1 || ORDER_FLOW[i] === 'delivered') return [];
+  return [...ORDER_FLOW.slice(i + 1), 'cancelled'];
+}
+const orderStatusEntry = (status, by, reason) =>
+  ({ status, at: new Date().toISOString(), by, ...(reason ? { reason } : {}) });
+
+const ORDER_STATUS_PUSH = {
+  accepted:         { emoji: '✅', text: 'Your order has been confirmed!' },
+  packed:           { emoji: '📦', text: 'Your order is packed and ready.' },
+  out_for_delivery: { emoji: '🚴', text: 'Your order is out for delivery!' },
+  delivered:        { emoji: '🎉', text: 'Your order has been delivered. Enjoy!' },
+  cancelled:        { emoji: '❌', text: 'Your order has been cancelled.' },
+};
+
+// Once an order is claimed as cancelled: put its stock back and free its
+// delivery slot, once
+async function releaseCancelledOrder(order, by) {
+  if (order.stockRestored) return db.collection('orders').findOne({ id: order.id });
+  await restoreOrderStock(order, by);
+  await releaseDeliverySlot(order.deliverySlot);
+  return db.collection('orders').findOneAndUpdate(
+    { id: order.id }, { $set: { stockRestored: true } }, { returnDocument: 'after' }
+  );
+}
+
+// Status is the only thing staff change here — items and totals are not editable
 app.put('/api/admin/orders/:id', adminAuth, async (req, res) => {
   try {
     const orderId = parseInt(req.params.id);
-    const existing = await db.collection('orders').findOne({ id: orderId });
+    const { status: newStatus, reason: rawReason, ...rest } = req.body;
+    const extra = Object.keys(rest);
+    if (extra.length) return res.status(400).json({ error: `Only the status can be changed here (not ${extra.join(', ')}) — use amend to change items` });
+    if (!ORDER_STATUSES.includes(newStatus)) return res.status(400).json({ error: `Unknown status "${newStatus}"` });
+    let existing = await db.collection('orders').findOne({ id: orderId });
     if (!existing) return res.status(404).json({ error: 'Not found' });
+    if (newStatus === existing.status) return res.json(existing);
 
-    // If cancelling an order that was previously pending/processing, restore stock
-    const newStatus = req.body.status;
-    if (newStatus === 'cancelled' && existing.status !== 'cancelled' && !existing.stockRestored) {
-      const regularItems = (existing.items || []).filter(i => !i.isFreeGift);
-      for (const item of regularItems) {
-        const product = await db.collection('products').findOne({ id: item.productId });
-        if (product && typeof product.stockQuantity === 'number') {
-          await db.collection('products').updateOne(
-            { id: item.productId },
-            { $inc: { stockQuantity: item.qty } }
-          );
-        }
-      }
-      req.body.stockRestored = true;
+    // A credit hold is settled only through approve-credit / reject-credit
+    if (existing.status === 'awaiting_approval') {
+      return res.status(400).json({ error: 'This order is waiting for credit approval — approve or reject it first' });
+    }
+    if (!nextOrderStatuses(existing.status).includes(newStatus)) {
+      return res.status(400).json({ error: `Order #${orderId} is ${existing.status.replace(/_/g, ' ')} — it can't move to ${newStatus.replace(/_/g, ' ')}` });
+    }
+    const reason = newStatus === 'cancelled' ? String(rawReason || '').trim() : '';
+
+    // Short and substituted lines become the order as it leaves the shop (see PACKING)
+    let packed = null;
+    if (['out_for_delivery', 'delivered'].includes(newStatus) && hasPackingChanges(existing)) {
+      const items = packedOrderItems(existing);
+      if (!items.length) return res.status(400).json({ error: 'Nothing is left to deliver — cancel the order instead' });
+      packed = await reviseOrder(existing, items, {
+        by: req.staff.username, reason: packingChangeSummary(existing).join('; '),
+        note: `Order #${orderId} packed`, source: 'packing',
+        set: { 'packing.appliedAt': new Date().toISOString() }
+      });
+      existing = packed.order;
     }
 
-    const result = await db.collection('orders').findOneAndUpdate(
-      { id: orderId }, { $set: req.body }, { returnDocument: 'after' }
+    const set = { status: newStatus };
+    if (newStatus === 'cancelled') set.cancelReason = reason;
+    // Cancelling a khata order reverses its charges, so a closed month must refuse it before anything moves
+    const charged = newStatus === 'cancelled' && existing.addedToUdhar && existing.customerId;
+    if (charged) await assertLedgerDateOpen(istToday());
+
+    // Claim the transition so two devices can't both move the order
+    let result = await db.collection('orders').findOneAndUpdate(
+      { id: orderId, status: existing.status },
+      { $set: set, $push: { statusHistory: orderStatusEntry(newStatus, req.staff.username, reason) } },
+      { returnDocument: 'after' }
     );
-    if (!result) return res.status(404).json({ error: 'Not found' });
+    if (!result) return res.status(409).json({ error: 'Order was just updated from another device — refresh and try again' });
+
+    let reversals = [];
+    if (newStatus === 'cancelled') {
+      result = await releaseCancelledOrder(existing, req.staff.username);
+      if (charged) reversals = await reverseOrderCharges(existing, reason || 'Order cancelled', req.staff.username);
+    }
+    emitAdminEvent('order.updated', { order: result, previousStatus: existing.status });
+
+    if (packed) result._packing = { difference: packed.difference, ledgerEntry: packed.ledgerEntry };
+    if (reversals.length) result._reversals = reversals;
 
     // #5: WhatsApp notification when order is delivered
-    if (newStatus === 'delivered' && existing.status !== 'delivered') {
+    if (newStatus === 'delivered') {
       try {
         const storeSettings = await db.collection('settings').findOne({ _id: 'main' });
         const wa = storeSettings?.whatsapp;
@@ -1662,22 +3891,15 @@ app.put('/api/admin/orders/:id', adminAuth, async (req, res) => {
     }
 
     // ── PUSH: notify customer of order status change ──────────────────────────
-    if (newStatus && newStatus !== existing.status && existing.customerId) {
+    if (existing.customerId) {
       try {
-        const statusMessages = {
-          confirmed:    { emoji: '✅', text: 'Your order has been confirmed!' },
-          processing:   { emoji: '👨‍🍳', text: 'Your order is being prepared.' },
-          out_for_delivery: { emoji: '🚴', text: 'Your order is out for delivery!' },
-          delivered:    { emoji: '🎉', text: 'Your order has been delivered. Enjoy!' },
-          cancelled:    { emoji: '❌', text: 'Your order has been cancelled.' },
-        };
-        const sm = statusMessages[newStatus];
+        const sm = ORDER_STATUS_PUSH[newStatus];
         if (sm) {
           sendPushToSubscribers(
             { customerId: existing.customerId },
             {
               title: `${sm.emoji} Order #${orderId} ${newStatus.replace(/_/g, ' ')}`,
-              body: sm.text,
+              body: reason ? `${sm.text} ${reason}` : packed?.difference ? `${sm.text} Total now ₹${existing.total}.` : sm.text,
               url: '/',
               tag: 'order-status-' + orderId
             }
@@ -1688,16 +3910,527 @@ app.put('/api/admin/orders/:id', adminAuth, async (req, res) => {
     // ─────────────────────────────────────────────────────────────────────────
 
     res.json(result);
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// ── ORDER AMENDMENTS ─────────────────────────────────────────────────────────
+// POST /api/admin/orders/:id/amend  { items: [{ productId, variantId, qty }], reason }
+// items is the whole new list (free gifts stay as they were): add a line, drop
+// one, change a quantity, or swap a variant by replacing its line. Lines whose
+// quantity didn't change keep the price the customer was quoted; changed and
+// new lines are priced with today's tiers, as on POST /api/orders. Stock moves
+// by the difference, a khata order gets a ledger line for the change in total
+// (source 'order_amendment', negative when the order got cheaper), and every
+// version is kept in order.revisions — rev 0 is the order as placed.
+const AMENDABLE_ORDER_STATUSES = ['pending', 'accepted', 'packed'];
+
+async function priceAmendedItems(order, rawItems) {
+  const fail = msg => Object.assign(new Error(msg), { status: 400 });
+  if (!Array.isArray(rawItems)) throw fail('items required');
+  const current = {};
+  for (const i of (order.items || []).filter(i => !i.isFreeGift)) current[orderLineKey(i)] = i;
+  const merged = {};
+  for (const raw of rawItems) {
+    const qty = parseInt(raw.qty);
+    if (!(qty >= 0)) throw fail('Quantities must be whole numbers');
+    if (!qty) continue;
+    const key = orderLineKey({ productId: parseInt(raw.productId), variantId: raw.variantId });
+    merged[key] = { productId: parseInt(raw.productId), variantId: raw.variantId, qty: (merged[key]?.qty || 0) + qty };
+  }
+  if (!Object.keys(merged).length) throw fail('An order needs at least one item — cancel it instead');
+
+  const items = [];
+  for (const line of Object.values(merged)) {
+    const old = current[orderLineKey(line)];
+    if (old && old.qty === line.qty) { items.push(old); continue; }
+    const product = await db.collection('products').findOne({ id: line.productId });
+    if (!product) throw fail(`Product ${line.productId} not found`);
+    const migrated = migrateProduct(product);
+    const variant = migrated.variants.find(v => v.id === line.variantId);
+    if (!variant) throw fail(`"${product.name}" has no variant ${line.variantId}`);
+    if (!old && product.disabled) throw fail(`"${product.name}" is not available.`);
+    items.push({
+      ...(old || {}),
+      productId: product.id, variantId: variant.id, name: product.name,
+      variant: migrated.variants.length > 1 ? variant.label : (old?.variant || ''),
+      qty: line.qty, price: tierPrice(variant.priceTiers, line.qty), mrp: variant.mrp || null
+    });
+  }
+  return items;
+}
+
+const itemsValue = items => (items || []).filter(i => !i.isFreeGift).reduce((s, i) => s + i.price * i.qty, 0);
+
+// Replace an order's regular items (free gifts are kept): moves stock, re-totals,
+// appends a revision and, for a khata order, posts the difference to the ledger.
+// `set` rides along on the same update (e.g. a status change). Throws 409 if the
+// order changed underneath. Returns { order, difference, ledgerEntry }.
+async function reviseOrder(order, regular, { by, reason = '', note, source = 'order_amendment', set = {}, push = {}, statuses = AMENDABLE_ORDER_STATUSES }) {
+  const items = [...regular, ...(order.items || []).filter(i => i.isFreeGift)];
+  // Whatever the total carries beyond the items (a paid free gift) carries over
+  const extras = order.total - itemsValue(order.items);
+  const total = parseFloat((itemsValue(items) + extras).toFixed(2));
+  const difference = parseFloat((total - order.total).toFixed(2));
+  const charged = order.addedToUdhar && order.customerId;
+  if (charged && difference) await assertLedgerDateOpen(istToday());
+
+  const batchAllocations = await reconcileOrderStock(order, items, by, note);
+  const rev = (order.revision || 0) + 1;
+  const now = new Date().toISOString();
+  const ledgerId = charged && difference ? await getNextId('ledgerId') : null;
+  const revisions = order.revisions?.length ? [] : [{ rev: 0, items: order.items, total: order.total, at: order.createdAt, by: 'customer' }];
+  revisions.push({ rev, items, total, difference, reason, source, at: now, by, ...(ledgerId ? { ledgerEntryId: ledgerId } : {}) });
+
+  // The revision number pins the version we priced against — a second editor loses
+  const updated = await db.collection('orders').findOneAndUpdate(
+    { id: order.id, revision: order.revision ?? null, status: { $in: statuses } },
+    { $set: { items, total, batchAllocations, revision: rev, amendedAt: now, ...set }, $push: { revisions: { $each: revisions }, ...push } },
+    { returnDocument: 'after' }
+  );
+  if (!updated) {
+    await reconcileOrderStock({ ...order, items, batchAllocations }, order.items, by, `${note} — undone`);
+    throw Object.assign(new Error('Order was changed from another device — refresh and try again'), { status: 409 });
+  }
+
+  let ledgerEntry = null;
+  if (ledgerId) {
+    ledgerEntry = {
+      id: ledgerId, customerId: order.customerId, type: 'credit', amount: difference,
+      note: `App Order #${order.id} ${source === 'packing' ? 'packed short / substituted' : 'amended'} (rev ${rev})`, reason,
+      date: istToday(), source, orderId: order.id,
+      items: regular.map(i => ({ name: i.name + (i.variant ? ` (${i.variant})` : ''), qty: i.qty, price: i.price })),
+      by, createdAt: now
+    };
+    await db.collection('ledger').insertOne(ledgerEntry);
+  }
+  return { order: updated, difference, ledgerEntry };
+}
+
+// Packing marks only survive on lines an edit didn't touch
+function keptPackingLines(order, regular) {
+  if (!order.packing) return {};
+  const after = orderQtyByLine(regular), before = orderQtyByLine(order.items);
+  return { 'packing.lines': order.packing.lines.filter(l => after[l.key] === before[l.key]) };
+}
+
+app.post('/api/admin/orders/:id/amend', adminAuth, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const reason = String(req.body.reason || '').trim();
+    const order = await db.collection('orders').findOne({ id: orderId });
+    if (!order) return res.status(404).json({ error: 'Not found' });
+    if (!AMENDABLE_ORDER_STATUSES.includes(order.status)) {
+      return res.status(400).json({ error: `Order #${orderId} is ${order.status.replace(/_/g, ' ')} — only ${AMENDABLE_ORDER_STATUSES.join(', ')} orders can be edited` });
+    }
+    await applyDuePriceSchedules();
+    const regular = await priceAmendedItems(order, req.body.items);
+    if (JSON.stringify(orderQtyByLine(regular)) === JSON.stringify(orderQtyByLine(order.items))) {
+      return res.status(400).json({ error: 'Nothing changed' });
+    }
+    const result = await reviseOrder(order, regular, { by: req.staff.username, reason, note: `Order #${orderId} amended`, set: keptPackingLines(order, regular) });
+    emitAdminEvent('order.updated', { order: result.order, previousStatus: order.status });
+    if (order.customerId) {
+      sendPushToSubscribers({ customerId: order.customerId }, {
+        title: `✏️ Order #${orderId} updated`,
+        body: `Your order was changed${reason ? ` — ${reason}` : ''}. New total ₹${result.order.total}.`,
+        url: '/', tag: 'order-status-' + orderId
+      }).catch(() => {});
+    }
+    res.json({ ok: true, ...result });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// ── PACKING: short items and substitutions ───────────────────────────────────
+// While an order is being packed each line can be marked in order.packing.lines:
+//   { key, productId, variantId, state: 'packed' | 'short' | 'substituted',
+//     packedQty and its price (short), substitute: { productId, variantId, name, variant, qty, price, mrp }, by, at }
+// Nothing about the order changes yet. The customer can be told (push, or a
+// WhatsApp link) and asked to approve — packing.approval 'pending' → 'approved' |
+// 'rejected'; rejecting keeps the short lines but drops the substitutes. When the
+// order goes out for delivery (or straight to delivered) the marks become a
+// revision through reviseOrder, which moves stock and adjusts the khata.
+const PACKING_STATES = ['packed', 'short', 'substituted'];
+const orderLineLabel = i => i.name + (i.variant ? ` (${i.variant})` : '');
+
+const hasPackingChanges = order =>
+  !!order.packing && !order.packing.appliedAt && order.packing.lines.some(l => l.state !== 'packed');
+
+// The regular items the order will carry once its packing marks are applied
+function packedOrderItems(order) {
+  const lines = Object.fromEntries((order.packing?.lines || []).map(l => [l.key, l]));
+  const items = [];
+  for (const i of (order.items || []).filter(i => !i.isFreeGift)) {
+    const l = lines[orderLineKey(i)];
+    if (!l || l.state === 'packed') items.push(i);
+    else if (l.state === 'short' && l.packedQty > 0) items.push({ ...i, qty: l.packedQty, price: l.price ?? i.price, orderedQty: i.qty });
+    else if (l.state === 'substituted' && order.packing.approval !== 'rejected') {
+      items.push({ ...l.substitute, substitutedFor: { productId: i.productId, variantId: i.variantId, name: orderLineLabel(i), qty: i.qty } });
+    }
+  }
+  return items;
+}
+
+// One line per change, for the customer and the revision reason
+function packingChangeSummary(order) {
+  const lines = Object.fromEntries((order.packing?.lines || []).map(l => [l.key, l]));
+  return (order.items || []).filter(i => !i.isFreeGift).map(i => {
+    const l = lines[orderLineKey(i)];
+    if (l?.state === 'short') return l.packedQty > 0 ? `${orderLineLabel(i)}: only ${l.packedQty} of ${i.qty}` : `${orderLineLabel(i)}: not available`;
+    if (l?.state === 'substituted') return `${orderLineLabel(i)} → ${orderLineLabel(l.substitute)} × ${l.substitute.qty}`;
+    return null;
+  }).filter(Boolean);
+}
+
+// POST /api/admin/orders/:id/packing  { productId, variantId, state, qty, substitute: { productId, variantId, qty } }
+// state null clears the mark
+app.post('/api/admin/orders/:id/packing', adminAuth, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const order = await db.collection('orders').findOne({ id: orderId });
+    if (!order) return res.status(404).json({ error: 'Not found' });
+    if (!AMENDABLE_ORDER_STATUSES.includes(order.status)) return res.status(400).json({ error: `Order #${orderId} is ${order.status.replace(/_/g, ' ')} — packing is already done` });
+    const key = orderLineKey({ productId: parseInt(req.body.productId), variantId: req.body.variantId });
+    const item = (order.items || []).find(i => !i.isFreeGift && orderLineKey(i) === key);
+    if (!item) return res.status(404).json({ error: 'That item is not on the order' });
+    const state = req.body.state || null;
+    if (state && !PACKING_STATES.includes(state)) return res.status(400).json({ error: `state must be one of ${PACKING_STATES.join(', ')}` });
+
+    const line = { key, productId: item.productId, variantId: item.variantId, state, by: req.staff.username, at: new Date().toISOString() };
+    if (state === 'short') {
+      line.packedQty = parseInt(req.body.qty);
+      if (!(line.packedQty >= 0 && line.packedQty < item.qty)) return res.status(400).json({ error: `Packed quantity must be between 0 and ${item.qty - 1}` });
+      // Priced like an amendment to the smaller quantity: today's tier for packedQty
+      if (line.packedQty > 0) {
+        await applyDuePriceSchedules();
+        const product = await db.collection('products').findOne({ id: item.productId });
+        const variant = product && migrateProduct(product).variants.find(v => v.id === item.variantId);
+        line.price = variant ? tierPrice(variant.priceTiers, line.packedQty) : item.price;
+      }
+    } else if (state === 'substituted') {
+      const sub = req.body.substitute || {};
+      const product = await db.collection('products').findOne({ id: parseInt(sub.productId) });
+      if (!product) return res.status(404).json({ error: 'Substitute product not found' });
+      const migrated = migrateProduct(product);
+      const variant = migrated.variants.find(v => v.id === sub.variantId) || migrated.variants[0];
+      if (orderLineKey({ productId: product.id, variantId: variant.id }) === key) return res.status(400).json({ error: 'Pick a different item to substitute' });
+      if ((order.items || []).some(i => !i.isFreeGift && orderLineKey(i) === orderLineKey({ productId: product.id, variantId: variant.id }))) {
+        return res.status(400).json({ error: `${stockLabel(migrated, variant)} is already on the order — mark this line short and edit the order instead` });
+      }
+      const qty = parseInt(sub.qty) || item.qty;
+      if (qty < 1) return res.status(400).json({ error: 'Substitute quantity must be at least 1' });
+      if (variant.stockQuantity !== null && variant.stockQuantity < qty) throw stockError(stockLabel(migrated, variant), variant.stockQuantity);
+      await applyDuePriceSchedules();
+      line.substitute = {
+        productId: product.id, variantId: variant.id, name: product.name,
+        variant: migrated.variants.length > 1 ? variant.label : '',
+        qty, price: tierPrice(variant.priceTiers, qty), mrp: variant.mrp || null
+      };
+    }
+
+    const lines = (order.packing?.lines || []).filter(l => l.key !== key);
+    if (state) lines.push(line);
+    const packing = { ...(order.packing || {}), lines };
+    // A change the customer hasn't seen needs asking again
+    if (state !== 'packed' && packing.approval) { packing.approval = null; delete packing.respondedAt; }
+    const updated = await db.collection('orders').findOneAndUpdate(
+      { id: orderId, status: { $in: AMENDABLE_ORDER_STATUSES }, revision: order.revision ?? null },
+      { $set: { packing } }, { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(409).json({ error: 'Order was changed from another device — refresh and try again' });
+    emitAdminEvent('order.updated', { order: updated, previousStatus: order.status });
+    res.json({ ok: true, order: updated, items: packedOrderItems(updated), changes: packingChangeSummary(updated) });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// Tell the customer what changed; askApproval (default) lets them approve or
+// reject the substitutes from the storefront
+app.post('/api/admin/orders/:id/packing/notify', adminAuth, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const order = await db.collection('orders').findOne({ id: orderId });
+    if (!order) return res.status(404).json({ error: 'Not found' });
+    if (!AMENDABLE_ORDER_STATUSES.includes(order.status)) return res.status(400).json({ error: `Order #${orderId} is ${order.status.replace(/_/g, ' ')} — packing is already done` });
+    const changes = packingChangeSummary(order);
+    if (!changes.length) return res.status(400).json({ error: 'Nothing is short or substituted' });
+    const askApproval = req.body.askApproval !== false && !!order.customerId;
+    const newTotal = parseFloat((itemsValue(packedOrderItems(order)) + order.total - itemsValue(order.items)).toFixed(2));
+    const updated = await db.collection('orders').findOneAndUpdate(
+      { id: orderId },
+      { $set: { 'packing.approval': askApproval ? 'pending' : null, 'packing.changes': changes, 'packing.newTotal': newTotal, 'packing.notifiedAt': new Date().toISOString(), 'packing.notifiedBy': req.staff.username } },
+      { returnDocument: 'after' }
+    );
+    emitAdminEvent('order.updated', { order: updated, previousStatus: order.status });
+    let pushed = false;
+    if (order.customerId) {
+      pushed = true;
+      sendPushToSubscribers({ customerId: order.customerId }, {
+        title: `🛒 Changes to order #${orderId}`,
+        body: `${changes.join(', ')}. New total ₹${newTotal}.${askApproval ? ' Tap to approve.' : ''}`,
+        url: '/', tag: 'order-packing-' + orderId
+      }).catch(() => {});
+    }
+    const phone = order.phone?.replace(/\D/g, '');
+    const msg = `Hi ${order.customerName}, a few items in your order #${orderId} changed:\n${changes.map(c => '• ' + c).join('\n')}\nNew total: ₹${newTotal}`;
+    res.json({ ok: true, order: updated, pushed, changes, newTotal, waUrl: phone ? `https://wa.me/${phone.length === 10 ? '91' + phone : phone}?text=${encodeURIComponent(msg)}` : null });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Customer's answer to packing changes
+app.post('/api/customer/orders/:id/packing', customerAuth, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const c = await db.collection('customers').findOne({ customerId: req.user.cid });
+    if (!c) return res.status(404).json({ error: 'Not found' });
+    const order = await db.collection('orders').findOne({ id: orderId, $or: [{ customerId: c.customerId }, { phone: c.phone }] });
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    const approval = req.body.approve ? 'approved' : 'rejected';
+    const updated = await db.collection('orders').findOneAndUpdate(
+      { id: orderId, 'packing.approval': 'pending', status: { $in: AMENDABLE_ORDER_STATUSES } },
+      { $set: { 'packing.approval': approval, 'packing.respondedAt': new Date().toISOString(), 'packing.responseNote': String(req.body.note || '').trim() } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(400).json({ error: 'These changes no longer need your answer' });
+    emitAdminEvent('order.updated', { order: updated, previousStatus: order.status });
+    sendPushToAdminDevices({
+      title: `${approval === 'approved' ? '👍' : '👎'} Order #${orderId}: changes ${approval}`,
+      body: `${order.customerName} ${approval === 'approved' ? 'is fine with the substitutes' : 'does not want the substitutes — they will be left out'}`,
+      url: '/admin', tag: 'order-packing-' + orderId
+    }, 'POST /api/admin/orders/:id/packing').catch(() => {});
+    res.json({ ok: true, order: updated });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+// ── CUSTOMER SELF-SERVICE: cancel or change a pending order ─────────────────
+// For settings.customerChangeMinutes after placing it (default 10, 0 turns this
+// off) a customer can cancel a still-pending order or change its items from the
+// app. Cancelling restores stock like a staff cancel and reverses whatever the
+// order put on the khata; changing goes through reviseOrder like an amendment.
+// Once the shop accepts the order, or the window passes, it's a phone call.
+const DEFAULT_CUSTOMER_CHANGE_MINUTES = 10;
+
+// When the customer can no longer change the order, or null if they can't at all
+function customerChangeDeadline(order, settings) {
+  const minutes = settings?.customerChangeMinutes ?? DEFAULT_CUSTOMER_CHANGE_MINUTES;
+  if (!(minutes > 0) || order.status !== 'pending') return null;
+  return new Date(new Date(order.createdAt).getTime() + minutes * 60000).toISOString();
+}
+
+async function findChangeableCustomerOrder(req) {
+  const fail = (msg, status = 400) => Object.assign(new Error(msg), { status });
+  const customer = await db.collection('customers').findOne({ customerId: req.user.cid });
+  if (!customer) throw fail('Not found', 404);
+  const order = await db.collection('orders').findOne({ id: parseInt(req.params.id), $or: [{ customerId: customer.customerId }, { phone: customer.phone }] });
+  if (!order) throw fail('Order not found', 404);
+  if (order.status !== 'pending') throw fail(`Order #${order.id} is already ${order.status.replace(/_/g, ' ')} — please call the shop to change it`);
+  const settings = await db.collection('settings').findOne({ _id: 'main' });
+  const until = customerChangeDeadline(order, settings);
+  if (!until || new Date() > new Date(until)) {
+    const minutes = settings?.customerChangeMinutes ?? DEFAULT_CUSTOMER_CHANGE_MINUTES;
+    throw fail(minutes > 0 ? `Orders can only be changed in the app within ${minutes} minutes of placing them — please call the shop` : 'Please call the shop to change your order');
+  }
+  return { customer, order };
+}
+
+// Reverse every khata line an order put on the ledger (placement, amendments, packing)
+async function reverseOrderCharges(order, reason, by) {
+  const entries = await db.collection('ledger').find({ orderId: order.id, customerId: order.customerId }).toArray();
+  const reversed = new Set(entries.filter(e => e.reverses).map(e => e.reverses));
+  const reversals = [];
+  for (const e of entries.filter(e => e.type === 'credit' && e.amount && !e.reverses && !reversed.has(e.id))) {
+    reversals.push((await reverseLedgerEntry(e.id, reason, { username: by })).reversal);
+  }
+  return reversals;
+}
+
+app.post('/api/customer/orders/:id/cancel', customerAuth, async (req, res) => {
+  try {
+    const { order } = await findChangeableCustomerOrder(req);
+    const reason = String(req.body.reason || '').trim() || 'Cancelled by customer';
+    const charged = order.addedToUdhar && order.customerId;
+    if (charged) await assertLedgerDateOpen(istToday());
+    // Pinned to the version we checked — the shop accepting it first wins
+    const claimed = await db.collection('orders').findOneAndUpdate(
+      { id: order.id, status: 'pending', revision: order.revision ?? null },
+      { $set: { status: 'cancelled', cancelReason: reason, cancelledBy: 'customer' }, $push: { statusHistory: orderStatusEntry('cancelled', 'customer', reason) } },
+      { returnDocument: 'after' }
+    );
+    if (!claimed) return res.status(409).json({ error: 'The shop has just picked up this order — please call them to cancel it' });
+    const cancelled = await releaseCancelledOrder(order, 'customer');
+    const reversals = charged ? await reverseOrderCharges(order, reason, 'customer') : [];
+    emitAdminEvent('order.updated', { order: cancelled, previousStatus: order.status });
+    sendPushToAdminDevices({
+      title: `❌ Order #${order.id} cancelled by the customer`,
+      body: `${order.customerName} cancelled their ₹${order.total} order${reason !== 'Cancelled by customer' ? ` — ${reason}` : ''}`,
+      url: '/admin', tag: 'order-status-' + order.id
+    }, 'GET /api/admin/orders').catch(() => {});
+    res.json({ ok: true, order: cancelled, reversals });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// POST /api/customer/orders/:id/amend  { items: [{ productId, variantId, qty }] } — same shape as the staff route
+app.post('/api/customer/orders/:id/amend', customerAuth, async (req, res) => {
+  try {
+    const { customer, order } = await findChangeableCustomerOrder(req);
+    await applyDuePriceSchedules();
+    const regular = await priceAmendedItems(order, req.body.items);
+    if (JSON.stringify(orderQtyByLine(regular)) === JSON.stringify(orderQtyByLine(order.items))) {
+      return res.status(400).json({ error: 'Nothing changed' });
+    }
+    // Adding to a khata order can't get round the credit limit
+    const increase = itemsValue(regular) - itemsValue(order.items);
+    if (order.addedToUdhar && order.customerId && increase > 0) {
+      const credit = await getCustomerCredit(customer);
+      if (credit.creditLimit > 0 && increase > credit.availableCredit) {
+        return res.status(400).json({ error: `This change needs ₹${increase.toFixed(2)} more credit but you have ₹${credit.availableCredit} available — please call the shop`, credit });
+      }
+    }
+    const result = await reviseOrder(order, regular, {
+      by: 'customer', reason: 'Changed by customer', note: `Order #${order.id} changed by customer`,
+      set: keptPackingLines(order, regular), statuses: ['pending']
+    });
+    emitAdminEvent('order.updated', { order: result.order, previousStatus: order.status });
+    sendPushToAdminDevices({
+      title: `✏️ Order #${order.id} changed by the customer`,
+      body: `${order.customerName} changed their order — total now ₹${result.order.total}`,
+      url: '/admin', tag: 'order-status-' + order.id
+    }, 'GET /api/admin/orders').catch(() => {});
+    res.json({ ok: true, order: result.order, difference: result.difference, ledgerEntry: result.ledgerEntry });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// Only cancelled orders can be deleted — cancelling is what gives back the slot,
+// the stock and the khata charge, so a live order has to go through that first
 app.delete('/api/admin/orders/:id', adminAuth, async (req, res) => {
   try {
-    await db.collection('orders').deleteOne({ id: parseInt(req.params.id) });
+    const orderId = parseInt(req.params.id);
+    const order = await db.collection('orders').findOne({ id: orderId });
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    if (order.status !== 'cancelled') return res.status(400).json({ error: 'Cancel the order before deleting it' });
+    await db.collection('orders').deleteOne({ id: orderId, status: 'cancelled' });
     res.json({ ok: true });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+// ── PRINT STATUS (reported by printer.js on the shop PC) ──────────────────────
+// order.printStatus = { state, printers: { <name>: { state, attempts, error, nextRetryAt, updatedAt } },
+//                       updatedAt, printedAt, requestedAt }
+//   requested → admin asked for a (re)print, printer.js hasn't picked it up yet
+//   otherwise → the worst state across the order's printers (failed > printing > queued > printed);
+//               'skipped' means a printer's routing rules left nothing for it
+const PRINT_STATES = ['queued', 'printing', 'printed', 'failed', 'skipped'];
+const PRINT_STATE_RANK = { skipped: 0, printed: 1, queued: 2, printing: 3, failed: 4 };
+
+app.post('/api/admin/orders/:id/print-status', adminAuth, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const { state, attempts, error, nextRetryAt } = req.body;
+    const printer = String(req.body.printer || 'default');
+    if (!PRINT_STATES.includes(state)) return res.status(400).json({ error: 'state must be one of ' + PRINT_STATES.join(', ') });
+    if (!/^[\w-]{1,40}$/.test(printer)) return res.status(400).json({ error: 'Invalid printer name' });
+    const now = new Date().toISOString();
+    const updated = await db.collection('orders').findOneAndUpdate(
+      { id: orderId },
+      { $set: { ['printStatus.printers.' + printer]: {
+        state,
+        attempts: parseInt(attempts) || 0,
+        error: state === 'failed' ? String(error || 'Print failed') : null,
+        nextRetryAt: state === 'failed' ? (nextRetryAt || null) : null,
+        updatedAt: now
+      } } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(404).json({ error: 'Order not found' });
+
+    const states = Object.values(updated.printStatus.printers).map(p => p.state);
+    const overall = states.reduce((worst, s) => PRINT_STATE_RANK[s] > PRINT_STATE_RANK[worst] ? s : worst, 'skipped');
+    const set = { 'printStatus.state': overall, 'printStatus.updatedAt': now };
+    if (overall === 'printed' && updated.printStatus.state !== 'printed') set['printStatus.printedAt'] = now;
+    const order = await db.collection('orders').findOneAndUpdate(
+      { id: orderId }, { $set: set }, { returnDocument: 'after' }
+    );
+    emitAdminEvent('order.print', { orderId, printer, printStatus: order.printStatus });
+    res.json({ ok: true, printStatus: order.printStatus });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Ask the shop PC to print an order again
+app.post('/api/admin/orders/:id/reprint', adminAuth, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const now = new Date().toISOString();
+    const order = await db.collection('orders').findOneAndUpdate(
+      { id: orderId },
+      { $set: { 'printStatus.state': 'requested', 'printStatus.printers': {}, 'printStatus.requestedAt': now, 'printStatus.updatedAt': now } },
+      { returnDocument: 'after' }
+    );
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    emitAdminEvent('print.requested', { order });
+    emitAdminEvent('order.print', { orderId, printStatus: order.printStatus });
+    res.json({ ok: true, printStatus: order.printStatus });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ── CREDIT HOLDS ─────────────────────────────────────────────────────────────
+// Account orders over the customer's credit limit wait in 'awaiting_approval'
+// with nothing charged yet. Approving charges the khata and releases the order
+// to 'pending' (the shop printer picks it up then); rejecting cancels it.
+app.post('/api/admin/orders/:id/approve-credit', adminAuth, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const existing = await db.collection('orders').findOne({ id: orderId });
+    if (!existing) return res.status(404).json({ error: 'Order not found' });
+    if (existing.status !== 'awaiting_approval') return res.status(400).json({ error: 'Order is not waiting for credit approval' });
+    const customer = await db.collection('customers').findOne({ customerId: existing.customerId });
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+    // Claim the hold first so a double click can't charge the khata twice
+    const order = await db.collection('orders').findOneAndUpdate(
+      { id: orderId, status: 'awaiting_approval', addedToUdhar: { $ne: true } },
+      {
+        $set: { status: 'pending', addedToUdhar: true, creditApproval: { approved: true, by: req.staff.username, at: new Date().toISOString() } },
+        $push: { statusHistory: orderStatusEntry('pending', req.staff.username, 'Credit approved') }
+      },
+      { returnDocument: 'after' }
+    );
+    if (!order) return res.status(409).json({ error: 'Order was already handled' });
+    await addOrderToLedger(order, customer);
+    emitAdminEvent('order.updated', { order, previousStatus: 'awaiting_approval' });
+    sendPushToSubscribers({ customerId: customer.customerId }, {
+      title: `✅ Order #${orderId} approved`,
+      body: `₹${order.total} has been added to your khata. We'll deliver soon!`,
+      url: '/', tag: 'order-status-' + orderId
+    }).catch(() => {});
+    res.json({ ok: true, order });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/admin/orders/:id/reject-credit', adminAuth, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const reason = String(req.body.reason || '').trim();
+    const order = await db.collection('orders').findOneAndUpdate(
+      { id: orderId, status: 'awaiting_approval' },
+      {
+        $set: { status: 'cancelled', cancelReason: reason, creditApproval: { approved: false, reason, by: req.staff.username, at: new Date().toISOString() } },
+        $push: { statusHistory: orderStatusEntry('cancelled', req.staff.username, reason || 'Credit not approved') }
+      },
+      { returnDocument: 'after' }
+    );
+    if (!order) return res.status(400).json({ error: 'Order is not waiting for credit approval' });
+    // Same unwinding as any other cancel — a held order has normally not been charged yet
+    const cancelled = await releaseCancelledOrder(order, req.staff.username);
+    const reversals = order.customerId ? await reverseOrderCharges(order, reason || 'Credit not approved', req.staff.username) : [];
+    emitAdminEvent('order.updated', { order: cancelled, previousStatus: 'awaiting_approval' });
+    if (order.customerId) {
+      sendPushToSubscribers({ customerId: order.customerId }, {
+        title: `❌ Order #${orderId} not approved`,
+        body: reason || 'It would go over your credit limit. Please pay by cash or UPI instead.',
+        url: '/', tag: 'order-status-' + orderId
+      }).catch(() => {});
+    }
+    res.json({ ok: true, order: cancelled, reversals });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
 // Convert order → ledger credit entry
 app.post('/api/admin/orders/:id/convert-to-udhar', adminAuth, async (req, res) => {
   try {
@@ -1705,96 +4438,350 @@ app.post('/api/admin/orders/:id/convert-to-udhar', adminAuth, async (req, res) =
     const order = await db.collection('orders').findOne({ id: orderId });
     if (!order) return res.status(404).json({ error: 'Order not found' });
     if (order.addedToUdhar) return res.status(400).json({ error: 'Already added to udhar' });
+    // A credit hold is charged by approve-credit; a cancelled order owes nothing
+    if (order.status === 'awaiting_approval') return res.status(400).json({ error: 'This order is waiting for credit approval — approve it instead' });
+    if (order.status === 'cancelled') return res.status(400).json({ error: 'Cancelled orders cannot be added to udhar' });
     const customer = await db.collection('customers').findOne({
       $or: [{ phone: order.phone }, { customerId: order.customerId }]
     });
     if (!customer) return res.status(404).json({ error: 'No registered customer for this order' });
+    // Claim the order before writing to the ledger so a double click can't charge it twice
+    const claimed = await db.collection('orders').findOneAndUpdate(
+      { id: orderId, addedToUdhar: { $ne: true }, status: { $nin: ['awaiting_approval', 'cancelled'] } },
+      { $set: { addedToUdhar: true, customerId: customer.customerId } },
+      { returnDocument: 'after' }
+    );
+    if (!claimed) return res.status(409).json({ error: 'Order was just changed from another device — refresh and try again' });
     const udharItems = (order.items || []).filter(i => !i.isFreeGift).map(i => ({
       name: i.name + (i.variant ? ` (${i.variant})` : ''), qty: i.qty, price: i.price
     }));
+    // Dated on the order day, unless that month's books are already closed
+    let entryDate = (order.createdAt || new Date().toISOString()).slice(0, 10);
+    const lock = await getLedgerLock();
+    if (lock?.closedThrough && entryDate.slice(0, 7) <= lock.closedThrough) entryDate = istToday();
     // Add to unified ledger
+    try {
+      await db.collection('ledger').insertOne({
+        id: await getNextId('ledgerId'),
+        customerId: customer.customerId,
+        type: 'credit',
+        amount: parseFloat(order.total),
+        note: `App Order #${orderId}`,
+        date: entryDate,
+        source: 'app_order',
+        orderId,
+        items: udharItems,
+        createdAt: new Date().toISOString()
+      });
+    } catch (e) {
+      await db.collection('orders').updateOne({ id: orderId }, { $set: { addedToUdhar: false, customerId: order.customerId ?? null } });
+      throw e;
+    }
+    res.json({ ok: true });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// Mark order as paid (creates payment in ledger)
+app.post('/api/admin/orders/:id/mark-paid', adminAuth, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const order = await db.collection('orders').findOne({ id: orderId });
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    const customer = await db.collection('customers').findOne({
+      $or: [{ phone: order.phone }, { customerId: order.customerId }]
+    });
+    if (!customer) return res.status(404).json({ error: 'No registered customer' });
+    // Add payment to ledger
     await db.collection('ledger').insertOne({
       id: await getNextId('ledgerId'),
       customerId: customer.customerId,
-      type: 'credit',
+      type: 'payment',
       amount: parseFloat(order.total),
-      note: `App Order #${orderId}`,
-      date: (order.createdAt || new Date().toISOString()).slice(0, 10),
-      source: 'app_order',
+      note: `Payment for Order #${orderId}`,
+      date: new Date().toISOString().slice(0, 10),
+      source: 'order_payment',
       orderId,
-      items: udharItems,
       createdAt: new Date().toISOString()
     });
-    // Also keep in legacy for compat
-    await db.collection('udharEntries').insertOne({
-      id: await getNextId('udharId'), customerId: customer.customerId,
-      items: udharItems, amount: parseFloat(order.total),
-      date: (order.createdAt || new Date().toISOString()).slice(0, 10),
-      note: `App Order #${orderId}`, type: 'app_order',
-      orderId, createdAt: new Date().toISOString()
-    });
-    await db.collection('orders').updateOne({ id: orderId }, { $set: { addedToUdhar: true, customerId: customer.customerId } });
+    await db.collection('orders').updateOne({ id: orderId }, { $set: { paid: true, paidAt: new Date().toISOString() } });
     res.json({ ok: true });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-// Mark order as paid (creates payment in ledger)
-app.post('/api/admin/orders/:id/mark-paid', adminAuth, async (req, res) => {
+// ── SHOP CALENDAR ────────────────────────────────────────────────────────────
+// settings.shopCalendar = [{ id, from, to, type, openTime, closeTime, label, message }]
+// Each entry covers the shop dates from..to (IST, inclusive). type 'closed'
+// shuts the shop for those days; type 'hours' swaps the daily openTime/closeTime
+// in settings.shopStatus for its own. Where entries overlap a closure wins.
+// Closing the shop manually still overrides everything, and is the only way
+// the shop stays shut with no next opening time.
+const DEFAULT_CLOSED_MESSAGE = "We're closed right now. Orders open at";
+const SHOP_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const SHOP_CALENDAR_LOOKAHEAD_DAYS = 366;
+const addShopDays = (date, n) => new Date(Date.parse(date + 'T00:00:00Z') + n * 86400000).toISOString().slice(0, 10);
+const shopTimeLabel = iso => new Date(iso).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+function cleanShopCalendar(entries) {
+  const fail = msg => Object.assign(new Error(msg), { status: 400 });
+  if (!Array.isArray(entries)) throw fail('entries must be a list');
+  const ids = new Set();
+  const out = entries.map((raw, i) => {
+    const n = i + 1;
+    const from = String(raw.from || ''), to = String(raw.to || raw.from || '');
+    if (!SHOP_DATE_RE.test(from) || !SHOP_DATE_RE.test(to) || isNaN(Date.parse(from)) || isNaN(Date.parse(to))) throw fail(`Entry ${n}: dates must be YYYY-MM-DD`);
+    if (to < from) throw fail(`Entry ${n}: the last day is before the first`);
+    if (!['closed', 'hours'].includes(raw.type)) throw fail(`Entry ${n}: type must be closed or hours`);
+    const entry = { id: null, from, to, type: raw.type, label: String(raw.label || '').trim().slice(0, 60), message: String(raw.message || '').trim().slice(0, 200) };
+    if (raw.type === 'hours') {
+      entry.openTime = String(raw.openTime || ''); entry.closeTime = String(raw.closeTime || '');
+      if (!SLOT_TIME_RE.test(entry.openTime) || !SLOT_TIME_RE.test(entry.closeTime) || entry.openTime === entry.closeTime) throw fail(`Entry ${n}: opening and closing times must be HH:MM and differ`);
+    }
+    entry.id = /^h\d+$/.test(raw.id) && !ids.has(raw.id) ? raw.id : null;
+    if (entry.id) ids.add(entry.id);
+    return entry;
+  });
+  let next = Math.max(0, ...[...ids].map(id => parseInt(id.slice(1)))) + 1;
+  out.forEach(e => { if (!e.id) e.id = 'h' + next++; });
+  return out.sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+}
+
+// Hours for one shop date: a closure beats special hours, which beat the daily schedule
+function shopHoursOn(settings, date) {
+  const ss = settings?.shopStatus || {};
+  const hits = (settings?.shopCalendar || []).filter(e => e.from <= date && date <= e.to);
+  const entry = hits.find(e => e.type === 'closed') || hits.find(e => e.type === 'hours') || null;
+  if (entry?.type === 'closed') return { closed: true, entry };
+  return { closed: false, openTime: entry?.openTime || ss.openTime || '08:00', closeTime: entry?.closeTime || ss.closeTime || '22:00', entry };
+}
+
+// What customers are told while the shop is shut; an entry without its own message gets a generic one
+function shopClosedMessage(ss, { entry, openTime, closeTime }) {
+  if (entry?.message) return entry.message;
+  const why = entry?.label ? ` for ${entry.label}` : ' today';
+  if (entry?.type === 'closed') return `We're closed${why}.`;
+  if (entry) return `Special hours${why}: ${openTime} – ${closeTime}.`;
+  return ss.closedMessage || DEFAULT_CLOSED_MESSAGE;
+}
+
+// Whether the shop takes orders at `now`, and if not, why and when it next opens
+function shopStatusAt(settings, now = new Date()) {
+  const ss = settings?.shopStatus || {};
+  const manualOpen = ss.manualOpen !== false;
+  const ist = new Date(now.getTime() + 5.5 * 60 * 60 * 1000).toISOString();
+  const today = ist.slice(0, 10), time = ist.slice(11, 16);
+  const hours = shopHoursOn(settings, today);
+  const inWindow = ({ openTime: o, closeTime: c }) => o < c ? time >= o && time < c : time >= o || time < c; // overnight e.g. 20:00 – 02:00
+  const isOpen = manualOpen && !hours.closed && inWindow(hours);
+  let nextOpenAt = null;
+  for (let d = 0; manualOpen && !isOpen && !nextOpenAt && d <= SHOP_CALENDAR_LOOKAHEAD_DAYS; d++) {
+    const date = addShopDays(today, d);
+    const h = shopHoursOn(settings, date);
+    if (h.closed) continue;
+    const at = parseShopTime(`${date}T${h.openTime}`);
+    if (new Date(at) > now) nextOpenAt = at;
+  }
+  return {
+    isOpen, manualOpen, closedToday: hours.closed,
+    openTime: hours.openTime || null, closeTime: hours.closeTime || null,
+    message: shopClosedMessage(ss, hours),
+    calendarEntry: hours.entry ? { type: hours.entry.type, label: hours.entry.label, from: hours.entry.from, to: hours.entry.to } : null,
+    nextOpenAt,
+  };
+}
+
+// The 503 POST /api/orders answers with while the shop is shut
+function shopClosedError(status) {
+  if (!status.manualOpen) return 'Shop is currently closed. Please check back later.';
+  const next = status.nextOpenAt ? ` Orders open again ${shopTimeLabel(status.nextOpenAt)}.` : '';
+  if (status.calendarEntry) return `${status.message}${next}`;
+  return `Shop is closed. Orders are accepted between ${status.openTime} and ${status.closeTime}.${next}`;
+}
+
+app.get('/api/admin/shop-calendar', adminAuth, async (req, res) => {
+  try {
+    const settings = await db.collection('settings').findOne({ _id: 'main' });
+    res.json({ entries: settings?.shopCalendar || [], today: istToday(), status: shopStatusAt(settings) });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.put('/api/admin/shop-calendar', adminAuth, async (req, res) => {
+  try {
+    const shopCalendar = cleanShopCalendar(req.body.entries);
+    await db.collection('settings').updateOne({ _id: 'main' }, { $set: { shopCalendar } });
+    const settings = await db.collection('settings').findOne({ _id: 'main' });
+    res.json({ ok: true, entries: shopCalendar, status: shopStatusAt(settings) });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// ── DELIVERY SLOTS ───────────────────────────────────────────────────────────
+// settings.deliverySlots = { enabled, daysAhead, slots: [{ id, start, end, days, capacity, cutoffMins }] }
+// days are weekdays (0 = Sunday); times are IST. While slots are on, every
+// order picks a slot for today or up to daysAhead days out, bookings for a slot
+// close cutoffMins before it starts, and the shop's opening hours no longer
+// limit when orders can be placed (closing the shop manually still does).
+// Days the shop calendar closes offer no slots.
+// slotBookings keeps one counter per date and slot; a booking is a conditional
+// increment, upserted on first use, so two orders racing for the last place
+// can't both get it — the loser's upsert hits the unique key instead.
+const DEFAULT_DELIVERY_SLOTS = { enabled: false, daysAhead: 2, slots: [] };
+const SLOT_TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+async function getDeliverySlotSettings() {
+  const settings = await db.collection('settings').findOne({ _id: 'main' });
+  return { ...DEFAULT_DELIVERY_SLOTS, ...(settings?.deliverySlots || {}) };
+}
+
+function cleanDeliverySlotSettings(body, base = DEFAULT_DELIVERY_SLOTS) {
+  const fail = msg => Object.assign(new Error(msg), { status: 400 });
+  const out = { ...base };
+  if (body.enabled !== undefined) out.enabled = !!body.enabled;
+  if (body.daysAhead !== undefined) {
+    out.daysAhead = parseInt(body.daysAhead);
+    if (!(out.daysAhead >= 0 && out.daysAhead <= 14)) throw fail('daysAhead must be between 0 and 14');
+  }
+  if (body.slots !== undefined) {
+    if (!Array.isArray(body.slots)) throw fail('slots must be a list');
+    const ids = new Set();
+    out.slots = body.slots.map((raw, i) => {
+      const n = i + 1;
+      const start = String(raw.start || ''), end = String(raw.end || '');
+      if (!SLOT_TIME_RE.test(start) || !SLOT_TIME_RE.test(end) || start >= end) throw fail(`Slot ${n}: start and end must be HH:MM, start first`);
+      const days = [...new Set((Array.isArray(raw.days) ? raw.days : []).map(Number))].filter(d => d >= 0 && d <= 6).sort();
+      if (!days.length) throw fail(`Slot ${n}: pick at least one day`);
+      const capacity = parseInt(raw.capacity);
+      if (!(capacity >= 1)) throw fail(`Slot ${n}: capacity must be at least 1`);
+      const cutoffMins = raw.cutoffMins === undefined || raw.cutoffMins === '' ? 0 : parseInt(raw.cutoffMins);
+      if (!(cutoffMins >= 0 && cutoffMins <= 2880)) throw fail(`Slot ${n}: cutoff must be between 0 and 2880 minutes`);
+      const id = /^s\d+$/.test(raw.id) && !ids.has(raw.id) ? raw.id : null;
+      if (id) ids.add(id);
+      return { id, start, end, days, capacity, cutoffMins };
+    });
+    // Kept ids keep their bookings; new slots get the next free number
+    let next = Math.max(0, ...[...ids].map(id => parseInt(id.slice(1)))) + 1;
+    out.slots.forEach(s => { if (!s.id) s.id = 's' + next++; });
+  }
+  if (out.enabled && !out.slots.length) throw fail('Add at least one slot before turning delivery slots on');
+  return out;
+}
+
+const slotKey = (date, slotId) => `${date}|${slotId}`;
+const deliverySlotLabel = (date, slot) =>
+  `${new Date(date + 'T00:00:00Z').toLocaleDateString('en-IN', { timeZone: 'UTC', weekday: 'short', day: 'numeric', month: 'short' })} · ${slot.start}–${slot.end}`;
+
+// Every slot from today to daysAhead, with how full it is and when it closes
+async function listDeliverySlots(cfg, now = new Date()) {
+  const today = Date.parse(istToday() + 'T00:00:00Z');
+  const dates = Array.from({ length: cfg.daysAhead + 1 }, (_, d) => new Date(today + d * 86400000).toISOString().slice(0, 10));
+  const bookings = await db.collection('slotBookings').find({ date: { $in: dates } }).toArray();
+  const booked = Object.fromEntries(bookings.map(b => [b.key, b.count]));
+  const settings = await db.collection('settings').findOne({ _id: 'main' });
+  const out = [];
+  for (const date of dates) {
+    if (shopHoursOn(settings, date).closed) continue;
+    const weekday = new Date(date + 'T00:00:00Z').getUTCDay();
+    for (const slot of cfg.slots.filter(s => s.days.includes(weekday)).sort((a, b) => a.start.localeCompare(b.start))) {
+      const cutoffAt = new Date(Date.parse(parseShopTime(`${date}T${slot.start}`)) - slot.cutoffMins * 60000).toISOString();
+      const count = booked[slotKey(date, slot.id)] || 0;
+      out.push({
+        date, slotId: slot.id, start: slot.start, end: slot.end, label: deliverySlotLabel(date, slot),
+        cutoffAt, capacity: slot.capacity, booked: count, remaining: Math.max(0, slot.capacity - count),
+        closed: now >= new Date(cutoffAt)
+      });
+    }
+  }
+  return out;
+}
+
+// Take a place in the slot the customer picked; returns what goes on order.deliverySlot
+async function bookDeliverySlot(cfg, pick) {
+  const fail = msg => Object.assign(new Error(msg), { status: 400 });
+  if (!pick?.date || !pick?.slotId) throw fail('Please choose a delivery slot.');
+  const slot = (await listDeliverySlots(cfg)).find(s => s.date === pick.date && s.slotId === pick.slotId);
+  if (!slot) throw fail('That delivery slot is not available — please choose another.');
+  if (slot.closed) throw fail(`Orders for ${slot.label} have closed — please choose another slot.`);
+  const full = fail(`${slot.label} is full — please choose another slot.`);
+  if (!slot.remaining) throw full;
+  try {
+    await db.collection('slotBookings').findOneAndUpdate(
+      { key: slotKey(slot.date, slot.slotId), count: { $lt: slot.capacity } },
+      { $inc: { count: 1 }, $set: { date: slot.date, slotId: slot.slotId } },
+      { upsert: true, returnDocument: 'after' }
+    );
+  } catch (e) {
+    if (e.code === 11000) throw full;
+    throw e;
+  }
+  return { date: slot.date, slotId: slot.slotId, start: slot.start, end: slot.end, label: slot.label };
+}
+
+async function releaseDeliverySlot(deliverySlot) {
+  if (!deliverySlot) return;
+  await db.collection('slotBookings').updateOne(
+    { key: slotKey(deliverySlot.date, deliverySlot.slotId), count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+}
+
+app.get('/api/admin/delivery-slots', adminAuth, async (req, res) => {
+  try {
+    const config = await getDeliverySlotSettings();
+    res.json({ config, upcoming: await listDeliverySlots(config) });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.put('/api/admin/delivery-slots', adminAuth, async (req, res) => {
   try {
-    const orderId = parseInt(req.params.id);
-    const order = await db.collection('orders').findOne({ id: orderId });
-    if (!order) return res.status(404).json({ error: 'Order not found' });
-    const customer = await db.collection('customers').findOne({
-      $or: [{ phone: order.phone }, { customerId: order.customerId }]
-    });
-    if (!customer) return res.status(404).json({ error: 'No registered customer' });
-    // Add payment to ledger
-    await db.collection('ledger').insertOne({
-      id: await getNextId('ledgerId'),
-      customerId: customer.customerId,
-      type: 'payment',
-      amount: parseFloat(order.total),
-      note: `Payment for Order #${orderId}`,
-      date: new Date().toISOString().slice(0, 10),
-      source: 'order_payment',
-      orderId,
-      createdAt: new Date().toISOString()
-    });
-    await db.collection('orders').updateOne({ id: orderId }, { $set: { paid: true, paidAt: new Date().toISOString() } });
-    res.json({ ok: true });
+    const deliverySlots = cleanDeliverySlotSettings(req.body, await getDeliverySlotSettings());
+    await db.collection('settings').updateOne({ _id: 'main' }, { $set: { deliverySlots } });
+    res.json({ ok: true, config: deliverySlots });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// PUBLIC: slots the checkout can offer (full ones included, so they show as full)
+app.get('/api/store/delivery-slots', async (req, res) => {
+  try {
+    const cfg = await getDeliverySlotSettings();
+    if (!cfg.enabled || !cfg.slots.length) return res.json({ enabled: false, slots: [] });
+    const slots = (await listDeliverySlots(cfg)).filter(s => !s.closed)
+      .map(({ date, slotId, start, end, label, remaining }) => ({ date, slotId, start, end, label, remaining }));
+    res.json({ enabled: true, slots });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
 // PUBLIC: Place order
 app.post('/api/orders', async (req, res) => {
   try {
-    const { customerName, phone, block, villa, note, items, freeGift, paymentMethod } = req.body;
+    const { customerName, phone, block, villa, note, items, freeGift, paymentMethod, deliverySlot: slotPick } = req.body;
     if (!customerName || !phone || !items?.length) return res.status(400).json({ error: 'Missing fields' });
     // ── PHONE VALIDATION ─────────────────────────────────────────────────────
     const cleanPhone = phone.replace(/[\s\-\(\)]/g, '');
     if (!/^\d{10}$/.test(cleanPhone)) return res.status(400).json({ error: 'Invalid phone number. Please enter a 10-digit mobile number.' });
     // ── NAME VALIDATION ──────────────────────────────────────────────────────
     if (customerName.trim().length < 2) return res.status(400).json({ error: 'Please enter your full name.' });
+    // ── QUANTITY VALIDATION ──────────────────────────────────────────────────
+    // A negative qty would price below zero and put stock back instead of taking it
+    if (items.some(i => !Number.isInteger(i.qty) || i.qty < 1)) return res.status(400).json({ error: 'Each item needs a quantity of 1 or more.' });
+
+    await applyDuePriceSchedules();
+
+    // ── ACCOUNT (KHATA) ORDERS NEED A LOGGED-IN CUSTOMER ─────────────────────
+    // The khata is charged to the customer in the JWT, never to whoever owns the phone number
+    let accountCustomer = null;
+    if (paymentMethod === 'account') {
+      let cid = null;
+      try { cid = jwt.verify((req.headers.authorization || '').replace('Bearer ', ''), CUSTOMER_SECRET).cid; } catch (_) {}
+      if (cid) accountCustomer = await db.collection('customers').findOne({ customerId: cid, deleted: { $ne: true } });
+      if (!accountCustomer) return res.status(401).json({ error: 'Please log in to your account to pay by khata.' });
+    }
 
     // ── SHOP OPEN/CLOSED CHECK ────────────────────────────────────────────────
     const storeSettings = await db.collection('settings').findOne({ _id: 'main' });
-    const ss = storeSettings?.shopStatus || {};
-    const manualOpen = ss.manualOpen !== false;
-    if (!manualOpen) return res.status(503).json({ error: "Shop is currently closed. Please check back later." });
-    // Check time window — use IST (UTC+5:30), server runs UTC
-    const _istNow = new Date(Date.now() + 5.5 * 60 * 60 * 1000);
-    const pad = n => String(n).padStart(2,'0');
-    const nowStr = `${pad(_istNow.getUTCHours())}:${pad(_istNow.getUTCMinutes())}`;
-    const openTime = ss.openTime || '08:00';
-    const closeTime = ss.closeTime || '22:00';
-    if (openTime < closeTime) {
-      if (nowStr < openTime || nowStr >= closeTime)
-        return res.status(503).json({ error: `Shop is closed. Orders are accepted between ${openTime} and ${closeTime}.` });
-    } else {
-      // overnight window e.g. 20:00 – 02:00
-      if (nowStr < openTime && nowStr >= closeTime)
-        return res.status(503).json({ error: `Shop is closed. Orders are accepted between ${openTime} and ${closeTime}.` });
-    }
+    const shopNow = shopStatusAt(storeSettings);
+    if (!shopNow.manualOpen) return res.status(503).json({ error: shopClosedError(shopNow) });
+    // With delivery slots on, each slot's cutoff decides instead (see DELIVERY SLOTS)
+    const slotCfg = await getDeliverySlotSettings();
+    const useSlots = slotCfg.enabled && slotCfg.slots.length > 0;
+    if (!useSlots && !shopNow.isOpen) return res.status(503).json({ error: shopClosedError(shopNow), nextOpenAt: shopNow.nextOpenAt });
     // ─────────────────────────────────────────────────────────────────────────
 
     // ── SERVER-SIDE PRICE RECALCULATION (#3) ─────────────────────────────────
@@ -1802,42 +4789,23 @@ app.post('/api/orders', async (req, res) => {
     const regularItems = items.filter(i => !i.isFreeGift);
     let recalcTotal = 0;
     const validatedItems = [];
+    const stockTakes = []; // reserved once the order is known to go through
     for (const item of regularItems) {
       const product = await db.collection('products').findOne({ id: item.productId });
       if (!product) continue;
       if (product.disabled) return res.status(400).json({ error: `"${product.name}" is not available.` });
-      const _sq = typeof product.stockQuantity === 'number' ? product.stockQuantity : (product.stockQuantity != null ? Number(product.stockQuantity) : null);
-      if (_sq !== null && !isNaN(_sq)) {
-        if (_sq <= 0) return res.status(400).json({ error: `"${product.name}" is Out of Stock.` });
-        if (_sq < item.qty) return res.status(400).json({ error: `Only ${_sq} unit(s) of "${product.name}" available.` });
-        await db.collection('products').updateOne({ id: item.productId }, { $inc: { stockQuantity: -item.qty } });
-      }
       // Find the matching variant and tier to get the real server-side price
       const migrated = migrateProduct(product);
       const variant = migrated.variants.find(v => v.id === item.variantId) || migrated.variants[0];
-      const tiers = [...(variant?.priceTiers || [])].sort((a, b) => a.minQty - b.minQty);
-      let serverPrice = tiers[0]?.price || 0;
-      for (const tier of tiers) { if (item.qty >= tier.minQty) serverPrice = tier.price; }
-      recalcTotal += serverPrice * item.qty;
-      validatedItems.push({ ...item, price: serverPrice, mrp: variant?.mrp || null });
-
-      // ── LOW-STOCK PUSH ALERT to admin ────────────────────────────────────────
-      if (typeof product.stockQuantity === 'number') {
-        const newQty = product.stockQuantity - item.qty;
-        const threshold = typeof product.lowStockThreshold === 'number' ? product.lowStockThreshold : 5;
-        if (newQty >= 0 && newQty <= threshold) {
-          sendPushToSubscribers(
-            { customerId: null }, // admin subscriptions
-            {
-              title: `⚠️ Low Stock: ${product.name}`,
-              body: `Only ${newQty} unit(s) left. Restock soon.`,
-              url: '/admin',
-              tag: 'lowstock-' + product.id
-            }
-          ).catch(() => {}); // fire-and-forget, never block the order
-        }
+      if (variant && variant.stockQuantity !== null) {
+        const name = stockLabel(migrated, variant);
+        if (variant.stockQuantity <= 0) return res.status(400).json({ error: `"${name}" is Out of Stock.` });
+        if (variant.stockQuantity < item.qty) return res.status(400).json({ error: `Only ${variant.stockQuantity} unit(s) of "${name}" available.` });
+        stockTakes.push({ product: migrated, variant, qty: item.qty });
       }
-      // ─────────────────────────────────────────────────────────────────────────
+      const serverPrice = tierPrice(variant?.priceTiers, item.qty);
+      recalcTotal += serverPrice * item.qty;
+      validatedItems.push({ ...item, variantId: variant?.id ?? item.variantId, price: serverPrice, mrp: variant?.mrp || null });
     }
     // Handle free gift pricing from settings
     const settings = await db.collection('settings').findOne({ _id: 'main' });
@@ -1848,61 +4816,106 @@ app.post('/api/orders', async (req, res) => {
     const total = parseFloat(recalcTotal.toFixed(2));
     // ─────────────────────────────────────────────────────────────────────────
 
-    const id = await getNextId('orderId');
-    const customer = await db.collection('customers').findOne({ phone });
-    const order = {
-      id, customerName, phone, block, villa: villa || '', note: note || '',
-      items: [...validatedItems, ...(items.filter(i => i.isFreeGift))],
-      total, freeGift: freeGift || null, paymentMethod: paymentMethod || 'cod',
-      customerId: customer ? customer.customerId : null,
-      status: 'pending', addedToUdhar: false, createdAt: new Date().toISOString()
-    };
-    if (paymentMethod === 'account' && customer) {
-      const udharItems = validatedItems.map(i => ({
-        name: i.name + (i.variant ? ` (${i.variant})` : ''), qty: i.qty, price: i.price
-      }));
-      await db.collection('ledger').insertOne({
-        id: await getNextId('ledgerId'),
-        customerId: customer.customerId,
-        type: 'credit',
-        amount: total,
-        note: `App Order #${id}`,
-        date: new Date().toISOString().slice(0, 10),
-        source: 'app_order',
-        orderId: id,
-        items: udharItems,
-        createdAt: new Date().toISOString()
-      });
-      await db.collection('udharEntries').insertOne({
-        id: await getNextId('udharId'), customerId: customer.customerId,
-        items: udharItems, amount: total,
-        date: new Date().toISOString().slice(0, 10),
-        note: `App Order #${id}`, type: 'app_order',
-        orderId: id, createdAt: new Date().toISOString()
+    // ── CREDIT LIMIT ─────────────────────────────────────────────────────────
+    // Over the limit: reject outright, or (default) hold the order for the shop to approve
+    let creditHold = null;
+    if (accountCustomer) {
+      const credit = await getCustomerCredit(accountCustomer);
+      if (credit.creditLimit > 0 && total > credit.availableCredit) {
+        if (settings?.creditLimitPolicy === 'reject') {
+          return res.status(400).json({
+            error: `This order needs ₹${total} of credit but you have ₹${credit.availableCredit} available (limit ₹${credit.creditLimit}). Please pay by cash or UPI, or clear some of your balance.`,
+            credit
+          });
+        }
+        creditHold = { ...credit, orderTotal: total, heldAt: new Date().toISOString() };
+      }
+    }
+    // ─────────────────────────────────────────────────────────────────────────
+
+    // ── STOCK + LEDGER + ORDER (all-or-nothing, see STOCK RESERVATION) ──────
+    const reservations = [];
+    let id = null;
+    let order;
+    let deliverySlot = null;
+    try {
+      if (useSlots) deliverySlot = await bookDeliverySlot(slotCfg, slotPick);
+      for (const take of stockTakes) {
+        Object.assign(take, await reserveStock(take.product, take.variant, take.qty));
+        reservations.push(take);
+      }
+      id = await getNextId('orderId');
+      const customer = accountCustomer || await db.collection('customers').findOne({ phone });
+      order = {
+        id, customerName, phone, block, villa: villa || '', note: note || '',
+        items: [...validatedItems, ...(items.filter(i => i.isFreeGift))],
+        total, freeGift: freeGift || null, paymentMethod: paymentMethod || 'cod',
+        customerId: customer ? customer.customerId : null,
+        status: creditHold ? 'awaiting_approval' : 'pending', addedToUdhar: false, createdAt: new Date().toISOString()
+      };
+      if (deliverySlot) order.deliverySlot = deliverySlot;
+      order.statusHistory = [{ status: order.status, at: order.createdAt, by: 'customer' }];
+      if (creditHold) order.creditHold = creditHold;
+      if (accountCustomer && !creditHold) {
+        await addOrderToLedger(order, accountCustomer);
+        order.addedToUdhar = true;
+      }
+      await db.collection('orders').insertOne(order);
+    } catch (e) {
+      await releaseStock(reservations);
+      await releaseDeliverySlot(deliverySlot);
+      if (id !== null) await rollbackOrderLedger(id);
+      throw e;
+    }
+
+    const batchAllocations = [];
+    for (const { product, variant, qty } of stockTakes) {
+      await recordStockMovement({
+        productId: product.id, variantId: variant.id, type: 'sale',
+        delta: -qty, balance: variant.stockQuantity, by: 'customer', orderId: id
       });
-      order.addedToUdhar = true;
+      batchAllocations.push(...await takeFromBatches(product.id, variant.id, qty));
     }
-    await db.collection('orders').insertOne(order);
+    if (batchAllocations.length) {
+      order.batchAllocations = batchAllocations;
+      await db.collection('orders').updateOne({ id }, { $set: { batchAllocations } });
+    }
+
+    // ── LOW-STOCK PUSH ALERT to admin ────────────────────────────────────────
+    for (const { product, variant } of stockTakes) {
+      const newQty = variant.stockQuantity;
+      const threshold = typeof variant.lowStockThreshold === 'number' ? variant.lowStockThreshold : 5;
+      if (newQty >= 0 && newQty <= threshold) {
+        const name = stockLabel(product, variant);
+        emitAdminEvent('stock.low', { productId: product.id, variantId: variant.id, name, stockQuantity: newQty, lowStockThreshold: threshold });
+        sendPushToAdminDevices({
+          title: `⚠️ Low Stock: ${name}`,
+          body: `Only ${newQty} unit(s) left. Restock soon.`,
+          url: '/admin',
+          tag: 'lowstock-' + product.id + '-' + variant.id
+        }, 'PATCH /api/admin/products/:id/stock').catch(() => {}); // fire-and-forget, never block the order
+      }
+    }
+    // ─────────────────────────────────────────────────────────────────────────
+
+    emitAdminEvent('order.created', { order });
 
     // ── PUSH: notify admin of new order ──────────────────────────────────────
     try {
       const itemSummary = validatedItems.slice(0, 2).map(i => i.name).join(', ')
         + (validatedItems.length > 2 ? ` +${validatedItems.length - 2} more` : '');
       const location = [block, villa].filter(Boolean).join('-');
-      sendPushToSubscribers(
-        { customerId: null }, // admin subs have no customerId
-        {
-          title: `🛒 New Order #${id} — ₹${total}`,
-          body: `${customerName}${location ? ' · ' + location : ''} · ${itemSummary}`,
-          url: '/admin',
-          tag: 'new-order-' + id
-        }
-      ).catch(() => {}); // fire-and-forget, never block the response
+      sendPushToAdminDevices({
+        title: creditHold ? `⏳ Credit approval needed — Order #${id} ₹${total}` : `🛒 New Order #${id} — ₹${total}`,
+        body: `${customerName}${location ? ' · ' + location : ''} · ${itemSummary}${deliverySlot ? ' · 🚚 ' + deliverySlot.label : ''}`,
+        url: '/admin',
+        tag: 'new-order-' + id
+      }, creditHold ? 'POST /api/admin/orders/:id/approve-credit' : 'GET /api/admin/orders').catch(() => {}); // fire-and-forget, never block the response
     } catch (_) {}
     // ─────────────────────────────────────────────────────────────────────────
 
     res.json({ ok: true, order });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -2046,6 +5059,7 @@ app.post('/api/admin/milk/logs', adminAuth, async (req, res) => {
       await db.collection('milkLogs').insertOne(doc);
     }
     if (totalQty > 0) scheduleMilkSummarySend(cid, date);
+    emitAdminEvent('milk.logged', { customerId: cid, date, qty: totalQty });
     res.json({ ok: true });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
@@ -2075,6 +5089,7 @@ app.post('/api/admin/milk/bulk-mark', adminAuth, async (req, res) => {
         marked++;
       }
     }
+    if (marked) emitAdminEvent('milk.logged', { date, marked, bulk: true });
     res.json({ ok: true, marked });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
@@ -2139,11 +5154,12 @@ app.get('/api/admin/milk/payments', adminAuth, async (req, res) => {
 app.post('/api/admin/milk/payment', adminAuth, async (req, res) => {
   try {
     const { customerId, month, amount, note } = req.body;
-    await db.collection('milkPayments').insertOne({
-      customerId: parseInt(customerId), month,
+    const payment = {
+      id: await getNextId('milkPaymentId'), customerId: parseInt(customerId), month,
       amount: parseFloat(amount), note: note || 'Manual', paidAt: new Date().toISOString()
-    });
-    res.json({ ok: true });
+    };
+    await db.collection('milkPayments').insertOne(payment);
+    res.json({ ok: true, payment });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
@@ -2325,6 +5341,249 @@ cron.schedule('0 8 20 * *', async () => {
   }
 }, { timezone: 'Asia/Kolkata' });
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// ── UDHAR AGING & REMINDERS ───────────────────────────────────────────────────
+// Ages each customer's ledger balance by matching payments to credits oldest
+// first (FIFO): whatever credit is still unpaid is as old as its entry date.
+// Reversed entries and their reversals drop out entirely. Reminder rules in
+// settings.udharReminders pick who gets a WhatsApp/push nudge; customers with
+// udharRemindersOff are never contacted.
+// ═══════════════════════════════════════════════════════════════════════════════
+const AGING_BUCKETS = [['0-30', 30], ['31-60', 60], ['61-90', 90], ['90+', Infinity]];
+const DEFAULT_UDHAR_REMINDERS = {
+  enabled: false,
+  rules: [{ id: 1, minBalance: 500, minAgeDays: 30, channels: ['whatsapp', 'push'], repeatDays: 7 }]
+};
+
+// entries: one customer's ledger docs plus their un-migrated udhar rows; asOf: 'YYYY-MM-DD'
+function ageLedger(entries, asOf) {
+  const reversed = new Set(entries.filter(e => e.reverses).map(e => e.reverses));
+  const live = entries.filter(e => !e.reverses && !reversed.has(e.id));
+  const credits = live.filter(e => e.type === 'credit')
+    .sort((a, b) => (a.date || '').localeCompare(b.date || '') || (a.createdAt || '').localeCompare(b.createdAt || '') || (a.id || 0) - (b.id || 0));
+  let unapplied = live.filter(e => e.type === 'payment').reduce((s, e) => s + (e.amount || 0), 0);
+  const buckets = Object.fromEntries(AGING_BUCKETS.map(([k]) => [k, 0]));
+  let outstanding = 0, oldestDays = null;
+  for (const c of credits) {
+    const applied = Math.min(unapplied, c.amount || 0);
+    unapplied -= applied;
+    const open = (c.amount || 0) - applied;
+    if (open <= 0.005) continue;
+    const days = Math.max(0, Math.floor((Date.parse(asOf) - Date.parse(c.date)) / 86400000));
+    const [bucket] = AGING_BUCKETS.find(([, max]) => days <= max);
+    buckets[bucket] += open;
+    outstanding += open;
+    if (oldestDays == null || days > oldestDays) oldestDays = days;
+  }
+  Object.keys(buckets).forEach(k => { buckets[k] = parseFloat(buckets[k].toFixed(2)); });
+  return {
+    balance: parseFloat((outstanding - unapplied).toFixed(2)),
+    outstanding: parseFloat(outstanding.toFixed(2)),
+    advance: parseFloat(unapplied.toFixed(2)),
+    buckets, oldestDays
+  };
+}
+
+// Ages the same rows udhar-summary totals — the ledger plus old udhar rows not yet
+// carried into it — so the aging report and the balance screen always agree
+async function getUdharAging(asOf) {
+  const [customers, ledgerAll, allEntries, allPayments] = await Promise.all([
+    db.collection('customers').find({ deleted: { $ne: true } }).toArray(),
+    db.collection('ledger').find().toArray(),
+    db.collection('udharEntries').find().toArray(),
+    db.collection('udharPayments').find().toArray(),
+  ]);
+  const { udharEntries, udharPayments } = legacyOutsideLedger(ledgerAll, allEntries, allPayments);
+  // Old rows have ids of their own, so they are aged without one (they can't be reversed anyway)
+  const legacyRow = type => e => ({ customerId: e.customerId, type, amount: e.amount, date: String(e.date || e.createdAt || asOf).slice(0, 10), createdAt: e.createdAt });
+  const byCustomer = {};
+  [...ledgerAll, ...udharEntries.map(legacyRow('credit')), ...udharPayments.map(legacyRow('payment'))]
+    .forEach(e => { (byCustomer[e.customerId] = byCustomer[e.customerId] || []).push(e); });
+  return customers
+    .map(c => ({ customer: c, ...ageLedger(byCustomer[c.customerId] || [], asOf) }))
+    .filter(a => a.outstanding > 0 || a.advance > 0);
+}
+
+async function getUdharReminderConfig() {
+  const settings = await db.collection('settings').findOne({ _id: 'main' });
+  return { ...DEFAULT_UDHAR_REMINDERS, ...(settings?.udharReminders || {}) };
+}
+
+// First rule the customer's aging satisfies (balance above and oldest unpaid credit older than)
+function matchReminderRule(rules, aging) {
+  return rules.find(r => aging.balance > r.minBalance && aging.oldestDays != null && aging.oldestDays > r.minAgeDays) || null;
+}
+
+// Sends (or with dryRun, only lists) reminders for everyone a rule matches who
+// hasn't opted out and wasn't reminded within that rule's repeatDays.
+async function runUdharReminders({ dryRun = false } = {}) {
+  const [config, settings] = await Promise.all([
+    getUdharReminderConfig(),
+    db.collection('settings').findOne({ _id: 'main' }),
+  ]);
+  const upiId = settings?.upiId || UPI_ID;
+  const asOf = istToday();
+  const aging = await getUdharAging(asOf);
+  const recent = await db.collection('udharReminderLog').find({ sentAt: { $gte: new Date(Date.now() - 90 * 86400000).toISOString() } }).toArray();
+  const lastSent = {};
+  recent.forEach(l => { if (!lastSent[l.customerId] || l.sentAt > lastSent[l.customerId]) lastSent[l.customerId] = l.sentAt; });
+
+  const results = [];
+  for (const a of aging) {
+    const c = a.customer;
+    const rule = matchReminderRule(config.rules || [], a);
+    if (!rule) continue;
+    const base = { customerId: c.customerId, name: c.name, phone: c.phone, balance: a.balance, oldestDays: a.oldestDays, ruleId: rule.id };
+    if (c.udharRemindersOff) { results.push({ ...base, skipped: 'opted_out' }); continue; }
+    if (lastSent[c.customerId] && Date.now() - Date.parse(lastSent[c.customerId]) < (rule.repeatDays || 0) * 86400000) {
+      results.push({ ...base, skipped: 'recently_reminded', lastSentAt: lastSent[c.customerId] });
+      continue;
+    }
+    if (dryRun) { results.push({ ...base, channels: rule.channels }); continue; }
+
+    const sent = {};
+    if (rule.channels.includes('whatsapp') && c.phone) {
+      const r = await sendWhatsAppTemplate(c.phone, 'udhar_payment_reminder', [
+        { type: 'body', parameters: [
+          { type: 'text', text: c.name || 'Customer' },
+          { type: 'text', text: String(a.balance) },
+          { type: 'text', text: String(a.oldestDays) },
+          { type: 'text', text: upiId }
+        ]}
+      ]);
+      sent.whatsapp = r.skipped ? 'skipped' : r.error ? 'failed' : 'sent';
+    }
+    if (rule.channels.includes('push')) {
+      const r = await sendPushToSubscribers({ customerId: c.customerId }, {
+        title: '📒 Payment reminder',
+        body: `₹${a.balance.toFixed(0)} is pending on your khata${a.oldestDays ? ` (oldest ${a.oldestDays} days)` : ''}.${upiId ? ` Pay by UPI: ${upiId}` : ''}`,
+        url: '/',
+        tag: 'udhar-reminder-' + c.customerId
+      });
+      sent.push = r.sent ? 'sent' : 'no_devices';
+    }
+    const logId = await getNextId('udharReminderId');
+    await db.collection('udharReminderLog').insertOne({
+      id: logId,
+      customerId: c.customerId, ruleId: rule.id,
+      balance: a.balance, oldestDays: a.oldestDays, buckets: a.buckets,
+      channels: sent, sentAt: new Date().toISOString()
+    });
+    results.push({ ...base, channels: sent, logId });
+  }
+  return { asOf, dryRun, results };
+}
+
+// Aging report: per customer and totals. ?asOf=YYYY-MM-DD (IST, default today)
+app.get('/api/admin/udhar-aging', adminAuth, async (req, res) => {
+  try {
+    const asOf = /^\d{4}-\d{2}-\d{2}$/.test(req.query.asOf || '') ? req.query.asOf : istToday();
+    const [aging, logs] = await Promise.all([
+      getUdharAging(asOf),
+      db.collection('udharReminderLog').find().sort({ id: -1 }).limit(1000).toArray(),
+    ]);
+    const lastReminder = {};
+    logs.forEach(l => { if (!lastReminder[l.customerId]) lastReminder[l.customerId] = l.sentAt; });
+    const totals = Object.fromEntries(AGING_BUCKETS.map(([k]) => [k, 0]));
+    let balance = 0;
+    const customers = aging.map(a => {
+      AGING_BUCKETS.forEach(([k]) => { totals[k] += a.buckets[k]; });
+      balance += a.balance;
+      const c = a.customer;
+      return {
+        customer: { id: c.customerId, name: c.name, phone: c.phone, address: c.address, remindersOff: !!c.udharRemindersOff },
+        balance: a.balance, outstanding: a.outstanding, advance: a.advance,
+        buckets: a.buckets, oldestDays: a.oldestDays,
+        lastReminderAt: lastReminder[c.customerId] || null
+      };
+    }).sort((x, y) => (y.oldestDays ?? -1) - (x.oldestDays ?? -1) || y.balance - x.balance);
+    Object.keys(totals).forEach(k => { totals[k] = parseFloat(totals[k].toFixed(2)); });
+    res.json({ asOf, buckets: AGING_BUCKETS.map(([k]) => k), totals, balance: parseFloat(balance.toFixed(2)), customers });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get('/api/admin/udhar-reminders', adminAuth, async (req, res) => {
+  try {
+    const [config, log] = await Promise.all([
+      getUdharReminderConfig(),
+      db.collection('udharReminderLog').find().sort({ id: -1 }).limit(50).toArray(),
+    ]);
+    res.json({ config, log });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.put('/api/admin/udhar-reminders', adminAuth, async (req, res) => {
+  try {
+    const { enabled, rules } = req.body;
+    if (!Array.isArray(rules)) return res.status(400).json({ error: 'rules must be an array' });
+    const clean = [];
+    for (const [i, r] of rules.entries()) {
+      const minBalance = parseFloat(r.minBalance), minAgeDays = parseInt(r.minAgeDays), repeatDays = parseInt(r.repeatDays ?? 7);
+      const channels = (Array.isArray(r.channels) ? r.channels : []).filter(ch => ['whatsapp', 'push'].includes(ch));
+      if (!(minBalance >= 0) || !(minAgeDays >= 0) || !(repeatDays >= 1)) {
+        return res.status(400).json({ error: `Rule ${i + 1}: minBalance and minAgeDays must be 0 or more, repeatDays at least 1` });
+      }
+      if (!channels.length) return res.status(400).json({ error: `Rule ${i + 1}: pick at least one channel` });
+      clean.push({ id: i + 1, minBalance, minAgeDays, channels, repeatDays });
+    }
+    const udharReminders = { enabled: !!enabled, rules: clean };
+    await db.collection('settings').updateOne({ _id: 'main' }, { $set: { udharReminders } });
+    res.json({ ok: true, config: udharReminders });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Run the rules now — { dryRun: true } only lists who would be reminded
+app.post('/api/admin/udhar-reminders/run', adminAuth, async (req, res) => {
+  try {
+    res.json(await runUdharReminders({ dryRun: !!req.body.dryRun }));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ── DAILY UDHAR REMINDERS (10:30 AM IST) ──────────────────────────────────────
+// Sends `udhar_payment_reminder` (name, balance, oldest days, UPI ID) plus a
+// push to customers matching a rule. Off until enabled on the Udhar page; the
+// template has to be approved by Meta before WhatsApp sends go through.
+cron.schedule('30 10 * * *', async () => {
+  if (!db) return;
+  try {
+    const config = await getUdharReminderConfig();
+    if (!config.enabled) return;
+    const { results } = await runUdharReminders();
+    console.log(`Udhar reminders: ${results.filter(r => !r.skipped).length} sent, ${results.filter(r => r.skipped).length} skipped`);
+  } catch (e) {
+    console.error('Udhar reminder cron error:', e.message);
+  }
+}, { timezone: 'Asia/Kolkata' });
+
+// ── DAILY EXPIRY ALERT (9:00 AM IST) ──────────────────────────────────────────
+// One push to admin devices listing batches that expire within
+// settings.expiryAlertDays (default 3) or have already expired.
+cron.schedule('0 9 * * *', async () => {
+  if (!db) return;
+  try {
+    const settings = await db.collection('settings').findOne({ _id: 'main' });
+    const rows = await findExpiringBatches(settings?.expiryAlertDays ?? DEFAULT_EXPIRY_ALERT_DAYS);
+    if (!rows.length) return;
+    const expired = rows.filter(r => r.expired).length;
+    await sendPushToAdminDevices({
+      title: `⏰ ${rows.length} batch${rows.length > 1 ? 'es' : ''} expiring${expired ? ` (${expired} already expired)` : ''}`,
+      body: rows.slice(0, 3).map(r => `${r.label} × ${r.qty} — ${r.expired ? 'expired' : r.daysLeft === 0 ? 'today' : `${r.daysLeft}d`}`).join(', ') + (rows.length > 3 ? '…' : ''),
+      url: '/admin',
+      tag: 'expiry-' + istToday()
+    }, 'POST /api/admin/batches/:id/write-off');
+    console.log(`Expiry alert: ${rows.length} batch(es)`);
+  } catch (e) {
+    console.error('Expiry alert cron error:', e.message);
+  }
+}, { timezone: 'Asia/Kolkata' });
+
+// ── SCHEDULED PRICES (every minute) ───────────────────────────────────────────
+// Starts and ends price schedules that fell due; see PRICE HISTORY & SCHEDULED PRICES.
+cron.schedule('* * * * *', async () => {
+  if (!db) return;
+  await applyDuePriceSchedules();
+}, { timezone: 'Asia/Kolkata' });
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // ── MIGRATION UTILITY ─────────────────────────────────────────────────────────
 // Migrates old udharEntries + udharPayments → unified ledger
@@ -2449,7 +5708,7 @@ app.get('/api/customer/dashboard', customerAuth, async (req, res) => {
     if (!c) return res.status(404).json({ error: 'Not found' });
     const settings = await db.collection('settings').findOne({ _id: 'main' });
     const key = new Date().toISOString().slice(0, 7);
-    const [milkSub, log, milkPayments, orders, ledgerEntries, udharEntries, udharPayments] = await Promise.all([
+    const [milkSub, log, milkPayments, orders, ledgerEntries, allUdharEntries, allUdharPayments] = await Promise.all([
       db.collection('milkSubscriptions').findOne({ customerId: c.customerId }),
       db.collection('milkLogs').find({ customerId: c.customerId, month: key }).toArray(),
       db.collection('milkPayments').find({ customerId: c.customerId, month: key }).toArray(),
@@ -2466,17 +5725,38 @@ app.get('/api/customer/dashboard', customerAuth, async (req, res) => {
     }, 0);
     const milkPaid = milkPayments.reduce((s, p) => s + p.amount, 0);
     const ledgerBalance = ledgerEntries.reduce((s, e) => e.type === 'credit' ? s + e.amount : s - e.amount, 0);
+    const { udharEntries, udharPayments } = legacyOutsideLedger(ledgerEntries, allUdharEntries, allUdharPayments);
     const oldUdharBalance = udharEntries.reduce((s, e) => s + (e.amount || 0), 0) - udharPayments.reduce((s, p) => s + (p.amount || 0), 0);
     const { pin, ...safeCustomer } = c;
     res.json({
       customer: safeCustomer, milkSubscription: milkSub || null,
       log, totalLitres, milkAmt, milkPaid, pricePerLitre, month: key,
-      orders, udharEntries, udharPayments, ledgerEntries,
+      orders: orders.map(o => ({ ...o, changeableUntil: customerChangeDeadline(o, settings) })),
+      udharEntries, udharPayments, ledgerEntries,
       udharBalance: ledgerBalance + oldUdharBalance
     });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+// Khata credit position shown at checkout
+app.get('/api/customer/credit', customerAuth, async (req, res) => {
+  try {
+    const c = await db.collection('customers').findOne({ customerId: req.user.cid, deleted: { $ne: true } });
+    if (!c) return res.status(404).json({ error: 'Not found' });
+    const settings = await db.collection('settings').findOne({ _id: 'main' });
+    res.json({ ...(await getCustomerCredit(c)), overLimit: settings?.creditLimitPolicy === 'reject' ? 'reject' : 'approval' });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Customer's own switch for udhar payment reminders
+app.put('/api/customer/reminders', customerAuth, async (req, res) => {
+  try {
+    const udharRemindersOff = !!req.body.optOut;
+    await db.collection('customers').updateOne({ customerId: req.user.cid }, { $set: { udharRemindersOff } });
+    res.json({ ok: true, udharRemindersOff });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
 // LEDGER
 app.get('/api/customer/ledger', customerAuth, async (req, res) => {
   try {
@@ -2486,7 +5766,7 @@ app.get('/api/customer/ledger', customerAuth, async (req, res) => {
     const settings = await db.collection('settings').findOne({ _id: 'main' });
     const month = req.query.month || new Date().toISOString().slice(0, 7);
     const entries = [];
-    const [milkLogs, milkPayments, orders, udharEntries, udharPayments, ledgerEntries] = await Promise.all([
+    const [milkLogs, milkPayments, orders, allUdharEntries, allUdharPayments, ledgerEntries] = await Promise.all([
       db.collection('milkLogs').find({ customerId: cid, month }).toArray(),
       db.collection('milkPayments').find({ customerId: cid, month }).toArray(),
       db.collection('orders').find({ $or: [{ customerId: cid }, { phone: c.phone }], status: { $ne: 'cancelled' } }).toArray(),
@@ -2505,24 +5785,36 @@ app.get('/api/customer/ledger', customerAuth, async (req, res) => {
     });
     milkPayments.forEach(p => entries.push({ id: 'milkpay_' + p.paidAt?.slice(0,10) + '_' + p.amount, date: p.paidAt ? p.paidAt.slice(0, 10) : month + '-01', type: 'payment', source: 'PAYMENT', description: `Milk payment — ${p.note || 'Cash'}`, amount: parseFloat(p.amount), debit: false, time: p.paidAt, note: p.note || '' }));
     orders.filter(o => o.createdAt && o.createdAt.slice(0, 7) === month).forEach(o => entries.push({ id: 'order_' + o.id, date: o.createdAt.slice(0, 10), type: 'order', source: 'APP', description: `App order #${o.id} — ${(o.items || []).slice(0, 2).map(i => i.name).join(', ')}${(o.items || []).length > 2 ? ` +${o.items.length - 2} more` : ''}`, amount: parseFloat(o.total), debit: true, time: o.createdAt, note: o.note || '', orderId: o.id, orderStatus: o.status }));
-    // New ledger entries
+    // New ledger entries — reversals show as their own line against the entry they cancel
+    const ledgerById = {}, reversalOf = {};
+    ledgerEntries.forEach(e => { ledgerById[e.id] = e; if (e.reverses) reversalOf[e.reverses] = e; });
     ledgerEntries.filter(e => e.date && e.date.slice(0, 7) === month).forEach(e => {
-      if (e.source === 'app_order' || e.source === 'legacy_udhar') {
-        entries.push({ id: 'ledger_' + e.id, date: e.date, type: e.type === 'credit' ? 'udhar' : 'udhar_payment', source: 'STORE', description: e.note || 'Store purchase', amount: parseFloat(e.amount), debit: e.type === 'credit', time: e.createdAt, note: e.note || '' });
+      const rev = reversalOf[e.id];
+      const marks = rev ? { reversed: true, reversedOn: rev.date, reversalId: 'ledger_' + rev.id } : {};
+      if (e.reverses) {
+        const orig = ledgerById[e.reverses];
+        const origDesc = !orig ? `Entry #${e.reverses}` : orig.type === 'payment' ? `Payment — ${orig.note || 'Cash'}` : (orig.note || 'Store purchase');
+        entries.push({ id: 'ledger_' + e.id, date: e.date, type: 'reversal', source: 'REVERSAL', description: `Reversed: ${origDesc}${orig?.date ? ` (${orig.date})` : ''}`, amount: Math.abs(parseFloat(e.amount)), debit: e.type === 'payment', time: e.createdAt, note: e.reason || '', reversal: true, reversesId: 'ledger_' + e.reverses });
+      } else if (e.source === 'app_order' || e.source === 'legacy_udhar') {
+        entries.push({ id: 'ledger_' + e.id, date: e.date, type: e.type === 'credit' ? 'udhar' : 'udhar_payment', source: 'STORE', description: e.note || 'Store purchase', amount: parseFloat(e.amount), debit: e.type === 'credit', time: e.createdAt, note: e.adjusts ? `Corrected entry — ${e.reason || ''}` : (e.note || ''), ...marks });
       } else if (e.type === 'payment') {
-        entries.push({ id: 'ledger_' + e.id, date: e.date, type: 'udhar_payment', source: 'PAYMENT', description: `Payment received — ${e.note || 'Cash'}`, amount: parseFloat(e.amount), debit: false, time: e.createdAt, note: e.note || '' });
+        entries.push({ id: 'ledger_' + e.id, date: e.date, type: 'udhar_payment', source: 'PAYMENT', description: `Payment received — ${e.note || 'Cash'}`, amount: parseFloat(e.amount), debit: false, time: e.createdAt, note: e.adjusts ? `Corrected entry — ${e.reason || ''}` : (e.note || ''), ...marks });
       } else if (e.type === 'credit') {
-        entries.push({ id: 'ledger_' + e.id, date: e.date, type: 'udhar', source: 'STORE', description: e.note || 'Store purchase', amount: parseFloat(e.amount), debit: true, time: e.createdAt, note: e.note || '' });
+        entries.push({ id: 'ledger_' + e.id, date: e.date, type: 'udhar', source: 'STORE', description: e.note || 'Store purchase', amount: parseFloat(e.amount), debit: true, time: e.createdAt, note: e.adjusts ? `Corrected entry — ${e.reason || ''}` : (e.note || ''), ...marks });
       }
     });
     // Old udhar (not in new ledger)
-    udharEntries.filter(e => e.date && e.date.slice(0, 7) === month && !e.inLedger).forEach(e => entries.push({ id: 'udhar_' + e.id, date: e.date, type: 'udhar', source: 'STORE', description: (e.items || []).length ? e.items.slice(0, 2).map(i => i.name).join(', ') + (e.items.length > 2 ? ` +${e.items.length - 2} more` : '') : (e.note || 'Store purchase'), amount: parseFloat(e.amount), debit: true, time: e.createdAt, note: e.note || '' }));
+    const { udharEntries, udharPayments } = legacyOutsideLedger(ledgerEntries, allUdharEntries, allUdharPayments);
+    udharEntries.filter(e => e.date && e.date.slice(0, 7) === month).forEach(e => entries.push({ id: 'udhar_' + e.id, date: e.date, type: 'udhar', source: 'STORE', description: (e.items || []).length ? e.items.slice(0, 2).map(i => i.name).join(', ') + (e.items.length > 2 ? ` +${e.items.length - 2} more` : '') : (e.note || 'Store purchase'), amount: parseFloat(e.amount), debit: true, time: e.createdAt, note: e.note || '' }));
     udharPayments.filter(p => p.date && p.date.slice(0, 7) === month).forEach(p => entries.push({ id: 'udpay_' + p.id, date: p.date, type: 'udhar_payment', source: 'PAYMENT', description: `Payment received — ${p.method || 'Cash'}`, amount: parseFloat(p.amount), debit: false, time: p.paidAt, note: p.note || '' }));
     entries.sort((a, b) => a.date.localeCompare(b.date) || (a.time || '').localeCompare(b.time || ''));
     const milkTotal = entries.filter(e => e.type === 'milk').reduce((s, e) => s + e.amount, 0);
     const orderTotal = entries.filter(e => e.type === 'order').reduce((s, e) => s + e.amount, 0);
-    const udharTotal = entries.filter(e => e.type === 'udhar').reduce((s, e) => s + e.amount, 0);
-    const paymentsTotal = entries.filter(e => e.type === 'payment' || e.type === 'udhar_payment').reduce((s, e) => s + e.amount, 0);
+    // A reversal nets off the side it cancels: store udhar, or a payment
+    const reversedUdhar = entries.filter(e => e.type === 'reversal' && !e.debit).reduce((s, e) => s + e.amount, 0);
+    const reversedPayments = entries.filter(e => e.type === 'reversal' && e.debit).reduce((s, e) => s + e.amount, 0);
+    const udharTotal = entries.filter(e => e.type === 'udhar').reduce((s, e) => s + e.amount, 0) - reversedUdhar;
+    const paymentsTotal = entries.filter(e => e.type === 'payment' || e.type === 'udhar_payment').reduce((s, e) => s + e.amount, 0) - reversedPayments;
     const totalDebits = milkTotal + orderTotal + udharTotal;
     res.json({ month, entries, summary: { milkTotal, orderTotal, udharTotal, paymentsTotal, totalDebits, outstanding: totalDebits - paymentsTotal } });
   } catch (e) { res.status(500).json({ error: e.message }); }
@@ -2534,18 +5826,20 @@ app.get('/api/customer/ledger/months', customerAuth, async (req, res) => {
     const c = await db.collection('customers').findOne({ customerId: cid });
     if (!c) return res.status(404).json({ error: 'Not found' });
     const monthSet = new Set([new Date().toISOString().slice(0, 7)]);
-    const [milkLogs, milkPayments, orders, udharEntries, udharPayments] = await Promise.all([
+    const [milkLogs, milkPayments, orders, udharEntries, udharPayments, ledgerEntries] = await Promise.all([
       db.collection('milkLogs').find({ customerId: cid }).toArray(),
       db.collection('milkPayments').find({ customerId: cid }).toArray(),
       db.collection('orders').find({ $or: [{ customerId: cid }, { phone: c.phone }] }).toArray(),
       db.collection('udharEntries').find({ customerId: cid }).toArray(),
       db.collection('udharPayments').find({ customerId: cid }).toArray(),
+      db.collection('ledger').find({ customerId: cid }).toArray(),
     ]);
     milkLogs.forEach(l => monthSet.add(l.month));
     milkPayments.filter(p => p.paidAt).forEach(p => monthSet.add(p.paidAt.slice(0, 7)));
     orders.filter(o => o.createdAt).forEach(o => monthSet.add(o.createdAt.slice(0, 7)));
     udharEntries.filter(e => e.date).forEach(e => monthSet.add(e.date.slice(0, 7)));
     udharPayments.filter(p => p.date).forEach(p => monthSet.add(p.date.slice(0, 7)));
+    ledgerEntries.filter(e => e.date).forEach(e => monthSet.add(e.date.slice(0, 7)));
     res.json({ months: [...monthSet].sort().reverse() });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
@@ -2605,8 +5899,8 @@ app.get('/api/admin/analytics', adminAuth, async (req, res) => {
     });
 
     // Low stock count
-    const lowStockCount = products.filter(p =>
-      typeof p.stockQuantity === 'number' && p.stockQuantity <= (p.lowStockThreshold ?? 5)
+    const lowStockCount = products.map(migrateProduct).flatMap(p => p.variants).filter(v =>
+      v.stockQuantity !== null && v.stockQuantity <= v.lowStockThreshold
     ).length;
 
     res.json({
@@ -2663,6 +5957,321 @@ app.get('/api/admin/export/orders.csv', adminAuth, async (req, res) => {
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// ── PRODUCT IMPORT / EXPORT (CSV + XLSX)
+// ═══════════════════════════════════════════════════════════════════════════════
+// One row per variant; product columns repeat on each of its variants and price
+// tiers sit side by side (Tier 1 Min Qty, Tier 1 Price, Tier 2 …). Import matches
+// a row to a product by Product ID, else by name, else creates one; and to a
+// variant by Variant ID, Barcode, SKU or label, else adds one. Blank cells leave
+// the current value alone, any tier cell replaces all of that variant's tiers,
+// and nothing is ever deleted. A dry run reports creates, updates and conflicts;
+// apply refuses while there are conflicts.
+const PRODUCT_SHEET_HEADERS = [
+  'Product ID', 'Name', 'Brand', 'Category', 'Subcategory', 'Keywords', 'Image URL', 'Tag', 'Disabled',
+  'Variant ID', 'Variant', 'SKU', 'Barcode', 'MRP', 'Cost Price', 'Stock', 'Low Stock Alert', 'Available'
+];
+const MIN_TIER_COLUMNS = 3;
+const sheetKey = h => String(h ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+const yesNo = v => (v ? 'yes' : 'no');
+
+async function buildProductSheet() {
+  const [products, categories, subcategories] = await Promise.all([
+    db.collection('products').find().sort({ id: 1 }).toArray(),
+    db.collection('categories').find().toArray(),
+    db.collection('subcategories').find().toArray(),
+  ]);
+  const catNames = Object.fromEntries(categories.map(c => [c.id, c.name]));
+  const subNames = Object.fromEntries(subcategories.map(s => [s.id, s.name]));
+  const migrated = products.map(migrateProduct);
+  const tierCols = Math.max(MIN_TIER_COLUMNS, ...migrated.flatMap(p => p.variants.map(v => (v.priceTiers || []).length)));
+  const headers = [...PRODUCT_SHEET_HEADERS];
+  for (let n = 1; n <= tierCols; n++) headers.push(`Tier ${n} Min Qty`, `Tier ${n} Price`);
+  const rows = migrated.flatMap(p => p.variants.map(v => {
+    const tiers = [...(v.priceTiers || [])].sort((a, b) => a.minQty - b.minQty);
+    return [
+      p.id, p.name, p.brand || '', catNames[p.catId] || '', subNames[p.subCatId] || '', (p.keywords || []).join(', '), p.imageUrl || '',
+      p.featured ? 'featured' : p.isNew ? 'new' : '', yesNo(p.disabled),
+      v.id, v.label || '', v.sku || '', v.barcode || '', v.mrp ?? '', v.costPrice ?? '', v.stockQuantity ?? '', v.stockQuantity === null ? '' : v.lowStockThreshold, yesNo(v.inStock !== false),
+      ...Array.from({ length: tierCols }, (_, i) => tiers[i] ? [tiers[i].minQty, tiers[i].price] : ['', '']).flat()
+    ];
+  }));
+  return { headers, rows };
+}
+
+// RFC 4180: quoted fields may hold commas, newlines and "" for a quote
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  text = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+// Uploaded sheet → [{ row, values: { product_id: '12', name: '…', … } }], empty rows dropped
+async function readProductSheet(file) {
+  if (!file) throw Object.assign(new Error('Choose a .csv or .xlsx file'), { status: 400 });
+  let grid;
+  if (/\.xlsx$/i.test(file.originalname)) {
+    const wb = new ExcelJS.Workbook();
+    try { await wb.xlsx.load(file.buffer); } catch { throw Object.assign(new Error('That .xlsx file could not be read'), { status: 400 }); }
+    const ws = wb.worksheets[0];
+    grid = [];
+    ws?.eachRow({ includeEmpty: true }, (r, n) => { grid[n - 1] = Array.from({ length: ws.columnCount }, (_, i) => r.getCell(i + 1).text); });
+    grid = Array.from(grid, r => r || []);
+  } else if (/\.(csv|txt)$/i.test(file.originalname)) {
+    grid = parseCsv(file.buffer.toString('utf8'));
+  } else {
+    throw Object.assign(new Error('Only .csv and .xlsx files can be imported'), { status: 400 });
+  }
+  const keys = (grid[0] || []).map(sheetKey);
+  if (!keys.includes('name') && !keys.includes('product_id')) {
+    throw Object.assign(new Error('The first row must be the header row — export the catalogue to get a template'), { status: 400 });
+  }
+  return grid.slice(1).map((cells, i) => ({
+    row: i + 2,
+    values: Object.fromEntries(keys.map((k, c) => [k, String(cells[c] ?? '').trim()]).filter(([k]) => k))
+  })).filter(r => Object.values(r.values).some(Boolean));
+}
+
+// Works out what an import would do without writing anything
+async function planProductImport(rows) {
+  const [products, categories, subcategories] = await Promise.all([
+    db.collection('products').find().toArray(),
+    db.collection('categories').find().toArray(),
+    db.collection('subcategories').find().toArray(),
+  ]);
+  const conflicts = [];
+  const conflict = (row, column, message) => conflicts.push({ row, column, message });
+  const byId = Object.fromEntries(products.map(p => [p.id, p]));
+  const byName = {};
+  products.forEach(p => { byName[(p.name || '').toLowerCase()] = byName[(p.name || '').toLowerCase()] || p; });
+  const catByName = Object.fromEntries(categories.map(c => [c.name.toLowerCase(), c]));
+  const plans = new Map();
+
+  const num = (row, column, v, { int = false, min = 0 } = {}) => {
+    const n = int ? Number(v) : parseFloat(v);
+    if (isNaN(n) || n < min || (int && !Number.isInteger(n))) { conflict(row, column, `"${v}" is not a valid ${int ? 'whole number' : 'number'}`); return undefined; }
+    return n;
+  };
+  const bool = (row, column, v) => {
+    const s = v.toLowerCase();
+    if (['yes', 'y', 'true', '1'].includes(s)) return true;
+    if (['no', 'n', 'false', '0'].includes(s)) return false;
+    conflict(row, column, `"${v}" should be yes or no`);
+    return undefined;
+  };
+
+  for (const { row, values: r } of rows) {
+    let existing = null;
+    if (r.product_id) {
+      existing = byId[parseInt(r.product_id)];
+      if (!existing) { conflict(row, 'Product ID', `There is no product #${r.product_id}`); continue; }
+    } else if (r.name) {
+      existing = byName[r.name.toLowerCase()] || null;
+    } else {
+      conflict(row, 'Name', 'Each row needs a Name or a Product ID');
+      continue;
+    }
+    const key = existing ? `id:${existing.id}` : `new:${r.name.toLowerCase()}`;
+    if (!plans.has(key)) {
+      const base = existing ? migrateProduct(existing) : { name: r.name, brand: '', catId: 0, subCatId: null, imageUrl: '', keywords: [], mrp: null, disabled: false, featured: false, isNew: false, variants: [] };
+      plans.set(key, { existing, rows: [], seen: new Set(), product: { ...base, variants: cleanVariants(base.variants.map(v => ({ ...v }))) } });
+    }
+    const plan = plans.get(key), p = plan.product;
+    plan.rows.push(row);
+
+    if (r.name) p.name = r.name;
+    if (r.brand) p.brand = r.brand;
+    if (r.category) {
+      const cat = catByName[r.category.toLowerCase()];
+      if (!cat) conflict(row, 'Category', `No category called "${r.category}"`);
+      else if (cat.id !== p.catId) { p.catId = cat.id; p.subCatId = null; }
+    }
+    if (r.subcategory) {
+      const sub = subcategories.find(s => s.name.toLowerCase() === r.subcategory.toLowerCase() && s.catId === p.catId);
+      if (!sub) conflict(row, 'Subcategory', `No subcategory "${r.subcategory}" in this product's category`);
+      else p.subCatId = sub.id;
+    }
+    if (r.keywords) p.keywords = r.keywords.split(',').map(k => k.trim()).filter(Boolean);
+    if (r.image_url) p.imageUrl = r.image_url;
+    if (r.tag) {
+      const tag = r.tag.toLowerCase();
+      if (!['featured', 'new', 'none'].includes(tag)) conflict(row, 'Tag', 'Tag should be featured, new or none');
+      else { p.featured = tag === 'featured'; p.isNew = tag === 'new'; }
+    }
+    if (r.disabled) { const b = bool(row, 'Disabled', r.disabled); if (b !== undefined) p.disabled = b; }
+
+    // ── variant ──
+    let variant = null;
+    if (r.variant_id) {
+      variant = p.variants.find(v => v.id === r.variant_id);
+      if (!variant && existing) { conflict(row, 'Variant ID', `Product #${existing.id} has no variant "${r.variant_id}"`); continue; }
+    }
+    // A code only identifies the variant when the label (if given) agrees — renames go by Variant ID.
+    // No label at all means the product's first variant.
+    const labelOk = v => !r.variant || (v.label || '').toLowerCase() === r.variant.toLowerCase();
+    variant = variant
+      || (r.barcode && p.variants.find(v => v.barcode === r.barcode && labelOk(v)))
+      || (r.sku && p.variants.find(v => v.sku === r.sku && labelOk(v)))
+      || (r.variant ? p.variants.find(labelOk) : p.variants[0])
+      || null;
+    if (!variant) {
+      let n = p.variants.length + 1;
+      while (p.variants.some(v => v.id === `v${n}`)) n++;
+      variant = { id: r.variant_id || `v${n}`, label: r.variant || '1 unit', imageUrl: '', mrp: null, inStock: true, priceTiers: [], stockQuantity: null, lowStockThreshold: 5, isNewVariant: true };
+      p.variants.push(variant);
+    }
+    if (plan.seen.has(variant.id)) { conflict(row, 'Variant', `"${variant.label}" appears on more than one row for ${p.name}`); continue; }
+    plan.seen.add(variant.id);
+    (variant.rows = variant.rows || []).push(row);
+
+    if (r.variant) variant.label = r.variant;
+    if (r.sku) variant.sku = r.sku;
+    if (r.barcode) variant.barcode = r.barcode;
+    if (r.mrp) { const n = num(row, 'MRP', r.mrp); if (n !== undefined) variant.mrp = n; }
+    if (r.cost_price) { const n = num(row, 'Cost Price', r.cost_price); if (n !== undefined) variant.costPrice = n; }
+    if (r.stock) { const n = num(row, 'Stock', r.stock, { int: true }); if (n !== undefined) variant.stockQuantity = n; }
+    if (r.low_stock_alert) { const n = num(row, 'Low Stock Alert', r.low_stock_alert, { int: true }); if (n !== undefined) variant.lowStockThreshold = n; }
+    if (r.available) { const b = bool(row, 'Available', r.available); if (b !== undefined) variant.inStock = b; }
+
+    const tierNos = [...new Set(Object.keys(r).map(k => k.match(/^tier_(\d+)_(min_qty|price)$/)?.[1]).filter(Boolean))].sort((a, b) => a - b);
+    const tiers = [];
+    for (const t of tierNos) {
+      const qty = r[`tier_${t}_min_qty`], price = r[`tier_${t}_price`];
+      if (!qty && !price) continue;
+      if (!price) { conflict(row, `Tier ${t} Price`, `Tier ${t} has a quantity but no price`); continue; }
+      // The first tier may leave its quantity blank — it's the 1-unit price
+      const minQty = qty ? num(row, `Tier ${t} Min Qty`, qty, { int: true, min: 1 }) : tiers.length ? null : 1;
+      if (minQty === null) { conflict(row, `Tier ${t} Min Qty`, `Tier ${t} needs a minimum quantity`); continue; }
+      const tierPrice = num(row, `Tier ${t} Price`, price);
+      if (minQty !== undefined && tierPrice !== undefined) tiers.push({ minQty, price: tierPrice });
+    }
+    if (tiers.length) {
+      if (new Set(tiers.map(t => t.minQty)).size !== tiers.length) conflict(row, 'Tier', 'Two tiers have the same minimum quantity');
+      variant.priceTiers = tiers.sort((a, b) => a.minQty - b.minQty);
+    }
+    if (!variant.priceTiers.length) conflict(row, 'Tier 1 Price', `"${p.name} (${variant.label})" needs a price`);
+  }
+
+  // Barcode/SKU must stay unique across the catalogue as it would be after the import
+  const finalProducts = products.filter(p => !plans.has(`id:${p.id}`)).map(p => ({ id: p.id, name: p.name, variants: migrateProduct(p).variants }))
+    .concat([...plans.values()].map(pl => ({ id: pl.existing?.id ?? null, name: pl.product.name, variants: pl.product.variants })));
+  for (const [field, label] of [['barcode', 'Barcode'], ['sku', 'SKU']]) {
+    const owners = {};
+    for (const fp of finalProducts) for (const v of fp.variants) {
+      if (v[field]) (owners[v[field]] = owners[v[field]] || []).push({ fp, v });
+    }
+    for (const [code, list] of Object.entries(owners)) {
+      if (list.length < 2) continue;
+      const names = list.map(({ fp, v }) => `${fp.name} (${v.label})${fp.id ? '' : ' — new'}`).join(', ');
+      // Only clashes this file causes — old duplicates aren't the import's to fix
+      for (const row of list.flatMap(({ v }) => v.rows || [])) conflict(row, label, `${label} ${code} would be on ${names}`);
+    }
+  }
+
+  const results = [...plans.values()].map(pl => {
+    const variants = cleanVariants(pl.product.variants.map(({ rows, isNewVariant, ...v }) => v));
+    const product = { ...pl.product, variants };
+    let action = 'create', changes = [];
+    if (pl.existing) {
+      const before = migrateProduct(pl.existing);
+      changes = ['name', 'brand', 'catId', 'subCatId', 'imageUrl', 'keywords', 'featured', 'isNew', 'disabled']
+        .filter(k => JSON.stringify(before[k] ?? null) !== JSON.stringify(product[k] ?? null));
+      const oldVariants = cleanVariants(before.variants);
+      const added = variants.filter(v => !oldVariants.some(o => o.id === v.id));
+      const changed = variants.filter(v => { const o = oldVariants.find(x => x.id === v.id); return o && JSON.stringify(o) !== JSON.stringify(v); });
+      if (added.length) changes.push(`${added.length} new variant${added.length > 1 ? 's' : ''}`);
+      changed.forEach(v => changes.push(`variant ${v.label}`));
+      action = changes.length ? 'update' : 'unchanged';
+    }
+    return { action, productId: pl.existing?.id ?? null, name: product.name, rows: pl.rows, changes, variants: variants.length, product };
+  });
+  conflicts.sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+  return {
+    summary: {
+      rows: rows.length, products: results.length,
+      creates: results.filter(r => r.action === 'create').length,
+      updates: results.filter(r => r.action === 'update').length,
+      unchanged: results.filter(r => r.action === 'unchanged').length,
+      conflicts: conflicts.length
+    },
+    results, conflicts
+  };
+}
+
+// GET /api/admin/export/products.csv | products.xlsx — the full catalogue, import-ready
+app.get('/api/admin/export/products.:format(csv|xlsx)', adminAuth, async (req, res) => {
+  try {
+    const { headers, rows } = await buildProductSheet();
+    const filename = `products-${istToday()}.${req.params.format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (req.params.format === 'csv') {
+      const escape = v => `"${String(v ?? '').replace(/"/g, '""')}"`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send('\uFEFF' + [headers, ...rows].map(r => r.map(escape).join(',')).join('\r\n'));
+    }
+    const wb = new ExcelJS.Workbook();
+    const ws = wb.addWorksheet('Products', { views: [{ state: 'frozen', ySplit: 1 }] });
+    ws.addRow(headers).font = { bold: true };
+    rows.forEach(r => ws.addRow(r));
+    ws.columns.forEach((col, i) => { col.width = Math.min(40, Math.max(10, headers[i].length + 2)); });
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(Buffer.from(await wb.xlsx.writeBuffer()));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/admin/import/products?apply=1 — multipart field "file" (.csv / .xlsx)
+// Without apply it's a dry run: { summary, results, conflicts } and nothing is written.
+app.post('/api/admin/import/products', adminAuth, importUpload.single('file'), async (req, res) => {
+  try {
+    const plan = await planProductImport(await readProductSheet(req.file));
+    const results = plan.results.map(({ product, ...r }) => r);
+    if (req.query.apply !== '1') return res.json({ dryRun: true, ...plan, results });
+    if (plan.conflicts.length) return res.status(400).json({ error: `Fix the ${plan.conflicts.length} conflict${plan.conflicts.length > 1 ? 's' : ''} first`, ...plan, results });
+
+    const by = req.staff.username;
+    res.locals.auditBefore = [];
+    for (const [i, r] of plan.results.entries()) {
+      const { product } = r;
+      const fields = {
+        name: product.name, brand: product.brand || '', catId: product.catId || 0, subCatId: product.subCatId ?? null,
+        imageUrl: product.imageUrl || '', keywords: product.keywords || [], disabled: !!product.disabled,
+        featured: !!product.featured, isNew: !!product.isNew, variants: product.variants,
+      };
+      fields.searchTokens = buildSearchTokens(fields);
+      if (r.action === 'create') {
+        const p = { id: await getNextId('productId'), ...fields, mrp: null };
+        await db.collection('products').insertOne(p);
+        await journalStockEdits(null, p, by, 'Bulk import');
+        await recordPriceChanges(null, p, by, 'import');
+        results[i].productId = p.id;
+      } else if (r.action === 'update') {
+        const before = await db.collection('products').findOneAndUpdate({ id: r.productId }, { $set: fields }, { returnDocument: 'before' });
+        if (!before) { results[i].error = 'Product was deleted meanwhile'; continue; }
+        res.locals.auditBefore.push(before);
+        await journalStockEdits(before, { ...before, ...fields }, by, 'Bulk import');
+        await recordPriceChanges(before, { ...before, ...fields }, by, 'import');
+        for (const v of fields.variants) await trimBatchesToStock(r.productId, v.id, v.stockQuantity);
+      }
+    }
+    res.json({ ok: true, summary: plan.summary, results, conflicts: [] });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // ── AI CROSS-SELL
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -2709,13 +6318,18 @@ Return up to 6 complementary product IDs as JSON array:`;
 // ═══════════════════════════════════════════════════════════════════════════════
 
 // ── PUSH HELPER — reusable internal function ──────────────────────────────────
+async function getWebPush() {
+  const vapid = await getOrCreateVapidKeys();
+  const webpush = require('web-push');
+  webpush.setVapidDetails('mailto:admin@bscstore.com', vapid.publicKey, vapid.privateKey);
+  return webpush;
+}
+
 async function sendPushToSubscribers(filter, payload) {
   try {
     const subs = await db.collection('pushSubscriptions').find(filter).toArray();
     if (!subs.length) return { sent: 0, failed: 0 };
-    const vapid = await getOrCreateVapidKeys();
-    const webpush = require('web-push');
-    webpush.setVapidDetails('mailto:admin@bscstore.com', vapid.publicKey, vapid.privateKey);
+    const webpush = await getWebPush();
     const body = JSON.stringify(payload);
     let sent = 0, failed = 0, stale = [];
     for (const sub of subs) {
@@ -2734,6 +6348,50 @@ async function sendPushToSubscribers(filter, payload) {
   } catch (e) { console.error('sendPushToSubscribers error:', e.message); return { sent: 0, failed: 0 }; }
 }
 
+// ── STAFF DEVICE PUSH — admin alerts go only to registered staff devices ──────
+// Each adminDevices doc keeps its own delivery stats. A device whose push
+// service says the subscription is gone (404/410) is marked expired rather than
+// deleted, so the push page can show it until someone re-enables it or revokes it.
+// `permission` is the route the alert asks someone to act on (a ROLE_PERMISSIONS
+// key): only devices whose staff account may use it get the alert. The account is
+// read at send time, so a role change or a disabled account applies straight away.
+async function sendPushToAdminDevices(payload, permission = null, filter = {}) {
+  try {
+    let devices = await db.collection('adminDevices').find({ ...filter, expiredAt: null }).toArray();
+    if (permission) {
+      const staff = await db.collection('staffUsers').find({ username: { $in: devices.map(d => d.username).filter(Boolean) } }).toArray();
+      const roles = Object.fromEntries(staff.filter(u => !u.disabled).map(u => [u.username, u.role]));
+      devices = devices.filter(d => roles[d.username] && roleCan(roles[d.username], permission));
+    }
+    if (!devices.length) return { sent: 0, failed: 0 };
+    const webpush = await getWebPush();
+    const body = JSON.stringify(payload);
+    let sent = 0, failed = 0;
+    for (const device of devices) {
+      const now = new Date().toISOString();
+      try {
+        await webpush.sendNotification(device.subscription, body, { TTL: 86400 });
+        sent++;
+        await db.collection('adminDevices').updateOne(
+          { id: device.id }, { $inc: { 'stats.sent': 1 }, $set: { 'stats.lastSentAt': now } }
+        );
+      } catch (err) {
+        failed++;
+        const expired = err.statusCode === 404 || err.statusCode === 410;
+        await db.collection('adminDevices').updateOne(
+          { id: device.id },
+          { $inc: { 'stats.failed': 1 }, $set: {
+            'stats.lastFailedAt': now,
+            'stats.lastError': err.statusCode ? `HTTP ${err.statusCode}` : err.message,
+            ...(expired ? { expiredAt: now } : {})
+          } }
+        );
+      }
+    }
+    return { sent, failed };
+  } catch (e) { console.error('sendPushToAdminDevices error:', e.message); return { sent: 0, failed: 0 }; }
+}
+
 // Generate/retrieve VAPID keys — stored in settings collection
 async function getOrCreateVapidKeys() {
   const s = await db.collection('settings').findOne({ _id: 'main' });
@@ -2802,7 +6460,8 @@ app.post('/api/push/unsubscribe', async (req, res) => {
 app.get('/api/admin/push/stats', adminAuth, async (req, res) => {
   try {
     const total = await db.collection('pushSubscriptions').countDocuments();
-    res.json({ total });
+    const staffDevices = await db.collection('adminDevices').countDocuments({ expiredAt: null });
+    res.json({ total, staffDevices });
   } catch(e) { res.status(500).json({ error: e.message }); }
 });
 
@@ -2814,6 +6473,100 @@ app.post('/api/admin/push/send', adminAuth, async (req, res) => {
     const total = await db.collection('pushSubscriptions').countDocuments(filter);
     if (!total) return res.json({ ok: true, sent: 0, message: 'No subscribers' });
     const result = await sendPushToSubscribers(filter, { title, body, url: url || '/', tag: 'bsc-' + Date.now() });
+    // What went out and to whom, for the audit log
+    const broadcast = {
+      id: await getNextId('pushBroadcastId'), title, body, url: url || '/',
+      customerId: filter.customerId ?? null, ...result, by: req.staff.username, sentAt: new Date().toISOString()
+    };
+    await db.collection('pushBroadcasts').insertOne(broadcast);
+    res.json({ ok: true, ...result, broadcast });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ── STAFF DEVICES (admin alert subscriptions) ─────────────────────────────────
+// Registered from the admin panel with an admin token, kept apart from the
+// anonymous/customer pushSubscriptions so shoppers never get staff alerts.
+// Each device belongs to the staff account that registered it; devices from
+// before accounts were recorded have no username and get no alerts until re-enabled.
+
+function publicAdminDevice(d) {
+  const { subscription, _id, ...rest } = d;
+  return { ...rest, stats: { sent: 0, failed: 0, ...(d.stats || {}) } };
+}
+
+app.get('/api/admin/push/devices', adminAuth, async (req, res) => {
+  try {
+    const devices = await db.collection('adminDevices').find().sort({ createdAt: -1 }).toArray();
+    res.json(devices.map(publicAdminDevice));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Register (or re-register) this browser for admin alerts
+app.post('/api/admin/push/devices', adminAuth, async (req, res) => {
+  try {
+    const { subscription } = req.body;
+    const { username, role } = req.staff;
+    const name = String(req.body.name || '').trim().slice(0, 60) || 'Staff device';
+    if (!subscription?.endpoint || !subscription.keys?.auth || !subscription.keys?.p256dh) {
+      return res.status(400).json({ error: 'Invalid subscription' });
+    }
+    const now = new Date().toISOString();
+    const existing = await db.collection('adminDevices').findOne({ endpoint: subscription.endpoint });
+    let device;
+    if (existing) {
+      device = await db.collection('adminDevices').findOneAndUpdate(
+        { id: existing.id },
+        { $set: { subscription, name, username, role, userAgent: req.get('user-agent') || '', expiredAt: null, updatedAt: now } },
+        { returnDocument: 'after' }
+      );
+    } else {
+      device = {
+        id: await getNextId('adminDevice'),
+        endpoint: subscription.endpoint, subscription, name, username, role,
+        userAgent: req.get('user-agent') || '',
+        stats: { sent: 0, failed: 0 },
+        expiredAt: null, createdAt: now, updatedAt: now
+      };
+      await db.collection('adminDevices').insertOne(device);
+    }
+    // The same browser may have subscribed on the storefront too — don't double-notify it
+    await db.collection('pushSubscriptions').deleteMany({ endpoint: subscription.endpoint });
+    res.json(publicAdminDevice(device));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.put('/api/admin/push/devices/:id', adminAuth, async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim().slice(0, 60);
+    if (!name) return res.status(400).json({ error: 'Name required' });
+    const device = await db.collection('adminDevices').findOneAndUpdate(
+      { id: parseInt(req.params.id) },
+      { $set: { name, updatedAt: new Date().toISOString() } },
+      { returnDocument: 'after' }
+    );
+    if (!device) return res.status(404).json({ error: 'Device not found' });
+    res.json(publicAdminDevice(device));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.delete('/api/admin/push/devices/:id', adminAuth, async (req, res) => {
+  try {
+    const r = await db.collection('adminDevices').deleteOne({ id: parseInt(req.params.id) });
+    if (!r.deletedCount) return res.status(404).json({ error: 'Device not found' });
+    res.json({ ok: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/admin/push/devices/:id/test', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const device = await db.collection('adminDevices').findOne({ id });
+    if (!device) return res.status(404).json({ error: 'Device not found' });
+    if (device.expiredAt) return res.status(400).json({ error: 'This device\'s subscription has expired — re-enable alerts on it' });
+    const result = await sendPushToAdminDevices(
+      { title: '🔔 Test alert', body: `Admin alerts are working on ${device.name}.`, url: '/admin', tag: 'admin-test-' + id },
+      null, { id }
+    );
     res.json({ ok: true, ...result });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
@@ -2905,7 +6658,7 @@ app.get('*', (req, res) => res.sendFile(path.join(__dirname, 'public', 'index.ht
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`\n✅ BSC Store HTTP server running at http://localhost:${PORT}`);
   console.log(`🔧 Admin panel: http://localhost:${PORT}/admin`);
-  console.log(`⏳ Connecting to MongoDB...`);
+  console.log(MONGO_URI ? `⏳ Connecting to MongoDB...` : `⏳ Opening local file storage (MONGO_URI not set)...`);
   startDB();
 });
 
@@ -2934,14 +6687,15 @@ async function startDB(attempt = 1) {
       console.error('⚠️ Keyword auto-fill error (non-fatal):', e.message);
     }
   } catch (err) {
-    console.error(`❌ MongoDB connection attempt ${attempt} failed:`, err.message);
+    console.error(`❌ ${MONGO_URI ? 'MongoDB connection' : 'Local storage'} attempt ${attempt} failed:`, err.message);
     if (attempt < MAX_ATTEMPTS) {
       const delay = attempt * 5000; // 5s, 10s, 15s, 20s back-off
       console.log(`🔄 Retrying in ${delay/1000}s... (attempt ${attempt+1}/${MAX_ATTEMPTS})`);
       setTimeout(() => startDB(attempt + 1), delay);
     } else {
       console.error('❌ All MongoDB connection attempts failed. Server is running but DB is unavailable.');
-      console.error('   Check: MONGO_URI env var, Atlas cluster status, and IP whitelist (0.0.0.0/0).');
+      if (MONGO_URI) console.error('   Check: MONGO_URI env var, Atlas cluster status, and IP whitelist (0.0.0.0/0).');
+      else console.error(`   Check that ${DATA_FILE} is valid JSON and its folder is writable.`);
       // Do NOT call process.exit — keep server alive so Render doesn't restart-loop
     }
   }
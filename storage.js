@@ -0,0 +1,522 @@
+/**
+ * BSC Store — Storage adapters
+ * ───────────────────────────────────────────────────────────────────
+ * server.js talks to storage only through `db.collection(name)`.
+ * Two adapters provide that object:
+ *
+ *   - MongoDB (when MONGO_URI is set) — the real driver, unchanged.
+ *   - Local JSON file (when MONGO_URI is unset) — an in-memory copy of
+ *     every collection, written back to disk after each change. Meant for
+ *     the shop PC and test machines, so the store and admin panel run
+ *     fully offline. On first start it is seeded from the legacy db.json.
+ *
+ * The file adapter only implements the subset of the driver API that
+ * server.js uses: find (sort/limit/skip/project), findOne, insertOne,
+ * updateOne, updateMany, findOneAndUpdate, deleteOne, deleteMany,
+ * countDocuments and createIndex (unique + sparse are enforced, other
+ * index options are ignored). Counters for getNextId() work through the
+ * same findOneAndUpdate + $inc + upsert path as on MongoDB.
+ * ───────────────────────────────────────────────────────────────────
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+// ── MONGODB ───────────────────────────────────────────────────────────────────
+async function openMongoStore(uri, dbName = 'bscstore') {
+  const { MongoClient } = require('mongodb');
+  const client = new MongoClient(uri);
+  await client.connect();
+  return { kind: 'mongo', db: client.db(dbName), client };
+}
+
+// ── PATH HELPERS ──────────────────────────────────────────────────────────────
+// Dot-notation access. Walking through an array maps over its elements, so
+// 'items.productId' on an order yields [1, 2, 3] like Mongo's implicit match.
+function getPath(doc, key) {
+  let cur = doc;
+  for (const part of key.split('.')) {
+    if (cur == null) return undefined;
+    if (Array.isArray(cur) && !/^\d+$/.test(part)) cur = cur.map(e => (e == null ? undefined : e[part]));
+    else cur = cur[part];
+  }
+  return cur;
+}
+
+function setPath(doc, key, value) {
+  const parts = key.split('.');
+  let cur = doc;
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (cur[parts[i]] == null || typeof cur[parts[i]] !== 'object') cur[parts[i]] = {};
+    cur = cur[parts[i]];
+  }
+  cur[parts[parts.length - 1]] = value;
+}
+
+function unsetPath(doc, key) {
+  const parts = key.split('.');
+  let cur = doc;
+  for (let i = 0; i < parts.length - 1; i++) {
+    cur = cur?.[parts[i]];
+    if (cur == null) return;
+  }
+  delete cur[parts[parts.length - 1]];
+}
+
+const clone = v => (v === undefined ? undefined : structuredClone(v));
+
+// ── QUERY MATCHING ────────────────────────────────────────────────────────────
+// BSON-ish ordering so $gt/$lt and sort behave like Mongo across mixed types.
+const TYPE_RANK = { undefined: 0, null: 0, number: 1, string: 2, object: 3, array: 4, boolean: 5 };
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  return typeof v;
+}
+function compareValues(a, b) {
+  const ta = TYPE_RANK[typeOf(a)] ?? 3, tb = TYPE_RANK[typeOf(b)] ?? 3;
+  if (ta !== tb) return ta - tb;
+  if (typeof a === 'number' || typeof a === 'string' || typeof a === 'boolean') return a < b ? -1 : a > b ? 1 : 0;
+  const sa = JSON.stringify(a), sb = JSON.stringify(b);
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+}
+
+function valuesEqual(a, b) {
+  if (a == null && b == null) return true; // { field: null } matches a missing field
+  if (a === b) return true;
+  if (typeof a === 'object' && typeof b === 'object' && a && b) return JSON.stringify(a) === JSON.stringify(b);
+  return false;
+}
+
+function toRegExp(pattern, options) {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern, options || '');
+}
+
+// Equality with Mongo's array semantics: a scalar matches any element.
+function matchEq(docVal, v) {
+  if (v instanceof RegExp) {
+    if (Array.isArray(docVal)) return docVal.some(e => typeof e === 'string' && v.test(e));
+    return typeof docVal === 'string' && v.test(docVal);
+  }
+  if (valuesEqual(docVal, v)) return true;
+  return Array.isArray(docVal) && !Array.isArray(v) && docVal.some(e => valuesEqual(e, v));
+}
+
+function isOperatorObject(v) {
+  if (!v || typeof v !== 'object' || Array.isArray(v) || v instanceof RegExp) return false;
+  const keys = Object.keys(v);
+  return keys.length > 0 && keys.every(k => k.startsWith('$'));
+}
+
+function matchType(v, type) {
+  switch (type) {
+    case 'number': case 'double': case 'int': return typeof v === 'number';
+    case 'string': return typeof v === 'string';
+    case 'bool': return typeof v === 'boolean';
+    case 'array': return Array.isArray(v);
+    case 'object': return typeOf(v) === 'object';
+    case 'null': return v === null;
+    default: return false;
+  }
+}
+
+function matchField(docVal, cond) {
+  if (!isOperatorObject(cond)) return matchEq(docVal, cond);
+  const candidates = Array.isArray(docVal) ? docVal : [docVal];
+  // Range operators only compare values of the same type, as in Mongo
+  const cmpAny = (target, ok) => candidates.some(c => c !== undefined && typeOf(c) === typeOf(target) && ok(compareValues(c, target)));
+  for (const [op, arg] of Object.entries(cond)) {
+    switch (op) {
+      case '$eq':  if (!matchEq(docVal, arg)) return false; break;
+      case '$ne':  if (matchEq(docVal, arg)) return false; break;
+      case '$gt':  if (!cmpAny(arg, r => r > 0)) return false; break;
+      case '$gte': if (!cmpAny(arg, r => r >= 0)) return false; break;
+      case '$lt':  if (!cmpAny(arg, r => r < 0)) return false; break;
+      case '$lte': if (!cmpAny(arg, r => r <= 0)) return false; break;
+      case '$in':  if (!arg.some(v => matchEq(docVal, v))) return false; break;
+      case '$nin': if (arg.some(v => matchEq(docVal, v))) return false; break;
+      case '$exists': if ((docVal !== undefined) !== !!arg) return false; break;
+      case '$size': if (!Array.isArray(docVal) || docVal.length !== arg) return false; break;
+      case '$type': if (!matchType(docVal, arg)) return false; break;
+      case '$regex': if (!matchEq(docVal, toRegExp(arg, cond.$options))) return false; break;
+      case '$options': break;
+      case '$not': if (matchField(docVal, arg)) return false; break;
+      case '$elemMatch':
+        if (!Array.isArray(docVal) || !docVal.some(e => (isOperatorObject(arg) ? matchField(e, arg) : matches(e, arg)))) return false;
+        break;
+      default: throw new Error(`Unsupported query operator in file storage: ${op}`);
+    }
+  }
+  return true;
+}
+
+// Aggregation-style expressions, enough for { $expr: { $lte: ['$a', '$b'] } }
+function evalExpr(doc, expr) {
+  if (typeof expr === 'string' && expr.startsWith('$')) return getPath(doc, expr.slice(1));
+  if (!isOperatorObject(expr)) return expr;
+  const [op, args] = Object.entries(expr)[0];
+  const vals = (Array.isArray(args) ? args : [args]).map(a => evalExpr(doc, a));
+  switch (op) {
+    case '$eq':  return compareValues(vals[0], vals[1]) === 0;
+    case '$ne':  return compareValues(vals[0], vals[1]) !== 0;
+    case '$gt':  return compareValues(vals[0], vals[1]) > 0;
+    case '$gte': return compareValues(vals[0], vals[1]) >= 0;
+    case '$lt':  return compareValues(vals[0], vals[1]) < 0;
+    case '$lte': return compareValues(vals[0], vals[1]) <= 0;
+    case '$and': return vals.every(Boolean);
+    case '$or':  return vals.some(Boolean);
+    case '$not': return !vals[0];
+    case '$add': return vals.reduce((s, v) => s + (v || 0), 0);
+    case '$subtract': return (vals[0] || 0) - (vals[1] || 0);
+    default: throw new Error(`Unsupported $expr operator in file storage: ${op}`);
+  }
+}
+
+function matches(doc, filter = {}) {
+  for (const [key, cond] of Object.entries(filter)) {
+    if (key === '$or')  { if (!cond.some(f => matches(doc, f))) return false; continue; }
+    if (key === '$and') { if (!cond.every(f => matches(doc, f))) return false; continue; }
+    if (key === '$nor') { if (cond.some(f => matches(doc, f))) return false; continue; }
+    if (key === '$expr') { if (!evalExpr(doc, cond)) return false; continue; }
+    if (key === '$text') throw new Error('$text search is not supported in file storage');
+    if (!matchField(getPath(doc, key), cond)) return false;
+  }
+  return true;
+}
+
+// ── UPDATES ───────────────────────────────────────────────────────────────────
+function applyUpdate(doc, update, isInsert) {
+  const ops = Object.keys(update);
+  if (!ops.length || !ops.every(k => k.startsWith('$'))) throw new Error('Update document requires atomic operators');
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [key, value] of Object.entries(fields)) {
+      const cur = getPath(doc, key);
+      switch (op) {
+        case '$set': setPath(doc, key, clone(value)); break;
+        case '$setOnInsert': if (isInsert) setPath(doc, key, clone(value)); break;
+        case '$unset': unsetPath(doc, key); break;
+        case '$inc': setPath(doc, key, (typeof cur === 'number' ? cur : 0) + value); break;
+        case '$min': if (cur === undefined || compareValues(value, cur) < 0) setPath(doc, key, value); break;
+        case '$max': if (cur === undefined || compareValues(value, cur) > 0) setPath(doc, key, value); break;
+        case '$push': {
+          const arr = Array.isArray(cur) ? cur : [];
+          const items = value && typeof value === 'object' && Array.isArray(value.$each) ? value.$each : [value];
+          arr.push(...items.map(clone));
+          if (value && typeof value === 'object' && typeof value.$slice === 'number') {
+            const s = value.$slice;
+            arr.splice(0, arr.length, ...(s < 0 ? arr.slice(s) : arr.slice(0, s)));
+          }
+          setPath(doc, key, arr);
+          break;
+        }
+        case '$addToSet': {
+          const arr = Array.isArray(cur) ? cur : [];
+          const items = value && typeof value === 'object' && Array.isArray(value.$each) ? value.$each : [value];
+          items.forEach(v => { if (!arr.some(e => valuesEqual(e, v))) arr.push(clone(v)); });
+          setPath(doc, key, arr);
+          break;
+        }
+        case '$pull': {
+          if (!Array.isArray(cur)) break;
+          const keep = cur.filter(e => (value && typeof value === 'object' && !Array.isArray(value)
+            ? !(isOperatorObject(value) ? matchField(e, value) : matches(e, value))
+            : !valuesEqual(e, value)));
+          setPath(doc, key, keep);
+          break;
+        }
+        default: throw new Error(`Unsupported update operator in file storage: ${op}`);
+      }
+    }
+  }
+  return doc;
+}
+
+// Fields a filter pins to a single value, used to build upserted documents.
+function equalityFields(filter) {
+  const out = {};
+  for (const [key, cond] of Object.entries(filter || {})) {
+    if (key.startsWith('$')) continue;
+    if (isOperatorObject(cond)) { if ('$eq' in cond) setPath(out, key, clone(cond.$eq)); continue; }
+    if (cond instanceof RegExp) continue;
+    setPath(out, key, clone(cond));
+  }
+  return out;
+}
+
+function project(doc, projection) {
+  if (!projection || !Object.keys(projection).length) return doc;
+  const include = Object.entries(projection).filter(([k, v]) => v && k !== '_id').map(([k]) => k);
+  if (include.length) {
+    const out = {};
+    if (projection._id !== 0 && projection._id !== false) out._id = doc._id;
+    include.forEach(k => { const v = getPath(doc, k); if (v !== undefined) setPath(out, k, v); });
+    return out;
+  }
+  const out = clone(doc);
+  Object.entries(projection).forEach(([k, v]) => { if (!v) unsetPath(out, k); });
+  return out;
+}
+
+function sortComparator(spec) {
+  const keys = Object.entries(spec);
+  return (a, b) => {
+    for (const [k, dir] of keys) {
+      const r = compareValues(getPath(a, k), getPath(b, k));
+      if (r) return dir < 0 ? -r : r;
+    }
+    return 0;
+  };
+}
+
+const newObjectId = () => crypto.randomBytes(12).toString('hex');
+
+// ── CURSOR ────────────────────────────────────────────────────────────────────
+class FileCursor {
+  constructor(docs, projection) {
+    this._docs = docs;
+    this._projection = projection;
+    this._sort = null;
+    this._skip = 0;
+    this._limit = 0;
+  }
+  sort(spec) { this._sort = spec; return this; }
+  skip(n) { this._skip = n; return this; }
+  limit(n) { this._limit = n; return this; }
+  project(p) { this._projection = p; return this; }
+  async toArray() {
+    let docs = this._docs.slice();
+    if (this._sort) docs.sort(sortComparator(this._sort));
+    if (this._skip) docs = docs.slice(this._skip);
+    if (this._limit) docs = docs.slice(0, this._limit);
+    return docs.map(d => project(clone(d), this._projection));
+  }
+}
+
+// ── COLLECTION ────────────────────────────────────────────────────────────────
+class FileCollection {
+  constructor(store, name) {
+    this.store = store;
+    this.name = name;
+  }
+
+  get _docs() { return this.store._collectionDocs(this.name); }
+
+  _dupKeyError(field, value) {
+    const err = new Error(`E11000 duplicate key error collection: ${this.name} index: ${field}_1 dup key: { ${field}: ${JSON.stringify(value)} }`);
+    err.code = 11000;
+    err.keyPattern = { [field]: 1 };
+    err.keyValue = { [field]: value };
+    return err;
+  }
+
+  // Throws the same E11000 error the driver would for a unique index clash.
+  _checkUnique(candidate, ignore) {
+    for (const idx of this.store._uniqueIndexes(this.name)) {
+      const value = getPath(candidate, idx.field);
+      if (value === undefined && idx.sparse) continue;
+      const clash = this._docs.find(d => d !== ignore && valuesEqual(getPath(d, idx.field), value)
+        && !(idx.sparse && getPath(d, idx.field) === undefined));
+      if (clash) throw this._dupKeyError(idx.field, value ?? null);
+    }
+  }
+
+  find(filter = {}, options = {}) {
+    return new FileCursor(this._docs.filter(d => matches(d, filter)), options.projection);
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const doc = this._docs.find(d => matches(d, filter));
+    return doc ? project(clone(doc), options.projection) : null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this._docs.filter(d => matches(d, filter)).length;
+  }
+
+  async insertOne(doc) {
+    if (doc._id === undefined) doc._id = newObjectId(); // the driver mutates the argument too
+    if (this._docs.some(d => valuesEqual(d._id, doc._id))) throw this._dupKeyError('_id', doc._id);
+    const stored = clone(doc);
+    this._checkUnique(stored, null);
+    this._docs.push(stored);
+    this.store._save();
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (let i = 0; i < docs.length; i++) insertedIds[i] = (await this.insertOne(docs[i])).insertedId;
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  // Applies an update to one stored doc; returns { before, after } or null.
+  _updateDoc(target, update) {
+    const next = applyUpdate(clone(target), update, false);
+    this._checkUnique(next, target);
+    const before = clone(target);
+    const idx = this._docs.indexOf(target);
+    this._docs[idx] = next;
+    return { before, after: next };
+  }
+
+  _upsert(filter, update) {
+    const doc = applyUpdate(equalityFields(filter), update, true);
+    if (doc._id === undefined) doc._id = newObjectId();
+    this._checkUnique(doc, null);
+    this._docs.push(doc);
+    return doc;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const target = this._docs.find(d => matches(d, filter));
+    if (!target) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedId: null };
+      const doc = this._upsert(filter, update);
+      this.store._save();
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+    const { before, after } = this._updateDoc(target, update);
+    this.store._save();
+    return { acknowledged: true, matchedCount: 1, modifiedCount: valuesEqual(before, after) ? 0 : 1, upsertedId: null };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const targets = this._docs.filter(d => matches(d, filter));
+    if (!targets.length && options.upsert) return this.updateOne(filter, update, options);
+    let modifiedCount = 0;
+    for (const t of targets) {
+      const { before, after } = this._updateDoc(t, update);
+      if (!valuesEqual(before, after)) modifiedCount++;
+    }
+    if (targets.length) this.store._save();
+    return { acknowledged: true, matchedCount: targets.length, modifiedCount, upsertedId: null };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const hits = this._docs.filter(d => matches(d, filter));
+    if (options.sort) hits.sort(sortComparator(options.sort));
+    const target = hits[0];
+    const after = options.returnDocument === 'after';
+    if (!target) {
+      if (!options.upsert) return null;
+      const doc = this._upsert(filter, update);
+      this.store._save();
+      return after ? project(clone(doc), options.projection) : null;
+    }
+    const res = this._updateDoc(target, update);
+    this.store._save();
+    return project(clone(after ? res.after : res.before), options.projection);
+  }
+
+  async findOneAndDelete(filter) {
+    const idx = this._docs.findIndex(d => matches(d, filter));
+    if (idx === -1) return null;
+    const [doc] = this._docs.splice(idx, 1);
+    this.store._save();
+    return doc;
+  }
+
+  async deleteOne(filter = {}) {
+    const idx = this._docs.findIndex(d => matches(d, filter));
+    if (idx === -1) return { acknowledged: true, deletedCount: 0 };
+    this._docs.splice(idx, 1);
+    this.store._save();
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const docs = this._docs;
+    const keep = docs.filter(d => !matches(d, filter));
+    const deletedCount = docs.length - keep.length;
+    if (deletedCount) { docs.splice(0, docs.length, ...keep); this.store._save(); }
+    return { acknowledged: true, deletedCount };
+  }
+
+  async createIndex(spec, options = {}) {
+    const fields = Object.keys(spec);
+    const name = options.name || fields.map(f => `${f}_${spec[f]}`).join('_');
+    if (options.unique && fields.length === 1) this.store._addUniqueIndex(this.name, fields[0], !!options.sparse);
+    return name;
+  }
+}
+
+// ── FILE STORE ────────────────────────────────────────────────────────────────
+class FileStore {
+  constructor(file) {
+    this.file = file;
+    this.collections = {};
+    this._indexes = {};
+    this._handles = {};
+  }
+
+  _collectionDocs(name) {
+    if (!this.collections[name]) this.collections[name] = [];
+    return this.collections[name];
+  }
+
+  _uniqueIndexes(name) { return this._indexes[name] || []; }
+
+  _addUniqueIndex(name, field, sparse) {
+    const list = this._indexes[name] || (this._indexes[name] = []);
+    if (!list.some(i => i.field === field)) list.push({ field, sparse });
+  }
+
+  // Write-then-rename so a crash mid-write never leaves a half-written file
+  _save() {
+    const tmp = this.file + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(this.collections), 'utf8');
+    fs.renameSync(tmp, this.file);
+  }
+
+  collection(name) {
+    if (!this._handles[name]) this._handles[name] = new FileCollection(this, name);
+    return this._handles[name];
+  }
+}
+
+// ── LEGACY db.json SEED ───────────────────────────────────────────────────────
+// The old single-file format kept each list at the top level plus nextXxxId
+// counters. Map it onto the collection/counter layout server.js expects.
+const LEGACY_COUNTERS = {
+  nextMilkId: 'customerId', nextMilkLogId: 'milkLogId', nextProductId: 'productId',
+  nextCategoryId: 'categoryId', nextBannerId: 'bannerId', nextOrderId: 'orderId',
+  nextUdharId: 'udharId', nextUdharPayId: 'udharPayId',
+};
+
+function seedFromLegacy(legacy) {
+  const cols = {};
+  const withIds = list => (list || []).map(d => ({ _id: newObjectId(), ...d }));
+  if (legacy.settings) cols.settings = [{ ...legacy.settings, _id: 'main' }];
+  ['categories', 'subcategories', 'products', 'banners', 'orders', 'milkLogs', 'milkPayments', 'udharEntries', 'udharPayments']
+    .forEach(name => { if (legacy[name]) cols[name] = withIds(legacy[name]); });
+  if (legacy.milkCustomers) {
+    cols.customers = withIds(legacy.milkCustomers.map(c => ({
+      customerId: c.id, name: c.name, phone: c.phone, address: c.address || '',
+      block: '', villa: '', pin: c.password || null, pinPlain: c.plainPassword || null,
+      active: c.active !== false, tags: [], creditLimit: 0, notes: '',
+      joinedAt: c.joinedAt || new Date().toISOString()
+    })));
+  }
+  cols.counters = Object.entries(LEGACY_COUNTERS)
+    .filter(([key]) => typeof legacy[key] === 'number')
+    .map(([key, name]) => ({ _id: name, seq: legacy[key] - 1 }));
+  return cols;
+}
+
+function openFileStore(file, { seedFile } = {}) {
+  const store = new FileStore(file);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (fs.existsSync(file)) {
+    store.collections = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } else {
+    if (seedFile && fs.existsSync(seedFile)) {
+      store.collections = seedFromLegacy(JSON.parse(fs.readFileSync(seedFile, 'utf8')));
+      console.log(`🌱 Seeded local storage from ${path.basename(seedFile)}`);
+    }
+    store._save();
+  }
+  return { kind: 'file', db: store, file };
+}
+
+module.exports = { openMongoStore, openFileStore };
@@ -0,0 +1,48 @@
+// Order amendments — stock, tier price and khata follow the edited items, and old versions are kept
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, openShop, addProduct, stockOf, order } = require('./helpers');
+
+test('order amendments', async (t) => {
+  const { call, admin, stop } = await startServer();
+  t.after(stop);
+  await openShop(admin);
+  const { body: atta } = await admin('POST', '/api/admin/products', {
+    name: 'Atta', variants: [{ id: 'v1', label: '1 kg', stockQuantity: 10, priceTiers: [{ minQty: 1, price: 50 }, { minQty: 3, price: 40 }] }],
+  });
+  const salt = await addProduct(admin, 'Salt', 5);
+  const { body: created } = await admin('POST', '/api/admin/customers', { name: 'Meena', phone: '9222233333', pin: '2468' });
+  const customerId = created.customer.customerId;
+  const { body: { token } } = await call('POST', '/api/milk/login', { phone: '9222233333', pin: '2468' });
+  const { body: { order: placed } } = await call('POST', '/api/orders', order([{ productId: atta.id, variantId: 'v1', qty: 1 }], { paymentMethod: 'account' }), token);
+  const amend = body => admin('POST', `/api/admin/orders/${placed.id}/amend`, body);
+  const balance = async () => {
+    const { body } = await admin('GET', `/api/admin/ledger?customerId=${customerId}`);
+    return body.reduce((sum, e) => sum + (e.type === 'credit' ? e.amount : -e.amount), 0);
+  };
+
+  await t.test('a bigger quantity is priced at its tier and the khata is charged the difference', async () => {
+    const { body } = await amend({ items: [{ productId: atta.id, variantId: 'v1', qty: 3 }, { productId: salt, variantId: 'v1', qty: 1 }], reason: 'Called to add' });
+    assert.equal(body.order.total, 170);
+    assert.equal(body.difference, 120);
+    assert.deepEqual([body.ledgerEntry.amount, body.ledgerEntry.source], [120, 'order_amendment']);
+    assert.equal(await balance(), 170);
+    assert.equal(await stockOf(admin, atta.id), 7);
+    assert.equal(await stockOf(admin, salt), 4);
+  });
+
+  await t.test('dropping a line refunds it and keeps every version', async () => {
+    const { body } = await amend({ items: [{ productId: atta.id, variantId: 'v1', qty: 3 }] });
+    assert.equal(body.difference, -50);
+    assert.equal(await balance(), 120);
+    assert.equal(await stockOf(admin, salt), 5);
+    assert.deepEqual(body.order.revisions.map(r => [r.rev, r.total]), [[0, 50], [1, 170], [2, 120]]);
+  });
+
+  await t.test('edits that change nothing, or come too late, are refused', async () => {
+    assert.equal((await amend({ items: [{ productId: atta.id, variantId: 'v1', qty: 3 }] })).status, 400);
+    assert.equal((await amend({ items: [] })).status, 400);
+    await admin('PUT', `/api/admin/orders/${placed.id}`, { status: 'delivered' });
+    assert.equal((await amend({ items: [{ productId: atta.id, variantId: 'v1', qty: 1 }] })).status, 400);
+  });
+});
@@ -0,0 +1,84 @@
+// Audit log — every successful admin write is recorded with who did it and what changed
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+test('audit log', async (t) => {
+  const { base, token, call, admin, stop } = await startServer();
+  t.after(stop);
+  // The entry is written once the response has gone out
+  const audit = async (query, count = 1, as = admin) => {
+    for (const end = Date.now() + 5000; ; await new Promise(r => setTimeout(r, 50))) {
+      const { body: entries } = await as('GET', `/api/admin/audit?${query}`);
+      if (entries.length >= count || Date.now() > end) return entries;
+    }
+  };
+
+  await t.test('a product edit records the actor, the before/after and what changed', async () => {
+    const { body: product } = await admin('POST', '/api/admin/products', {
+      name: 'Honey', variants: [{ id: 'v1', label: '250g', priceTiers: [{ minQty: 1, price: 150 }] }],
+    });
+    await admin('PUT', `/api/admin/products/${product.id}`, { name: 'Wild Honey' });
+    const [edit, created] = await audit(`entity=product&entityId=${product.id}`, 2);
+    assert.equal(created.method, 'POST');
+    assert.equal(created.before, null);
+    assert.equal(edit.route, '/api/admin/products/:id');
+    assert.equal(edit.actor.username, 'owner');
+    assert.equal(edit.before.name, 'Honey');
+    assert.equal(edit.after.name, 'Wild Honey');
+    assert.ok(edit.changes.includes('name'));
+  });
+
+  await t.test('rejected writes are not logged and secrets are redacted', async () => {
+    assert.equal((await admin('PUT', '/api/admin/products/9999', { name: 'Ghost' })).status, 404);
+    assert.deepEqual(await audit('entity=product&entityId=9999', 0), []);
+
+    const { body: user } = await admin('POST', '/api/admin/staff', { username: 'counter1', role: 'counter', password: 'secret1' });
+    const [entry] = await audit(`entity=staffUser&entityId=${user.id}`);
+    assert.equal(entry.after.passwordHash, '[redacted]');
+    assert.doesNotMatch(entry.body, /secret1/);
+  });
+
+  await t.test('a customer’s history gathers entries about them', async () => {
+    const { body: created } = await admin('POST', '/api/admin/customers', { name: 'Meena', phone: '9876501234', pin: '4321' });
+    const customerId = created.customer.customerId;
+    await admin('POST', '/api/admin/ledger', { customerId, type: 'credit', amount: 120, note: 'Vegetables' });
+    const entries = await audit(`customerId=${customerId}`, 2);
+    assert.deepEqual(entries.map(e => e.entity), ['ledger', 'customer']);
+    assert.equal(entries[1].after.pin, '[redacted]');
+  });
+
+  await t.test('writes that touch several documents record each of them', async () => {
+    const { body: product } = await admin('POST', '/api/admin/products', {
+      name: 'Jaggery', variants: [{ id: 'v1', label: '1 kg', stockQuantity: 1, priceTiers: [{ minQty: 1, price: 80 }] }],
+    });
+    const { body: supplier } = await admin('POST', '/api/admin/suppliers', { name: 'Gur Traders', productIds: [product.id] });
+    const { body: draft } = await admin('POST', '/api/admin/reorder-suggestions/draft', { items: [{ productId: product.id, variantId: 'v1', qty: 5, supplierId: supplier.id }] });
+    assert.equal(draft.purchaseOrders.length, 1);
+    const [entry] = await audit('entity=purchaseOrder');
+    assert.equal(entry.route, '/api/admin/reorder-suggestions/draft');
+    assert.deepEqual(entry.before, []);
+    assert.deepEqual(entry.after.map(po => po.id), draft.purchaseOrders.map(po => po.id));
+    assert.deepEqual(entry.changes, draft.purchaseOrders.map(po => String(po.id)));
+  });
+
+  await t.test('the client IP comes from X-Forwarded-For only through a trusted proxy', async () => {
+    const addCategory = (url, auth, name) => fetch(`${url}/api/admin/categories`, {
+      method: 'POST', body: JSON.stringify({ name }),
+      headers: { 'content-type': 'application/json', authorization: 'Bearer ' + auth, 'x-forwarded-for': '203.0.113.9' },
+    }).then(r => r.json());
+    const viaProxy = await addCategory(base, token, 'Snacks');
+    assert.equal((await audit(`entity=category&entityId=${viaProxy.id}`))[0].ip, '203.0.113.9');
+
+    // With no proxy trusted the header is ignored, so it can't be spoofed
+    const direct = await startServer({ env: { TRUST_PROXY: 'false' } });
+    t.after(direct.stop);
+    const created = await addCategory(direct.base, direct.token, 'Sweets');
+    assert.match((await audit(`entity=category&entityId=${created.id}`, 1, direct.admin))[0].ip, /127\.0\.0\.1$/);
+  });
+
+  await t.test('only the owner can read it', async () => {
+    const { body: { token } } = await call('POST', '/api/admin/login', { username: 'counter1', password: 'secret1' });
+    assert.equal((await call('GET', '/api/admin/audit', undefined, token)).status, 403);
+  });
+});
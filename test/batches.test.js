@@ -0,0 +1,50 @@
+// Batches and expiry — sales take the earliest expiry first, cancellations put units back
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, openShop, addProduct, stockOf, order } = require('./helpers');
+
+const inDays = n => new Date(Date.now() + 5.5 * 3600000 + n * 86400000).toISOString().slice(0, 10); // IST, like the server
+
+test('stock batches', async (t) => {
+  const { call, admin, stop } = await startServer();
+  t.after(stop);
+  await openShop(admin);
+  const productId = await addProduct(admin, 'Bread', 2);
+  const batches = async () => (await admin('GET', `/api/admin/products/${productId}/batches`)).body.variants[0];
+  const addBatch = body => admin('POST', `/api/admin/products/${productId}/batches`, { variantId: 'v1', ...body });
+  let late, soon;
+
+  await t.test('new batches add stock; labelling shelf stock is limited to what has no batch', async () => {
+    assert.equal((await addBatch({ qty: 3, expiry: '30/12/2030' })).status, 400);
+    late = (await addBatch({ qty: 3, expiry: inDays(30) })).body.batch;
+    soon = (await addBatch({ qty: 2, expiry: inDays(2) })).body.batch;
+    assert.equal(await stockOf(admin, productId), 7);
+    const refused = await addBatch({ qty: 3, expiry: inDays(10), addStock: false });
+    assert.equal(refused.status, 400);
+    assert.match(refused.body.error, /Only 2 unit/);
+    assert.deepEqual(await batches().then(v => [v.batchedQty, v.unbatchedQty]), [5, 2]);
+  });
+
+  await t.test('a sale takes the earliest expiry first and a cancel puts it back', async () => {
+    const { body: { order: placed } } = await call('POST', '/api/orders', order([{ productId, variantId: 'v1', qty: 3 }]));
+    assert.deepEqual((await batches()).batches.map(b => [b.id, b.qty]), [[late.id, 2]]);
+    await admin('PUT', `/api/admin/orders/${placed.id}`, { status: 'cancelled', reason: 'Changed mind' });
+    assert.deepEqual((await batches()).batches.map(b => [b.id, b.qty]), [[soon.id, 2], [late.id, 3]]);
+  });
+
+  await t.test('expiring batches are listed and can be written off', async () => {
+    const { body: expiring } = await admin('GET', '/api/admin/batches/expiring?days=3');
+    assert.deepEqual(expiring.rows.map(b => [b.id, b.daysLeft]), [[soon.id, 2]]);
+    const off = await admin('POST', `/api/admin/batches/${soon.id}/write-off`, {});
+    assert.equal(off.status, 200, JSON.stringify(off.body));
+    assert.equal(await stockOf(admin, productId), 5);
+    const { body: history } = await admin('GET', `/api/admin/products/${productId}/stock-history`);
+    assert.deepEqual([history[0].type, history[0].delta], ['damage', -2]);
+  });
+
+  await t.test('other stock decreases trim the batches so they never exceed the shelf', async () => {
+    await admin('PATCH', `/api/admin/products/${productId}/stock`, { adjustment: -4, reason: 'correction' });
+    const v = await batches();
+    assert.deepEqual([v.stockQuantity, v.batchedQty, v.unbatchedQty], [1, 1, 0]);
+  });
+});
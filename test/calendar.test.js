@@ -0,0 +1,42 @@
+// Shop calendar — planned closures and special hours decide when orders are taken
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, openShop, addProduct, order } = require('./helpers');
+
+const shopDay = n => new Date(Date.now() + 5.5 * 3600000 + n * 86400000).toISOString().slice(0, 10); // IST, like the server
+
+test('shop calendar', async (t) => {
+  const { call, admin, stop } = await startServer();
+  t.after(stop);
+  await openShop(admin);
+  const productId = await addProduct(admin, 'Diya', 10);
+  const setCalendar = entries => admin('PUT', '/api/admin/shop-calendar', { entries });
+  const place = () => call('POST', '/api/orders', order([{ productId, variantId: 'v1', qty: 1 }]));
+
+  await t.test('entries are checked', async () => {
+    assert.equal((await setCalendar([{ from: '01/11/2026', type: 'closed' }])).status, 400);
+    assert.equal((await setCalendar([{ from: shopDay(2), to: shopDay(1), type: 'closed' }])).status, 400);
+    assert.equal((await setCalendar([{ from: shopDay(1), type: 'hours', openTime: '10:00', closeTime: '10:00' }])).status, 400);
+  });
+
+  await t.test('a closure today refuses orders and says when the shop opens again', async () => {
+    const { body } = await setCalendar([{ from: shopDay(0), type: 'closed', label: 'Diwali' }]);
+    assert.deepEqual(body.entries.map(e => [e.id, e.to]), [['h1', shopDay(0)]]);
+    assert.equal(body.status.isOpen, false);
+    assert.equal(new Date(Date.parse(body.status.nextOpenAt) + 5.5 * 3600000).toISOString().slice(0, 16), `${shopDay(1)}T00:00`);
+    const refused = await place();
+    assert.equal(refused.status, 503);
+    assert.match(refused.body.error, /closed for Diwali\. Orders open again/);
+  });
+
+  await t.test('a closure wins over special hours on the same day', async () => {
+    const { body } = await setCalendar([
+      { id: 'h1', from: shopDay(0), type: 'closed', label: 'Diwali' },
+      { from: shopDay(0), to: shopDay(1), type: 'hours', openTime: '00:00', closeTime: '23:59', label: 'Festival week' },
+    ]);
+    assert.deepEqual(body.entries.map(e => e.id), ['h1', 'h2']);
+    assert.equal(body.status.calendarEntry.type, 'closed');
+    await setCalendar(body.entries.filter(e => e.type === 'hours'));
+    assert.equal((await place()).status, 200);
+  });
+});
@@ -0,0 +1,74 @@
+// Credit limits — khata orders over the limit wait for the shop, or are refused outright
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, openShop, addProduct, stockOf, order } = require('./helpers');
+
+test('credit limit', async (t) => {
+  const { call, admin, stop } = await startServer();
+  t.after(stop);
+  await openShop(admin);
+  const productId = await addProduct(admin, 'Ghee', 10);
+  const { body: created } = await admin('POST', '/api/admin/customers', { name: 'Suresh', phone: '9111122222', pin: '1357', creditLimit: 100 });
+  const customerId = created.customer.customerId;
+  const { body: { token } } = await call('POST', '/api/milk/login', { phone: '9111122222', pin: '1357' });
+  const khata = (qty, auth = token) => call('POST', '/api/orders', order([{ productId, variantId: 'v1', qty }], { paymentMethod: 'account' }), auth);
+  const balance = async () => {
+    const { body } = await admin('GET', `/api/admin/ledger?customerId=${customerId}`);
+    return body.reduce((sum, e) => sum + (e.type === 'credit' ? e.amount : -e.amount), 0);
+  };
+
+  await t.test('a khata order needs a logged-in customer', async () => {
+    assert.equal((await khata(1, '')).status, 401);
+  });
+
+  await t.test('an order within the limit is charged straight away', async () => {
+    const res = await khata(1);
+    assert.equal(res.body.order.status, 'pending');
+    assert.equal(await balance(), 50);
+  });
+
+  await t.test('an order over the limit waits for approval, then is charged once', async () => {
+    const { body: { order: held } } = await khata(2);
+    assert.equal(held.status, 'awaiting_approval');
+    assert.equal(await balance(), 50);
+    assert.equal((await admin('PUT', `/api/admin/orders/${held.id}`, { status: 'delivered' })).status, 400);
+
+    const approved = await admin('POST', `/api/admin/orders/${held.id}/approve-credit`);
+    assert.equal(approved.body.order.status, 'pending');
+    assert.equal(await balance(), 150);
+    assert.equal((await admin('POST', `/api/admin/orders/${held.id}/approve-credit`)).status, 400);
+    assert.equal(await balance(), 150);
+  });
+
+  await t.test('a rejected hold is cancelled and its stock put back', async () => {
+    const before = await stockOf(admin, productId);
+    const { body: { order: held } } = await khata(1);
+    assert.equal(await stockOf(admin, productId), before - 1);
+    const rejected = await admin('POST', `/api/admin/orders/${held.id}/reject-credit`, { reason: 'Clear your dues first' });
+    assert.equal(rejected.body.order.status, 'cancelled');
+    assert.equal(await stockOf(admin, productId), before);
+    assert.equal(await balance(), 150);
+  });
+
+  await t.test('add to udhar charges an order once and leaves held or cancelled orders alone', async () => {
+    const convert = id => admin('POST', `/api/admin/orders/${id}/convert-to-udhar`);
+    const { body: { order: cash } } = await call('POST', '/api/orders', order([{ productId, variantId: 'v1', qty: 1 }], { phone: '9111122222' }));
+    const clicks = await Promise.all([convert(cash.id), convert(cash.id)]);
+    assert.deepEqual(clicks.map(r => r.status === 200).sort(), [false, true]);
+    assert.equal(await balance(), 200);
+
+    const { body: { order: held } } = await khata(1);
+    assert.equal(held.status, 'awaiting_approval');
+    assert.equal((await convert(held.id)).status, 400);
+    await admin('POST', `/api/admin/orders/${held.id}/reject-credit`, { reason: 'Clear your dues first' });
+    assert.equal((await convert(held.id)).status, 400);
+    assert.equal(await balance(), 200);
+  });
+
+  await t.test('with the reject policy an order over the limit is refused', async () => {
+    await admin('PUT', '/api/admin/settings', { creditLimitPolicy: 'reject' });
+    const res = await khata(1);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.credit.availableCredit, 0);
+  });
+});
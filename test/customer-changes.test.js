@@ -0,0 +1,52 @@
+// Customer changes — a pending order can be changed or cancelled from the app for a few minutes
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, openShop, addProduct, stockOf, order } = require('./helpers');
+
+test('customer changes to pending orders', async (t) => {
+  const { call, admin, stop } = await startServer();
+  t.after(stop);
+  await openShop(admin);
+  const productId = await addProduct(admin, 'Curd', 10);
+  const customer = async (name, phone) => {
+    const { body } = await admin('POST', '/api/admin/customers', { name, phone, pin: '4321' });
+    const { body: { token } } = await call('POST', '/api/milk/login', { phone, pin: '4321' });
+    return { customerId: body.customer.customerId, token };
+  };
+  const ravi = await customer('Ravi', '9444455555');
+  const other = await customer('Anil', '9444466666');
+  const place = async qty => (await call('POST', '/api/orders', order([{ productId, variantId: 'v1', qty }], { paymentMethod: 'account', phone: '9444455555' }), ravi.token)).body.order;
+  const balance = async () => {
+    const { body } = await admin('GET', `/api/admin/ledger?customerId=${ravi.customerId}`);
+    return body.reduce((sum, e) => sum + (e.type === 'credit' ? e.amount : -e.amount), 0);
+  };
+
+  await t.test('a change moves stock and the khata by the difference', async () => {
+    const placed = await place(1);
+    const res = await call('POST', `/api/customer/orders/${placed.id}/amend`, { items: [{ productId, variantId: 'v1', qty: 3 }] }, ravi.token);
+    assert.equal(res.body.order.total, 150);
+    assert.equal(await balance(), 150);
+    assert.equal(await stockOf(admin, productId), 7);
+    assert.equal((await call('POST', `/api/customer/orders/${placed.id}/cancel`, {}, other.token)).status, 404);
+
+    const { body } = await call('POST', `/api/customer/orders/${placed.id}/cancel`, {}, ravi.token);
+    assert.equal(body.order.status, 'cancelled');
+    assert.equal(body.reversals.length, 2);
+    assert.equal(await balance(), 0);
+    assert.equal(await stockOf(admin, productId), 10);
+  });
+
+  await t.test('once the shop accepts it, or the window is off, it is a phone call', async () => {
+    const accepted = await place(1);
+    await admin('PUT', `/api/admin/orders/${accepted.id}`, { status: 'accepted' });
+    const late = await call('POST', `/api/customer/orders/${accepted.id}/cancel`, {}, ravi.token);
+    assert.equal(late.status, 400);
+    assert.match(late.body.error, /already accepted/);
+
+    await admin('PUT', '/api/admin/settings', { customerChangeMinutes: 0 });
+    const pending = await place(1);
+    const off = await call('POST', `/api/customer/orders/${pending.id}/cancel`, {}, ravi.token);
+    assert.equal(off.status, 400);
+    assert.match(off.body.error, /call the shop/);
+  });
+});
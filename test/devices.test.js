@@ -0,0 +1,98 @@
+// Staff devices — admin alerts go to devices registered from the admin panel
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, freePort, openShop, order } = require('./helpers');
+
+// A real-looking browser subscription whose push service isn't listening,
+// so every send fails fast and shows up in the device's stats
+function subscription(port) {
+  const ecdh = crypto.createECDH('prime256v1');
+  return {
+    endpoint: `https://127.0.0.1:${port}/push/${crypto.randomUUID()}`,
+    keys: { p256dh: ecdh.generateKeys('base64url'), auth: crypto.randomBytes(16).toString('base64url') },
+  };
+}
+
+test('staff push devices', async (t) => {
+  const { call, admin, stop } = await startServer();
+  t.after(stop);
+  await openShop(admin);
+  const port = await freePort();
+  const sub = subscription(port);
+
+  let device;
+  await t.test('registering needs an admin token and a full subscription', async () => {
+    assert.equal((await call('POST', '/api/admin/push/devices', { subscription: sub })).status, 401);
+    assert.equal((await admin('POST', '/api/admin/push/devices', { subscription: { endpoint: sub.endpoint } })).status, 400);
+
+    await call('POST', '/api/push/subscribe', { subscription: sub });
+    const res = await admin('POST', '/api/admin/push/devices', { subscription: sub, name: 'Counter phone' });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    device = res.body;
+    assert.equal(device.name, 'Counter phone');
+    assert.equal(device.subscription, undefined);
+    const { body: stats } = await admin('GET', '/api/admin/push/stats');
+    assert.equal(stats.total, 0); // moved out of the storefront subscriptions
+    assert.equal(stats.staffDevices, 1);
+  });
+
+  await t.test('registering the same browser again updates it', async () => {
+    const again = await admin('POST', '/api/admin/push/devices', { subscription: sub, name: 'Till' });
+    assert.equal(again.body.id, device.id);
+    const { body: devices } = await admin('GET', '/api/admin/push/devices');
+    assert.deepEqual(devices.map(d => d.name), ['Till']);
+  });
+
+  await t.test('a new order is pushed to the device and the result is recorded', async () => {
+    const { body: product } = await admin('POST', '/api/admin/products', {
+      name: 'Paneer', variants: [{ id: 'v1', label: '200g', priceTiers: [{ minQty: 1, price: 90 }] }],
+    });
+    await call('POST', '/api/orders', order([{ productId: product.id, variantId: 'v1', qty: 1 }]));
+    let stats;
+    for (const end = Date.now() + 5000; Date.now() < end; await new Promise(r => setTimeout(r, 100))) {
+      stats = (await admin('GET', '/api/admin/push/devices')).body[0].stats;
+      if (stats.failed) break;
+    }
+    assert.equal(stats.failed, 1);
+    assert.ok(stats.lastError);
+
+    const tested = await admin('POST', `/api/admin/push/devices/${device.id}/test`);
+    assert.deepEqual([tested.body.sent, tested.body.failed], [0, 1]);
+  });
+
+  await t.test('devices can be renamed and revoked', async () => {
+    assert.equal((await admin('PUT', `/api/admin/push/devices/${device.id}`, { name: ' ' })).status, 400);
+    assert.equal((await admin('PUT', `/api/admin/push/devices/${device.id}`, { name: 'Back office' })).body.name, 'Back office');
+    assert.equal((await admin('DELETE', `/api/admin/push/devices/${device.id}`)).status, 200);
+    assert.equal((await admin('DELETE', `/api/admin/push/devices/${device.id}`)).status, 404);
+    assert.equal((await admin('POST', `/api/admin/push/devices/${device.id}/test`)).status, 404);
+  });
+
+  await t.test('alerts follow the role of the account that registered the device', async () => {
+    const { body: till } = await admin('POST', '/api/admin/staff', { username: 'till1', role: 'counter', password: 'secret1' });
+    const { body: { token } } = await call('POST', '/api/admin/login', { username: 'till1', password: 'secret1' });
+    const { body: tillDevice } = await call('POST', '/api/admin/push/devices', { subscription: subscription(port), name: 'Till', role: 'owner' }, token);
+    assert.deepEqual([tillDevice.username, tillDevice.role], ['till1', 'counter']);
+    // Registered last, so it is sent to after the till and tells us when a send is over
+    const { body: ownerDevice } = await admin('POST', '/api/admin/push/devices', { subscription: subscription(port), name: 'Office' });
+    assert.deepEqual([ownerDevice.username, ownerDevice.role], ['owner', 'owner']);
+
+    const { body: product } = await admin('POST', '/api/admin/products', {
+      name: 'Curd', variants: [{ id: 'v1', label: '400g', priceTiers: [{ minQty: 1, price: 40 }] }],
+    });
+    const failedOn = async id => (await admin('GET', '/api/admin/push/devices')).body.find(d => d.id === id).stats.failed;
+    const sendAnOrder = async expected => {
+      await call('POST', '/api/orders', order([{ productId: product.id, variantId: 'v1', qty: 1 }]));
+      for (const end = Date.now() + 5000; Date.now() < end && await failedOn(ownerDevice.id) < expected; await new Promise(r => setTimeout(r, 100)));
+      assert.equal(await failedOn(ownerDevice.id), expected);
+    };
+    await sendAnOrder(1);
+    assert.equal(await failedOn(tillDevice.id), 1);
+
+    // A milkman can't see orders, so once the till's account is moved there it stops getting them
+    await admin('PUT', `/api/admin/staff/${till.id}`, { role: 'milkman' });
+    await sendAnOrder(2);
+    assert.equal(await failedOn(tillDevice.id), 1);
+  });
+});
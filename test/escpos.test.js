@@ -0,0 +1,34 @@
+// ESC/POS driver — printer.js sends raw receipt bytes straight to a thermal printer
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, openShop, order, startPrinter, fakePrinter } = require('./helpers');
+
+const ESC = 0x1b, GS = 0x1d;
+
+test('ESC/POS receipts', async (t) => {
+  const { base, call, admin, stop } = await startServer();
+  t.after(stop);
+  await openShop(admin);
+  const device = await fakePrinter();
+  t.after(device.close);
+  const printer = startPrinter(base, { args: ['--driver', 'escpos', '--output', 'tcp://192.168.1.50:9100'], env: { TEST_PRINTER_PORT: String(device.port) } });
+  t.after(printer.stop);
+  await printer.waitFor(/Live order stream connected/);
+
+  const { body: product } = await admin('POST', '/api/admin/products', {
+    name: 'Basmati Rice', variants: [{ id: 'v1', label: '1kg', priceTiers: [{ minQty: 1, price: 120 }] }],
+  });
+  const { body: placed } = await call('POST', '/api/orders', order([{ productId: product.id, variantId: 'v1', name: 'Basmati Rice', variant: '1kg', qty: 2 }], { note: 'Ring twice' }));
+  const job = await device.nextJob();
+  const text = job.toString('latin1');
+
+  assert.deepEqual([...job.subarray(0, 2)], [ESC, 0x40]); // ESC @ resets the printer first
+  assert.deepEqual([...job.subarray(-4)], [GS, 0x56, 0x42, 0x00]); // and the slip ends with a cut
+  assert.match(text, new RegExp(`Order #${placed.order.id}`));
+  assert.match(text, /Test Customer/);
+  assert.match(text, /Note: Ring twice/);
+  assert.match(text, /Basmati Rice \(1kg\)\s+2\s+Rs\.240/);
+  assert.match(text, /TOTAL\s+Rs\.240/);
+  // Plain lines fit the 48 columns of an 80mm printer
+  for (const line of text.replace(/[\x1b\x1d][\s\S]{1,2}/g, '').split('\n')) assert.ok(line.length <= 48, line);
+});
@@ -0,0 +1,85 @@
+// Admin event stream — orders reach the admin panel and printer.js as they happen
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer, openShop, order, openEvents, startPrinter } = require('./helpers');
+
+test('event stream', async (t) => {
+  const { base, call, admin, token, stop } = await startServer();
+  t.after(stop);
+  await openShop(admin);
+  const { body: product } = await admin('POST', '/api/admin/products', {
+    name: 'Milk', variants: [{ id: 'v1', label: '500ml', priceTiers: [{ minQty: 1, price: 30 }] }],
+  });
+  const place = () => call('POST', '/api/orders', order([{ productId: product.id, variantId: 'v1', qty: 1 }]));
+
+  await t.test('needs an admin token, from the header or ?token=', async () => {
+    assert.equal((await fetch(base + '/api/admin/events')).status, 401);
+    const controller = new AbortController();
+    const res = await fetch(`${base}/api/admin/events?token=${token}`, { signal: controller.signal });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/event-stream/);
+    controller.abort();
+  });
+
+  let missedFrom;
+  await t.test('a placed order and its status changes are pushed', async (t) => {
+    const events = await openEvents(base, token);
+    t.after(events.close);
+    const { body: placed } = await place();
+    const created = await events.next('order.created');
+    assert.equal(created.data.order.id, placed.order.id);
+    missedFrom = created.id;
+
+    await admin('PUT', `/api/admin/orders/${placed.order.id}`, { status: 'delivered' });
+    const updated = await events.next('order.updated');
+    assert.equal(updated.data.order.status, 'delivered');
+    assert.equal(updated.data.previousStatus, 'pending');
+  });
+
+  await t.test('a reconnect with Last-Event-ID replays what was missed', async (t) => {
+    const events = await openEvents(base, token, missedFrom);
+    t.after(events.close);
+    assert.equal((await events.next('order.updated')).data.order.status, 'delivered');
+  });
+
+  await t.test('a Last-Event-ID the server does not know gets a reset', async (t) => {
+    const events = await openEvents(base, token, 1);
+    t.after(events.close);
+    await events.next('reset');
+  });
+
+  await t.test('printer.js picks up an order from the stream', async (t) => {
+    const printer = startPrinter(base);
+    t.after(printer.stop);
+    await printer.waitFor(/Live order stream connected/);
+    const { body: placed } = await place();
+    await printer.waitFor(new RegExp(`NEW ORDER #${placed.order.id}\\b`));
+  });
+});
+
+test('printer.js reconnects a stream that has gone silent', async (t) => {
+  // A store whose first stream pings for a while and then goes quiet without closing,
+  // like a connection lost to a dropped Wi-Fi link
+  const streams = [];
+  const store = http.createServer((req, res) => {
+    if (req.url === '/api/admin/login') return res.end(JSON.stringify({ token: 't' }));
+    if (!req.url.startsWith('/api/admin/events')) return res.end('[]');
+    res.writeHead(200, { 'content-type': 'text/event-stream' });
+    res.write(': connected\n\n');
+    streams.push(Date.now());
+    if (streams.length > 1) return;
+    const ping = setInterval(() => res.write(': ping\n\n'), 100);
+    setTimeout(() => clearInterval(ping), 1200);
+    req.on('close', () => clearInterval(ping));
+  });
+  await new Promise(resolve => store.listen(0, '127.0.0.1', resolve));
+  t.after(() => { store.closeAllConnections(); return new Promise(resolve => store.close(resolve)); });
+
+  const printer = startPrinter(`http://127.0.0.1:${store.address().port}`, { args: ['--stream-timeout', '500', '--poll-interval', '200'] });
+  t.after(printer.stop);
+  await printer.waitFor(/Live stream lost \(nothing received for 0.5s\)/);
+  assert.ok(Date.now() - streams[0] >= 1200, 'the pings kept the stream open');
+  await printer.waitFor(/Live order stream connected[^]*Live order stream connected/);
+  assert.equal(streams.length, 2);
+});
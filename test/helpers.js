@@ -0,0 +1,168 @@
+// Starts server.js on a free port with its own file store, for API tests
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer().once('error', reject);
+    srv.listen(0, '127.0.0.1', () => { const { port } = srv.address(); srv.close(() => resolve(port)); });
+  });
+}
+
+// Resolves once the store is connected and the owner is signed in (default password admin123).
+// Pass dataFile to reuse a store across restarts; otherwise a throwaway one is made and removed.
+async function startServer({ dataFile, env = {} } = {}) {
+  const dir = dataFile ? null : fs.mkdtempSync(path.join(os.tmpdir(), 'bsc-api-'));
+  const port = await freePort();
+  const base = `http://127.0.0.1:${port}`;
+  let log = '';
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, PORT: String(port), DATA_FILE: dataFile || path.join(dir, 'store.json'), MONGO_URI: '', ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  child.stdout.on('data', d => { log += d; });
+  child.stderr.on('data', d => { log += d; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const stop = async () => {
+    if (child.exitCode === null) { child.kill(); await exited; }
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  };
+  for (let i = 0; ; i++) {
+    const health = await fetch(base + '/health').then(r => r.json()).catch(() => null);
+    if (health?.db === 'connected') break;
+    if (i === 100 || child.exitCode !== null) { await stop(); throw new Error('server did not start:\n' + log); }
+    await new Promise(r => setTimeout(r, 100));
+  }
+
+  const call = async (method, url, body, token) => {
+    const headers = { 'content-type': 'application/json' };
+    if (token) headers.authorization = 'Bearer ' + token;
+    const res = await fetch(base + url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    return { status: res.status, body: await res.json().catch(() => null) };
+  };
+  const { body: login } = await call('POST', '/api/admin/login', { password: 'admin123' });
+  const admin = (method, url, body) => call(method, url, body, login.token);
+  return { base, call, admin, token: login.token, stop, log: () => log };
+}
+
+// Open round the clock so order tests don't depend on the time of day
+const openShop = admin => admin('PUT', '/api/admin/settings', { shopStatus: { manualOpen: true, openTime: '00:00', closeTime: '23:59' } });
+
+// A product with one ₹50 variant 'v1' and tracked stock; resolves with its id
+async function addProduct(admin, name, stockQuantity) {
+  const { body } = await admin('POST', '/api/admin/products', {
+    name, variants: [{ id: 'v1', label: '1 pc', stockQuantity, priceTiers: [{ minQty: 1, price: 50 }] }],
+  });
+  return body.id;
+}
+
+async function stockOf(admin, productId) {
+  const { body } = await admin('GET', '/api/admin/products');
+  return body.find(p => p.id === productId).variants[0].stockQuantity;
+}
+
+const order = (items, extra = {}) => ({ customerName: 'Test Customer', phone: '9876543210', items, ...extra });
+
+// Reads GET /api/admin/events; next(type) resolves with the data of the next event of that type
+async function openEvents(base, token, lastEventId) {
+  const controller = new AbortController();
+  const headers = { authorization: 'Bearer ' + token };
+  if (lastEventId) headers['last-event-id'] = String(lastEventId);
+  const res = await fetch(base + '/api/admin/events', { headers, signal: controller.signal });
+  const events = [], waiting = [];
+  (async () => {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+      for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let sep;
+        while ((sep = buffer.indexOf('\n\n')) !== -1) {
+          const evt = { type: 'message', data: '' };
+          for (const line of buffer.slice(0, sep).split('\n')) {
+            if (line.startsWith('id:')) evt.id = parseInt(line.slice(3));
+            else if (line.startsWith('event:')) evt.type = line.slice(6).trim();
+            else if (line.startsWith('data:')) evt.data += line.slice(5).trim();
+          }
+          buffer = buffer.slice(sep + 2);
+          if (!evt.data) continue;
+          evt.data = JSON.parse(evt.data);
+          events.push(evt);
+          waiting.splice(0).forEach(fn => fn());
+        }
+      }
+    } catch (e) { /* aborted by close() */ }
+  })();
+  const next = (type, timeoutMs = 3000) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`no ${type} event within ${timeoutMs}ms`)), timeoutMs);
+    const check = () => {
+      const i = events.findIndex(e => e.type === type);
+      if (i === -1) return waiting.push(check);
+      clearTimeout(timer);
+      resolve(events.splice(i, 1)[0]);
+    };
+    check();
+  });
+  return { status: res.status, next, close: () => controller.abort() };
+}
+
+// Runs printer.js against a test server; test/printer-shim.js points it there and
+// records print commands instead of running them. waitFor(re) resolves on a matching log line.
+function startPrinter(base, { args = [], env = {} } = {}) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'bsc-printer-'));
+  let out = '';
+  const waiting = [];
+  const child = spawn(process.execPath, ['-r', path.join(__dirname, 'printer-shim.js'), 'printer.js', ...args], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, HOME: home, USERPROFILE: home, TMPDIR: home, TEST_STORE_URL: base, TEST_EXEC_LOG: path.join(home, 'exec.log'), ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  const onData = d => { out += d; waiting.splice(0).forEach(fn => fn()); };
+  child.stdout.on('data', onData);
+  child.stderr.on('data', onData);
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  const waitFor = (re, timeoutMs = 5000) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`printer never logged ${re}:\n${out}`)), timeoutMs);
+    const check = () => {
+      const m = out.match(re);
+      if (!m) return waiting.push(check);
+      clearTimeout(timer);
+      resolve(m);
+    };
+    check();
+  });
+  const stop = async () => {
+    if (child.exitCode === null) { child.kill(); await exited; }
+    fs.rmSync(home, { recursive: true, force: true });
+  };
+  const printed = () => fs.existsSync(path.join(home, 'exec.log')) ? fs.readFileSync(path.join(home, 'exec.log'), 'utf8') : '';
+  return { home, waitFor, stop, printed, output: () => out };
+}
+
+// A network receipt printer (raw port 9100 style): each connection is one job
+async function fakePrinter(port = 0) {
+  const jobs = [], waiting = [];
+  const srv = net.createServer(sock => {
+    const chunks = [];
+    sock.on('data', c => chunks.push(c));
+    sock.on('end', () => { jobs.push(Buffer.concat(chunks)); waiting.splice(0).forEach(fn => fn()); });
+  });
+  await new Promise(resolve => srv.listen(port, '127.0.0.1', resolve));
+  const nextJob = (timeoutMs = 5000) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('printer received nothing')), timeoutMs);
+    const check = () => {
+      if (!jobs.length) return waiting.push(check);
+      clearTimeout(timer);
+      resolve(jobs.shift());
+    };
+    check();
+  });
+  return { port: srv.address().port, nextJob, close: () => new Promise(resolve => srv.close(resolve)) };
+}
+
+module.exports = { startServer, freePort, openShop, addProduct, stockOf, order, openEvents, startPrinter, fakePrinter };
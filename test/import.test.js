@@ -0,0 +1,65 @@
+// Product import / export — the exported sheet imports back, and a dry run shows what would change
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, addProduct, stockOf } = require('./helpers');
+
+test('product import and export', async (t) => {
+  const { base, admin, token, stop } = await startServer();
+  t.after(stop);
+  const productId = await addProduct(admin, 'Green Tea', 12);
+  const upload = async (csv, apply) => {
+    const form = new FormData();
+    form.append('file', new Blob([csv], { type: 'text/csv' }), 'products.csv');
+    const res = await fetch(`${base}/api/admin/import/products${apply ? '?apply=1' : ''}`, {
+      method: 'POST', headers: { authorization: 'Bearer ' + token }, body: form,
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  // The export quotes every cell
+  const cellsOf = line => line.slice(1, -1).split('","');
+  const lineOf = cells => cells.map(c => `"${c}"`).join(',');
+  let exported;
+
+  await t.test('the export has one row per variant', async () => {
+    const res = await fetch(`${base}/api/admin/export/products.csv`, { headers: { authorization: 'Bearer ' + token } });
+    exported = await res.text();
+    const [header, ...rows] = exported.trim().split(/\r?\n/).map(cellsOf);
+    assert.deepEqual(header.slice(0, 2), ['Product ID', 'Name']);
+    assert.ok(header.includes('Tier 1 Price'));
+    const ours = rows.filter(r => r[0] === String(productId));
+    assert.deepEqual(ours.map(r => r[header.indexOf('Variant ID')]), ['v1']);
+    assert.equal(ours[0][header.indexOf('Name')], 'Green Tea');
+  });
+
+  await t.test('a dry run reports changes and conflicts without writing', async () => {
+    const [header, ...rows] = exported.trim().split(/\r?\n/).map(cellsOf);
+    const row = rows.find(r => r[0] === String(productId));
+    const line = values => lineOf(header.map(h => values[h] ?? ''));
+    const edited = Object.fromEntries(header.map((h, i) => [h, row[i]]));
+    edited['Tier 1 Price'] = '65';
+    const csv = [
+      lineOf(header),
+      line(edited),
+      line({ Name: 'Masala Chai, 250g', Variant: '250 g', Stock: '5', 'Tier 1 Min Qty': '1', 'Tier 1 Price': '120' }),
+      line({ Name: 'Cardamom', 'Tier 1 Min Qty': '1', 'Tier 1 Price': 'x' }),
+    ].join('\n');
+
+    const { body } = await upload(csv);
+    assert.equal(body.dryRun, true);
+    assert.deepEqual([body.summary.creates, body.summary.updates], [2, 1]);
+    assert.ok(body.conflicts.length);
+    assert.ok(body.conflicts.every(c => c.row === 4));
+    const refused = await upload(csv, true);
+    assert.equal(refused.status, 400);
+    const { body: products } = await admin('GET', '/api/admin/products');
+    assert.ok(!products.some(p => p.name === 'Masala Chai, 250g'));
+
+    const applied = await upload(csv.split('\n').slice(0, 3).join('\n'), true);
+    assert.equal(applied.status, 200, JSON.stringify(applied.body));
+    const { body: after } = await admin('GET', '/api/admin/products');
+    assert.equal(after.find(p => p.id === productId).variants[0].priceTiers[0].price, 65);
+    const chai = after.find(p => p.name === 'Masala Chai, 250g');
+    assert.deepEqual([chai.variants[0].label, chai.variants[0].stockQuantity], ['250 g', 5]);
+    assert.equal(await stockOf(admin, productId), 12); // blank cells leave values alone
+  });
+});
@@ -0,0 +1,38 @@
+// Stock journal — every stock change is recorded, and replaying the journal gives the live stock
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, openShop, addProduct, stockOf, order } = require('./helpers');
+
+test('stock journal', async (t) => {
+  const { call, admin, stop } = await startServer();
+  t.after(stop);
+  await openShop(admin);
+  const productId = await addProduct(admin, 'Biscuits', 10);
+  const history = async () => (await admin('GET', `/api/admin/products/${productId}/stock-history`)).body
+    .map(m => [m.type, m.delta, m.balance]).reverse();
+
+  await t.test('sales, cancellations and manual changes are journalled', async () => {
+    const { body: { order: placed } } = await call('POST', '/api/orders', order([{ productId, variantId: 'v1', qty: 3 }]));
+    await admin('PUT', `/api/admin/orders/${placed.id}`, { status: 'cancelled', reason: 'Duplicate' });
+    const damaged = await admin('PATCH', `/api/admin/products/${productId}/stock`, { adjustment: -2, reason: 'damage', note: 'Crushed box' });
+    assert.equal(damaged.status, 200, JSON.stringify(damaged.body));
+    await admin('PATCH', `/api/admin/products/${productId}/stock`, { stockQuantity: 9 });
+
+    const rows = await history();
+    assert.deepEqual(rows.slice(1), [['sale', -3, 7], ['cancel_restock', 3, 10], ['damage', -2, 8], ['count', 1, 9]]);
+    assert.equal(await stockOf(admin, productId), 9);
+  });
+
+  await t.test('a manual change must match its reason', async () => {
+    assert.equal((await admin('PATCH', `/api/admin/products/${productId}/stock`, { adjustment: 2, reason: 'damage' })).status, 400);
+    assert.equal((await admin('PATCH', `/api/admin/products/${productId}/stock`, { adjustment: -2, reason: 'purchase' })).status, 400);
+    assert.equal((await admin('PATCH', `/api/admin/products/${productId}/stock`, { adjustment: -2, reason: 'theft' })).status, 400);
+    assert.equal(await stockOf(admin, productId), 9);
+  });
+
+  await t.test('the stock check replays the journal', async () => {
+    const { body } = await admin('GET', `/api/admin/stock/rebuild?productId=${productId}`);
+    assert.deepEqual(body.rows.map(r => [r.stockQuantity, r.journalQuantity, r.inSync]), [[9, 9, true]]);
+    assert.equal((await admin('POST', '/api/admin/stock/rebuild', { productId, variantId: 'v1', keep: 'both' })).status, 400);
+  });
+});
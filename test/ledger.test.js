@@ -0,0 +1,181 @@
+// Khata ledger — entries are only ever reversed, and closed months can't be written into
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, openShop, addProduct, order } = require('./helpers');
+
+const today = () => new Date(Date.now() + 5.5 * 3600000).toISOString().slice(0, 10); // IST, like the server
+const thisMonth = () => today().slice(0, 7);
+function monthBefore(month) {
+  const [y, m] = month.split('-').map(Number);
+  return m === 1 ? `${y - 1}-12` : `${y}-${String(m - 1).padStart(2, '0')}`;
+}
+
+test('ledger: reversal and month lock', async (t) => {
+  const { call, admin, stop } = await startServer();
+  t.after(stop);
+  const { body: created } = await admin('POST', '/api/admin/customers', { name: 'Ravi', phone: '9123456780', pin: '1234', creditLimit: 0 });
+  const customerId = created.customer.customerId;
+  const balance = async () => {
+    const { body } = await admin('GET', `/api/admin/ledger?customerId=${customerId}`);
+    return body.reduce((sum, e) => sum + (e.type === 'credit' ? e.amount : -e.amount), 0);
+  };
+  const lastMonth = monthBefore(thisMonth());
+
+  await t.test('entries cannot be edited or deleted, only reversed once', async () => {
+    const { body: { entry } } = await admin('POST', '/api/admin/ledger', { customerId, type: 'credit', amount: 300, note: 'Groceries' });
+    assert.equal(await balance(), 300);
+    assert.equal((await admin('PUT', `/api/admin/ledger/${entry.id}`, { amount: 1 })).status, 405);
+    assert.equal((await admin('DELETE', `/api/admin/ledger/${entry.id}`)).status, 405);
+
+    assert.equal((await admin('POST', `/api/admin/ledger/${entry.id}/reverse`, {})).status, 400); // reason required
+    const { status, body } = await admin('POST', `/api/admin/ledger/${entry.id}/reverse`, { reason: 'Wrong customer' });
+    assert.equal(status, 200);
+    assert.equal(body.reversal.amount, -300);
+    assert.equal(await balance(), 0);
+    assert.equal((await admin('POST', `/api/admin/ledger/${entry.id}/reverse`, { reason: 'Again' })).status, 400);
+    assert.equal((await admin('POST', `/api/admin/ledger/${body.reversal.id}/reverse`, { reason: 'Undo' })).status, 400);
+
+    const { body: entries } = await admin('GET', `/api/admin/ledger?customerId=${customerId}`);
+    assert.equal(entries.find(e => e.id === entry.id).reversedBy, body.reversal.id);
+  });
+
+  await t.test('an adjustment reverses the entry and records the right amount', async () => {
+    const { body: { entry } } = await admin('POST', '/api/admin/ledger', { customerId, type: 'credit', amount: 200, note: 'Rice' });
+    assert.equal((await admin('POST', `/api/admin/ledger/${entry.id}/adjust`, { reason: 'Typo', amount: 0 })).status, 400);
+    const { status, body } = await admin('POST', `/api/admin/ledger/${entry.id}/adjust`, { reason: 'Typo', amount: 180 });
+    assert.equal(status, 200);
+    assert.equal(body.adjustment.adjusts, entry.id);
+    assert.equal(body.adjustment.note, 'Rice');
+    assert.equal(await balance(), 180);
+  });
+
+  await t.test('cancelling a khata order reverses its charge', async () => {
+    await openShop(admin);
+    const productId = await addProduct(admin, 'Ghee', 5);
+    const { body: { token } } = await call('POST', '/api/milk/login', { phone: '9123456780', pin: '1234' });
+    const before = await balance();
+    const placed = await call('POST', '/api/orders', order([{ productId, variantId: 'v1', qty: 2 }], { paymentMethod: 'account' }), token);
+    assert.equal(placed.status, 200, JSON.stringify(placed.body));
+    assert.equal(await balance(), before + 100);
+
+    const cancel = await admin('PUT', `/api/admin/orders/${placed.body.order.id}`, { status: 'cancelled', reason: 'Out of area' });
+    assert.equal(cancel.status, 200, JSON.stringify(cancel.body));
+    assert.equal(await balance(), before);
+  });
+
+  await t.test('a closed month refuses back-dated entries until it is reopened', async () => {
+    assert.equal((await admin('POST', '/api/admin/ledger/close-month', { month: thisMonth() })).status, 400);
+    const closed = await admin('POST', '/api/admin/ledger/close-month', { month: lastMonth });
+    assert.equal(closed.status, 200);
+    assert.equal((await admin('POST', '/api/admin/ledger/close-month', { month: lastMonth })).status, 400);
+
+    const backdated = { customerId, type: 'payment', amount: 50, date: `${lastMonth}-15` };
+    const refused = await admin('POST', '/api/admin/ledger', backdated);
+    assert.equal(refused.status, 400);
+    assert.match(refused.body.error, /closed through/);
+    assert.equal((await admin('POST', '/api/admin/ledger', { ...backdated, date: undefined })).status, 200);
+
+    assert.equal((await admin('POST', '/api/admin/ledger/reopen-month', { month: lastMonth })).status, 200);
+    assert.equal((await admin('POST', '/api/admin/ledger', backdated)).status, 200);
+  });
+
+  await t.test('entries are dated today in IST unless a full date is given', async () => {
+    const { body: { entry } } = await admin('POST', '/api/admin/ledger', { customerId, type: 'credit', amount: 20 });
+    assert.equal(entry.date, today());
+    const before = await balance();
+    for (const date of ['yesterday', thisMonth(), `${today()}T10:00`]) {
+      assert.equal((await admin('POST', '/api/admin/ledger', { customerId, type: 'credit', amount: 20, date })).status, 400, date);
+    }
+    assert.equal(await balance(), before);
+  });
+
+  await t.test('the old udhar and payment routes follow the same rules as the ledger', async () => {
+    const before = await balance();
+    for (const url of ['/api/admin/udhar', '/api/admin/udhar-payments']) {
+      assert.equal((await admin('POST', url, { customerId, amount: -40 })).status, 400, url);
+      assert.equal((await admin('POST', url, { customerId, amount: 40, date: 'today' })).status, 400, url);
+    }
+    const { body: { entry } } = await admin('POST', '/api/admin/udhar', { customerId, amount: 40 });
+    const { body: { pay } } = await admin('POST', '/api/admin/udhar-payments', { customerId, amount: 40 });
+    for (const row of [entry, pay]) {
+      assert.equal(row.date, today());
+      assert.equal(row.by, 'owner');
+    }
+    assert.equal(await balance(), before);
+
+    await admin('POST', '/api/admin/ledger/close-month', { month: lastMonth });
+    for (const url of ['/api/admin/udhar', '/api/admin/udhar-payments']) {
+      const refused = await admin('POST', url, { customerId, amount: 40, date: `${lastMonth}-15` });
+      assert.equal(refused.status, 400, url);
+      assert.match(refused.body.error, /closed through/);
+    }
+    await admin('POST', '/api/admin/ledger/reopen-month', { month: lastMonth });
+    assert.equal(await balance(), before);
+  });
+
+  await t.test('the month lock cannot be moved through the general settings route', async () => {
+    await admin('POST', '/api/admin/staff', { username: 'counter1', role: 'counter', password: 'secret1' });
+    const { body: { token } } = await call('POST', '/api/admin/login', { username: 'counter1', password: 'secret1' });
+    const { body: before } = await admin('GET', '/api/admin/settings');
+    const res = await call('PUT', '/api/admin/settings', { 'ledgerLock.closedThrough': '2000-01', 'udharReminders.enabled': true, storeName: 'Ravi Stores' }, token);
+    assert.equal(res.status, 200);
+    const { body: after } = await admin('GET', '/api/admin/settings');
+    assert.deepEqual(after.ledgerLock, before.ledgerLock);
+    assert.deepEqual(after.udharReminders, before.udharReminders);
+    assert.equal(after.storeName, 'Ravi Stores');
+  });
+});
+
+test('ledger: old udhar rows are read-only and counted once', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bsc-legacy-'));
+  const dataFile = path.join(dir, 'store.json');
+  let server = await startServer({ dataFile });
+  t.after(async () => { await server.stop(); fs.rmSync(dir, { recursive: true, force: true }); });
+  const { body: created } = await server.admin('POST', '/api/admin/customers', { name: 'Lata', phone: '9123400000', pin: '1234' });
+  const customerId = created.customer.customerId;
+  await server.stop();
+  // Old rows: one migrated into the ledger, one copy of an app order charge, one of each still outside it
+  const store = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+  store.ledger = [
+    { id: 900, customerId, type: 'credit', amount: 50, source: 'app_order', orderId: 77, date: '2024-01-05' },
+    { id: 901, customerId, type: 'credit', amount: 30, source: 'legacy_udhar', legacyId: 2, date: '2024-01-03' },
+  ];
+  store.udharEntries = [
+    { id: 1, customerId, amount: 100, type: 'purchase', date: '2024-01-02' },
+    { id: 2, customerId, amount: 30, type: 'purchase', date: '2024-01-03' },
+    { id: 3, customerId, amount: 50, type: 'app_order', orderId: 77, date: '2024-01-05' },
+  ];
+  store.udharPayments = [{ id: 1, customerId, amount: 40, date: '2024-01-10' }];
+  fs.writeFileSync(dataFile, JSON.stringify(store));
+  server = await startServer({ dataFile });
+  const { admin } = server;
+  const summaryBalance = async () => (await admin('GET', '/api/admin/udhar-summary')).body.find(s => s.customer.id === customerId)?.balance;
+
+  await t.test('rows already in the ledger are not counted again', async () => {
+    assert.equal(await summaryBalance(), 140);
+  });
+
+  await t.test('aging counts the same old rows as the summary', async () => {
+    const { body } = await admin('GET', '/api/admin/udhar-aging?asOf=2024-03-05');
+    const row = body.customers.find(c => c.customer.id === customerId);
+    assert.equal(row.balance, await summaryBalance());
+    assert.equal(row.oldestDays, 63);
+    assert.deepEqual(row.buckets, { '0-30': 0, '31-60': 50, '61-90': 90, '90+': 0 });
+  });
+
+  await t.test('old rows cannot be edited or deleted, and new udhar goes to the ledger only', async () => {
+    assert.equal((await admin('PUT', '/api/admin/udhar/1', { amount: 1 })).status, 404);
+    assert.equal((await admin('DELETE', '/api/admin/udhar-payments/1')).status, 404);
+    assert.equal((await admin('POST', '/api/admin/udhar', { customerId, amount: 20 })).status, 200);
+    assert.equal(await summaryBalance(), 160);
+    assert.equal((await admin('GET', `/api/admin/udhar?customerId=${customerId}`)).body.length, 3);
+  });
+
+  await t.test('hard-deleting the customer keeps the khata', async () => {
+    assert.equal((await admin('DELETE', `/api/admin/customers/${customerId}?hard=true`)).status, 200);
+    assert.equal((await admin('GET', `/api/admin/ledger?customerId=${customerId}`)).body.length, 3);
+  });
+});
@@ -0,0 +1,58 @@
+// Order status lifecycle — orders only move forward, and each change is timestamped
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, openShop, addProduct, stockOf, order } = require('./helpers');
+
+test('order status lifecycle', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bsc-lifecycle-'));
+  const dataFile = path.join(dir, 'store.json');
+  let server = await startServer({ dataFile });
+  t.after(async () => { await server.stop(); fs.rmSync(dir, { recursive: true, force: true }); });
+  await openShop(server.admin);
+  const productId = await addProduct(server.admin, 'Paneer', 10);
+  const place = async () => (await server.call('POST', '/api/orders', order([{ productId, variantId: 'v1', qty: 1 }]))).body.order;
+  const move = (id, body) => server.admin('PUT', `/api/admin/orders/${id}`, body);
+
+  await t.test('steps can be skipped forward but never go back', async () => {
+    const placed = await place();
+    assert.deepEqual(placed.statusHistory.map(h => h.status), ['pending']);
+    assert.equal((await move(placed.id, { status: 'packed' })).status, 200);
+    const back = await move(placed.id, { status: 'accepted' });
+    assert.equal(back.status, 400);
+    assert.match(back.body.error, /is packed — it can't move to accepted/);
+    assert.equal((await move(placed.id, { status: 'shipped' })).status, 400);
+    const { body: delivered } = await move(placed.id, { status: 'delivered' });
+    assert.deepEqual(delivered.statusHistory.map(h => [h.status, h.by]), [['pending', 'customer'], ['packed', 'owner'], ['delivered', 'owner']]);
+    assert.equal((await move(placed.id, { status: 'cancelled' })).status, 400);
+  });
+
+  await t.test('only the status can be changed', async () => {
+    const placed = await place();
+    const res = await move(placed.id, { status: 'accepted', total: 1 });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /not total/);
+  });
+
+  await t.test('a cancellation keeps its reason and puts the stock back', async () => {
+    const placed = await place();
+    const before = await stockOf(server.admin, productId);
+    const { body } = await move(placed.id, { status: 'cancelled', reason: 'Customer not home' });
+    assert.equal(body.cancelReason, 'Customer not home');
+    assert.deepEqual(body.statusHistory.at(-1).reason, 'Customer not home');
+    assert.equal(await stockOf(server.admin, productId), before + 1);
+  });
+
+  await t.test('orders saved with an old status name move on from its new equivalent', async () => {
+    const placed = await place();
+    await server.stop();
+    const store = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    store.orders.find(o => o.id === placed.id).status = 'preparing';
+    fs.writeFileSync(dataFile, JSON.stringify(store));
+    server = await startServer({ dataFile });
+    assert.equal((await move(placed.id, { status: 'pending' })).status, 400);
+    assert.equal((await move(placed.id, { status: 'packed' })).status, 200);
+  });
+});
@@ -0,0 +1,62 @@
+// Stock reservation on order placement — all-or-nothing, released again on cancel
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, openShop, addProduct, stockOf, order } = require('./helpers');
+
+test('orders: stock reservation and rollback', async (t) => {
+  const { call, admin, stop } = await startServer();
+  t.after(stop);
+  await openShop(admin);
+
+  await t.test('a placed order takes its stock', async () => {
+    const id = await addProduct(admin, 'Sugar', 5);
+    const res = await call('POST', '/api/orders', order([{ productId: id, variantId: 'v1', qty: 2 }]));
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(await stockOf(admin, id), 3);
+  });
+
+  await t.test('quantities that are not positive whole numbers are refused', async () => {
+    const id = await addProduct(admin, 'Salt', 5);
+    for (const qty of [0, -5, 1.5, '2']) {
+      const res = await call('POST', '/api/orders', order([{ productId: id, variantId: 'v1', qty }]));
+      assert.equal(res.status, 400, `qty ${JSON.stringify(qty)}`);
+    }
+    assert.equal(await stockOf(admin, id), 5);
+  });
+
+  await t.test('ordering more than is left is refused without touching stock', async () => {
+    const id = await addProduct(admin, 'Tea', 2);
+    const res = await call('POST', '/api/orders', order([{ productId: id, variantId: 'v1', qty: 3 }]));
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /Only 2 unit/);
+    assert.equal(await stockOf(admin, id), 2);
+  });
+
+  await t.test('when a later line cannot be reserved, earlier lines are put back', async () => {
+    const rice = await addProduct(admin, 'Rice', 10);
+    const dal = await addProduct(admin, 'Dal', 3);
+    // Each dal line passes the up-front check on its own; together they need 4 of 3
+    const res = await call('POST', '/api/orders', order([
+      { productId: rice, variantId: 'v1', qty: 4 },
+      { productId: dal, variantId: 'v1', qty: 2 },
+      { productId: dal, variantId: 'v1', qty: 2 },
+    ]));
+    assert.equal(res.status, 400);
+    assert.equal(await stockOf(admin, rice), 10);
+    assert.equal(await stockOf(admin, dal), 3);
+    const { body: orders } = await admin('GET', '/api/admin/orders');
+    assert.ok(!orders.some(o => o.items.some(i => i.productId === dal)));
+  });
+
+  await t.test('cancelling an order puts its stock back once', async () => {
+    const id = await addProduct(admin, 'Oil', 4);
+    const { body: placed } = await call('POST', '/api/orders', order([{ productId: id, variantId: 'v1', qty: 3 }]));
+    assert.equal(await stockOf(admin, id), 1);
+    const cancel = await admin('PUT', `/api/admin/orders/${placed.order.id}`, { status: 'cancelled', reason: 'Customer called' });
+    assert.equal(cancel.status, 200, JSON.stringify(cancel.body));
+    assert.equal(await stockOf(admin, id), 4);
+    const again = await admin('PUT', `/api/admin/orders/${placed.order.id}`, { status: 'cancelled', reason: 'Twice' });
+    assert.equal(again.status, 200);
+    assert.equal(await stockOf(admin, id), 4);
+  });
+});
@@ -0,0 +1,77 @@
+// Packing — short and substituted lines are settled when the order goes out for delivery
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, openShop, addProduct, stockOf, order } = require('./helpers');
+
+test('packing', async (t) => {
+  const { call, admin, stop } = await startServer();
+  t.after(stop);
+  await openShop(admin);
+  const atta = await addProduct(admin, 'Atta', 10);
+  const salt = await addProduct(admin, 'Salt', 5);
+  const pepper = await addProduct(admin, 'Pepper', 5);
+  const { body: created } = await admin('POST', '/api/admin/customers', { name: 'Kavya', phone: '9333344444', pin: '1122' });
+  const customerId = created.customer.customerId;
+  const { body: { token } } = await call('POST', '/api/milk/login', { phone: '9333344444', pin: '1122' });
+  const { body: { order: placed } } = await call('POST', '/api/orders', order([
+    { productId: atta, variantId: 'v1', qty: 4 }, { productId: salt, variantId: 'v1', qty: 2 },
+  ], { paymentMethod: 'account' }), token);
+  const mark = body => admin('POST', `/api/admin/orders/${placed.id}/packing`, body);
+  const balance = async () => {
+    const { body } = await admin('GET', `/api/admin/ledger?customerId=${customerId}`);
+    return body.reduce((sum, e) => sum + (e.type === 'credit' ? e.amount : -e.amount), 0);
+  };
+
+  await t.test('marks are checked and leave the order alone', async () => {
+    assert.equal((await mark({ productId: atta, variantId: 'v1', state: 'short', qty: 4 })).status, 400);
+    assert.equal((await mark({ productId: salt, variantId: 'v1', state: 'substituted', substitute: { productId: atta, variantId: 'v1' } })).status, 400);
+    await mark({ productId: atta, variantId: 'v1', state: 'short', qty: 2 });
+    const { body } = await mark({ productId: salt, variantId: 'v1', state: 'substituted', substitute: { productId: pepper, variantId: 'v1', qty: 2 } });
+    assert.equal(body.changes.length, 2);
+    assert.equal(body.order.total, 300);
+    assert.equal(await stockOf(admin, atta), 6);
+  });
+
+  await t.test('the customer can refuse substitutes', async () => {
+    const { body } = await admin('POST', `/api/admin/orders/${placed.id}/packing/notify`, {});
+    assert.equal(body.newTotal, 200);
+    assert.equal(body.order.packing.approval, 'pending');
+    const answer = await call('POST', `/api/customer/orders/${placed.id}/packing`, { approve: false }, token);
+    assert.equal(answer.body.order.packing.approval, 'rejected');
+    assert.equal((await call('POST', `/api/customer/orders/${placed.id}/packing`, { approve: true }, token)).status, 400);
+  });
+
+  await t.test('going out for delivery settles the total, stock and khata', async () => {
+    const { body } = await admin('PUT', `/api/admin/orders/${placed.id}`, { status: 'out_for_delivery' });
+    assert.equal(body.status, 'out_for_delivery');
+    const { body: orders } = await admin('GET', '/api/admin/orders');
+    const settled = orders.find(o => o.id === placed.id);
+    assert.deepEqual(settled.items.map(i => [i.productId, i.qty]), [[atta, 2]]);
+    assert.equal(settled.total, 100);
+    assert.equal(await balance(), 100);
+    assert.deepEqual([await stockOf(admin, atta), await stockOf(admin, salt), await stockOf(admin, pepper)], [8, 5, 5]);
+  });
+
+  await t.test('a substitute that sold out meanwhile stops the order with the real error', async () => {
+    const { body: { order: next } } = await call('POST', '/api/orders', order([{ productId: salt, variantId: 'v1', qty: 1 }]));
+    await admin('POST', `/api/admin/orders/${next.id}/packing`, { productId: salt, variantId: 'v1', state: 'substituted', substitute: { productId: pepper, variantId: 'v1', qty: 1 } });
+    await admin('PATCH', `/api/admin/products/${pepper}/stock`, { adjustment: -5, reason: 'damage' });
+    const res = await admin('PUT', `/api/admin/orders/${next.id}`, { status: 'out_for_delivery' });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /Pepper/);
+    const { body: orders } = await admin('GET', '/api/admin/orders');
+    assert.equal(orders.find(o => o.id === next.id).status, 'pending');
+  });
+
+  await t.test('a short line is priced at the tier for the quantity packed', async () => {
+    const { body: oil } = await admin('POST', '/api/admin/products', {
+      name: 'Oil', variants: [{ id: 'v1', label: '1 L', stockQuantity: 10, priceTiers: [{ minQty: 1, price: 50 }, { minQty: 5, price: 40 }] }],
+    });
+    const { body: { order: bulk } } = await call('POST', '/api/orders', order([{ productId: oil.id, variantId: 'v1', qty: 5 }]));
+    assert.equal(bulk.total, 200);
+    const { body } = await admin('POST', `/api/admin/orders/${bulk.id}/packing`, { productId: oil.id, variantId: 'v1', state: 'short', qty: 2 });
+    assert.deepEqual(body.items.map(i => [i.qty, i.price]), [[2, 50]]);
+    const { body: sent } = await admin('PUT', `/api/admin/orders/${bulk.id}`, { status: 'out_for_delivery' });
+    assert.equal(sent.total, 100);
+  });
+});
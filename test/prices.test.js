@@ -0,0 +1,43 @@
+// Price history and scheduled prices — every change is kept, and an offer goes back to the regular price
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, addProduct } = require('./helpers');
+
+test('price history and schedules', async (t) => {
+  const { call, admin, stop } = await startServer();
+  t.after(stop);
+  const productId = await addProduct(admin, 'Basmati Rice', 20);
+  const history = async () => (await admin('GET', `/api/admin/products/${productId}/price-history`)).body;
+  const storeVariant = async () => (await call('GET', '/api/store')).body.products.find(p => p.id === productId).variants[0];
+  let schedule;
+
+  await t.test('editing a price adds a history row with the old tiers', async () => {
+    const product = (await admin('GET', '/api/admin/products')).body.find(p => p.id === productId);
+    product.variants[0].priceTiers = [{ minQty: 1, price: 60 }];
+    await admin('PUT', `/api/admin/products/${productId}`, product);
+    const { history: rows } = await history();
+    assert.deepEqual(rows.map(r => [r.source, r.priceTiers[0].price, r.previousTiers?.[0].price ?? null]), [['edit', 60, 50], ['edit', 50, null]]);
+  });
+
+  await t.test('a schedule is checked, then goes live and shows as an offer', async () => {
+    const add = body => admin('POST', '/api/admin/price-schedules', { productId, variantId: 'v1', ...body });
+    assert.equal((await add({ priceTiers: [] })).status, 400);
+    assert.equal((await add({ priceTiers: [{ minQty: 1, price: 45 }], startAt: '2030-01-02T10:00', endAt: '2030-01-01T10:00' })).status, 400);
+    schedule = (await add({ priceTiers: [{ minQty: 1, price: 45 }], endAt: '2099-01-01' })).body;
+    assert.equal(schedule.status, 'active');
+    assert.equal((await add({ priceTiers: [{ minQty: 1, price: 40 }], startAt: '2098-01-01' })).status, 409);
+    const v = await storeVariant();
+    assert.equal(v.priceTiers[0].price, 45);
+    assert.equal(v.offer.regularPriceTiers[0].price, 60);
+  });
+
+  await t.test('ending an offer puts the regular price back', async () => {
+    const ended = await admin('POST', `/api/admin/price-schedules/${schedule.id}/cancel`);
+    assert.equal(ended.body.status, 'ended');
+    const v = await storeVariant();
+    assert.equal(v.priceTiers[0].price, 60);
+    assert.equal(v.offer, undefined);
+    assert.deepEqual((await history()).history.slice(0, 2).map(r => r.source), ['schedule_end', 'schedule']);
+    assert.equal((await admin('POST', `/api/admin/price-schedules/${schedule.id}/cancel`)).status, 400);
+  });
+});
@@ -0,0 +1,24 @@
+// Preloaded into printer.js by the tests (node -r): talks to the test server instead of
+// the placeholder store URL, and records print commands rather than running them
+const childProcess = require('child_process');
+const fs = require('fs');
+
+const PLACEHOLDER_URL = 'https://your-app.onrender.com';
+const realFetch = global.fetch;
+global.fetch = (url, opts) => realFetch(String(url).replace(PLACEHOLDER_URL, process.env.TEST_STORE_URL), opts);
+
+childProcess.exec = (cmd, opts, cb) => {
+  if (typeof opts === 'function') cb = opts;
+  fs.appendFileSync(process.env.TEST_EXEC_LOG, cmd + '\n');
+  setImmediate(() => cb && cb(null, '', ''));
+};
+
+// The ESC/POS tests print to a network printer on 192.168.1.50:9100 — send it to the fake one
+const net = require('net');
+const realConnect = net.connect;
+net.connect = net.createConnection = (opts, ...rest) => {
+  if (opts && typeof opts === 'object' && opts.host === '192.168.1.50' && process.env.TEST_PRINTER_PORT) {
+    opts = { ...opts, host: '127.0.0.1', port: parseInt(process.env.TEST_PRINTER_PORT) };
+  }
+  return realConnect(opts, ...rest);
+};
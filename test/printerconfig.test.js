@@ -0,0 +1,100 @@
+// printer.js settings — config file, env vars and flags, and several named printers
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, openShop, order, startPrinter } = require('./helpers');
+
+test('printer config', async (t) => {
+  const { base, call, admin, stop } = await startServer();
+  t.after(stop);
+  await openShop(admin);
+  const { body: dairy } = await admin('POST', '/api/admin/categories', { name: 'Dairy & Eggs' });
+  const { body: staples } = await admin('POST', '/api/admin/categories', { name: 'Staples' });
+  const { body: curd } = await admin('POST', '/api/admin/products', {
+    name: 'Curd', catId: dairy.id, variants: [{ id: 'v1', label: '400g', priceTiers: [{ minQty: 1, price: 35 }] }],
+  });
+  const { body: atta } = await admin('POST', '/api/admin/products', {
+    name: 'Atta', catId: staples.id, variants: [{ id: 'v1', label: '5kg', priceTiers: [{ minQty: 1, price: 260 }] }],
+  });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bsc-printer-config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const writeConfig = (name, config) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(config));
+    return file;
+  };
+  const waitForFile = async (file, timeoutMs = 5000) => {
+    for (const end = Date.now() + timeoutMs; Date.now() < end; await new Promise(r => setTimeout(r, 100))) {
+      if (fs.existsSync(file)) return fs.readFileSync(file, 'latin1');
+    }
+    throw new Error(`${file} was never written`);
+  };
+
+  await t.test('each printer in the config prints its own slip, routed by category', async (t) => {
+    const config = writeConfig('two-printers.json', {
+      printers: [
+        { name: 'counter', driver: 'escpos', output: `file:${dir}/out/{id}-{printer}.bin`, copies: 2 },
+        { name: 'dairy', driver: 'escpos', output: `file:${dir}/out/{id}-{printer}.bin`, paperWidth: 58, slip: 'picking', categories: ['dairy & eggs'] },
+      ],
+    });
+    const printer = startPrinter(base, { args: ['--config', config] });
+    t.after(printer.stop);
+    await printer.waitFor(/Live order stream connected/);
+    const { body: { order: placed } } = await call('POST', '/api/orders', order([
+      { productId: curd.id, variantId: 'v1', qty: 1, name: 'Curd', variant: '400g' },
+      { productId: atta.id, variantId: 'v1', qty: 1, name: 'Atta', variant: '5kg' },
+    ]));
+
+    // The file appears before it is written, so wait until printer.js says it's done
+    await printer.waitFor(new RegExp(`#${placed.id} → counter .*printed`, 'u'), 15000);
+    const receipt = await waitForFile(`${dir}/out/${placed.id}-counter.bin`);
+    assert.equal(receipt.split('\x1b@').length - 1, 2); // two copies
+    await printer.waitFor(new RegExp(`#${placed.id} → dairy .*printed`, 'u'));
+    const slip = await waitForFile(`${dir}/out/${placed.id}-dairy.bin`);
+    assert.match(slip, /PICKING SLIP/);
+    assert.match(slip, /part of order/);
+    assert.match(slip, /Curd \(400g\)/);
+    assert.doesNotMatch(slip, /Atta/);
+
+    const { body: orders } = await admin('GET', '/api/admin/orders');
+    const status = orders.find(o => o.id === placed.id).printStatus;
+    assert.deepEqual(Object.keys(status.printers).sort(), ['counter', 'dairy']);
+  });
+
+  await t.test('a flag beats the env var for the same setting', async (t) => {
+    const printer = startPrinter(base, {
+      args: ['--output', `file:${dir}/flag-{id}.bin`],
+      env: { BSC_PRINTER_OUTPUT: `file:${dir}/env-{id}.bin`, BSC_PRINTER_DRIVER: 'escpos' },
+    });
+    t.after(printer.stop);
+    await printer.waitFor(/Live order stream connected/);
+    const { body: { order: placed } } = await call('POST', '/api/orders', order([{ productId: curd.id, variantId: 'v1', qty: 1, name: 'Curd' }]));
+    await waitForFile(`${dir}/flag-${placed.id}.bin`);
+    assert.ok(!fs.existsSync(`${dir}/env-${placed.id}.bin`));
+  });
+
+  await t.test('without a driver the receipt goes to the system printer as HTML, laid out for the paper width', async (t) => {
+    const printer = startPrinter(base, { args: ['--paper-width', '58'] });
+    t.after(printer.stop);
+    await printer.waitFor(/counter: receipts — HTML → default printer/);
+    await printer.waitFor(/Live order stream connected/);
+    const { body: { order: placed } } = await call('POST', '/api/orders', order([{ productId: atta.id, variantId: 'v1', qty: 1, name: 'Atta' }]));
+    await printer.waitFor(new RegExp(`#${placed.id} → .*printed`, 'u'), 15000);
+    const [, file] = printer.printed().match(new RegExp(`"([^"]*bsc_order_${placed.id}_[^"]*\\.html)"`));
+    const html = fs.readFileSync(file, 'utf8');
+    assert.match(html, /size: 58mm auto/);
+    assert.match(html, /width: 48mm/);
+  });
+
+  await t.test('a bad config stops printer.js with a clear error', async (t) => {
+    const config = writeConfig('bad.json', { printers: [{ name: 'counter', output: 'tcp://127.0.0.1:9100', paperWidth: 76 }] });
+    const printer = startPrinter(base, { args: ['--config', config] });
+    t.after(printer.stop);
+    await printer.waitFor(/❌ Config error: printers\[0\] \("counter"\): "paperWidth" must be 58 or 80/);
+    const unknown = startPrinter(base, { args: ['--colour'] });
+    t.after(unknown.stop);
+    await unknown.waitFor(/❌ Config error: Unknown option: --colour/);
+  });
+});
@@ -0,0 +1,66 @@
+// Print queue — a printer that is off doesn't lose orders, and admin can ask for a reprint
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, freePort, openShop, order, startPrinter, fakePrinter } = require('./helpers');
+
+test('print queue', async (t) => {
+  const { base, call, admin, stop } = await startServer();
+  t.after(stop);
+  await openShop(admin);
+  const { body: product } = await admin('POST', '/api/admin/products', {
+    name: 'Eggs', variants: [{ id: 'v1', label: '6 pcs', priceTiers: [{ minQty: 1, price: 42 }] }],
+  });
+  const printStatus = async id => (await admin('GET', '/api/admin/orders')).body.find(o => o.id === id).printStatus;
+  const until = async (fn, timeoutMs = 10000) => {
+    for (const end = Date.now() + timeoutMs; Date.now() < end; await new Promise(r => setTimeout(r, 100))) {
+      const value = await fn();
+      if (value) return value;
+    }
+    throw new Error('timed out');
+  };
+
+  // The printer is switched off when the order comes in
+  const port = await freePort();
+  const printer = startPrinter(base, { args: ['--driver', 'escpos', '--output', 'tcp://192.168.1.50:9100'], env: { TEST_PRINTER_PORT: String(port) } });
+  t.after(printer.stop);
+  await printer.waitFor(/Live order stream connected/);
+  const { body: { order: placed } } = await call('POST', '/api/orders', order([{ productId: product.id, variantId: 'v1', qty: 1 }]));
+
+  let failedAttempts;
+  await t.test('a failed print is reported and kept in the queue on disk', async () => {
+    await printer.waitFor(/print failed .* retrying in 5s/);
+    const status = await until(async () => { const s = await printStatus(placed.id); return s?.state === 'failed' && s; });
+    const counter = status.printers.counter;
+    assert.ok(counter.attempts >= 1);
+    failedAttempts = counter.attempts;
+    assert.ok(counter.error);
+    assert.ok(counter.nextRetryAt);
+    const queue = JSON.parse(fs.readFileSync(path.join(printer.home, '.bsc_print_queue.json'), 'utf8'));
+    assert.deepEqual(queue.map(j => j.orderId), [placed.id]);
+  });
+
+  const device = await fakePrinter(port);
+  t.after(device.close);
+
+  await t.test('the job is retried once the printer is back', async () => {
+    const job = await device.nextJob(30000); // the retry may be on its second backoff by now
+    assert.match(job.toString('latin1'), new RegExp(`Order #${placed.id}`));
+    const status = await until(async () => { const s = await printStatus(placed.id); return s?.state === 'printed' && s; });
+    assert.ok(status.printers.counter.attempts > failedAttempts);
+    assert.ok(status.printedAt);
+  });
+
+  await t.test('Reprint in admin sends the order to the printer again', async () => {
+    const { body } = await admin('POST', `/api/admin/orders/${placed.id}/reprint`);
+    assert.equal(body.printStatus.state, 'requested');
+    assert.match((await device.nextJob()).toString('latin1'), new RegExp(`Order #${placed.id}`));
+    await until(async () => (await printStatus(placed.id))?.state === 'printed');
+  });
+
+  await t.test('print status only accepts the states printer.js reports', async () => {
+    assert.equal((await admin('POST', `/api/admin/orders/${placed.id}/print-status`, { state: 'lost' })).status, 400);
+    assert.equal((await admin('POST', '/api/admin/orders/9999/print-status', { state: 'printed' })).status, 404);
+  });
+});
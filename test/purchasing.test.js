@@ -0,0 +1,57 @@
+// Suppliers and purchase orders — receiving adds stock and books the bill we owe
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, addProduct, stockOf } = require('./helpers');
+
+test('purchase orders', async (t) => {
+  const { admin, stop } = await startServer();
+  t.after(stop);
+  const productId = await addProduct(admin, 'Toor Dal', 4);
+  let supplier, po;
+
+  await t.test('a supplier needs a name and a well-formed GSTIN', async () => {
+    assert.equal((await admin('POST', '/api/admin/suppliers', { phone: '9000000000' })).status, 400);
+    assert.equal((await admin('POST', '/api/admin/suppliers', { name: 'Sri Traders', gstin: '1234' })).status, 400);
+    const res = await admin('POST', '/api/admin/suppliers', { name: 'Sri Traders', phone: '+91 90000 00000', gstin: '29abcde1234f1z5' });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    supplier = res.body;
+    assert.equal(supplier.gstin, '29ABCDE1234F1Z5');
+    assert.equal(supplier.phone, '9000000000');
+  });
+
+  await t.test('a PO is drafted, sent, then received in parts', async () => {
+    const { body } = await admin('POST', '/api/admin/purchase-orders', {
+      supplierId: supplier.id, items: [{ productId, variantId: 'v1', qty: 10, costPrice: 40 }],
+    });
+    po = body;
+    assert.equal(po.status, 'draft');
+    const receiveEarly = await admin('POST', `/api/admin/purchase-orders/${po.id}/receive`, { lines: [{ productId, variantId: 'v1', qty: 1 }] });
+    assert.equal(receiveEarly.status, 400);
+
+    const sent = await admin('POST', `/api/admin/purchase-orders/${po.id}/send`);
+    assert.match(sent.body.message, /Toor Dal/);
+    const first = await admin('POST', `/api/admin/purchase-orders/${po.id}/receive`, { lines: [{ productId, variantId: 'v1', qty: 6 }], billNo: 'B-17' });
+    assert.equal(first.body.po.status, 'partial');
+    assert.equal(first.body.bill.amount, 240);
+    assert.equal(await stockOf(admin, productId), 10);
+
+    const tooMany = await admin('POST', `/api/admin/purchase-orders/${po.id}/receive`, { lines: [{ productId, variantId: 'v1', qty: 5 }] });
+    assert.equal(tooMany.status, 400);
+    assert.match(tooMany.body.error, /Only 4/);
+    const rest = await admin('POST', `/api/admin/purchase-orders/${po.id}/receive`, { lines: [{ productId, variantId: 'v1', qty: 4, costPrice: 42 }] });
+    assert.equal(rest.body.po.status, 'received');
+    assert.equal(await stockOf(admin, productId), 14);
+
+    const { body: history } = await admin('GET', `/api/admin/products/${productId}/stock-history`);
+    assert.deepEqual(history.slice(0, 2).map(m => [m.type, m.delta, m.ref]), [['purchase', 4, `PO #${po.id}`], ['purchase', 6, `PO #${po.id}`]]);
+  });
+
+  await t.test('the supplier balance is bills minus payments', async () => {
+    const paid = await admin('POST', `/api/admin/suppliers/${supplier.id}/ledger`, { type: 'payment', amount: 300 });
+    assert.equal(paid.body.balance, 108);
+    assert.equal((await admin('DELETE', `/api/admin/suppliers/${supplier.id}`)).status, 400);
+    const { body } = await admin('GET', `/api/admin/suppliers/${supplier.id}`);
+    assert.equal(body.balance, 108);
+    assert.deepEqual(body.purchaseOrders.map(p => p.status), ['received']);
+  });
+});
@@ -0,0 +1,45 @@
+// Reorder suggestions — what to buy, from whom, based on how fast things sell
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, openShop, addProduct, order } = require('./helpers');
+
+test('reorder suggestions', async (t) => {
+  const { call, admin, stop } = await startServer();
+  t.after(stop);
+  await openShop(admin);
+  const fast = await addProduct(admin, 'Onions', 10);
+  const slow = await addProduct(admin, 'Saffron', 4);
+  await addProduct(admin, 'Matches', 50);
+  const { body: supplier } = await admin('POST', '/api/admin/suppliers', { name: 'Mandi Fresh', leadTimeDays: 3, productIds: [fast] });
+  await call('POST', '/api/orders', order([{ productId: fast, variantId: 'v1', qty: 7 }]));
+  const suggestions = async () => {
+    const { body } = await admin('GET', '/api/admin/reorder-suggestions?windowDays=7');
+    return body.groups.flatMap(g => g.items.map(i => [g.name, i.productId, i.reason, i.suggestedQty]));
+  };
+
+  await t.test('fast sellers are topped up from their supplier, slow ones by threshold', async () => {
+    // 1 a day, 3 days lead time + 2 days safety → reorder at 5, order up to 5 + 7 days of cover
+    assert.deepEqual(await suggestions(), [
+      ['Mandi Fresh', fast, 'velocity', 9],
+      ['No supplier', slow, 'threshold', 6],
+    ]);
+  });
+
+  await t.test('drafting makes one PO per supplier, and open POs count as stock', async () => {
+    const { body } = await admin('POST', '/api/admin/reorder-suggestions/draft', { items: [
+      { productId: fast, variantId: 'v1', qty: 9, supplierId: supplier.id },
+      { productId: slow, variantId: 'v1', qty: 6 },
+    ] });
+    assert.deepEqual(body.purchaseOrders.map(po => [po.supplierId, po.status, po.source]), [[supplier.id, 'draft', 'reorder']]);
+    assert.equal(body.skipped.length, 1);
+    assert.deepEqual((await suggestions()).map(([, productId]) => productId), [slow]);
+  });
+
+  await t.test('settings are checked and only change through their own route', async () => {
+    assert.equal((await admin('PUT', '/api/admin/reorder-settings', { windowDays: 0 })).status, 400);
+    await admin('PUT', '/api/admin/settings', { reorder: { windowDays: 0 } });
+    assert.equal((await admin('GET', '/api/admin/reorder-settings')).body.windowDays, 28);
+    const saved = await admin('PUT', '/api/admin/reorder-settings', { coverDays: 14 });
+    assert.deepEqual(saved.body.config, { windowDays: 28, leadTimeDays: 2, safetyDays: 2, coverDays: 14 });
+  });
+});
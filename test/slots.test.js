@@ -0,0 +1,64 @@
+// Delivery slots — each slot takes at most its capacity, and a cancelled order frees its place
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, openShop, addProduct, stockOf, order } = require('./helpers');
+
+test('delivery slots: capacity', async (t) => {
+  const { call, admin, stop } = await startServer();
+  t.after(stop);
+  await openShop(admin);
+  const productId = await addProduct(admin, 'Bread', 10);
+  const everyDay = [0, 1, 2, 3, 4, 5, 6];
+  const setup = await admin('PUT', '/api/admin/delivery-slots', {
+    enabled: true, daysAhead: 1,
+    slots: [{ start: '09:00', end: '11:00', days: everyDay, capacity: 2, cutoffMins: 60 }],
+  });
+  assert.equal(setup.status, 200, JSON.stringify(setup.body));
+
+  // Tomorrow's slot is always before its cutoff, whatever time the test runs
+  const { body: offered } = await call('GET', '/api/store/delivery-slots');
+  const slot = offered.slots[offered.slots.length - 1];
+  assert.equal(slot.remaining, 2);
+  const pick = { date: slot.date, slotId: slot.slotId };
+  const place = () => call('POST', '/api/orders', order([{ productId, variantId: 'v1', qty: 1 }], { deliverySlot: pick }));
+
+  await t.test('an order needs a slot once slots are on', async () => {
+    const res = await call('POST', '/api/orders', order([{ productId, variantId: 'v1', qty: 1 }]));
+    assert.equal(res.status, 400);
+    assert.equal(await stockOf(admin, productId), 10);
+  });
+
+  let first, second;
+  await t.test('orders fill the slot up to its capacity', async () => {
+    first = await place();
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+    assert.equal(first.body.order.deliverySlot.slotId, pick.slotId);
+    second = await place();
+    assert.equal(second.status, 200);
+
+    const full = await place();
+    assert.equal(full.status, 400);
+    assert.match(full.body.error, /full/);
+    assert.equal(await stockOf(admin, productId), 8); // the refused order took nothing
+    const { body: after } = await call('GET', '/api/store/delivery-slots');
+    assert.equal(after.slots.find(s => s.date === pick.date && s.slotId === pick.slotId).remaining, 0);
+  });
+
+  await t.test('cancelling an order gives its place back', async () => {
+    const cancel = await admin('PUT', `/api/admin/orders/${first.body.order.id}`, { status: 'cancelled', reason: 'Customer away' });
+    assert.equal(cancel.status, 200, JSON.stringify(cancel.body));
+    assert.equal((await place()).status, 200);
+    assert.equal((await place()).status, 400);
+  });
+
+  await t.test('only a cancelled order can be deleted, so a live one keeps its place and stock', async () => {
+    const live = second.body.order.id;
+    const refused = await admin('DELETE', `/api/admin/orders/${live}`);
+    assert.equal(refused.status, 400);
+    assert.equal((await place()).status, 400);
+    assert.equal(await stockOf(admin, productId), 8);
+
+    assert.equal((await admin('DELETE', `/api/admin/orders/${first.body.order.id}`)).status, 200);
+    assert.equal((await admin('DELETE', `/api/admin/orders/${first.body.order.id}`)).status, 404);
+  });
+});
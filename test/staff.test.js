@@ -0,0 +1,70 @@
+// Staff accounts — each role only reaches the admin routes it is allowed
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+test('staff roles', async (t) => {
+  const { call, admin, stop } = await startServer();
+  t.after(stop);
+  const login = async (username, password) => (await call('POST', '/api/admin/login', { username, password })).body.token;
+  const addStaff = async (username, role) => {
+    const res = await admin('POST', '/api/admin/staff', { username, role, password: 'secret1' });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return { ...res.body, token: await login(username, 'secret1') };
+  };
+
+  await t.test('a login without a username is the owner', async () => {
+    const { body } = await admin('GET', '/api/admin/verify');
+    assert.equal(body.user.username, 'owner');
+    assert.equal(body.user.role, 'owner');
+  });
+
+  await t.test('new accounts need a valid username, role and password', async () => {
+    assert.equal((await admin('POST', '/api/admin/staff', { username: 'x', role: 'counter', password: 'secret1' })).status, 400);
+    assert.equal((await admin('POST', '/api/admin/staff', { username: 'ravi', role: 'boss', password: 'secret1' })).status, 400);
+    assert.equal((await admin('POST', '/api/admin/staff', { username: 'ravi', role: 'counter', password: '123' })).status, 400);
+  });
+
+  await t.test('counter and packer only reach their own routes', async () => {
+    const counter = await addStaff('counter1', 'counter');
+    const packer = await addStaff('packer1', 'packer');
+    assert.equal((await call('GET', '/api/admin/orders', undefined, counter.token)).status, 200);
+    assert.equal((await call('GET', '/api/admin/staff', undefined, counter.token)).status, 403);
+    assert.equal((await call('DELETE', '/api/admin/orders/1', undefined, counter.token)).status, 403);
+    assert.equal((await call('GET', '/api/admin/orders', undefined, packer.token)).status, 200);
+    const denied = await call('POST', '/api/admin/products', { name: 'Jam' }, packer.token);
+    assert.equal(denied.status, 403);
+    assert.match(denied.body.error, /packer role/);
+  });
+
+  await t.test('disabling an account or resetting its password signs it out', async () => {
+    const milkman = await addStaff('milkman1', 'milkman');
+    assert.equal((await call('GET', '/api/admin/verify', undefined, milkman.token)).status, 200);
+    await admin('PUT', `/api/admin/staff/${milkman.id}`, { password: 'secret2' });
+    assert.equal((await call('GET', '/api/admin/verify', undefined, milkman.token)).status, 401);
+    assert.equal(await login('milkman1', 'secret1'), undefined);
+
+    const fresh = await login('milkman1', 'secret2');
+    await admin('PUT', `/api/admin/staff/${milkman.id}`, { disabled: true });
+    assert.equal((await call('GET', '/api/admin/verify', undefined, fresh)).status, 401);
+    assert.equal((await call('POST', '/api/admin/login', { username: 'milkman1', password: 'secret2' })).status, 401);
+  });
+
+  await t.test('the last active owner cannot be demoted, disabled or deleted', async () => {
+    const { body: me } = await admin('GET', '/api/admin/verify');
+    assert.equal((await admin('PUT', `/api/admin/staff/${me.user.id}`, { role: 'counter' })).status, 400);
+    assert.equal((await admin('PUT', `/api/admin/staff/${me.user.id}`, { disabled: true })).status, 400);
+    assert.equal((await admin('DELETE', `/api/admin/staff/${me.user.id}`)).status, 400);
+  });
+
+  await t.test('changing your own password in settings signs out your other sessions', async () => {
+    const counter = await addStaff('counter2', 'counter');
+    const otherDevice = await login('counter2', 'secret1');
+    const { body } = await call('PUT', '/api/admin/settings', { newPassword: 'secret3' }, counter.token);
+    assert.ok(body.token);
+    assert.equal((await call('GET', '/api/admin/verify', undefined, otherDevice)).status, 401);
+    assert.equal((await call('GET', '/api/admin/verify', undefined, counter.token)).status, 401);
+    assert.equal((await call('GET', '/api/admin/verify', undefined, body.token)).status, 200);
+    assert.ok(await login('counter2', 'secret3'));
+  });
+});
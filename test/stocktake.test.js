@@ -0,0 +1,51 @@
+// Stocktake — counts are collected first and applied together, without undoing later sales
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, openShop, addProduct, stockOf, order } = require('./helpers');
+
+test('stocktake', async (t) => {
+  const { call, admin, stop } = await startServer();
+  t.after(stop);
+  await openShop(admin);
+  const { body: soap } = await admin('POST', '/api/admin/products', {
+    name: 'Neem Soap', variants: [{ id: 'v1', label: '100 g', stockQuantity: 10, barcode: '8900000000101', priceTiers: [{ minQty: 1, price: 40 }] }],
+  });
+  const oil = await addProduct(admin, 'Coconut Oil', 5);
+  const salt = await addProduct(admin, 'Rock Salt', 7);
+  let session;
+
+  await t.test('one open stocktake per scope', async () => {
+    session = (await admin('POST', '/api/admin/stocktakes', { name: 'Monthly count' })).body;
+    assert.equal(session.status, 'open');
+    assert.equal((await admin('POST', '/api/admin/stocktakes', {})).status, 400);
+  });
+
+  await t.test('scans add up and counts are kept apart from live stock', async () => {
+    const scan = body => admin('POST', `/api/admin/stocktakes/${session.id}/scan`, body);
+    await scan({ code: '8900000000101', qty: 5 });
+    const { body } = await scan({ code: '8900000000101', qty: 3 });
+    assert.deepEqual([body.line.counted, body.line.scans, body.line.expected], [8, 2, 10]);
+    const unknown = await scan({ code: 'coconut' });
+    assert.equal(unknown.status, 404);
+    assert.deepEqual(unknown.body.candidates.map(c => c.productId), [oil]);
+    await admin('POST', `/api/admin/stocktakes/${session.id}/count`, { productId: oil, variantId: 'v1', counted: 5 });
+    assert.equal(await stockOf(admin, soap.id), 10);
+
+    const { body: view } = await admin('GET', `/api/admin/stocktakes/${session.id}`);
+    assert.deepEqual([view.summary.counted, view.summary.mismatched, view.summary.varianceUnits], [2, 1, -2]);
+    assert.ok(view.uncounted.some(u => u.productId === salt));
+  });
+
+  await t.test('commit applies the variance, so sales after the count stand', async () => {
+    await call('POST', '/api/orders', order([{ productId: soap.id, variantId: 'v1', qty: 2 }]));
+    const { body } = await admin('POST', `/api/admin/stocktakes/${session.id}/commit`);
+    assert.deepEqual(body.adjustments.map(a => [a.productId, a.delta]).sort(), [[oil, 0], [soap.id, -2]].sort());
+    assert.equal(await stockOf(admin, soap.id), 6);
+    assert.equal(await stockOf(admin, oil), 5);
+    assert.equal(await stockOf(admin, salt), 7);
+    const { body: history } = await admin('GET', `/api/admin/products/${soap.id}/stock-history`);
+    assert.equal(history[0].ref, `Stocktake #${session.id}`);
+    assert.equal((await admin('POST', `/api/admin/stocktakes/${session.id}/commit`)).status, 400);
+    assert.equal((await admin('POST', `/api/admin/stocktakes/${session.id}/scan`, { code: '8900000000101' })).status, 400);
+  });
+});
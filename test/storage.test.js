@@ -0,0 +1,111 @@
+// Local JSON file adapter — the subset of the MongoDB driver API server.js relies on
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openFileStore } = require('../storage');
+const { startServer } = require('./helpers');
+
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bsc-storage-'));
+  return { file: path.join(dir, 'store.json'), cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test('file store: find, sort, limit and query operators', async (t) => {
+  const { file, cleanup } = tempStore();
+  t.after(cleanup);
+  const col = openFileStore(file).db.collection('products');
+  await col.insertMany([
+    { id: 1, name: 'Milk', price: 30, tags: ['dairy'] },
+    { id: 2, name: 'Bread', price: 45, tags: ['bakery'] },
+    { id: 3, name: 'Curd', price: 25, tags: ['dairy'], disabled: true },
+  ]);
+
+  const cheap = await col.find({ price: { $lt: 40 } }).sort({ price: -1 }).toArray();
+  assert.deepEqual(cheap.map(p => p.id), [1, 3]);
+  assert.deepEqual((await col.find({ id: { $in: [2, 3] } }).limit(1).toArray()).map(p => p.id), [2]);
+  assert.equal(await col.countDocuments({ $or: [{ name: 'Bread' }, { disabled: true }] }), 2);
+  assert.equal(await col.countDocuments({ disabled: null }), 2);
+  assert.equal((await col.findOne({ tags: 'bakery' })).name, 'Bread');
+});
+
+test('file store: conditional findOneAndUpdate only matches while the condition holds', async (t) => {
+  const { file, cleanup } = tempStore();
+  t.after(cleanup);
+  const col = openFileStore(file).db.collection('products');
+  await col.insertOne({ id: 1, variants: [{ id: 'v1', stockQuantity: 3 }] });
+  const take = qty => col.findOneAndUpdate(
+    { id: 1, 'variants.0.stockQuantity': { $gte: qty } },
+    { $inc: { 'variants.0.stockQuantity': -qty } },
+    { returnDocument: 'after' }
+  );
+
+  assert.equal((await take(2)).variants[0].stockQuantity, 1);
+  assert.equal(await take(2), null);
+  assert.equal((await col.findOne({ id: 1 })).variants[0].stockQuantity, 1);
+});
+
+test('file store: upsert counters and unique indexes behave like MongoDB', async (t) => {
+  const { file, cleanup } = tempStore();
+  t.after(cleanup);
+  const db = openFileStore(file).db;
+  const next = async () => (await db.collection('counters').findOneAndUpdate(
+    { _id: 'orderId' }, { $inc: { seq: 1 } }, { upsert: true, returnDocument: 'after' }
+  )).seq;
+  assert.equal(await next(), 1);
+  assert.equal(await next(), 2);
+
+  const ledger = db.collection('ledger');
+  await ledger.createIndex({ reverses: 1 }, { unique: true, sparse: true });
+  await ledger.insertOne({ id: 1 });
+  await ledger.insertOne({ id: 2 }); // sparse: docs without the field don't clash
+  await ledger.insertOne({ id: 3, reverses: 1 });
+  await assert.rejects(ledger.insertOne({ id: 4, reverses: 1 }), { code: 11000 });
+  assert.equal(await ledger.countDocuments(), 3);
+});
+
+test('file store: every change is written to disk and survives a reopen', async (t) => {
+  const { file, cleanup } = tempStore();
+  t.after(cleanup);
+  const col = openFileStore(file).db.collection('orders');
+  await col.insertOne({ id: 1, status: 'pending' });
+  await col.insertOne({ id: 2, status: 'pending' });
+  await col.updateOne({ id: 1 }, { $set: { status: 'delivered' } });
+  await col.deleteOne({ id: 2 });
+
+  const reopened = openFileStore(file).db.collection('orders');
+  const orders = await reopened.find({}).toArray();
+  assert.deepEqual(orders.map(o => [o.id, o.status]), [[1, 'delivered']]);
+  assert.ok(!fs.existsSync(file + '.tmp'));
+});
+
+test('file store: first start seeds collections and counters from a legacy db.json', async (t) => {
+  const { file, cleanup } = tempStore();
+  t.after(cleanup);
+  const seedFile = path.join(path.dirname(file), 'db.json');
+  fs.writeFileSync(seedFile, JSON.stringify({
+    settings: { storeName: 'Test Store' },
+    products: [{ id: 7, name: 'Rice' }],
+    milkCustomers: [{ id: 4, name: 'Asha', phone: '9876543210', password: 'x' }],
+    nextProductId: 8,
+  }));
+  const db = openFileStore(file, { seedFile }).db;
+
+  assert.equal((await db.collection('settings').findOne({ _id: 'main' })).storeName, 'Test Store');
+  assert.equal((await db.collection('products').findOne({ id: 7 })).name, 'Rice');
+  assert.equal((await db.collection('customers').findOne({ customerId: 4 })).pin, 'x');
+  assert.equal((await db.collection('counters').findOne({ _id: 'productId' })).seq, 7);
+});
+
+test('server: runs on the file store without MONGO_URI and keeps data across restarts', async (t) => {
+  const { file, cleanup } = tempStore();
+  let server = await startServer({ dataFile: file });
+  t.after(async () => { await server.stop(); cleanup(); });
+  const { body: cat } = await server.admin('POST', '/api/admin/categories', { name: 'Dairy' });
+  await server.stop();
+
+  server = await startServer({ dataFile: file });
+  const { body: store } = await server.call('GET', '/api/store');
+  assert.ok(store.categories.some(c => c.id === cat.id && c.name === 'Dairy'));
+});
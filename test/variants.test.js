@@ -0,0 +1,49 @@
+// Per-variant stock — each pack size has its own count, SKU and barcode
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, openShop, order } = require('./helpers');
+
+test('variant stock', async (t) => {
+  const { call, admin, stop } = await startServer();
+  t.after(stop);
+  await openShop(admin);
+  const { body: milk } = await admin('POST', '/api/admin/products', {
+    name: 'Milk', variants: [
+      { id: 'half', label: '500 ml', stockQuantity: 3, barcode: '8901000000011', priceTiers: [{ minQty: 1, price: 30 }] },
+      { id: 'litre', label: '1 L', stockQuantity: 1, sku: 'MILK-1L', priceTiers: [{ minQty: 1, price: 58 }] },
+    ],
+  });
+  const variants = async () => (await admin('GET', '/api/admin/products')).body.find(p => p.id === milk.id);
+
+  await t.test('each variant is reserved from its own count', async () => {
+    const refused = await call('POST', '/api/orders', order([{ productId: milk.id, variantId: 'litre', qty: 2 }]));
+    assert.equal(refused.status, 400);
+    assert.match(refused.body.error, /Only 1 unit\(s\) of "Milk \(1 L\)"/);
+
+    const placed = await call('POST', '/api/orders', order([{ productId: milk.id, variantId: 'half', qty: 2 }]));
+    assert.equal(placed.status, 200, JSON.stringify(placed.body));
+    const product = await variants();
+    assert.deepEqual(product.variants.map(v => v.stockQuantity), [1, 1]);
+    assert.equal(product.stockQuantity, 2); // rolled up for lists
+  });
+
+  await t.test('a scanned barcode or SKU finds its variant', async () => {
+    const byBarcode = await admin('GET', '/api/admin/products/search?q=8901000000011');
+    assert.equal(byBarcode.body.variantId, 'half');
+    const bySku = await admin('GET', '/api/admin/products/search?q=MILK-1L');
+    assert.equal(bySku.body.variantId, 'litre');
+  });
+
+  await t.test('a barcode can only belong to one variant', async () => {
+    const clash = await admin('POST', '/api/admin/products', {
+      name: 'Curd', variants: [{ id: 'v1', label: '400 g', barcode: '8901000000011', priceTiers: [{ minQty: 1, price: 35 }] }],
+    });
+    assert.equal(clash.status, 400);
+    assert.match(clash.body.error, /already belongs to "Milk"/);
+  });
+
+  await t.test('product-level stock in an edit is ignored', async () => {
+    await admin('PUT', `/api/admin/products/${milk.id}`, { stockQuantity: 50 });
+    assert.deepEqual((await variants()).variants.map(v => v.stockQuantity), [1, 1]);
+  });
+});